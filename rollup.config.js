@@ -0,0 +1,88 @@
+/**
+ * @file /rollup.config.js
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Builds `src/dist` from the TypeScript sources in
+ * `src/module/dev`. `KDRoll.bundle.js` is wrapped by `src/module/index.js` for
+ * AMD, CommonJS and non-module scripts. `KDRoll.esm.mjs` is an ES module.
+ * @example
+ * ```
+ * npm run build
+ * ```
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ts from 'typescript';
+import cleanup from 'rollup-plugin-cleanup';
+import pkg from './package.json';
+
+/**
+ * Compiler options from `tsconfig.json`, emitting ES modules for rollup.
+ */
+const compilerOptions = (() => {
+  const { config } = ts.readConfigFile('tsconfig.json', ts.sys.readFile);
+  const { options } = ts.parseJsonConfigFileContent(config, ts.sys, '.');
+  return { ...options, module: ts.ModuleKind.ES2015, sourceMap: false };
+})();
+
+/**
+ * Resolve extensionless imports to `.ts` files and compile them.
+ */
+const typescript = () => ({
+  name: 'typescript',
+  resolveId(source, importer) {
+    if (!importer || !source.startsWith('.')) return null;
+    const base = path.resolve(path.dirname(importer), source);
+    const files = [`${base}.ts`, path.join(base, 'index.ts')];
+    return files.find((file) => fs.existsSync(file)) || null;
+  },
+  transform(code, id) {
+    if (!id.endsWith('.ts')) return null;
+    const options = { compilerOptions, fileName: id };
+    return { code: ts.transpileModule(code, options).outputText, map: null };
+  },
+});
+
+const banner = (file) => `/**
+ * @file ${file}
+ * @version ${pkg.version}
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview \`KDRoll\` is a class representing a random number manager.
+ * Includes seedable uniform engines, gaussian and other distributions, dice
+ * notation, history, elementary statistics, and scale/clip/round convenience
+ * functions.
+ */`;
+
+const plugins = [typescript(), cleanup({ extensions: ['js', 'ts'] })];
+
+/** TypeScript helpers refer to a top level `this`, which is expected. */
+const onwarn = (warning, warn) => {
+  if (warning.code !== 'THIS_IS_UNDEFINED') warn(warning);
+};
+
+export default [
+  {
+    input: 'src/module/index.js',
+    output: {
+      file: 'src/dist/KDRoll.bundle.js',
+      format: 'es',
+      banner: banner('KDRoll.bundle.js'),
+    },
+    plugins,
+    onwarn,
+  },
+  {
+    input: 'src/module/dev/index.ts',
+    output: {
+      file: 'src/dist/KDRoll.esm.mjs',
+      format: 'es',
+      banner: banner('KDRoll.esm.mjs'),
+    },
+    plugins,
+    onwarn,
+  },
+];
@@ -8,6 +8,9 @@
  */
 
 import { KDRoll } from '../src/module/dev/KDRoll';
+import { KDEngine, KDEngines } from '../src/module/dev/KDEngines';
+import { KDUniform } from '../src/module/dev/KDUniform';
+import { KDDistributions } from '../src/module/dev/KDDistributions';
 import { expect } from 'chai';
 
 describe(`KDRoll`, () => {
@@ -267,6 +270,85 @@ describe(`KDRoll`, () => {
       expect(kdrollUnd.seed()).to.have.length.greaterThan(0);
     });
 
+    /**
+     * Strings, BigInt, byte buffers, and plain objects should each derive
+     * the same key every time. Object keys can be in any order.
+     */
+    it(`should seed from strings, BigInt, buffers, and objects`, () => {
+      const rolls = (seed: any) => {
+        const kdroll = new KDRoll(seed);
+        return [kdroll.random(), kdroll.d(20), kdroll.gaussian()];
+      };
+      [
+        'dungeon-42',
+        BigInt('1208925819614629174706181'),
+        { a: 1 },
+      ].forEach((seed) => expect(rolls(seed)).to.deep.equal(rolls(seed)));
+      expect(rolls('dungeon-42')).to.not.deep.equal(rolls('dungeon-43'));
+      expect(new KDRoll('dungeon-42').seed()).to.have.lengthOf(4);
+
+      expect(new KDRoll(BigInt(42)).seed()).to.equal(42);
+      expect(
+        new KDRoll(BigInt('1208925819614629174706181')).seed()
+      ).to.deep.equal([65536, 0, 5]);
+
+      /* Typed arrays stay arrays of numbers, and buffers are packed. */
+      const bytes = new Uint8Array([1, 2, 3, 4, 5]);
+      expect(rolls(bytes)).to.deep.equal(rolls([1, 2, 3, 4, 5]));
+      expect(new KDRoll(bytes.buffer).seed()).to.deep.equal([
+        0x01020304,
+        0x05000000,
+      ]);
+      expect(new KDRoll(new DataView(bytes.buffer, 4)).seed()).to.deep.equal([
+        0x05000000,
+      ]);
+
+      const object = { level: 3, party: ['ada', { hp: 10, mp: 4 }] };
+      const reordered = { party: ['ada', { mp: 4, hp: 10 }], level: 3 };
+      expect(new KDRoll(reordered).seed()).to.deep.equal(
+        new KDRoll(object).seed()
+      );
+      expect(new KDRoll({ ...object, level: 4 }).seed()).to.not.deep.equal(
+        new KDRoll(object).seed()
+      );
+    });
+
+    /**
+     * `seedInfo()` should report the original seed and its key, and the
+     * code should round trip to the same sequence.
+     */
+    it(`should report the seed and a shareable code`, () => {
+      const kdroll = new KDRoll('dungeon-42');
+      const info = kdroll.seedInfo();
+      expect(info.input).to.equal('dungeon-42');
+      expect(info.key).to.deep.equal(kdroll.seed());
+      const shared = new KDRoll(KDRoll.decodeSeed(info.code as string));
+      expect(shared.random()).to.equal(kdroll.random());
+
+      expect(new KDRoll(2020).seedInfo().code).to.equal('01Z4-J');
+      expect(KDRoll.decodeSeed(' 01z4 j ')).to.equal(2020);
+      expect(KDRoll.decodeSeed('01Z5-J')).to.be.undefined;
+      expect(KDRoll.decodeSeed('')).to.be.undefined;
+      [
+        [1, 2, 3],
+        [Number.MAX_SAFE_INTEGER, 0],
+        [1, 2, 3, 4, 5, 6, 7, 8],
+      ].forEach((key) => {
+        const code = new KDRoll(key).seedInfo().code as string;
+        expect(KDRoll.decodeSeed(code)).to.deep.equal(key);
+      });
+      expect(info.code!.length).to.be.below(40);
+
+      /* Generated seeds have hundreds of words, too many for a short code. */
+      const random = new KDRoll();
+      expect(random.seedInfo().input).to.deep.equal(random.seed());
+      expect(random.seedInfo().code).to.be.undefined;
+      expect(new KDRoll([1, 2, 3, 4, 5, 6, 7, 8, 9]).seedInfo().code).to.be
+        .undefined;
+      kdroll.setState(new KDRoll(7).getState());
+      expect(kdroll.seedInfo().input).to.equal(7);
+    });
+
     /**
      * Seed a single KDRoll instance with various number[] and integers.
      * Expect .seed() to return the new seed after each re-seed.
@@ -424,6 +506,327 @@ describe(`KDRoll`, () => {
     });
   });
 
+  describe(`generator state`, () => {
+    /**
+     * Restoring a snapshot should continue the exact same sequence, even
+     * after a round trip through JSON.
+     */
+    it(`should continue the same sequence after restoring state`, () => {
+      const kdroll = new KDRoll(1234);
+      let count = 50;
+      while (count--) kdroll.random();
+
+      const json = JSON.stringify(kdroll.getState());
+      const next = () => [
+        kdroll.random(),
+        kdroll.gaussian(),
+        kdroll.d(20),
+        kdroll.parse('4d6').total,
+      ];
+      const expected = next();
+
+      const restored = new KDRoll();
+      expect(restored.setState(json)).to.equal(true);
+      expect(restored.seed()).to.equal(1234);
+      expect([
+        restored.random(),
+        restored.gaussian(),
+        restored.d(20),
+        restored.parse('4d6').total,
+      ]).to.deep.equal(expected);
+    });
+
+    /**
+     * History and maxHistory should only be included when requested.
+     */
+    it(`should optionally include history`, () => {
+      const kdroll = new KDRoll();
+      kdroll.maxHistory(10);
+      let count = 20;
+      while (count--) kdroll.d(6);
+
+      expect(kdroll.getState()).to.not.have.property('history');
+      const state = kdroll.getState({ history: true });
+      expect(state.history).to.deep.equal(kdroll.historyEntries());
+      expect(state.maxHistory).to.equal(10);
+
+      const restored = new KDRoll();
+      restored.setState(state);
+      expect(restored.history()).to.deep.equal(kdroll.history());
+      expect(restored.maxHistory()).to.equal(10);
+    });
+
+    /**
+     * Invalid states should be rejected without changing the generator.
+     */
+    it(`should reject invalid states`, () => {
+      const kdroll = new KDRoll(99);
+      const state = kdroll.getState();
+      const invalid: any[] = [
+        '{',
+        {},
+        { generator: { ...state.generator, mt: [1, 2, 3] } },
+        { generator: { ...state.generator, mti: 625 } },
+      ];
+      invalid.forEach((s) => expect(kdroll.setState(s)).to.equal(false));
+      expect(kdroll.getState()).to.deep.equal(state);
+    });
+  });
+
+  describe(`engines`, () => {
+    const seeded = KDRoll.engines().filter((name) => name !== 'crypto');
+
+    /**
+     * Every built-in engine should support the full API, and seeded engines
+     * should repeat the same sequence for the same seed.
+     */
+    it(`should support every method on every engine`, () => {
+      KDRoll.engines().forEach((engine) => {
+        const kdroll = new KDRoll(7, { engine });
+        expect(kdroll.engine()).to.equal(engine);
+        let count = 200;
+        while (count--) {
+          const rand = kdroll.random();
+          const d = kdroll.d(6);
+          const gauss = kdroll.gaussian();
+          expect(rand).to.be.at.least(0);
+          expect(rand).to.be.at.most(1);
+          expect(d).to.be.at.least(1);
+          expect(d).to.be.at.most(6);
+          expect(gauss).to.be.at.least(0);
+          expect(gauss).to.be.at.most(1);
+        }
+        expect(kdroll.parse('4d6kh3').groups[0].dice).to.have.lengthOf(4);
+        expect(kdroll.history()).to.have.lengthOf(604);
+        expect(kdroll.mean()).to.be.a('number');
+      });
+    });
+
+    it(`should generate the same sequence for the same seed`, () => {
+      seeded.forEach((engine) => {
+        const rolls = (seed) => {
+          const kdroll = new KDRoll(seed, { engine });
+          return new Array(20).fill(null).map(() => kdroll.random());
+        };
+        expect(rolls(12)).to.deep.equal(rolls(12));
+        expect(rolls([1, 2, 3])).to.deep.equal(rolls([1, 2, 3]));
+        expect(rolls(12)).to.not.deep.equal(rolls(13));
+        expect(rolls([1, 2, 3])).to.not.deep.equal(rolls([1, 2, 4]));
+      });
+    });
+
+    /**
+     * Compare against published reference outputs.
+     */
+    it(`should match reference outputs`, () => {
+      /* Upper 32 bits of SplitMix64 seeded with 1234567. */
+      const splitmix = KDEngines.splitmix64(1234567);
+      const expectedSplitmix = [0x599ed017, 0x2c73f084, 0x883ebce5];
+      expectedSplitmix.forEach((n) =>
+        expect(splitmix.nextUint32()).to.equal(n)
+      );
+
+      /* PCG32 after `pcg32_srandom(42, 54)`. */
+      const pcg = KDEngines.pcg32();
+      pcg.setState({ seed: 0, words: [0x185706b8, 0x2c2e03f8, 0, 109] });
+      const expectedPcg = [0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293];
+      expectedPcg.forEach((n) => expect(pcg.nextUint32()).to.equal(n));
+    });
+
+    /**
+     * Saved states should restore the engine they were created with.
+     */
+    it(`should restore state across engines`, () => {
+      seeded.forEach((engine) => {
+        const kdroll = new KDRoll(99, { engine });
+        kdroll.random();
+        const json = JSON.stringify(kdroll.getState());
+        const expected = [kdroll.random(), kdroll.d(20), kdroll.gaussian()];
+
+        const restored = new KDRoll();
+        expect(restored.setState(json)).to.equal(true);
+        expect(restored.engine()).to.equal(engine);
+        expect([
+          restored.random(),
+          restored.d(20),
+          restored.gaussian(),
+        ]).to.deep.equal(expected);
+      });
+    });
+
+    /**
+     * Custom engines only need to implement the `KDEngine` interface.
+     */
+    it(`should accept a custom engine`, () => {
+      const counter = (): KDEngine => {
+        let seed = 0;
+        let n = 0;
+        return {
+          name: 'counter',
+          seed: (s?: number) => {
+            if (s !== undefined) n = seed = s;
+            return seed;
+          },
+          nextUint32: () => (n = (n + 0x9e3779b9) >>> 0),
+          getState: () => ({ seed, n }),
+          setState: (state) => {
+            seed = state.seed;
+            n = state.n;
+            return true;
+          },
+        };
+      };
+      const a = new KDRoll(5, { engine: counter() });
+      const b = new KDRoll(5, { engine: counter() });
+      expect(a.engine()).to.equal('counter');
+      expect(a.seed()).to.equal(5);
+      const rolls = [a.d(6), a.random(), a.gaussian()];
+      expect([b.d(6), b.random(), b.gaussian()]).to.deep.equal(rolls);
+    });
+
+    /**
+     * The crypto engine can't be seeded or restored, and unknown engines
+     * fall back to Mersenne Twister.
+     */
+    it(`should handle unseeded and unknown engines`, () => {
+      const crypto = new KDRoll(1, { engine: 'crypto' });
+      expect(crypto.seed()).to.equal(undefined);
+      expect(crypto.setState(crypto.getState())).to.equal(false);
+
+      console.warn('NOTICE: This test should create a warning in the console.');
+      const unknown = new KDRoll(1, { engine: 'unknown' });
+      expect(unknown.engine()).to.equal('mt19937');
+      expect(unknown.random()).to.equal(new KDRoll(1).random());
+    });
+  });
+
+  describe(`jump ahead`, () => {
+    /**
+     * Discarding `n` values should continue the same sequence as generating
+     * them, for every engine, without touching history.
+     */
+    it(`should match generating and ignoring values`, () => {
+      KDRoll.engines()
+        .filter((engine) => engine !== 'crypto')
+        .forEach((engine) => {
+          [0, 1, 2, 3, 100, 1234].forEach((n) => {
+            const jumped = new KDRoll(2020, { engine });
+            const stepped = new KDRoll(2020, { engine });
+            stepped.maxHistory(n + 1);
+            jumped.d(6);
+            stepped.d(6);
+            jumped.discard(n);
+            while (n--) stepped.random();
+            expect(jumped.history()).to.have.lengthOf(1);
+            expect(jumped.random()).to.equal(stepped.random());
+            expect(jumped.getState().generator).to.deep.equal(
+              stepped.getState().generator
+            );
+          });
+        });
+    });
+
+    /**
+     * Workers should be able to take non-overlapping blocks of one stream
+     * with large jumps.
+     */
+    it(`should split one stream into blocks`, () => {
+      const block = 2 ** 40;
+      const worker = new KDRoll(42);
+      worker.discard(2 * block);
+      const twice = new KDRoll(42);
+      twice.discard(block);
+      twice.discard(block);
+      expect(worker.random()).to.equal(twice.random());
+      expect(worker.random()).to.not.equal(new KDRoll(42).random());
+    });
+
+    /**
+     * Invalid counts should be ignored.
+     */
+    it(`should ignore invalid counts`, () => {
+      const kdroll = new KDRoll(1);
+      const expected = new KDRoll(1).random();
+      kdroll.discard(-1);
+      kdroll.discard(1.5);
+      kdroll.discard(NaN);
+      expect(kdroll.random()).to.equal(expected);
+    });
+  });
+
+  describe(`child streams`, () => {
+    /**
+     * A child should depend only on the parent seed and label, not on how
+     * many values the parent has generated.
+     */
+    it(`should derive children from the seed and label`, () => {
+      const a = new KDRoll(2020);
+      const b = new KDRoll(2020);
+      let count = 50;
+      while (count--) b.random();
+      const loot = a.split('loot');
+      expect(b.split('loot').random()).to.equal(loot.random());
+      expect(a.split('combat').random()).to.not.equal(a.split('loot').random());
+      expect(new KDRoll(2021).split('loot').random()).to.not.equal(
+        a.split('loot').random()
+      );
+      expect(loot.engine()).to.equal(a.engine());
+    });
+
+    /**
+     * Children should have their own history and should not advance the
+     * parent.
+     */
+    it(`should keep history and sequence separate`, () => {
+      const parent = new KDRoll(7);
+      const expected = new KDRoll(7).random();
+      const child = parent.split('weather');
+      child.d(6);
+      child.d(6);
+      expect(child.history()).to.have.lengthOf(2);
+      expect(parent.history()).to.have.lengthOf(0);
+      expect(parent.random()).to.equal(expected);
+    });
+
+    /**
+     * `fork()` should return a new stream on each call, and the same
+     * sequence of streams after re-seeding.
+     */
+    it(`should fork numbered children`, () => {
+      const kdroll = new KDRoll(99, { engine: 'xoshiro128**' });
+      const first = [kdroll.fork(), kdroll.fork()].map((c) => c.random());
+      expect(first[0]).to.not.equal(first[1]);
+      kdroll.seed(99);
+      const again = [kdroll.fork(), kdroll.fork()].map((c) => c.random());
+      expect(again).to.deep.equal(first);
+      kdroll.seed(99);
+      expect(kdroll.fork().engine()).to.equal('xoshiro128**');
+      expect(kdroll.fork().random()).to.not.equal(kdroll.split('0').random());
+    });
+
+    /**
+     * Child streams should be uncorrelated with the parent and each other.
+     */
+    it(`should produce uncorrelated streams`, () => {
+      const samples = 10000;
+      const parent = new KDRoll(1, { engine: 'sfc32' });
+      const streams = [parent, parent.split('a'), parent.split('b')].map(
+        (kdroll) => {
+          kdroll.maxHistory(samples);
+          return new Array(samples).fill(0).map(() => kdroll.random() - 0.5);
+        }
+      );
+      const correlation = (x: number[], y: number[]) => {
+        const dot = (u: number[], v: number[]) =>
+          u.reduce((sum, ui, i) => sum + ui * v[i], 0);
+        return dot(x, y) / Math.sqrt(dot(x, x) * dot(y, y));
+      };
+      expect(correlation(streams[0], streams[1])).to.be.closeTo(0, 0.04);
+      expect(correlation(streams[0], streams[2])).to.be.closeTo(0, 0.04);
+      expect(correlation(streams[1], streams[2])).to.be.closeTo(0, 0.04);
+    });
+  });
+
   describe(`history functionality`, () => {
     const defaultMaxHistory = 1000;
     /**
@@ -513,6 +916,106 @@ describe(`KDRoll`, () => {
       expect(kdroll.history()).to.have.lengthOf(0);
     });
 
+    /**
+     * Each entry should record the method, arguments, result, sequence index
+     * and time of the call that produced it.
+     */
+    it(`should record the call that produced each value`, () => {
+      const before = Date.now();
+      const kdroll = new KDRoll(5);
+      const u = kdroll.uniform();
+      const g = kdroll.gaussian(0.5);
+      const d = kdroll.d(20);
+      const n = kdroll.normal(10, 2);
+      const entries = kdroll.historyEntries();
+      expect(
+        entries.map(({ method, args, result, index }) => ({
+          method,
+          args,
+          result,
+          index,
+        }))
+      ).to.deep.equal([
+        { method: 'uniform', args: [], result: u, index: 0 },
+        { method: 'gaussian', args: [0.5], result: g, index: 1 },
+        { method: 'd', args: [20], result: d, index: 2 },
+        { method: 'normal', args: [10, 2], result: n, index: 3 },
+      ]);
+      expect(entries[2].sides).to.equal(20);
+      entries.forEach((entry) => {
+        expect(entry.time).to.be.within(before, Date.now());
+      });
+      entries[0].args.push('changed');
+      expect(kdroll.historyEntries()[0].args).to.deep.equal([]);
+    });
+
+    /**
+     * Sequence indices should keep counting when history overflows or is
+     * cleared, and restart when re-seeded.
+     */
+    it(`should count every value since seeding`, () => {
+      const kdroll = new KDRoll(5);
+      kdroll.maxHistory(3);
+      let count = 10;
+      while (count--) kdroll.random();
+      const indices = kdroll.historyEntries().map((entry) => entry.index);
+      expect(indices).to.deep.equal([7, 8, 9]);
+      kdroll.clearHistory();
+      kdroll.random();
+      expect(kdroll.historyEntries()[0].index).to.equal(10);
+      kdroll.seed(5);
+      kdroll.random();
+      expect(kdroll.historyEntries()[0].index).to.equal(0);
+    });
+
+    /**
+     * History and stats should be filterable by source and sides.
+     */
+    it(`should filter history and stats by source`, () => {
+      const kdroll = new KDRoll();
+      const sixes: number[] = [];
+      let count = 100;
+      while (count--) {
+        kdroll.uniform();
+        sixes.push(kdroll.d(6));
+        kdroll.d(20);
+      }
+      kdroll.parse('2d6+1d4');
+      const dice = kdroll.history({ source: 'parse', sides: 6 });
+      expect(dice).to.have.lengthOf(2);
+      expect(kdroll.history({ source: 'd', sides: 6 })).to.deep.equal(sixes);
+      expect(kdroll.history({ sides: 6 })).to.deep.equal(sixes.concat(dice));
+      expect(kdroll.history({ source: ['d', 'uniform'] })).to.have.lengthOf(
+        300
+      );
+      expect(kdroll.history({ source: 'gaussian' })).to.deep.equal([]);
+      expect(kdroll.mean({ source: 'd', sides: 6 })).to.equal(
+        kdroll.mean(sixes)
+      );
+      expect(kdroll.modes({ source: 'd', sides: 6 })).to.deep.equal(
+        kdroll.modes(sixes)
+      );
+      expect(kdroll.mean({ source: 'uniform' })).to.be.below(1);
+    });
+
+    /**
+     * Saved states should include the full entries and the sequence index.
+     */
+    it(`should save and restore entries`, () => {
+      const kdroll = new KDRoll(8);
+      kdroll.d(6);
+      kdroll.pick(['a', 'b', 'c']);
+      const state = JSON.parse(
+        JSON.stringify(kdroll.getState({ history: true }))
+      );
+      const restored = new KDRoll();
+      restored.setState(state);
+      expect(restored.historyEntries()).to.deep.equal(kdroll.historyEntries());
+      expect(restored.historyEntries()[1].method).to.equal('pick');
+      restored.random();
+      expect(restored.historyEntries()[2].index).to.equal(2);
+    });
+
     /**
      * After setting a new maxHistory and then calling clearHistory(),
      * expect the maxHistory to still be the custom value.
@@ -529,6 +1032,464 @@ describe(`KDRoll`, () => {
     });
   });
 
+  describe(`running statistics`, () => {
+    /**
+     * While every value fits in history, running statistics should match
+     * statistics computed from history.
+     */
+    it(`should match statistics of the history`, () => {
+      const kdroll = new KDRoll(12, { engine: 'sfc32' });
+      let count = 500;
+      while (count--) kdroll.gaussian();
+      const values = kdroll.history();
+      const n = values.length;
+      const mean = values.reduce((a, b) => a + b) / n;
+      const moment = (k: number) =>
+        values.reduce((sum, x) => sum + Math.pow(x - mean, k), 0) / n;
+      const stats = kdroll.stats();
+      expect(stats.count).to.equal(500);
+      expect(stats.mean).to.be.closeTo(mean, 1e-12);
+      expect(stats.variance).to.be.closeTo(moment(2), 1e-12);
+      expect(stats.stdDev).to.be.closeTo(Math.sqrt(moment(2)), 1e-12);
+      expect(stats.skewness).to.be.closeTo(
+        moment(3) / Math.pow(moment(2), 1.5),
+        1e-9
+      );
+      expect(stats.kurtosis).to.be.closeTo(
+        moment(4) / Math.pow(moment(2), 2) - 3,
+        1e-9
+      );
+      expect(stats.min).to.equal(Math.min(...values));
+      expect(stats.max).to.equal(Math.max(...values));
+      const sorted = [...values].sort((a, b) => a - b);
+      expect(kdroll.quantile(0.9)).to.be.closeTo(sorted[449], 0.01);
+    });
+
+    /**
+     * Running statistics should include values dropped from history.
+     */
+    it(`should not be limited by maxHistory`, () => {
+      const kdroll = new KDRoll(4, { engine: 'sfc32' });
+      kdroll.maxHistory(100);
+      let count = 20000;
+      while (count--) kdroll.random();
+      const stats = kdroll.stats();
+      expect(kdroll.history()).to.have.lengthOf(100);
+      expect(stats.count).to.equal(20000);
+      expect(stats.mean).to.be.closeTo(0.5, 0.01);
+      expect(stats.variance).to.be.closeTo(1 / 12, 0.002);
+      expect(stats.skewness).to.be.closeTo(0, 0.05);
+      expect(stats.kurtosis).to.be.closeTo(-1.2, 0.05);
+      expect(stats.median).to.be.closeTo(0.5, 0.01);
+      expect(kdroll.quantile(0.01)).to.be.closeTo(0.01, 0.005);
+      expect(kdroll.quantile(0.99)).to.be.closeTo(0.99, 0.005);
+    });
+
+    /**
+     * Filters should combine the statistics of each source.
+     */
+    it(`should filter by source and sides`, () => {
+      const kdroll = new KDRoll(9, { engine: 'sfc32' });
+      let count = 300;
+      while (count--) {
+        kdroll.d(6);
+        kdroll.d(20);
+        kdroll.uniform();
+      }
+      expect(kdroll.stats().count).to.equal(900);
+      expect(kdroll.stats({ sides: 6 }).max).to.equal(6);
+      expect(kdroll.stats({ source: 'd' }).max).to.equal(20);
+      expect(kdroll.stats({ source: 'd' }).count).to.equal(600);
+      expect(kdroll.stats({ source: 'd' }).mean).to.be.closeTo(
+        kdroll.mean(kdroll.history({ source: 'd' })),
+        1e-9
+      );
+      expect(
+        kdroll.stats({ source: ['d', 'uniform'], sides: 6 }).count
+      ).to.equal(300);
+      expect(kdroll.quantile(0, { source: 'uniform' })).to.equal(
+        Math.min(...kdroll.history({ source: 'uniform' }))
+      );
+      expect(kdroll.stats({ source: 'gaussian' }).mean).to.be.NaN;
+    });
+
+    /**
+     * Running statistics should reset with history and be saved with it.
+     */
+    it(`should clear and restore with history`, () => {
+      const kdroll = new KDRoll(3);
+      let count = 50;
+      while (count--) kdroll.d(12);
+      const saved = JSON.stringify(kdroll.getState({ history: true }));
+      const stats = kdroll.stats();
+      kdroll.clearHistory();
+      expect(kdroll.stats().count).to.equal(0);
+      kdroll.setState(saved);
+      expect(kdroll.stats()).to.deep.equal(stats);
+      kdroll.seed(3);
+      expect(kdroll.stats().count).to.equal(0);
+    });
+  });
+
+  describe(`events`, () => {
+    /**
+     * Every recorded value should fire a `'roll'` event with the same entry
+     * as `historyEntries()`.
+     */
+    it(`should emit roll events with metadata`, () => {
+      const kdroll = new KDRoll(5);
+      const rolls: any[] = [];
+      const off = kdroll.on('roll', (entry) => rolls.push(entry));
+      kdroll.uniform();
+      kdroll.gaussian(0.5);
+      kdroll.d(20);
+      expect(rolls).to.deep.equal(kdroll.historyEntries());
+      expect(rolls.map((entry) => entry.method)).to.deep.equal([
+        'uniform',
+        'gaussian',
+        'd',
+      ]);
+      expect(rolls[2].sides).to.equal(20);
+      rolls[2].args.push(1);
+      expect(kdroll.historyEntries()[2].args).to.deep.equal([20]);
+      off();
+      kdroll.d(20);
+      expect(rolls).to.have.lengthOf(3);
+    });
+
+    /**
+     * Seeding should clear history and then emit the new seed. Clearing
+     * should emit the removed entries.
+     */
+    it(`should emit seed and clearHistory events`, () => {
+      const kdroll = new KDRoll(1);
+      const events: string[] = [];
+      const seeds: any[] = [];
+      let cleared: any[] = [];
+      kdroll.on('seed', ({ seed }) => {
+        events.push('seed');
+        seeds.push(seed);
+      });
+      kdroll.on('clearHistory', ({ entries }) => {
+        events.push('clearHistory');
+        cleared = entries;
+      });
+      kdroll.d(6);
+      kdroll.d(6);
+      const entries = kdroll.historyEntries();
+      kdroll.seed(42);
+      expect(events).to.deep.equal(['clearHistory', 'seed']);
+      expect(seeds).to.deep.equal([42]);
+      expect(cleared).to.deep.equal(entries);
+      kdroll.seed();
+      kdroll.clearHistory();
+      expect(events).to.deep.equal(['clearHistory', 'seed', 'clearHistory']);
+      expect(cleared).to.deep.equal([]);
+    });
+
+    /**
+     * Rolling past `maxHistory` should emit each dropped entry.
+     */
+    it(`should emit historyOverflow events`, () => {
+      const kdroll = new KDRoll(3);
+      kdroll.maxHistory(2);
+      const dropped: number[] = [];
+      kdroll.on('historyOverflow', ({ entry, maxHistory }) => {
+        expect(maxHistory).to.equal(2);
+        dropped.push(entry.index);
+      });
+      let count = 5;
+      while (count--) kdroll.random();
+      expect(dropped).to.deep.equal([0, 1, 2]);
+      expect(kdroll.historyEntries().map((e) => e.index)).to.deep.equal([3, 4]);
+    });
+
+    /**
+     * A listener that throws should not stop other listeners or the roll.
+     */
+    it(`should isolate listener errors`, () => {
+      const kdroll = new KDRoll(3);
+      const log = console.log;
+      let logged = 0;
+      console.log = () => logged++;
+      let called = 0;
+      kdroll.on('roll', () => {
+        throw new Error('listener');
+      });
+      kdroll.on('roll', () => called++);
+      const value = kdroll.d(6);
+      console.log = log;
+      expect(value).to.equal(new KDRoll(3).d(6));
+      expect(called).to.equal(1);
+      expect(logged).to.equal(1);
+    });
+
+    /**
+     * The async iterator should yield filtered entries in order, including
+     * entries rolled before they were read, and stop listening when the loop
+     * ends.
+     */
+    it(`should stream rolls as an async iterator`, async () => {
+      const kdroll = new KDRoll(11);
+      const stream = kdroll.stream({ source: 'd' });
+      kdroll.d(6);
+      kdroll.uniform();
+      kdroll.d(8);
+      setTimeout(() => kdroll.d(10), 0);
+      const sides: number[] = [];
+      for await (const entry of stream) {
+        sides.push(entry.sides as number);
+        if (sides.length === 3) break;
+      }
+      expect(sides).to.deep.equal([6, 8, 10]);
+      expect(await stream.next()).to.deep.equal({
+        value: undefined,
+        done: true,
+      });
+    });
+  });
+
+  describe(`audit log`, () => {
+    /* Round trip through JSON like a log shared between players. */
+    const share = (kdroll: KDRoll) =>
+      JSON.parse(JSON.stringify(kdroll.exportLog()));
+
+    /**
+     * Every call that consumes random values should be logged and replay to
+     * the same results from the seed.
+     */
+    it(`should export and replay a session`, () => {
+      const kdroll = new KDRoll(2020, { audit: true });
+      kdroll.d(20);
+      kdroll.uniform();
+      kdroll.random();
+      kdroll.gaussian(0.3);
+      kdroll.parse('4d6kh3+2');
+      kdroll.pick(['a', 'b', 'c']);
+      kdroll.weighted([
+        { value: 'x', weight: 1 },
+        { value: 'y', weight: 3 },
+      ]);
+      kdroll.shuffle(['a', 'b', 'c', 'd']);
+      kdroll.sample(['a', 'b', 'c', 'd'], 2);
+      kdroll.sample(new Set(['a', 'b', 'c', 'd']), 2);
+      kdroll.sample(new Set(['a', 'b']), 3, { replace: true });
+      kdroll.permutation(5);
+      kdroll.combination(10, 3);
+      kdroll.uid({ format: 'v7' });
+      kdroll.uid({ format: 'nanoid', source: 'crypto' });
+      kdroll.discard(5);
+      kdroll.normal();
+      kdroll.truncatedNormal(undefined, undefined, [0, 1]);
+      kdroll.poisson(4);
+      const gems = kdroll.lootTable([{ value: 'ruby' }, { value: 'opal' }]);
+      const table = kdroll.lootTable([
+        { value: 'gold', guaranteed: true },
+        { value: 'sword', weight: 1 },
+        { value: gems, weight: 4 },
+      ]);
+      table.draw(3);
+      table.draw(2, { replace: false });
+      kdroll.int(-5, 5, 2);
+
+      const log = share(kdroll);
+      expect(log.engine).to.equal('mt19937');
+      expect(log.seed).to.equal(2020);
+      expect(log.calls).to.have.lengthOf(21);
+      expect(log.calls[0]).to.deep.equal({
+        method: 'd',
+        args: [20],
+        result: kdroll.historyEntries()[0].result,
+      });
+      expect(log.calls[5].method).to.equal('pick');
+      expect(log.calls[5].args).to.deep.equal([3]);
+      expect(KDRoll.replay(log)).to.deep.equal({ valid: true, replayed: 21 });
+      expect(KDRoll.replay(JSON.stringify(log)).valid).to.equal(true);
+
+      /* Logs from newer versions can not be replayed. */
+      expect(KDRoll.replay({ ...log, version: 2 }).error).to.be.a('string');
+    });
+
+    /**
+     * A changed, added, or removed call should be reported at the first
+     * call that no longer matches.
+     */
+    it(`should report the first divergence`, () => {
+      const kdroll = new KDRoll(7, { audit: true, engine: 'pcg32' });
+      let count = 10;
+      while (count--) kdroll.d(20);
+      const log = share(kdroll);
+
+      const tampered = share(kdroll);
+      const actual = tampered.calls[4].result;
+      tampered.calls[4].result = actual === 20 ? 19 : 20;
+      const report = KDRoll.replay(tampered);
+      expect(report.valid).to.equal(false);
+      expect(report.replayed).to.equal(4);
+      expect(report.divergence).to.deep.equal({
+        index: 4,
+        method: 'd',
+        args: [20],
+        expected: tampered.calls[4].result,
+        actual,
+      });
+
+      const removed = share(kdroll);
+      removed.calls.splice(2, 1);
+      expect(KDRoll.replay(removed).valid).to.equal(false);
+
+      const reseeded = { ...log, seed: 8 };
+      expect(KDRoll.replay(reseeded).replayed).to.be.below(10);
+
+      const unknown = share(kdroll);
+      unknown.calls[3].method = 'cheat';
+      expect(KDRoll.replay(unknown).error).to.be.a('string');
+      expect(KDRoll.replay('{').error).to.be.a('string');
+    });
+
+    /**
+     * Seeding should start a new log, and restoring a state should start a
+     * log from that state.
+     */
+    it(`should start a new log when seeded or restored`, () => {
+      const kdroll = new KDRoll(1, { audit: true });
+      kdroll.d(6);
+      kdroll.seed(5);
+      expect(share(kdroll)).to.deep.equal({
+        version: 1,
+        engine: 'mt19937',
+        seed: 5,
+        calls: [],
+      });
+      kdroll.normal();
+      const state = kdroll.getState();
+      kdroll.d(6);
+      kdroll.setState(state);
+      kdroll.normal();
+      kdroll.d(6);
+      const log = share(kdroll);
+      expect(log.state).to.deep.equal(JSON.parse(JSON.stringify(state)));
+      expect(log.calls.map((call: any) => call.method)).to.deep.equal([
+        'normal',
+        'd',
+      ]);
+      expect(KDRoll.replay(log).valid).to.equal(true);
+    });
+
+    /**
+     * Instances without `{ audit: true }` should not keep a log.
+     */
+    it(`should only log when auditing`, () => {
+      const kdroll = new KDRoll(1);
+      kdroll.d(6);
+      const log = console.log;
+      console.log = () => {};
+      const exported = kdroll.exportLog();
+      console.log = log;
+      expect(exported).to.equal(undefined);
+    });
+  });
+
+  describe(`provably fair sessions`, () => {
+    /**
+     * The commitment should be the SHA-256 of the engine and server seed,
+     * and games
+     * should be seeded with HMAC-SHA256 of the client seed and nonce.
+     */
+    it(`should commit to the server seed`, () => {
+      const fair = KDRoll.fair({ serverSeed: 'abc' });
+      /* SHA-256 of 'mt19937:abc'. */
+      expect(fair.hash()).to.equal(
+        'ff3e36dc0900ea9a551876f8019444b10cc45c8146563592c3a80092a1606511'
+      );
+      const pcg = KDRoll.fair({ serverSeed: 'abc', engine: 'pcg32' });
+      expect(pcg.hash()).to.not.equal(fair.hash());
+      expect(fair.nonce()).to.equal(0);
+      const a = fair.roll('player') as KDRoll;
+      const b = fair.roll('player') as KDRoll;
+      expect(fair.nonce()).to.equal(2);
+      expect(a.random()).to.not.equal(b.random());
+      const again = KDRoll.fair({ serverSeed: 'abc' }).roll('player') as KDRoll;
+      expect(again.seed()).to.deep.equal(a.seed());
+      expect(KDRoll.fair().hash()).to.match(/^[0-9a-f]{64}$/);
+      expect(KDRoll.fair().hash()).to.not.equal(KDRoll.fair().hash());
+    });
+
+    /**
+     * Revealed proofs should verify, and any change to the seeds or results
+     * should be detected.
+     */
+    it(`should reveal and verify every game`, () => {
+      const fair = KDRoll.fair({ nonce: 5, engine: 'xoshiro128**' });
+      const first = fair.roll('alice') as KDRoll;
+      first.d(20);
+      first.random();
+      first.parse('3d6');
+      const second = fair.roll('bob') as KDRoll;
+      second.d(6);
+      const proofs = JSON.parse(JSON.stringify(fair.reveal()));
+      expect(proofs).to.have.lengthOf(2);
+      expect(proofs[1].nonce).to.equal(6);
+      expect(proofs[0].log.engine).to.equal('xoshiro128**');
+      expect(KDRoll.verify(proofs[0])).to.deep.equal({
+        valid: true,
+        replayed: 3,
+      });
+      expect(KDRoll.verify(proofs[1]).valid).to.equal(true);
+
+      const wrongSeed = { ...proofs[0], serverSeed: 'guess' };
+      expect(KDRoll.verify(wrongSeed).error).to.be.a('string');
+      const wrongClient = { ...proofs[0], clientSeed: 'mallory' };
+      expect(KDRoll.verify(wrongClient).error).to.be.a('string');
+      const wrongNonce = { ...proofs[1], nonce: 5 };
+      expect(KDRoll.verify(wrongNonce).valid).to.equal(false);
+      const changed = JSON.parse(JSON.stringify(proofs[0]));
+      changed.log.calls[0].result = changed.log.calls[0].result === 1 ? 2 : 1;
+      expect(KDRoll.verify(changed).divergence.index).to.equal(0);
+    });
+
+    /**
+     * A server should not be able to replay the revealed seed on a different
+     * engine than the one it committed to.
+     */
+    it(`should check the committed engine`, () => {
+      const fair = KDRoll.fair({ serverSeed: 'abc', engine: 'pcg32' });
+      const roll = fair.roll('alice') as KDRoll;
+      roll.d(20);
+      const [proof] = JSON.parse(JSON.stringify(fair.reveal()));
+      expect(proof.engine).to.equal('pcg32');
+      expect(KDRoll.verify(proof).valid).to.equal(true);
+
+      /* Replay the same seed on another engine. */
+      const other = new KDRoll(proof.log.seed, {
+        engine: 'mt19937',
+        audit: true,
+      });
+      other.d(20);
+      const switched = { ...proof, log: other.exportLog() };
+      expect(KDRoll.verify(switched).error).to.be.a('string');
+      const claimed = { ...switched, engine: 'mt19937' };
+      expect(KDRoll.verify(claimed).error).to.be.a('string');
+      expect(KDRoll.verify({ ...proof, engine: undefined }).valid).to.equal(
+        false
+      );
+    });
+
+    /**
+     * No games should start after the server seed is revealed.
+     */
+    it(`should end the session when revealed`, () => {
+      const fair = KDRoll.fair();
+      fair.roll('player');
+      fair.reveal();
+      const log = console.log;
+      console.log = () => {};
+      const late = fair.roll('player');
+      console.log = log;
+      expect(late).to.equal(undefined);
+    });
+  });
+
   describe(`transformation helpers`, () => {
     /**
      * Using the static method KDRoll.clip(), expect the
@@ -775,6 +1736,57 @@ describe(`KDRoll`, () => {
           expect(kdroll.standardDeviation(arr)).to.equal(expectedStd);
         });
       });
+
+      /**
+       * Extended statistics have population and sample forms, and
+       * quantiles interpolate between the closest ranks.
+       */
+      it(`should calculate extended stats on arrays`, () => {
+        const kdroll = new KDRoll();
+        const arr = [9, 2, 4, 4, 5, 4, 7, 5];
+        expect(kdroll.variance(arr)).to.equal(4);
+        expect(kdroll.variance(arr, { sample: true })).to.be.closeTo(
+          32 / 7,
+          1e-12
+        );
+        expect(kdroll.standardDeviation(arr, { normalized: false })).to.equal(
+          2
+        );
+        expect(kdroll.min(arr)).to.equal(2);
+        expect(kdroll.max(arr)).to.equal(9);
+        expect(kdroll.range(arr)).to.equal(7);
+        expect(kdroll.percentile(25, arr)).to.equal(4);
+        expect(kdroll.percentile(75, arr)).to.equal(5.5);
+        expect(kdroll.iqr(arr)).to.equal(1.5);
+        expect(kdroll.fiveNumber(arr)).to.deep.equal({
+          min: 2,
+          q1: 4,
+          median: 4.5,
+          q3: 5.5,
+          max: 9,
+        });
+
+        const flat = [1, 2, 3, 4, 5];
+        expect(kdroll.skewness(flat)).to.equal(0);
+        expect(kdroll.kurtosis(flat)).to.be.closeTo(-1.3, 1e-12);
+        expect(kdroll.kurtosis(flat, { sample: true })).to.be.closeTo(
+          -1.2,
+          1e-12
+        );
+        expect(kdroll.skewness([1, 1, 1])).to.be.NaN;
+        expect(kdroll.variance([1], { sample: true })).to.be.NaN;
+        expect(kdroll.percentile(101, arr)).to.be.NaN;
+      });
+
+      it(`should not modify the input array`, () => {
+        const arr = [3, 1, 2];
+        const description = KDRoll.describe(arr);
+        new KDRoll().median(arr);
+        expect(arr).to.deep.equal([3, 1, 2]);
+        expect(description.count).to.equal(3);
+        expect(description.median).to.equal(2);
+        expect(description.sampleVariance).to.equal(1);
+      });
     });
 
     /**
@@ -793,28 +1805,1545 @@ describe(`KDRoll`, () => {
       expect(median).to.be.a('number');
       expect(modes).to.be.instanceOf(Array);
       expect(stdv).to.be.a('number');
+      expect(kdroll.describe()).to.deep.equal(
+        KDRoll.describe(kdroll.history())
+      );
     });
   });
 
-  describe(`die roll metaphor`, () => {
+  describe(`simulation`, () => {
     /**
-     * Given an arbitrary number of sides, the .d() method should
-     * generate random integers in the range 1-sides.
+     * Simulations run on their own streams, so the same seed gives the same
+     * results and the instance's history is untouched.
      */
-    it(`should generate random integers in a given range 1-n`, () => {
+    it(`should run reproducible trials without recording history`, () => {
+      const kdroll = new KDRoll(5, { engine: 'sfc32' });
+      const trial = (roll: KDRoll) => roll.d(20) + roll.d(20);
+      const result = kdroll.simulate(trial, { trials: 2000 }) as any;
+      expect(kdroll.history()).to.have.lengthOf(0);
+      expect(result.trials).to.equal(2000);
+      expect(result.values).to.have.lengthOf(2000);
+      expect(result.stats.count).to.equal(2000);
+      expect(result.mean).to.equal(result.stats.mean);
+      expect(result.mean).to.be.closeTo(21, 1);
+      expect(result.mean - result.interval[0]).to.be.closeTo(
+        result.margin,
+        1e-9
+      );
+      expect(result.margin / result.standardError).to.be.closeTo(1.96, 1e-3);
+
+      const again = new KDRoll(5, { engine: 'sfc32' }).simulate(trial, {
+        trials: 2000,
+      }) as any;
+      expect(again.values).to.deep.equal(result.values);
+    });
+
+    it(`should use a seed for the trial streams`, () => {
+      const trial = (roll: KDRoll) => roll.random();
+      const a = new KDRoll(1).simulate(trial, { trials: 3, seed: 42 }) as any;
+      const b = new KDRoll(2).simulate(trial, { trials: 3, seed: 42 }) as any;
+      expect(a.values).to.deep.equal(b.values);
+      const parent = new KDRoll(42);
+      expect(a.values).to.deep.equal(
+        [0, 1, 2].map(() => parent.fork().random())
+      );
+    });
+
+    /**
+     * Boolean results estimate a probability. Simulations can stop once the
+     * margin of error is small enough.
+     */
+    it(`should stop early at a target precision`, () => {
+      const kdroll = new KDRoll(5, { engine: 'sfc32' });
+      const result = kdroll.simulate((roll) => roll.random() < 0.3, {
+        trials: 1000000,
+        precision: 0.01,
+      }) as any;
+      expect(result.converged).to.equal(true);
+      expect(result.trials).to.be.lessThan(1000000);
+      expect(result.margin).to.be.at.most(0.01);
+      expect(result.mean).to.be.closeTo(0.3, 0.02);
+      const checkpoints = result.convergence.map((c: any) => c.trials);
+      expect(checkpoints.slice(0, 4)).to.deep.equal([10, 20, 50, 100]);
+      expect(checkpoints[checkpoints.length - 1]).to.equal(result.trials);
+    });
+
+    it(`should reject invalid trials and options`, () => {
       const kdroll = new KDRoll();
-      const tests = [6, 8, 10, 12, 20, 99, 1, 819276];
+      expect(kdroll.simulate(() => NaN)).to.equal(undefined);
+      expect(kdroll.simulate(() => 1, { trials: 0 })).to.equal(undefined);
+      expect(kdroll.simulate(() => 1, { confidence: 1 })).to.equal(undefined);
+    });
+  });
 
-      tests.forEach((sides) => {
-        let count = 1000;
-        while (count--) {
-          const result = kdroll.d(sides);
-          expect(Number.isSafeInteger(result)).to.equal(true);
-          expect(result).to.be.at.least(1);
-          expect(result).to.be.at.most(sides);
-        }
-        expect(kdroll.history()).to.have.lengthOf(1000);
+  describe(`histograms`, () => {
+    /**
+     * Histograms count values in equal width bins. The last bin includes
+     * its upper edge.
+     */
+    it(`should count values in equal width bins`, () => {
+      const h = KDRoll.histogram([1, 2, 2, 3, 7], { bins: 3 });
+      expect(h.edges).to.deep.equal([1, 3, 5, 7]);
+      expect(h.counts).to.deep.equal([3, 1, 1]);
+      expect(h.frequencies).to.deep.equal([0.6, 0.2, 0.2]);
+      expect(h.total).to.equal(5);
+      expect(h.labels).to.deep.equal(['[1, 3)', '[3, 5)', '[5, 7]']);
+      expect(h.datasets[0].data).to.deep.equal(h.counts);
+
+      const ranged = KDRoll.histogram([0, 5, 10, 11], {
+        bins: 2,
+        range: [0, 10],
+      });
+      expect(ranged.counts).to.deep.equal([1, 2]);
+      expect(ranged.total).to.equal(3);
+      expect(KDRoll.histogram([1, 2], { bins: 0 }).counts).to.deep.equal([]);
+    });
+
+    /**
+     * Automatic rules pick a bin count from the data.
+     */
+    it(`should choose bins with Sturges and Freedman-Diaconis rules`, () => {
+      const kdroll = new KDRoll(1, { engine: 'sfc32' });
+      const arr = new Array(1000).fill(0).map(() => kdroll.gaussian());
+      const sturges = KDRoll.histogram(arr, { bins: 'sturges' });
+      expect(sturges.counts.length).to.equal(11);
+      const fd = KDRoll.histogram(arr, { bins: 'freedman-diaconis' });
+      const width = fd.edges[1] - fd.edges[0];
+      expect(fd.counts.length).to.be.greaterThan(11);
+      expect(KDRoll.histogram(arr).counts.length).to.equal(fd.counts.length);
+      expect(fd.total).to.equal(1000);
+      expect(fd.counts.reduce((a, b) => a + b)).to.equal(1000);
+      expect(width).to.be.closeTo(
+        (2 * kdroll.iqr(arr)) / Math.cbrt(1000),
+        0.01
+      );
+    });
+
+    /**
+     * Outliers and huge spans should not make more than `maxBins` bins.
+     */
+    it(`should limit the number of bins`, () => {
+      const arr = new Array(1000).fill(0).map((x, i) => i);
+      const far = KDRoll.histogram([...arr, 1e12]);
+      expect(far.counts.length).to.equal(
+        KDRoll.histogram(arr, { bins: 'sturges' }).counts.length
+      );
+      expect(far.total).to.equal(1001);
+      const near = KDRoll.histogram([...arr, 1e6], {
+        bins: 'freedman-diaconis',
+      });
+      expect(near.counts.length).to.be.at.most(1000);
+      expect(near.total).to.equal(1001);
+
+      const integer = KDRoll.histogram([0, 1e12], { bins: 'integer' });
+      expect(integer.counts).to.deep.equal([]);
+      expect(integer.total).to.equal(0);
+      expect(KDRoll.histogram(arr, { bins: 1001 }).counts).to.deep.equal([]);
+
+      const kdroll = new KDRoll(1);
+      kdroll.d(1000000);
+      kdroll.d(1000000);
+      expect(kdroll.histogram().total).to.equal(2);
+    });
+
+    /**
+     * Die rolls in history get one bin for each face, even faces that
+     * were never rolled.
+     */
+    it(`should use a bin for each face of a die`, () => {
+      const kdroll = new KDRoll(1, { engine: 'sfc32' });
+      kdroll.d(20);
+      kdroll.d(20);
+      const h = kdroll.histogram();
+      expect(h.counts.length).to.equal(20);
+      expect(h.labels[0]).to.equal('1');
+      expect(h.edges[0]).to.equal(0.5);
+      expect(h.total).to.equal(2);
+      expect(kdroll.frequencies().values).to.deep.equal(
+        new Array(20).fill(0).map((x, i) => i + 1)
+      );
+      expect(kdroll.histogram({ bins: 4 }).edges).to.deep.equal([
+        1,
+        5.75,
+        10.5,
+        15.25,
+        20,
+      ]);
+      kdroll.random();
+      expect(kdroll.histogram({}, { source: 'd' }).counts.length).to.equal(20);
+      expect(kdroll.frequencies().values.length).to.equal(3);
+    });
+
+    it(`should count distinct values`, () => {
+      const arr = [3, 1, 3, 2.5];
+      const table = KDRoll.frequencies(arr);
+      expect(table.values).to.deep.equal([1, 2.5, 3]);
+      expect(table.counts).to.deep.equal([1, 1, 2]);
+      expect(table.frequencies).to.deep.equal([0.25, 0.25, 0.5]);
+      expect(table.labels).to.deep.equal(['1', '2.5', '3']);
+      expect(arr).to.deep.equal([3, 1, 3, 2.5]);
+    });
+  });
+
+  describe(`randomness tests`, () => {
+    /**
+     * A good generator passes the uniformity and independence tests.
+     */
+    it(`should pass a seeded generator`, () => {
+      const kdroll = new KDRoll(7, { engine: 'sfc32' });
+      kdroll.maxHistory(10);
+      const results = [
+        KDRoll.test.ks(kdroll),
+        KDRoll.test.ks(kdroll, { distribution: 'normal' }),
+        KDRoll.test.runs(kdroll),
+        KDRoll.test.serialCorrelation(kdroll),
+        KDRoll.test.gap(kdroll),
+        KDRoll.test.poker(kdroll),
+      ];
+      results.forEach((result) => {
+        expect(result.pass).to.equal(true);
+        expect(result.pValue).to.be.within(0.01, 1);
+        expect(result.alpha).to.equal(0.01);
+      });
+      expect(results[4].df).to.equal(5);
+    });
+
+    /**
+     * `d()` rejection samples, so every face should be equally likely.
+     */
+    it(`should pass fair die rolls`, () => {
+      const kdroll = new KDRoll(7, { engine: 'sfc32' });
+      kdroll.maxHistory(10);
+      const result = KDRoll.test.chiSquare(kdroll, { sides: 6, n: 6000 });
+      expect(result.pass).to.equal(true);
+      expect(result.df).to.equal(5);
+    });
+
+    /**
+     * Scaling and rounding a real gives the lowest and highest faces half the
+     * weight of the others.
+     */
+    it(`should detect bias in die rolls`, () => {
+      const kdroll = new KDRoll(7, { engine: 'sfc32' });
+      const biased = {
+        random: kdroll.random,
+        d: (sides: number) => Math.round(kdroll.random() * (sides - 1)) + 1,
+      };
+      const result = KDRoll.test.chiSquare(biased, { sides: 6, n: 6000 });
+      expect(result.pass).to.equal(false);
+      expect(result.pValue).to.be.lessThan(1e-10);
+    });
+
+    it(`should detect a poor engine`, () => {
+      let state = 0;
+      const engine = {
+        name: 'weyl',
+        seed: () => 0,
+        nextUint32: () => (state = (state + 0x9e3779b9) >>> 0),
+        getState: () => state,
+        setState: () => true,
+      };
+      const report = KDRoll.test.all(engine);
+      expect(report.pass).to.equal(false);
+      expect(report.results).to.have.lengthOf(7);
+      expect(KDRoll.test.gap(engine).pass).to.equal(false);
+      expect(KDRoll.test.all('sfc32').results[0].test).to.equal('chiSquare');
+    });
+
+    it(`should calculate exact p-values`, () => {
+      let i = 0;
+      const biased = { random: () => 0.5, d: () => (i++ % 5 < 3 ? 1 : 2) };
+      const result = KDRoll.test.chiSquare(biased, { sides: 2, n: 100 });
+      expect(result.statistic).to.be.closeTo(4, 1e-12);
+      expect(result.pValue).to.be.closeTo(0.0455, 1e-4);
+      const invalid = KDRoll.test.runs(biased, { n: 1 });
+      expect(invalid.pValue).to.be.NaN;
+      expect(invalid.pass).to.equal(false);
+    });
+
+    /**
+     * Dice and poker digits should use integers in range, even when the
+     * generator's `random()` returns 1.
+     */
+    it(`should keep faces and digits in range when random() returns 1`, () => {
+      const ones = { random: () => 1 };
+      const dice = KDRoll.test.chiSquare(ones, { sides: 6, n: 60 });
+      /* Every roll lands on 6: (5 * 10^2 + 50^2) / 10. */
+      expect(dice.statistic).to.be.closeTo(300, 1e-9);
+
+      const engine = KDEngines.create('mt19937', 1) as KDEngine;
+      const rounding = { ...engine, random: () => 1 };
+      const poker = KDRoll.test.poker(rounding);
+      expect(poker.pass).to.equal(true);
+      expect(KDRoll.test.chiSquare(rounding).pass).to.equal(true);
+    });
+  });
+
+  describe(`intervals and precision`, () => {
+    /**
+     * Each interval should only include its documented bounds, and single
+     * precision results should be exact 32-bit floats.
+     */
+    it(`should generate reals within documented bounds`, () => {
+      const kdroll = new KDRoll(9);
+      kdroll.maxHistory(0);
+      const methods: [string, (x: number) => boolean][] = [
+        ['random01Closed', (x) => x >= 0 && x <= 1],
+        ['random01Open', (x) => x > 0 && x < 1],
+        ['randomHalfOpen', (x) => x >= 0 && x < 1],
+      ];
+      methods.forEach(([method, inBounds]) => {
+        const generate = (kdroll as any)[method];
+        let count = 2000;
+        while (count--) {
+          expect(inBounds(generate())).to.equal(true);
+          const single = generate('single');
+          expect(inBounds(single)).to.equal(true);
+          expect(Math.fround(single)).to.equal(single);
+        }
+      });
+      expect(kdroll.random01Closed('half' as any)).to.be.NaN;
+
+      const recorded = new KDRoll(9);
+      recorded.random01Open();
+      recorded.randomHalfOpen('single');
+      const entries = recorded.historyEntries();
+      expect(entries.map((entry) => entry.method)).to.deep.equal([
+        'random01Open',
+        'randomHalfOpen',
+      ]);
+      expect(entries[1].args).to.deep.equal(['single']);
+    });
+
+    /**
+     * Raw mode should build reals from two full engine outputs without the
+     * floating point fix, and skip and replay the same values.
+     */
+    it(`should generate raw reals without the floating point fix`, () => {
+      const words = new KDUniform(5);
+      const a = words.nextUint32() >>> 5;
+      const b = words.nextUint32() >>> 6;
+      const expected = (a * 67108864 + b) / 9007199254740992;
+      expect(new KDRoll(5, { raw: true }).random()).to.equal(expected);
+      expect(new KDRoll(5).random()).to.not.equal(expected);
+
+      ['mt19937', 'pcg32'].forEach((engine) => {
+        const jumped = new KDRoll(5, { engine, raw: true });
+        const stepped = new KDRoll(5, { engine, raw: true });
+        jumped.discard(100);
+        let count = 100;
+        while (count--) stepped.random();
+        expect(jumped.random()).to.equal(stepped.random());
+      });
+
+      const kdroll = new KDRoll(5, { raw: true, audit: true });
+      kdroll.gaussian();
+      kdroll.discard(3);
+      kdroll.random01Open('single');
+      const log = kdroll.exportLog() as any;
+      expect(log.raw).to.equal(true);
+      expect(KDRoll.replay(log).valid).to.equal(true);
+      expect(KDRoll.replay({ ...log, raw: undefined }).valid).to.equal(false);
+    });
+  });
+
+  describe(`bulk generation`, () => {
+    /**
+     * Every distribution should fill typed arrays with values in range, and
+     * the default distribution should depend on the array type.
+     */
+    it(`should fill typed arrays with each distribution`, () => {
+      const kdroll = new KDRoll(2020);
+      const n = 5000;
+      const reals = kdroll.fill(new Float64Array(n)) as Float64Array;
+      expect(reals.every((x) => x >= 0 && x < 1)).to.equal(true);
+      const singles = kdroll.fill(new Float32Array(n)) as Float32Array;
+      expect(singles.every((x) => x >= 0 && x < 1)).to.equal(true);
+      const words = kdroll.fill(new Uint32Array(n)) as Uint32Array;
+      expect(new Set(words).size).to.be.greaterThan(n - 5);
+
+      const ints = kdroll.batch(n, 'int', -3, 9, 4) as Float64Array;
+      expect(new Set(ints)).to.deep.equal(new Set([-3, 1, 5, 9]));
+      const dice = kdroll.fill(new Uint8Array(n), {
+        distribution: 'd',
+        args: [20],
+      }) as Uint8Array;
+      expect(Math.min(...dice)).to.equal(1);
+      expect(Math.max(...dice)).to.equal(20);
+      const gaussian = kdroll.batch(n, 'gaussian', 0.5) as Float64Array;
+      expect(gaussian.every((x) => x >= 0 && x <= 1)).to.equal(true);
+      const normal = kdroll.batch(n, 'normal', 10, 2) as Float64Array;
+      expect(kdroll.mean(Array.from(normal))).to.be.closeTo(10, 0.1);
+      const spread = { normalized: false };
+      expect(
+        kdroll.standardDeviation(Array.from(normal), spread)
+      ).to.be.closeTo(2, 0.1);
+
+      expect(kdroll.fill(new Uint32Array(2), { distribution: 'normal' })).to.be
+        .undefined;
+      expect(kdroll.fill([1, 2] as any)).to.be.undefined;
+      expect(kdroll.batch(2, 'int', 5, 1)).to.be.undefined;
+      expect(kdroll.batch(2, 'poisson' as any)).to.be.undefined;
+      expect(kdroll.batch(3, 'gaussian', 'x')).to.be.undefined;
+      expect(kdroll.batch(3, 'gaussian', NaN)).to.be.undefined;
+    });
+
+    /**
+     * The Mersenne Twister should be filled a whole state vector at a time,
+     * which matches the reference MT19937 output. Other engines should match
+     * their own outputs one at a time.
+     */
+    it(`should generate a block at a time`, () => {
+      const reference = new KDRoll(5489).batch(10000, 'uint32') as Uint32Array;
+      expect(reference[0]).to.equal(3499211612);
+      expect(reference[1]).to.equal(581869302);
+      expect(reference[9999]).to.equal(4123659995);
+
+      const engine = KDEngines.create('pcg32', 7) as KDEngine;
+      const words = new KDRoll(7, { engine: 'pcg32' }).batch(10, 'uint32');
+      expect(Array.from(words as Uint32Array)).to.deep.equal(
+        new Array(10).fill(0).map(() => engine.nextUint32())
+      );
+    });
+
+    /**
+     * Dice generated in bulk should be exactly as fair as single rolls.
+     */
+    it(`should roll fair dice in bulk`, () => {
+      const kdroll = new KDRoll(11);
+      const rolls = kdroll.batch(6000, 'd', 6) as Float64Array;
+      let i = 0;
+      const source = { random: Math.random, d: () => rolls[i++] };
+      const result = KDRoll.test.chiSquare(source, { sides: 6, n: 6000 });
+      expect(result.pass).to.equal(true);
+    });
+
+    /**
+     * Values should be recorded in full, only in running statistics, or
+     * not at all, and fills should replay from an audit log.
+     */
+    it(`should skip or summarize history`, () => {
+      const kdroll = new KDRoll(3, { audit: true });
+      kdroll.batch(1000, 'd', 6);
+      expect(kdroll.history()).to.have.lengthOf(0);
+      expect(kdroll.stats({ source: 'd', sides: 6 }).count).to.equal(1000);
+
+      const full = kdroll.fill(new Int32Array(5), {
+        distribution: 'int',
+        args: [1, 3],
+        history: 'full',
+      }) as Int32Array;
+      expect(kdroll.history()).to.deep.equal(Array.from(full));
+      expect(kdroll.historyEntries()[0].index).to.equal(1000);
+
+      kdroll.fill(new Float64Array(5), { history: 'none' });
+      expect(kdroll.stats().count).to.equal(1005);
+      kdroll.batch(3, 'gaussian', 'x');
+      expect(kdroll.stats().count).to.equal(1005);
+      expect(kdroll.fill(new Float64Array(5), { history: 'all' as any })).to.be
+        .undefined;
+
+      const log = JSON.parse(JSON.stringify(kdroll.exportLog()));
+      expect(log.calls.map((call: any) => call.method)).to.deep.equal([
+        'batch',
+        'fill',
+        'fill',
+      ]);
+      expect(KDRoll.replay(log).valid).to.equal(true);
+    });
+  });
+
+  describe(`runtime`, () => {
+    /**
+     * Run a function with globals removed, eg. DOM globals or `crypto`, and
+     * put them back afterwards.
+     */
+    const withoutGlobals = (names: string[], fn: () => void) => {
+      const root: any = globalThis;
+      const saved = names.map((name) => [
+        name,
+        Object.getOwnPropertyDescriptor(root, name),
+      ]);
+      names.forEach((name) => delete root[name]);
+      try {
+        fn();
+      } finally {
+        saved.forEach(([name, descriptor]: any[]) => {
+          if (descriptor) Object.defineProperty(root, name, descriptor);
+        });
+      }
+    };
+
+    /**
+     * Random seeds, the crypto engine, and both entry points should work in
+     * Node without `window`, `self`, or `document`.
+     */
+    it(`should run in Node without DOM globals`, () => {
+      withoutGlobals(['window', 'self', 'document'], () => {
+        expect(typeof (globalThis as any).window).to.equal('undefined');
+        expect(KDRoll.runtime()).to.deep.equal({
+          environment: 'node',
+          entropy: 'webcrypto',
+        });
+        const seed = KDRoll.createRandomSeed();
+        expect(seed.length).to.be.within(20, 622);
+        expect(seed.every((x) => x >>> 0 === x)).to.equal(true);
+        expect(seed.some((x) => x > 65535)).to.equal(true);
+
+        const kdroll = new KDRoll();
+        expect(kdroll.random()).to.be.within(0, 1);
+        expect(kdroll.d(6)).to.be.within(1, 6);
+        const secure = new KDRoll(undefined, { engine: 'crypto' });
+        expect(secure.int(1, 10)).to.be.within(1, 10);
+
+        const entry = require('../src/module/dev');
+        expect(entry.KDRoll).to.equal(KDRoll);
+        const umd = require('../src/module/index.js');
+        expect(umd.KDRoll).to.equal(KDRoll);
+        expect(new umd.KDRoll().int(1, 6)).to.be.within(1, 6);
+      });
+    });
+
+    /**
+     * The built files named in `package.json` should load in a plain Node
+     * process and build an unseeded KDRoll.
+     */
+    it(`should build an unseeded KDRoll from the package entries`, () => {
+      const { execFileSync } = require('child_process');
+      const path = require('path');
+      const pkg = require('../package.json');
+      const file = (name: string) =>
+        JSON.stringify(path.resolve(__dirname, '..', name));
+      expect(pkg.exports['.']).to.deep.equal({
+        types: `./${pkg.types}`,
+        import: `./${pkg.module}`,
+        require: `./${pkg.main}`,
+      });
+      const { existsSync } = require('fs');
+      expect(existsSync(path.resolve(__dirname, '..', pkg.types))).to.equal(
+        true
+      );
+
+      const check = `
+        if (typeof window !== 'undefined') throw new Error('window');
+        const kdroll = new KDRoll();
+        process.stdout.write(String(kdroll.int(1, 6)));`;
+      const run = (args: string[]) =>
+        Number(execFileSync(process.execPath, args, { encoding: 'utf8' }));
+      const cjs = `const { KDRoll } = require(${file(pkg.main)});${check}`;
+      const esm = `import { KDRoll } from ${file(pkg.module)};${check}`;
+      expect(run(['-e', cjs])).to.be.within(1, 6);
+      expect(run(['--input-type=module', '-e', esm])).to.be.within(1, 6);
+    });
+
+    /**
+     * Without a global `crypto`, entropy should come from the Node `crypto`
+     * module.
+     */
+    it(`should fall back to Node crypto`, () => {
+      withoutGlobals(['window', 'self', 'crypto'], () => {
+        expect(typeof (globalThis as any).crypto).to.equal('undefined');
+        expect(KDRoll.runtime().entropy).to.equal('webcrypto');
+        const a = KDRoll.createRandomSeed();
+        const b = KDRoll.createRandomSeed();
+        expect(a).to.not.deep.equal(b);
+        expect(new KDRoll().random()).to.be.within(0, 1);
+      });
+      expect(typeof (globalThis as any).crypto).to.equal('object');
+    });
+
+    /**
+     * A custom source should be used for random seeds and the crypto
+     * engine until it is removed.
+     */
+    it(`should use an injected entropy source`, () => {
+      let calls = 0;
+      KDRoll.setEntropy((out) => {
+        calls++;
+        out.fill(7);
+      });
+      try {
+        expect(KDRoll.runtime().entropy).to.equal('custom');
+        expect(KDRoll.createRandomSeed().every((x) => x === 7)).to.equal(true);
+        expect(new KDRoll().seed()).to.satisfy((seed: number[]) =>
+          seed.every((x) => x === 7)
+        );
+        const secure = new KDRoll(undefined, { engine: 'crypto' });
+        expect(secure.batch(1, 'uint32')[0]).to.equal(7);
+        expect(calls).to.equal(3);
+
+        /* Sources can also return a new array. */
+        KDRoll.setEntropy((out) => new Uint32Array(out.length).fill(9));
+        expect(KDRoll.createRandomSeed()[0]).to.equal(9);
+      } finally {
+        KDRoll.setEntropy();
+      }
+      expect(KDRoll.runtime().entropy).to.equal('webcrypto');
+      expect(KDRoll.createRandomSeed().every((x) => x === 9)).to.equal(false);
+    });
+  });
+
+  describe(`die roll metaphor`, () => {
+    /**
+     * Given an arbitrary number of sides, the .d() method should
+     * generate random integers in the range 1-sides.
+     */
+    it(`should generate random integers in a given range 1-n`, () => {
+      const kdroll = new KDRoll();
+      const tests = [6, 8, 10, 12, 20, 99, 1, 819276];
+
+      tests.forEach((sides) => {
+        let count = 1000;
+        while (count--) {
+          const result = kdroll.d(sides);
+          expect(Number.isSafeInteger(result)).to.equal(true);
+          expect(result).to.be.at.least(1);
+          expect(result).to.be.at.most(sides);
+        }
+        expect(kdroll.history()).to.have.lengthOf(1000);
+      });
+    });
+
+    /**
+     * `.int()` should generate integers in the range min-max that are a
+     * whole number of steps from min, including ranges over 2^32.
+     */
+    it(`should generate random integers in a range min-max`, () => {
+      const kdroll = new KDRoll(2020);
+      kdroll.maxHistory(2000);
+      const tests: [number, number, number][] = [
+        [1, 6, 1],
+        [-10, 10, 1],
+        [0, 100, 5],
+        [-7, 8, 3],
+        [5, 5, 1],
+        [0, 2 ** 40, 1],
+        [-(2 ** 52), 2 ** 52 - 1, 1],
+        [0, Number.MAX_SAFE_INTEGER, 7],
+      ];
+
+      tests.forEach(([min, max, step]) => {
+        let count = 200;
+        while (count--) {
+          const result = kdroll.int(min, max, step);
+          expect(Number.isSafeInteger(result)).to.equal(true);
+          expect(result).to.be.at.least(min);
+          expect(result).to.be.at.most(max);
+          expect((result - min) % step).to.equal(0);
+        }
+      });
+      expect(kdroll.historyEntries({ source: 'int' })[0].args).to.deep.equal([
+        1,
+        6,
+        1,
+      ]);
+      expect(kdroll.int(6, 1)).to.be.NaN;
+      expect(kdroll.int(0.5, 2)).to.be.NaN;
+      expect(kdroll.int(0, 10, 0)).to.be.NaN;
+      expect(kdroll.int(-(2 ** 53), 2 ** 53)).to.be.NaN;
+      expect(kdroll.d(0)).to.be.NaN;
+      expect(kdroll.history({ source: 'int' })).to.have.lengthOf(1600);
+    });
+
+    /**
+     * Every face, step, and equal share of a large range should be equally
+     * likely, for every engine.
+     */
+    it(`should roll every integer with equal probability`, () => {
+      KDRoll.engines()
+        .filter((engine) => engine !== 'crypto')
+        .forEach((engine) => {
+          const kdroll = new KDRoll(11, { engine });
+          kdroll.maxHistory(0);
+          const sources = [
+            (sides: number) => kdroll.d(sides),
+            (sides: number) => (kdroll.int(-9, 3 * sides - 12, 3) + 12) / 3,
+            (sides: number) =>
+              Math.floor(kdroll.int(0, sides * 2 ** 40 - 1) / 2 ** 40) + 1,
+            (sides: number) =>
+              Math.floor(kdroll.int(0, 2 ** 53 - 1) / (2 ** 53 / sides)) + 1,
+          ];
+          sources.forEach((d) => {
+            [3, 8].forEach((sides) => {
+              const source = { random: kdroll.random, d };
+              const result = KDRoll.test.chiSquare(source, {
+                sides,
+                alpha: 0.001,
+              });
+              expect(result.pass).to.equal(true);
+            });
+          });
+        });
+    });
+  });
+
+  describe(`dice notation`, () => {
+    /**
+     * Keep highest should keep the requested number of dice, drop the rest,
+     * and add any modifiers to the kept dice.
+     */
+    it(`should keep the highest dice and apply modifiers`, () => {
+      const kdroll = new KDRoll();
+      let count = 100;
+      while (count--) {
+        const result = kdroll.parse('4d6kh3+2');
+        const [group] = result.groups;
+        const kept = group.dice.filter((die) => die.kept);
+        const dropped = group.dice.filter((die) => !die.kept);
+        expect(group.dice).to.have.lengthOf(4);
+        expect(kept).to.have.lengthOf(3);
+        expect(dropped[0].value).to.be.at.most(
+          Math.min(...kept.map((die) => die.value))
+        );
+        expect(result.total).to.equal(group.total + 2);
+      }
+    });
+
+    /**
+     * Every die, including dropped dice, should be recorded in history.
+     */
+    it(`should record every die in history`, () => {
+      const kdroll = new KDRoll();
+      const result = kdroll.parse('3d8 + 2d4dl1');
+      const dice = result.groups.map((g) => g.dice.map((d) => d.value));
+      expect(kdroll.history()).to.deep.equal([].concat(...dice));
+    });
+
+    /**
+     * Given the same seed, the same notation should produce the same result.
+     */
+    it(`should be deterministic for a given seed`, () => {
+      const a = new KDRoll(42).parse('10d20!r1 + 4dF - d%');
+      const b = new KDRoll(42).parse('10d20!r1 + 4dF - d%');
+      expect(a).to.deep.equal(b);
+    });
+
+    /**
+     * Fudge dice should roll [-1, 1] and percentile dice should roll
+     * [1, 100].
+     */
+    it(`should support fudge and percentile dice`, () => {
+      const kdroll = new KDRoll();
+      const fudge = kdroll.parse('1000dF').groups[0].dice;
+      const percentile = kdroll.parse('1000d%').groups[0].dice;
+      fudge.forEach((die) => expect([-1, 0, 1]).to.include(die.value));
+      percentile.forEach((die) => {
+        expect(die.value).to.be.at.least(1);
+        expect(die.value).to.be.at.most(100);
+      });
+    });
+
+    /**
+     * Exploding dice add a die for each maximum roll. Compounding dice add
+     * the extra rolls to the die that exploded.
+     */
+    it(`should explode and compound dice`, () => {
+      const kdroll = new KDRoll();
+      const exploding = kdroll.parse('100d4!').groups[0].dice;
+      exploding.forEach((die, i) => {
+        expect(die.exploded).to.equal(die.value === 4);
+        if (die.exploded) expect(exploding[i + 1]).to.not.equal(undefined);
+      });
+      expect(exploding.length).to.be.greaterThan(100);
+
+      const compounding = kdroll.parse('100d4!!').groups[0].dice;
+      expect(compounding).to.have.lengthOf(100);
+      compounding.forEach((die) => {
+        if (die.exploded) expect(die.value).to.be.greaterThan(4);
+      });
+    });
+
+    /**
+     * Each roll of a compounding die should be recorded in history.
+     */
+    it(`should record every roll of a compounding die`, () => {
+      const kdroll = new KDRoll(7);
+      const dice = kdroll.parse('100d4!!').groups[0].dice;
+      const rolls = [].concat(...dice.map((die) => die.rolls || [die.value]));
+      expect(dice.some((die) => die.rolls)).to.equal(true);
+      dice.forEach((die) => {
+        if (!die.rolls) return expect(die.exploded).to.equal(false);
+        expect(die.rolls.reduce((a, b) => a + b)).to.equal(die.value);
+        die.rolls.slice(0, -1).forEach((roll) => expect(roll).to.equal(4));
+      });
+      expect(kdroll.history()).to.deep.equal(rolls);
+      kdroll.history().forEach((x) => expect(x).to.be.within(1, 4));
+    });
+
+    /**
+     * Rerolled dice are recorded but not kept.
+     */
+    it(`should reroll matching dice`, () => {
+      const kdroll = new KDRoll();
+      const dice = kdroll.parse('100d6r<3').groups[0].dice;
+      const kept = dice.filter((die) => die.kept);
+      const rerolled = dice.filter((die) => die.rerolled);
+      expect(kept).to.have.lengthOf(100);
+      kept.forEach((die) => expect(die.value).to.be.at.least(3));
+      rerolled.forEach((die) => expect(die.value).to.be.below(3));
+    });
+
+    /**
+     * Arithmetic should respect operator precedence and parentheses.
+     */
+    it(`should evaluate arithmetic and parentheses`, () => {
+      const kdroll = new KDRoll();
+      expect(kdroll.parse('(1 + 2) * 3 - 4 / 2').total).to.equal(7);
+      expect(kdroll.parse('-(2d1 + 1)').total).to.equal(-3);
+    });
+
+    /**
+     * Invalid notation should return `NaN` instead of throwing.
+     */
+    it(`should return NaN for invalid notation`, () => {
+      const kdroll = new KDRoll();
+      const invalid = ['', 'd', '2d6kq', '(1d6', 'd6!>0', '3x4'];
+      invalid.forEach((notation) => {
+        expect(kdroll.parse(notation).total).to.be.NaN;
+      });
+      expect(kdroll.history()).to.have.lengthOf(0);
+    });
+
+    /**
+     * Too many dice, too many sides, and division by zero should return
+     * `NaN` without rolling for long.
+     */
+    it(`should reject huge dice and division by zero`, () => {
+      const kdroll = new KDRoll(1);
+      const invalid = [
+        '99999999d6',
+        '1001d6',
+        'd1000001',
+        `d${'9'.repeat(400)}`,
+        '1d6 / 0',
+        '2d6 / (1d1 - 1)',
+      ];
+      invalid.forEach((notation) => {
+        expect(kdroll.parse(notation).total).to.be.NaN;
+      });
+      expect(kdroll.parse('1000d1000000').groups[0].dice).to.have.lengthOf(
+        1000
+      );
+      expect(KDRoll.probability('1d6 / (1d2 - 1)')).to.be.undefined;
+      expect(KDRoll.probability('1d6 / 2')!.mean()).to.equal(1.75);
+    });
+  });
+
+  describe(`exact dice probabilities`, () => {
+    /**
+     * Distributions are exact, eg. 81 of the 216 outcomes of 3d6 are 12 or
+     * more.
+     */
+    it(`should calculate exact distributions of dice pools`, () => {
+      const dist = KDRoll.probability('3d6') as any;
+      expect(dist.values()).to.deep.equal(
+        new Array(16).fill(0).map((x, i) => i + 3)
+      );
+      expect(dist.atLeast(12)).to.be.closeTo(81 / 216, 1e-12);
+      expect(dist.atMost(4)).to.be.closeTo(4 / 216, 1e-12);
+      expect(dist.probability(10)).to.be.closeTo(27 / 216, 1e-12);
+      expect(dist.mean()).to.be.closeTo(10.5, 1e-12);
+      expect(dist.variance()).to.be.closeTo(8.75, 1e-12);
+      expect(dist.percentile(50)).to.equal(10);
+      expect(dist.cdf()[15]).to.be.closeTo(1, 1e-12);
+      const row = dist.table()[0];
+      expect(row.value).to.equal(3);
+      expect(row.atLeast).to.be.closeTo(1, 1e-12);
+    });
+
+    it(`should support keep, drop, rerolls, and modifiers`, () => {
+      const mean = (notation: string) =>
+        (KDRoll.probability(notation) as any).mean();
+      expect(mean('4d6dl1')).to.be.closeTo(15869 / 1296, 1e-12);
+      expect(mean('4d6kh3')).to.be.closeTo(15869 / 1296, 1e-12);
+      expect(mean('2d20kh1')).to.be.closeTo(13.825, 1e-12);
+      expect(mean('2d20kl1+5')).to.be.closeTo(12.175, 1e-12);
+      expect(mean('2d6r1')).to.be.closeTo(8, 1e-12);
+      expect(mean('1d6ro<3')).to.be.closeTo(25 / 6, 1e-12);
+      expect(mean('(1d4+1)*2')).to.be.closeTo(7, 1e-12);
+      expect(mean('4dF')).to.be.closeTo(0, 1e-12);
+      expect(KDRoll.probability('1d6-1d6')?.probability(0)).to.be.closeTo(
+        1 / 6,
+        1e-12
+      );
+      expect(KDRoll.probability('3d')).to.equal(undefined);
+    });
+
+    /**
+     * Exploding dice have a mean of `n * (sides + 1) / 2 * sides / (sides
+     * - 1)`.
+     */
+    it(`should support exploding and compounding dice`, () => {
+      const explode = KDRoll.probability('3d6!') as any;
+      const compound = KDRoll.probability('3d6!!') as any;
+      expect(explode.mean()).to.be.closeTo(12.6, 1e-9);
+      expect(compound.mean()).to.be.closeTo(12.6, 1e-9);
+      expect((KDRoll.probability('1d6!') as any).probability(6)).to.equal(0);
+      expect(explode.atLeast(19)).to.be.greaterThan(0);
+      const kept = KDRoll.probability('4d6!kh3') as any;
+      expect(kept.values()[15]).to.equal(18);
+      expect(kept.mean()).to.be.greaterThan(15869 / 1296);
+    });
+
+    /**
+     * Large sums are convolved quickly, and distributions that are too
+     * large are refused instead of blocking.
+     */
+    it(`should calculate large sums and refuse huge distributions`, () => {
+      const start = Date.now();
+      const sum = KDRoll.probability('20d1000') as any;
+      expect(sum.values()).to.have.lengthOf(19981);
+      expect(sum.mean()).to.be.closeTo(10010, 1e-6);
+      ['1000d1000000', '1d1000000', '100d100kh50'].forEach((notation) => {
+        expect(KDRoll.probability(notation)).to.equal(undefined);
+      });
+      expect(Date.now() - start).to.be.below(10000);
+    });
+
+    /**
+     * Rolling the same expression should match its distribution.
+     */
+    it(`should match simulated rolls`, () => {
+      const kdroll = new KDRoll(3, { engine: 'sfc32' });
+      kdroll.maxHistory(0);
+      ['4d6!dl1', '2d6!>4r1'].forEach((notation) => {
+        const dist = KDRoll.probability(notation) as any;
+        const n = 20000;
+        let atLeast = 0;
+        for (let i = 0; i < n; i++) {
+          if (kdroll.parse(notation).total >= 15) atLeast++;
+        }
+        expect(atLeast / n).to.be.closeTo(dist.atLeast(15), 0.02);
+      });
+    });
+  });
+
+  describe(`probability distributions`, () => {
+    const samples = 20000;
+    const moments = (values: number[]) => {
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const variance =
+        values.reduce((a, b) => a + (b - mean) * (b - mean), 0) /
+        (values.length - 1);
+      return { mean, variance };
+    };
+    const draw = (fn: (kdroll: KDRoll) => number) => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      /* Large enough that history never has to make room. */
+      kdroll.maxHistory(samples);
+      return new Array(samples).fill(null).map(() => fn(kdroll));
+    };
+
+    /**
+     * Sample means and variances should be close to the theoretical values.
+     * Tolerance is relative to the theoretical value.
+     */
+    it(`should match theoretical moments`, () => {
+      const tests: {
+        name: string;
+        fn: (kdroll: KDRoll) => number;
+        mean: number;
+        variance: number;
+      }[] = [
+        {
+          name: 'exponential',
+          fn: (r) => r.exponential(2),
+          mean: 0.5,
+          variance: 0.25,
+        },
+        {
+          name: 'poisson small',
+          fn: (r) => r.poisson(4),
+          mean: 4,
+          variance: 4,
+        },
+        {
+          name: 'poisson large',
+          fn: (r) => r.poisson(100),
+          mean: 100,
+          variance: 100,
+        },
+        {
+          name: 'binomial small',
+          fn: (r) => r.binomial(20, 0.3),
+          mean: 6,
+          variance: 4.2,
+        },
+        {
+          name: 'binomial large',
+          fn: (r) => r.binomial(500, 0.6),
+          mean: 300,
+          variance: 120,
+        },
+        {
+          name: 'geometric',
+          fn: (r) => r.geometric(0.25),
+          mean: 4,
+          variance: 12,
+        },
+        {
+          name: 'beta',
+          fn: (r) => r.beta(2, 5),
+          mean: 2 / 7,
+          variance: 10 / 392,
+        },
+        { name: 'gamma', fn: (r) => r.gamma(3, 2), mean: 6, variance: 12 },
+        {
+          name: 'gamma small shape',
+          fn: (r) => r.gamma(0.5),
+          mean: 0.5,
+          variance: 0.5,
+        },
+        {
+          name: 'log-normal',
+          fn: (r) => r.logNormal(0, 0.5),
+          mean: Math.exp(0.125),
+          variance: (Math.exp(0.25) - 1) * Math.exp(0.25),
+        },
+        {
+          name: 'weibull',
+          fn: (r) => r.weibull(1, 3),
+          mean: 3,
+          variance: 9,
+        },
+        {
+          name: 'triangular',
+          fn: (r) => r.triangular(0, 6, 3),
+          mean: 3,
+          variance: 1.5,
+        },
+        { name: 'chi-square', fn: (r) => r.chiSquare(4), mean: 4, variance: 8 },
+        {
+          name: 'student-t',
+          fn: (r) => r.studentT(10),
+          mean: 0,
+          variance: 1.25,
+        },
+      ];
+
+      tests.forEach((test) => {
+        const { mean, variance } = moments(draw(test.fn));
+        const meanTolerance = 0.05 * Math.max(1, Math.abs(test.mean));
+        expect(mean, test.name).to.be.closeTo(test.mean, meanTolerance);
+        expect(variance, test.name).to.be.closeTo(
+          test.variance,
+          0.1 * test.variance
+        );
+      });
+    });
+
+    /**
+     * `normal()` should be unbounded with the requested mean and standard
+     * deviation.
+     */
+    it(`should generate unbounded normal values`, () => {
+      const values = draw((r) => r.normal(10, 3));
+      const { mean, variance } = moments(values);
+      expect(mean).to.be.closeTo(10, 0.1);
+      expect(Math.sqrt(variance)).to.be.closeTo(3, 0.1);
+      expect(Math.min(...values)).to.be.below(0);
+      expect(Math.max(...values)).to.be.above(19);
+    });
+
+    /**
+     * Truncated normal values should stay in range, including ranges far
+     * into either tail.
+     */
+    it(`should truncate normal values to a range`, () => {
+      const ranges: [number, number][] = [
+        [-1, 1],
+        [0.1, 0.2],
+        [5, 6],
+        [-6, -5],
+        [8, Infinity],
+        [-Infinity, -2],
+      ];
+      ranges.forEach((range) => {
+        const values = draw((r) => r.truncatedNormal(0, 1, range));
+        values.forEach((value) => {
+          expect(value).to.be.at.least(range[0]);
+          expect(value).to.be.at.most(range[1]);
+        });
+      });
+      const [min, max] = [100, 110];
+      const { mean } = moments(
+        draw((r) => r.truncatedNormal(100, 5, [min, max]))
+      );
+      /* Mean of a normal truncated to [mean, mean + 2sd]. */
+      expect(mean).to.be.closeTo(100 + 5 * 0.7228, 0.1);
+      expect(new KDRoll().truncatedNormal(0, 1, [1, 0])).to.be.NaN;
+    });
+
+    /**
+     * Normal samples are generated in pairs. The cached second value is part
+     * of the saved state, so restoring continues the same sequence.
+     */
+    it(`should reproduce normal values from a seed or saved state`, () => {
+      const a = new KDRoll(3);
+      const b = new KDRoll(3);
+      const values = [
+        a.normal(),
+        a.truncatedNormal(0, 1, [2, 3]),
+        a.gaussian(),
+      ];
+      expect([
+        b.normal(),
+        b.truncatedNormal(0, 1, [2, 3]),
+        b.gaussian(),
+      ]).to.deep.equal(values);
+
+      a.normal();
+      const state = JSON.stringify(a.getState());
+      const restored = new KDRoll();
+      restored.setState(state);
+      expect([restored.normal(), restored.normal()]).to.deep.equal([
+        a.normal(),
+        a.normal(),
+      ]);
+    });
+
+    /**
+     * Cauchy has no mean or variance, so check the median and quartiles.
+     */
+    it(`should match the quartiles of the cauchy distribution`, () => {
+      const sorted = draw((r) => r.cauchy(1, 2)).sort((a, b) => a - b);
+      const quantile = (q: number) => sorted[Math.floor(q * sorted.length)];
+      expect(quantile(0.5)).to.be.closeTo(1, 0.1);
+      expect(quantile(0.25)).to.be.closeTo(-1, 0.15);
+      expect(quantile(0.75)).to.be.closeTo(3, 0.15);
+    });
+
+    /**
+     * Samples should be recorded in history and be reproducible by seed.
+     */
+    it(`should record samples and respect the seed`, () => {
+      const a = new KDRoll(5);
+      const b = new KDRoll(5);
+      const values = [a.gamma(2), a.poisson(50), a.beta(1, 1), a.studentT(3)];
+      expect(a.history()).to.deep.equal(values);
+      expect([
+        b.gamma(2),
+        b.poisson(50),
+        b.beta(1, 1),
+        b.studentT(3),
+      ]).to.deep.equal(values);
+    });
+
+    /**
+     * Invalid parameters should return `NaN` and not be recorded.
+     */
+    it(`should validate parameters`, () => {
+      const kdroll = new KDRoll();
+      const invalid = [
+        kdroll.exponential(0),
+        kdroll.poisson(-1),
+        kdroll.binomial(2.5, 0.5),
+        kdroll.binomial(10, 1.5),
+        kdroll.geometric(0),
+        kdroll.beta(0, 1),
+        kdroll.gamma(-1),
+        kdroll.logNormal(0, 0),
+        kdroll.weibull(1, -1),
+        kdroll.triangular(1, 0),
+        kdroll.triangular(0, 1, 2),
+        kdroll.cauchy(0, 0),
+        kdroll.chiSquare(NaN),
+        kdroll.studentT(0),
+      ];
+      invalid.forEach((value) => expect(value).to.be.NaN);
+      expect(kdroll.history()).to.have.lengthOf(0);
+    });
+
+    /**
+     * A `random()` of exactly 1 should be redrawn, not turned into an
+     * infinite or zero sample.
+     */
+    it(`should stay finite when random() returns 1`, () => {
+      const values = [1, 0.5];
+      const stub = { random: () => values.shift() as number };
+      expect(KDDistributions.geometric(stub, 0.3)).to.equal(2);
+      expect(values).to.have.lengthOf(0);
+
+      const at = () => {
+        const kdroll = new KDRoll(1);
+        kdroll.discard(109176);
+        return kdroll;
+      };
+      expect(at().random()).to.equal(1);
+      expect(at().geometric(0.3)).to.be.at.least(1).and.below(Infinity);
+      expect(at().exponential(2)).to.be.above(0).and.below(Infinity);
+    });
+  });
+
+  describe(`weighted selection`, () => {
+    /**
+     * `pick()` should return an element of the array and record its index.
+     */
+    it(`should pick elements and record the index`, () => {
+      const kdroll = new KDRoll(7);
+      const items = ['a', 'b', 'c', 'd'];
+      const picks = [0, 1, 2, 3, 4, 5].map(() => kdroll.pick(items));
+      const indices = kdroll.history();
+      expect(picks).to.deep.equal(indices.map((i) => items[i]));
+      expect(new KDRoll(7).pick(items)).to.equal(picks[0]);
+      expect(kdroll.pick([])).to.be.undefined;
+    });
+
+    /**
+     * With seed `1`, the Mersenne Twister `random()` returns exactly `1`
+     * after 109176 values. Selections should still stay in range there.
+     */
+    it(`should select in range when random() returns 1`, () => {
+      const at = () => {
+        const kdroll = new KDRoll(1);
+        kdroll.discard(109176);
+        return kdroll;
+      };
+      expect(at().random()).to.equal(1);
+      const entries = [
+        { value: 'a', weight: 1 },
+        { value: 'b', weight: 2 },
+      ];
+      expect(['a', 'b']).to.include(at().weighted(entries));
+      const drops = at().lootTable(entries).draw(3);
+      drops.forEach((drop) => expect(['a', 'b']).to.include(drop));
+      expect(drops).to.have.lengthOf(3);
+      expect([1, 2, 3]).to.include(at().pick([1, 2, 3]));
+    });
+
+    /**
+     * `weighted()` should select values in proportion to their weights.
+     */
+    it(`should select values in proportion to their weights`, () => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      const entries = [
+        { value: 'common', weight: 6 },
+        { value: 'rare', weight: 3 },
+        { value: 'epic', weight: 1 },
+        { value: 'never', weight: 0 },
+      ];
+      const samples = 20000;
+      kdroll.maxHistory(samples);
+      const counts: { [key: string]: number } = {};
+      let count = samples;
+      while (count--) {
+        const value = kdroll.weighted(entries) as string;
+        counts[value] = (counts[value] || 0) + 1;
+      }
+      expect(counts.common / samples).to.be.closeTo(0.6, 0.02);
+      expect(counts.rare / samples).to.be.closeTo(0.3, 0.02);
+      expect(counts.epic / samples).to.be.closeTo(0.1, 0.02);
+      expect(counts.never).to.be.undefined;
+      expect(kdroll.weighted([{ value: 'x', weight: 0 }])).to.be.undefined;
+      expect(kdroll.weighted([{ value: 'x', weight: -1 }])).to.be.undefined;
+    });
+
+    /**
+     * Loot tables should match their weights, always include guaranteed
+     * drops, and resolve nested tables.
+     */
+    it(`should draw from loot tables`, () => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      const gems = kdroll.lootTable([
+        { value: 'ruby', weight: 1 },
+        { value: 'emerald', weight: 3 },
+      ]);
+      const table = kdroll.lootTable([
+        { value: 'gold', guaranteed: true },
+        { value: 'sword', weight: 1 },
+        { value: 'potion', weight: 5 },
+        { value: gems, weight: 4 },
+      ]);
+      const samples = 20000;
+      kdroll.maxHistory(samples * 3);
+      const counts: { [key: string]: number } = {};
+      let count = samples;
+      while (count--) {
+        const [first, drop] = table.draw();
+        expect(first).to.equal('gold');
+        counts[drop] = (counts[drop] || 0) + 1;
+      }
+      expect(counts.sword / samples).to.be.closeTo(0.1, 0.015);
+      expect(counts.potion / samples).to.be.closeTo(0.5, 0.015);
+      expect(counts.ruby / samples).to.be.closeTo(0.1, 0.015);
+      expect(counts.emerald / samples).to.be.closeTo(0.3, 0.015);
+    });
+
+    /**
+     * Draws without replacement should not repeat entries, and every draw
+     * should be reproducible from the seed.
+     */
+    it(`should draw without replacement deterministically`, () => {
+      const entries = ['a', 'b', 'c', 'd', 'e'].map((value, i) => ({
+        value,
+        weight: i + 1,
+      }));
+      const a = new KDRoll(99);
+      const b = new KDRoll(99);
+      let count = 100;
+      while (count--) {
+        const drops = a.lootTable(entries).draw(4, { replace: false });
+        expect(new Set(drops).size).to.equal(4);
+        expect(b.lootTable(entries).draw(4, { replace: false })).to.deep.equal(
+          drops
+        );
+      }
+      expect(
+        a.lootTable(entries).draw(10, { replace: false })
+      ).to.have.lengthOf(5);
+      a.history().forEach((index) => {
+        expect(index).to.be.oneOf([0, 1, 2, 3, 4]);
+      });
+    });
+  });
+
+  describe(`shuffle and sample`, () => {
+    /**
+     * With seed `1`, the Mersenne Twister `random()` returns exactly `1`
+     * after 109176 values. Shuffles and samples should stay in range there.
+     */
+    it(`should stay in range when random() returns 1`, () => {
+      const at = () => {
+        const kdroll = new KDRoll(1);
+        kdroll.discard(109176);
+        return kdroll;
+      };
+      expect(at().random()).to.equal(1);
+      const sorted = (array: number[]) => [...array].sort((a, b) => a - b);
+      const array = [1, 2, 3];
+      expect(at().shuffle(array, true)).to.have.lengthOf(3);
+      expect(array).to.have.members([1, 2, 3]);
+      expect(sorted(at().shuffle([1, 2, 3]))).to.deep.equal([1, 2, 3]);
+      expect(sorted(at().permutation(3))).to.deep.equal([0, 1, 2]);
+      const sample = at().sample([1, 2, 3], 2, { replace: true });
+      sample.forEach((x) => expect([1, 2, 3]).to.include(x));
+      expect(at().sample(new Set([1, 2, 3]), 2)).to.have.lengthOf(2);
+      at()
+        .combination(3, 2)
+        .forEach((x) => expect(x).to.be.within(0, 2));
+    });
+
+    /**
+     * Shuffles should contain the same elements and only modify the original
+     * array when shuffling in place.
+     */
+    it(`should shuffle in place or copy`, () => {
+      const kdroll = new KDRoll(3);
+      const original = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      const array = [...original];
+      const copy = kdroll.shuffle(array);
+      expect(array).to.deep.equal(original);
+      expect(copy).to.not.equal(array);
+      expect([...copy].sort((a, b) => a - b)).to.deep.equal(original);
+      const shuffled = kdroll.shuffle(array, true);
+      expect(shuffled).to.equal(array);
+      expect([...array].sort((a, b) => a - b)).to.deep.equal(original);
+      expect(kdroll.history()).to.have.lengthOf(0);
+    });
+
+    /**
+     * Every permutation of a small array should be equally likely.
+     */
+    it(`should shuffle uniformly`, () => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      const samples = 24000;
+      const counts: { [key: string]: number } = {};
+      let count = samples;
+      while (count--) {
+        const key = kdroll.shuffle(['a', 'b', 'c', 'd']).join('');
+        counts[key] = (counts[key] || 0) + 1;
+      }
+      expect(Object.keys(counts)).to.have.lengthOf(24);
+      Object.keys(counts).forEach((key) => {
+        expect(counts[key]).to.be.closeTo(samples / 24, 150);
+      });
+    });
+
+    /**
+     * Samples without replacement should be distinct, and samples with
+     * replacement may be larger than the population.
+     */
+    it(`should sample with and without replacement`, () => {
+      const kdroll = new KDRoll();
+      const population = ['a', 'b', 'c', 'd', 'e', 'f'];
+      let count = 100;
+      while (count--) {
+        const sample = kdroll.sample(population, 4);
+        expect(new Set(sample).size).to.equal(4);
+        sample.forEach((x) => expect(population).to.include(x));
+      }
+      const repeated = kdroll.sample(population, 20, { replace: true });
+      expect(repeated).to.have.lengthOf(20);
+      repeated.forEach((x) => expect(population).to.include(x));
+      expect(kdroll.sample(population, 7)).to.deep.equal([]);
+      expect(kdroll.sample(population, -1)).to.deep.equal([]);
+    });
+
+    /**
+     * Iterables should be sampled in a single pass with each element equally
+     * likely to be chosen.
+     */
+    it(`should sample iterables with a reservoir`, () => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      function* numbers(n: number) {
+        for (let i = 0; i < n; i++) yield i;
+      }
+      expect(kdroll.sample(numbers(3), 5).sort()).to.deep.equal([0, 1, 2]);
+      const counts = new Array(10).fill(0);
+      let count = 10000;
+      while (count--) {
+        const sample = kdroll.sample(new Set(numbers(10)), 3);
+        expect(new Set(sample).size).to.equal(3);
+        sample.forEach((x) => counts[x]++);
+      }
+      counts.forEach((x) => expect(x).to.be.closeTo(3000, 150));
+    });
+
+    /**
+     * Permutations and combinations should contain valid distinct integers.
+     */
+    it(`should generate permutations and combinations`, () => {
+      const kdroll = new KDRoll();
+      let count = 100;
+      while (count--) {
+        const permutation = kdroll.permutation(10);
+        expect([...permutation].sort((a, b) => a - b)).to.deep.equal([
+          0,
+          1,
+          2,
+          3,
+          4,
+          5,
+          6,
+          7,
+          8,
+          9,
+        ]);
+        const combination = kdroll.combination(52, 5);
+        expect(combination).to.have.lengthOf(5);
+        expect(new Set(combination).size).to.equal(5);
+        expect(combination).to.deep.equal(
+          [...combination].sort((a, b) => a - b)
+        );
+        combination.forEach((x) => expect(x).to.be.within(0, 51));
+      }
+      expect(kdroll.combination(5, 5)).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(kdroll.combination(3, 4)).to.deep.equal([]);
+      expect(kdroll.permutation(-1)).to.deep.equal([]);
+    });
+
+    /**
+     * Every helper should be deterministic for a given seed.
+     */
+    it(`should be deterministic for a given seed`, () => {
+      const run = (kdroll: KDRoll) => [
+        kdroll.shuffle([1, 2, 3, 4, 5, 6, 7, 8]),
+        kdroll.sample([1, 2, 3, 4, 5, 6, 7, 8], 3),
+        kdroll.sample([1, 2, 3], 5, { replace: true }),
+        kdroll.sample(new Set([1, 2, 3, 4, 5, 6, 7, 8]), 3),
+        kdroll.permutation(8),
+        kdroll.combination(100, 4),
+      ];
+      const kdroll = new KDRoll(1234);
+      const first = run(kdroll);
+      kdroll.seed(1234);
+      expect(run(kdroll)).to.deep.equal(first);
+      expect(run(new KDRoll(1234))).to.deep.equal(first);
+    });
+  });
+
+  describe(`unique identifiers`, () => {
+    /**
+     * Version 4 UUIDs should have the RFC4122 version and variant bits.
+     */
+    it(`should generate version 4 UUIDs`, () => {
+      const kdroll = new KDRoll();
+      const pattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+      const uids = new Set<string>();
+      let count = 1000;
+      while (count--) {
+        const uid = kdroll.uid();
+        expect(uid).to.match(pattern);
+        uids.add(uid);
+      }
+      expect(uids.size).to.equal(1000);
+      expect(kdroll.uid({ source: 'crypto' })).to.match(pattern);
+      expect(kdroll.history()).to.have.lengthOf(0);
+    });
+
+    /**
+     * Version 7 UUIDs should start with the timestamp and sort by time.
+     */
+    it(`should generate time-ordered version 7 UUIDs`, () => {
+      const kdroll = new KDRoll();
+      const pattern = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+      const time = 1600000000000;
+      const uid = kdroll.uid({ format: 'v7', time });
+      expect(uid).to.match(pattern);
+      expect(uid.replace('-', '').slice(0, 12)).to.equal(
+        time.toString(16).padStart(12, '0')
+      );
+      const times = [time, time + 1, time + 1000, time + 86400000];
+      const uids = times.map((t) => kdroll.uid({ format: 'v7', time: t }));
+      expect([...uids].sort()).to.deep.equal(uids);
+      expect(kdroll.uid({ format: 'v7', source: 'crypto' })).to.match(pattern);
+      expect(kdroll.uid({ format: 'v7', time: -1 })).to.equal('');
+    });
+
+    /**
+     * String IDs should use the requested alphabet and length.
+     */
+    it(`should generate nanoid, hex and base62 strings`, () => {
+      const kdroll = new KDRoll();
+      expect(kdroll.uid({ format: 'nanoid' })).to.match(/^[A-Za-z0-9_-]{21}$/);
+      expect(kdroll.uid({ format: 'hex' })).to.match(/^[0-9a-f]{32}$/);
+      expect(kdroll.uid({ format: 'hex', length: 8 })).to.match(
+        /^[0-9a-f]{8}$/
+      );
+      expect(kdroll.uid({ format: 'base62' })).to.match(/^[0-9A-Za-z]{22}$/);
+      expect(
+        kdroll.uid({
+          format: 'nanoid',
+          alphabet: 'abc',
+          length: 50,
+          source: 'crypto',
+        })
+      ).to.match(/^[abc]{50}$/);
+      expect(kdroll.uid({ format: 'nanoid', alphabet: 'aa' })).to.equal('');
+      expect(kdroll.uid({ format: 'hex', length: 0 })).to.equal('');
+      expect(kdroll.uid({ format: 'v9' as any })).to.equal('');
+    });
+
+    /**
+     * Alphabet characters should be chosen uniformly.
+     */
+    it(`should choose characters uniformly`, () => {
+      const kdroll = new KDRoll(2020, { engine: 'sfc32' });
+      const id = kdroll.uid({
+        format: 'nanoid',
+        alphabet: 'abcdefg',
+        length: 70000,
+      });
+      const counts: { [key: string]: number } = {};
+      Array.from(id).forEach((c) => (counts[c] = (counts[c] || 0) + 1));
+      Object.keys(counts).forEach((c) => {
+        expect(counts[c]).to.be.closeTo(10000, 350);
+      });
+    });
+
+    /**
+     * Seeded IDs should be reproducible, and crypto IDs should not affect the
+     * seeded sequence.
+     */
+    it(`should be reproducible when seeded`, () => {
+      const a = new KDRoll(42);
+      const b = new KDRoll(42);
+      const formats = ['v4', 'v7', 'nanoid', 'hex', 'base62'] as const;
+      formats.forEach((format) => {
+        b.uid({ format, source: 'crypto' });
+        expect(a.uid({ format, time: 0 })).to.equal(b.uid({ format, time: 0 }));
       });
+      expect(a.random()).to.equal(b.random());
     });
   });
 
@@ -0,0 +1,4229 @@
+/**
+ * @file KDRoll.esm.mjs
+ * @version 1.3.3
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview `KDRoll` is a class representing a random number manager.
+ * Includes seedable uniform engines, gaussian and other distributions, dice
+ * notation, history, elementary statistics, and scale/clip/round convenience
+ * functions.
+ */
+class KDHistory extends Array {
+  constructor() {
+    super();
+    let max = 1000;
+    this.max = (size) => {
+      if (size !== undefined) {
+        if (Number.isSafeInteger(size)) {
+          max = size;
+        } else {
+          console.log('maxHistory(size) must be a safe integer');
+        }
+      }
+      return max;
+    };
+    this.push = (...items) => {
+      let count = items.length;
+      while (count--) if (this.length >= max) this.shift();
+      super.push(...items);
+      return this.length;
+    };
+    this.select = (filter = {}) =>
+      Array.from(this).filter((entry) => KDHistory.matches(entry, filter));
+  }
+  static matches(entry, filter = {}) {
+    const { source, sides } = filter;
+    const methods = source === undefined ? undefined : [].concat(source);
+    return (
+      (!methods || methods.includes(entry.method)) &&
+      (sides === undefined || entry.sides === sides)
+    );
+  }
+}
+
+class KDNumber {
+  constructor(value, range = [0, 1]) {
+    let v =
+      typeof value === 'number'
+        ? value
+        : !Number.isNaN(parseFloat(`${value}`))
+        ? parseFloat(`${value}`)
+        : value.value();
+    let r = range;
+    this.scale = (min = 0, max = 1) => {
+      v = KDNumber.scale(v, r, [min, max]);
+      r = [min, max];
+      return this;
+    };
+    this.clip = (min, max) => {
+      v = KDNumber.clip(v, [min, max]);
+      return this;
+    };
+    this.round = (places = 0) => {
+      v = KDNumber.round(v, places);
+      return this;
+    };
+    this.value = () => v;
+    this.range = () => r;
+    this.setValue = (value) => {
+      v = value;
+    };
+    this.setRange = (range) => {
+      r = range;
+    };
+  }
+  static scale(value, initialRange, targetRange) {
+    const fix = KDNumber.floatingPointFix;
+    const r1 = initialRange;
+    const r2 = targetRange;
+    const r1Size = fix(r1[1] - r1[0]);
+    const r2Size = fix(r2[1] - r2[0]);
+    const x = fix(value - r1[0]);
+    const y = fix(x * r2Size);
+    const z = fix(y / r1Size);
+    const scaled = fix(z + r2[0]);
+    return scaled;
+  }
+  static clip(value, range) {
+    const fix = KDNumber.floatingPointFix;
+    const clipMin = (v) => fix(Math.max(range[0], v));
+    const clipMax = (v) => fix(Math.min(v, range[1]));
+    const clipped = clipMax(clipMin(value));
+    return clipped;
+  }
+  static round(value, places = 0) {
+    return KDNumber.floatingPointFix(
+      Number(Math.round(Number(value + 'e' + places)) + 'e-' + places)
+    );
+  }
+  static floatingPointFix(value, repeat = 6) {
+    if (!value || Number.isNaN(parseFloat(`${value}`))) return value;
+    const [intPart, decimalPart] = `${value}`.split('.');
+    if (!decimalPart) return value;
+    const regex = new RegExp(`(9{${repeat},}|0{${repeat},})(\\d)*$`, 'gm');
+    const matched = decimalPart.match(regex);
+    if (!matched) return value;
+    const [wrongPart] = matched;
+    const correctDecimalsLength = decimalPart.length - wrongPart.length;
+    const fixed = parseFloat(`${intPart}.${decimalPart}`);
+    return parseFloat(fixed.toFixed(correctDecimalsLength));
+  }
+}
+
+const wordsFor = (bits) => Math.ceil(bits / 32);
+const spread = new Uint16Array(256).map((x, b) => {
+  let r = 0;
+  for (let k = 0; k < 8; k++) r |= ((b >>> k) & 1) << (2 * k);
+  return r;
+});
+const bitsAt = (p, offset) => {
+  const q = offset >>> 5;
+  const r = offset & 31;
+  const lo = p[q] || 0;
+  if (r === 0) return lo;
+  return ((lo >>> r) | ((p[q + 1] || 0) << (32 - r))) >>> 0;
+};
+const xorShifted = (dst, src, shift) => {
+  const o = shift >>> 5;
+  const s = shift & 31;
+  for (let w = 0; w < src.length && o + w < dst.length; w++) {
+    dst[o + w] ^= src[w] << s;
+    if (s && o + w + 1 < dst.length) dst[o + w + 1] ^= src[w] >>> (32 - s);
+  }
+};
+const parity = (x) => {
+  x ^= x >>> 16;
+  x ^= x >>> 8;
+  x ^= x >>> 4;
+  x ^= x >>> 2;
+  x ^= x >>> 1;
+  return x & 1;
+};
+const reducer = (poly, degree) => {
+  const shifted = [];
+  for (let s = 0; s < 32; s++) {
+    const p = new Uint32Array(wordsFor(degree + 1) + 1);
+    xorShifted(p, poly, s);
+    shifted.push(p);
+  }
+  return (p, top) => {
+    for (let i = top; i >= degree; i--) {
+      const w = p[i >>> 5];
+      if (w === 0) {
+        i &= ~31;
+        continue;
+      }
+      if ((w >>> (i & 31)) & 1) {
+        const sh = i - degree;
+        const src = shifted[sh & 31];
+        const o = sh >>> 5;
+        for (let j = 0; j < src.length && o + j < p.length; j++) {
+          p[o + j] ^= src[j];
+        }
+      }
+    }
+    return p.slice(0, wordsFor(degree));
+  };
+};
+const KDJump = {
+  minimalPolynomial: (bits) => {
+    const n = bits.length;
+    const reversed = new Uint32Array(wordsFor(n) + 1);
+    for (let i = 0; i < n; i++) {
+      if (bits[i]) reversed[(n - 1 - i) >>> 5] |= 1 << ((n - 1 - i) & 31);
+    }
+    const size = wordsFor(n + 64);
+    let c = new Uint32Array(size);
+    let b = new Uint32Array(size);
+    c[0] = 1;
+    b[0] = 1;
+    let length = 0;
+    let shift = 1;
+    for (let i = 0; i < n; i++) {
+      let d = 0;
+      const offset = n - 1 - i;
+      for (let w = 0; w < wordsFor(length + 1); w++) {
+        d ^= c[w] & bitsAt(reversed, offset + 32 * w);
+      }
+      if (!parity(d)) {
+        shift++;
+      } else if (2 * length <= i) {
+        const t = c.slice();
+        xorShifted(c, b, shift);
+        length = i + 1 - length;
+        b = t;
+        shift = 1;
+      } else {
+        xorShifted(c, b, shift);
+        shift++;
+      }
+    }
+    const poly = new Uint32Array(wordsFor(length + 1));
+    for (let i = 0; i <= length; i++) {
+      if ((c[i >>> 5] >>> (i & 31)) & 1) {
+        poly[(length - i) >>> 5] |= 1 << ((length - i) & 31);
+      }
+    }
+    return { poly, degree: length };
+  },
+  power: (poly, degree, step, count) => {
+    const reduce = reducer(poly, degree);
+    const size = wordsFor(degree);
+    let r = new Uint32Array(size);
+    r[0] = 1;
+    const bits = [];
+    for (let m = count; m > 0; m = Math.floor(m / 2)) bits.push(m % 2);
+    for (let i = bits.length - 1; i >= 0; i--) {
+      const squared = new Uint32Array(2 * size);
+      for (let k = 0; k < size; k++) {
+        const x = r[k];
+        squared[2 * k] = spread[x & 255] | (spread[(x >>> 8) & 255] << 16);
+        squared[2 * k + 1] =
+          spread[(x >>> 16) & 255] | (spread[x >>> 24] << 16);
+      }
+      r = reduce(squared, 2 * degree - 2);
+      if (bits[i]) {
+        const shifted = new Uint32Array(wordsFor(degree + step) + 1);
+        xorShifted(shifted, r, step);
+        r = reduce(shifted, degree - 1 + step);
+      }
+    }
+    return r;
+  },
+  evaluate: (jump, degree, add, step) => {
+    for (let i = 0; i < degree; i++) {
+      if ((jump[i >>> 5] >>> (i & 31)) & 1) add();
+      if (i < degree - 1) step();
+    }
+  },
+};
+
+const QUOTA = 16384;
+let custom;
+let nodeCrypto;
+let warned = false;
+const loadNodeCrypto = () => {
+  if (nodeCrypto !== undefined) return nodeCrypto;
+  let loaded = null;
+  try {
+    const load = typeof require === 'function' ? require : undefined;
+    if (load && KDRuntime.environment() === 'node') loaded = load('crypto');
+  } catch (_a) {}
+  nodeCrypto = loaded;
+  return loaded;
+};
+const webCrypto = () => {
+  const node = loadNodeCrypto();
+  const candidates = [KDRuntime.global().crypto, node && node.webcrypto];
+  return candidates.find((c) => c && typeof c.getRandomValues === 'function');
+};
+const KDRuntime = {
+  global: () => {
+    if (typeof globalThis !== 'undefined') return globalThis;
+    if (typeof self !== 'undefined') return self;
+    if (typeof window !== 'undefined') return window;
+    if (typeof global !== 'undefined') return global;
+    return {};
+  },
+  environment: () => {
+    const root = KDRuntime.global();
+    if (root.process && root.process.versions && root.process.versions.node) {
+      return 'node';
+    }
+    if (root.window && root.window === root && root.document) return 'browser';
+    if (typeof root.importScripts === 'function') return 'worker';
+    return 'unknown';
+  },
+  setEntropy: (source) => {
+    custom = typeof source === 'function' ? source : undefined;
+  },
+  entropy: () => {
+    if (custom) return 'custom';
+    if (webCrypto()) return 'webcrypto';
+    const node = loadNodeCrypto();
+    if (node && node.randomFillSync) return 'node';
+    return 'math';
+  },
+  fill: (out) => {
+    const source = custom;
+    if (source) {
+      const filled = source(out);
+      if (filled && filled !== out) out.set(filled);
+      return out;
+    }
+    const crypto = webCrypto();
+    if (crypto) {
+      for (let i = 0; i < out.length; i += QUOTA) {
+        crypto.getRandomValues(out.subarray(i, i + QUOTA));
+      }
+      return out;
+    }
+    const node = loadNodeCrypto();
+    if (node && node.randomFillSync) return node.randomFillSync(out);
+    if (!warned) {
+      console.warn('No crypto source is available. Using `Math.random()`.');
+      warned = true;
+    }
+    for (let i = 0; i < out.length; i++) {
+      out[i] = Math.floor(Math.random() * 4294967296);
+    }
+    return out;
+  },
+};
+
+const K = new Uint32Array([
+  0x428a2f98,
+  0x71374491,
+  0xb5c0fbcf,
+  0xe9b5dba5,
+  0x3956c25b,
+  0x59f111f1,
+  0x923f82a4,
+  0xab1c5ed5,
+  0xd807aa98,
+  0x12835b01,
+  0x243185be,
+  0x550c7dc3,
+  0x72be5d74,
+  0x80deb1fe,
+  0x9bdc06a7,
+  0xc19bf174,
+  0xe49b69c1,
+  0xefbe4786,
+  0x0fc19dc6,
+  0x240ca1cc,
+  0x2de92c6f,
+  0x4a7484aa,
+  0x5cb0a9dc,
+  0x76f988da,
+  0x983e5152,
+  0xa831c66d,
+  0xb00327c8,
+  0xbf597fc7,
+  0xc6e00bf3,
+  0xd5a79147,
+  0x06ca6351,
+  0x14292967,
+  0x27b70a85,
+  0x2e1b2138,
+  0x4d2c6dfc,
+  0x53380d13,
+  0x650a7354,
+  0x766a0abb,
+  0x81c2c92e,
+  0x92722c85,
+  0xa2bfe8a1,
+  0xa81a664b,
+  0xc24b8b70,
+  0xc76c51a3,
+  0xd192e819,
+  0xd6990624,
+  0xf40e3585,
+  0x106aa070,
+  0x19a4c116,
+  0x1e376c08,
+  0x2748774c,
+  0x34b0bcb5,
+  0x391c0cb3,
+  0x4ed8aa4a,
+  0x5b9cca4f,
+  0x682e6ff3,
+  0x748f82ee,
+  0x78a5636f,
+  0x84c87814,
+  0x8cc70208,
+  0x90befffa,
+  0xa4506ceb,
+  0xbef9a3f7,
+  0xc67178f2,
+]);
+const H = [
+  0x6a09e667,
+  0xbb67ae85,
+  0x3c6ef372,
+  0xa54ff53a,
+  0x510e527f,
+  0x9b05688c,
+  0x1f83d9ab,
+  0x5be0cd19,
+];
+const BLOCK = 64;
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+const toBytes = (message) =>
+  typeof message === 'string' ? new TextEncoder().encode(message) : message;
+const KDSha256 = {
+  digest: (message) => {
+    const bytes = toBytes(message);
+    const length = Math.ceil((bytes.length + 9) / BLOCK) * BLOCK;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+    const h = [...H];
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < length; offset += BLOCK) {
+      for (let t = 0; t < 16; t++) w[t] = view.getUint32(offset + 4 * t);
+      for (let t = 16; t < 64; t++) {
+        const x = w[t - 15];
+        const y = w[t - 2];
+        const s0 = rotr(x, 7) ^ rotr(x, 18) ^ (x >>> 3);
+        const s1 = rotr(y, 17) ^ rotr(y, 19) ^ (y >>> 10);
+        w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let t = 0; t < 64; t++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + S1 + ch + K[t] + w[t]) | 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      [a, b, c, d, e, f, g, hh].forEach((x, i) => (h[i] = (h[i] + x) | 0));
+    }
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    h.forEach((x, i) => out.setUint32(4 * i, x >>> 0));
+    return digest;
+  },
+  hmac: (key, message) => {
+    let k = toBytes(key);
+    if (k.length > BLOCK) k = KDSha256.digest(k);
+    const inner = new Uint8Array(BLOCK);
+    const outer = new Uint8Array(BLOCK);
+    for (let i = 0; i < BLOCK; i++) {
+      inner[i] = (k[i] || 0) ^ 0x36;
+      outer[i] = (k[i] || 0) ^ 0x5c;
+    }
+    const m = toBytes(message);
+    const first = new Uint8Array(BLOCK + m.length);
+    first.set(inner);
+    first.set(m, BLOCK);
+    const second = new Uint8Array(BLOCK + 32);
+    second.set(outer);
+    second.set(KDSha256.digest(first), BLOCK);
+    return KDSha256.digest(second);
+  },
+  hex: (bytes) =>
+    Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join(''),
+  words: (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const words = [];
+    for (let i = 0; i + 4 <= bytes.length; i += 4) {
+      words.push(view.getUint32(i));
+    }
+    return words;
+  },
+};
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const WIDTH = [0, 7, 11];
+const MAX_WORDS = 8;
+const hash = (text) => KDSha256.words(KDSha256.digest(text)).slice(0, 4);
+const pack = (bytes) => {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  return KDSha256.words(padded);
+};
+const split = (n) => {
+  const zero = BigInt(0);
+  let x = n < zero ? -n : n;
+  if (x <= BigInt(Number.MAX_SAFE_INTEGER)) return Number(x);
+  const size = BigInt(4294967296);
+  const words = [];
+  while (x > zero) {
+    words.unshift(Number(x % size));
+    x /= size;
+  }
+  return words;
+};
+const isPlain = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+const encodeInt = (n, width = 1) => {
+  let digits = '';
+  do {
+    digits = ALPHABET[n % 32] + digits;
+    n = Math.floor(n / 32);
+  } while (n > 0);
+  return digits.padStart(width, '0');
+};
+const check = (symbols) => {
+  let sum = 0;
+  for (let i = 0; i < symbols.length; i++) {
+    sum += ALPHABET.indexOf(symbols[i]) * ((i % 30) + 1);
+  }
+  return ALPHABET[sum % 31];
+};
+const invalid = () => {
+  console.log(new Error('Invalid seed code.'));
+  return undefined;
+};
+const KDSeed = {
+  maxWords: MAX_WORDS,
+  canonical: (value) => {
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+    if (typeof value === 'bigint') return JSON.stringify(`${value}`);
+    if (Array.isArray(value)) {
+      const items = value.map((x) => KDSeed.canonical(x) || 'null');
+      return `[${items.join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .sort()
+        .map((key) => [key, KDSeed.canonical(value[key])])
+        .filter(([key, json]) => json !== undefined)
+        .map(([key, json]) => `${JSON.stringify(key)}:${json}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  },
+  key: (input) => {
+    if (typeof input === 'string') return hash(input);
+    if (typeof input === 'bigint') return split(input);
+    if (input instanceof ArrayBuffer) return pack(new Uint8Array(input));
+    if (input instanceof DataView) {
+      const { buffer, byteOffset, byteLength } = input;
+      return pack(new Uint8Array(buffer, byteOffset, byteLength));
+    }
+    if (isPlain(input)) return hash(KDSeed.canonical(input));
+    return input;
+  },
+  encode: (key) => {
+    const safe = (n) => Number.isSafeInteger(n) && n >= 0;
+    let symbols;
+    if (typeof key === 'number' && safe(key)) {
+      symbols = `0${encodeInt(key)}`;
+    } else if (Array.isArray(key) || key instanceof Uint32Array) {
+      const words = Array.from(key);
+      if (!words.length || words.length > MAX_WORDS) return undefined;
+      if (!words.every(safe)) return undefined;
+      const kind = words.every((n) => n <= 0xffffffff) ? 1 : 2;
+      symbols = `${kind}${words
+        .map((n) => encodeInt(n, WIDTH[kind]))
+        .join('')}`;
+    } else {
+      return undefined;
+    }
+    symbols += check(symbols);
+    return (symbols.match(/.{1,4}/g) || []).join('-');
+  },
+  decode: (code) => {
+    if (typeof code !== 'string') return invalid();
+    const symbols = code
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+    if (
+      symbols.length < 3 ||
+      [...symbols].some((c) => !ALPHABET.includes(c)) ||
+      check(symbols.slice(0, -1)) !== symbols.slice(-1)
+    ) {
+      return invalid();
+    }
+    const kind = ALPHABET.indexOf(symbols[0]);
+    const payload = symbols.slice(1, -1);
+    const read = (digits) =>
+      [...digits].reduce((n, c) => n * 32 + ALPHABET.indexOf(c), 0);
+    if (kind === 0) {
+      const n = read(payload);
+      return payload.length <= 11 && Number.isSafeInteger(n) ? n : invalid();
+    }
+    const width = WIDTH[kind];
+    if (!width || payload.length % width) return invalid();
+    if (payload.length > width * MAX_WORDS) return invalid();
+    const words = (payload.match(new RegExp(`.{${width}}`, 'g')) || []).map(
+      read
+    );
+    const max = kind === 1 ? 0xffffffff : Number.MAX_SAFE_INTEGER;
+    return words.every((n) => n <= max) ? words : invalid();
+  },
+};
+
+const N = 624;
+const twistWord = (mt, i) => {
+  const y = (mt[i] & 0x80000000) | (mt[(i + 1) % N] & 0x7fffffff);
+  mt[i] = mt[(i + 397) % N] ^ (y >>> 1) ^ (y & 1 ? 0x9908b0df : 0);
+};
+let characteristic;
+const getCharacteristic = () => {
+  if (characteristic) return characteristic;
+  const generator = new KDUniform(5489);
+  generator.nextUint32();
+  const mt = Uint32Array.from(generator.getState().mt);
+  const bits = new Uint8Array(2 * 19937);
+  for (let k = 0; k < bits.length; k++) {
+    bits[k] = mt[k % N] >>> 31;
+    twistWord(mt, k % N);
+  }
+  characteristic = KDJump.minimalPolynomial(bits);
+  return characteristic;
+};
+class KDUniform {
+  constructor(seed) {
+    let mt = new Array(N);
+    let mti = null;
+    const _state = {};
+    const _private = {
+      seed: {
+        withInt: (seed) => {
+          let s;
+          mt[0] = seed >>> 0;
+          for (mti = 1; mti < N; mti++) {
+            s = mt[mti - 1] ^ (mt[mti - 1] >>> 30);
+            mt[mti] =
+              ((((s & 0xffff0000) >>> 16) * 1812433253) << 16) +
+              (s & 0x0000ffff) * 1812433253 +
+              mti;
+            mt[mti] >>>= 0;
+          }
+        },
+        withArray: (seed) => {
+          const isUint32Array = seed.constructor === Uint32Array;
+          let s;
+          let v = isUint32Array ? [...seed] : seed;
+          let i = 1;
+          let j = 0;
+          let k = N > v.length ? N : v.length;
+          _private.seed.withInt(v[0]);
+          for (; k > 0; k--) {
+            s = mt[i - 1] ^ (mt[i - 1] >>> 30);
+            const a = (((s & 0xffff0000) >>> 16) * 1664525) << 16;
+            const b = (s & 0x0000ffff) * 1664525;
+            mt[i] = (mt[i] ^ (a + b)) + v[j] + j;
+            mt[i] >>>= 0;
+            i++;
+            j++;
+            if (i >= N) {
+              mt[0] = mt[N - 1];
+              i = 1;
+            }
+            if (j >= v.length) j = 0;
+          }
+          for (k = N - 1; k; k--) {
+            s = mt[i - 1] ^ (mt[i - 1] >>> 30);
+            const a = (((s & 0xffff0000) >>> 16) * 1566083941) << 16;
+            const b = (s & 0x0000ffff) * 1566083941;
+            mt[i] = (mt[i] ^ (a + b)) - i;
+            mt[i] >>>= 0;
+            i++;
+            if (i >= N) {
+              mt[0] = mt[N - 1];
+              i = 1;
+            }
+          }
+          if (mt.length < 1) mt[0] = 0x80000000;
+        },
+      },
+      init: (seed) => {
+        const s = KDUniform.normalizeSeed(seed);
+        _state.seed = s;
+        if (typeof s === 'number') _private.seed.withInt(s);
+        else _private.seed.withArray(s);
+      },
+      twist: () => {
+        const M = 397;
+        const UM = 0x80000000;
+        const LM = 0x7fffffff;
+        const MA = 0x9908b0df;
+        let y;
+        let kk = 0;
+        let mag01 = [0, MA];
+        for (; kk < N - M; kk++) {
+          y = (mt[kk] & UM) | (mt[kk + 1] & LM);
+          mt[kk] = mt[kk + M] ^ (y >>> 1) ^ mag01[y & 1];
+        }
+        for (; kk < N - 1; kk++) {
+          y = (mt[kk] & UM) | (mt[kk + 1] & LM);
+          mt[kk] = mt[kk + (M - N)] ^ (y >>> 1) ^ mag01[y & 1];
+        }
+        y = (mt[N - 1] & UM) | (mt[0] & LM);
+        mt[N - 1] = mt[M - 1] ^ (y >>> 1) ^ mag01[y & 1];
+        mti = 0;
+      },
+      temper: (y) => {
+        y ^= y >>> 11;
+        y ^= (y << 7) & 0x9d2c5680;
+        y ^= (y << 15) & 0xefc60000;
+        y ^= y >>> 18;
+        return y >>> 0;
+      },
+      int32: () => {
+        if (mti !== null) _private.twist();
+        return _private.temper(mt[mti++]);
+      },
+    };
+    this.fill = (out) => {
+      for (let i = 0; i < out.length; i++) {
+        if (i % N === 0) _private.twist();
+        out[i] = _private.temper(mt[i % N]);
+      }
+    };
+    this.random = () => {
+      const fix = (value, repeat = 6) => {
+        if (!value || Number.isNaN(parseFloat(`${value}`))) return value;
+        const [intPart, decimalPart] = `${value}`.split('.');
+        if (!decimalPart) return value;
+        const regex = new RegExp(`(9{${repeat},}|0{${repeat},})(\\d)*$`, 'gm');
+        const matched = decimalPart.match(regex);
+        if (!matched) return value;
+        const [wrongPart] = matched;
+        const correctDecimalsLength = decimalPart.length - wrongPart.length;
+        const fixed = parseFloat(`${intPart}.${decimalPart}`);
+        return parseFloat(fixed.toFixed(correctDecimalsLength));
+      };
+      const c = _private.int32();
+      const a = c >>> 5;
+      const b = c >>> 6;
+      const x = fix(a * 67108864.0 + b);
+      const y = fix(1.0 / 9007199254740992.0);
+      const result = fix(x * y);
+      return result;
+    };
+    this.seed = (seed) => {
+      if (seed !== undefined && seed !== null) _private.init(seed);
+      return _state.seed;
+    };
+    this.getState = () => {
+      const seed = _state.seed;
+      return {
+        seed: Array.isArray(seed) ? [...seed] : seed,
+        mt: mt.map((x) => x >>> 0),
+        mti: mti,
+      };
+    };
+    this.setState = (state) => {
+      if (!KDUniform.isState(state)) {
+        console.warn('Invalid generator state. State was not restored.');
+        return false;
+      }
+      const s = state.seed;
+      _state.seed = Array.isArray(s) ? [...s] : s;
+      mt = [...state.mt];
+      mti = state.mti;
+      return true;
+    };
+    this.jump = (n) => {
+      if (!Number.isSafeInteger(n) || n < 0) {
+        console.warn('Jump must be a non-negative integer.');
+        return;
+      }
+      if (n === 0) return;
+      _private.int32();
+      if (n === 1) return;
+      const { poly, degree } = getCharacteristic();
+      const jump = KDJump.power(poly, degree, N, n - 1);
+      const current = Uint32Array.from(mt);
+      const result = new Uint32Array(N);
+      let start = 0;
+      KDJump.evaluate(
+        jump,
+        degree,
+        () => {
+          for (let j = 0; j < N - start; j++) result[j] ^= current[start + j];
+          for (let j = N - start; j < N; j++) {
+            result[j] ^= current[j - (N - start)];
+          }
+        },
+        () => {
+          twistWord(current, start);
+          start = (start + 1) % N;
+        }
+      );
+      mt = Array.from(result);
+    };
+    this.name = 'mt19937';
+    this.nextUint32 = () => _private.int32();
+    _private.init(seed);
+  }
+  static isState(state) {
+    const isUint = (n) => Number.isInteger(n) && n >= 0 && n <= 0xffffffff;
+    return (
+      !!state &&
+      Array.isArray(state.mt) &&
+      state.mt.length === 624 &&
+      state.mt.every(isUint) &&
+      Number.isInteger(state.mti) &&
+      state.mti >= 0 &&
+      state.mti <= 624
+    );
+  }
+  static normalizeSeed(seed) {
+    const ensureUint = (num) => {
+      if (num > Number.MAX_SAFE_INTEGER) return -1;
+      if (num < 0) num = Math.abs(num);
+      if (!Number.isInteger(num)) num = Number(num.toFixed(0));
+      if (!Number.isSafeInteger(num)) num = -1;
+      return num;
+    };
+    let s = KDSeed.key(seed);
+    if (typeof s === 'number') {
+      const ss = ensureUint(s);
+      if (ss >= 0) return ss;
+      console.warn('Seed integer is unsafe.');
+    } else if (s && s.every && s.every((v) => typeof v === 'number')) {
+      const isUint32Array = s.constructor === Uint32Array;
+      let ss = isUint32Array ? [...s] : s;
+      if (ss.length > 0) {
+        ss = ss.map((x) => ensureUint(x));
+        if (!ss.includes(-1)) return ss;
+        console.warn('Seed array can not contain unsafe integers.');
+      } else {
+        console.warn('Seed array can not be empty.');
+      }
+    } else {
+      if (s !== undefined && s !== null) console.warn('Unsupported seed type.');
+      return KDUniform.createRandomSeed();
+    }
+    console.log('Generating a random seed array instead.');
+    return KDUniform.createRandomSeed();
+  }
+  static createRandomSeed() {
+    const max = 623;
+    const min = 20;
+    const len = Math.floor(Math.random() * Math.floor(max - min)) + min;
+    return [...KDRuntime.fill(new Uint32Array(len))];
+  }
+}
+
+const u64 = {
+  from: (n) => [Math.floor(n / 4294967296) >>> 0, n >>> 0],
+  add: (a, b) => {
+    const lo = a[1] + b[1];
+    return [(a[0] + b[0] + (lo > 0xffffffff ? 1 : 0)) >>> 0, lo >>> 0];
+  },
+  mul: (a, b) => {
+    const a0 = a[1] & 0xffff;
+    const a1 = a[1] >>> 16;
+    const b0 = b[1] & 0xffff;
+    const b1 = b[1] >>> 16;
+    const mid = a0 * b1 + a1 * b0;
+    const lo = a0 * b0 + (mid % 65536) * 65536;
+    const hi =
+      a1 * b1 +
+      Math.floor(mid / 65536) +
+      Math.floor(lo / 4294967296) +
+      Math.imul(a[0], b[1]) +
+      Math.imul(a[1], b[0]);
+    return [hi >>> 0, lo >>> 0];
+  },
+  xor: (a, b) => [(a[0] ^ b[0]) >>> 0, (a[1] ^ b[1]) >>> 0],
+  shl: (a, n) => {
+    if (n >= 32) return [(a[1] << (n - 32)) >>> 0, 0];
+    if (n === 0) return a;
+    return [((a[0] << n) | (a[1] >>> (32 - n))) >>> 0, (a[1] << n) >>> 0];
+  },
+  shr: (a, n) => {
+    if (n >= 32) return [0, a[0] >>> (n - 32)];
+    if (n === 0) return a;
+    return [a[0] >>> n, ((a[1] >>> n) | (a[0] << (32 - n))) >>> 0];
+  },
+  rotl: (a, n) => {
+    const l = u64.shl(a, n);
+    const r = u64.shr(a, 64 - n);
+    return [(l[0] | r[0]) >>> 0, (l[1] | r[1]) >>> 0];
+  },
+};
+const rotl32 = (x, n) => ((x << n) | (x >>> (32 - n))) >>> 0;
+const splitmix64 = (state) => {
+  const next = u64.add(state, [0x9e3779b9, 0x7f4a7c15]);
+  state[0] = next[0];
+  state[1] = next[1];
+  let z = next;
+  z = u64.mul(u64.xor(z, u64.shr(z, 30)), [0xbf58476d, 0x1ce4e5b9]);
+  z = u64.mul(u64.xor(z, u64.shr(z, 27)), [0x94d049bb, 0x133111eb]);
+  return u64.xor(z, u64.shr(z, 31));
+};
+const expandSeed = (seed, count) => {
+  const key = Array.isArray(seed) ? seed : [seed];
+  let state = u64.from(key[0]);
+  for (let i = 1; i < key.length; i++) {
+    state = u64.xor(splitmix64(state), u64.from(key[i]));
+  }
+  const words = [];
+  while (words.length < count) words.push(...splitmix64(state));
+  return words.slice(0, count);
+};
+const xoshiro128Step = (w) => {
+  const result = Math.imul(rotl32(Math.imul(w[1], 5), 7), 9);
+  const t = w[1] << 9;
+  w[2] ^= w[0];
+  w[3] ^= w[1];
+  w[1] ^= w[2];
+  w[0] ^= w[3];
+  w[2] ^= t;
+  w[3] = rotl32(w[3], 11);
+  w.forEach((x, i) => (w[i] = x >>> 0));
+  return result;
+};
+const xoshiro256Step = (w) => {
+  const s = [0, 1, 2, 3].map((i) => [w[i * 2], w[i * 2 + 1]]);
+  const result = u64.mul(u64.rotl(u64.mul(s[1], [0, 5]), 7), [0, 9]);
+  const t = u64.shl(s[1], 17);
+  s[2] = u64.xor(s[2], s[0]);
+  s[3] = u64.xor(s[3], s[1]);
+  s[1] = u64.xor(s[1], s[2]);
+  s[0] = u64.xor(s[0], s[3]);
+  s[2] = u64.xor(s[2], t);
+  s[3] = u64.rotl(s[3], 45);
+  s.forEach((x, i) => {
+    w[i * 2] = x[0];
+    w[i * 2 + 1] = x[1];
+  });
+  return result[0];
+};
+const wordEngine = (name, size, init, next, seed, advance) => {
+  let words = [];
+  let current;
+  const isState = (state) =>
+    !!state &&
+    Array.isArray(state.words) &&
+    state.words.length === size &&
+    state.words.every((n) => Number.isInteger(n) && n >= 0 && n <= 0xffffffff);
+  const reseed = (seed) => {
+    current = KDUniform.normalizeSeed(seed);
+    words = init(current).map((x) => x >>> 0);
+    if (words.every((x) => x === 0)) words[0] = 1;
+  };
+  const engine = {
+    name,
+    seed: (seed) => {
+      if (seed !== undefined && seed !== null) reseed(seed);
+      return current;
+    },
+    nextUint32: () => next(words) >>> 0,
+    getState: () => ({
+      seed: Array.isArray(current) ? [...current] : current,
+      words: [...words],
+    }),
+    setState: (state) => {
+      if (!isState(state)) {
+        console.warn('Invalid generator state. State was not restored.');
+        return false;
+      }
+      current = Array.isArray(state.seed) ? [...state.seed] : state.seed;
+      words = [...state.words];
+      return true;
+    },
+  };
+  if (advance) {
+    engine.jump = (n) => {
+      if (!Number.isSafeInteger(n) || n < 0) {
+        console.warn('Jump must be a non-negative integer.');
+        return;
+      }
+      advance(words, n);
+    };
+  }
+  reseed(seed);
+  return engine;
+};
+const linearAdvance = (size, next) => {
+  let characteristic;
+  return (words, n) => {
+    if (!characteristic) {
+      const w = new Array(size).fill(0).map((x, i) => i + 1);
+      const bits = new Array(64 * size).fill(0).map(() => {
+        next(w);
+        return w[0] & 1;
+      });
+      characteristic = KDJump.minimalPolynomial(bits);
+    }
+    const { poly, degree } = characteristic;
+    const jump = KDJump.power(poly, degree, 2, n);
+    const current = [...words];
+    const result = new Array(size).fill(0);
+    KDJump.evaluate(
+      jump,
+      degree,
+      () => current.forEach((x, i) => (result[i] ^= x)),
+      () => next(current)
+    );
+    result.forEach((x, i) => (words[i] = x >>> 0));
+  };
+};
+const KDEngines = {
+  names: [
+    'mt19937',
+    'xoshiro128**',
+    'xoshiro256**',
+    'pcg32',
+    'splitmix64',
+    'sfc32',
+    'crypto',
+  ],
+  create: (name = 'mt19937', seed) => {
+    switch (name) {
+      case 'mt19937':
+        return new KDUniform(seed);
+      case 'xoshiro128**':
+        return KDEngines.xoshiro128(seed);
+      case 'xoshiro256**':
+        return KDEngines.xoshiro256(seed);
+      case 'pcg32':
+        return KDEngines.pcg32(seed);
+      case 'splitmix64':
+        return KDEngines.splitmix64(seed);
+      case 'sfc32':
+        return KDEngines.sfc32(seed);
+      case 'crypto':
+        return KDEngines.crypto();
+      default:
+        return undefined;
+    }
+  },
+  derive: (seed, label) => {
+    const parent = KDUniform.normalizeSeed(seed);
+    const words = Array.isArray(parent) ? parent : [parent];
+    const tag =
+      typeof label === 'number'
+        ? [1, ...u64.from(label)]
+        : [0, ...Array.from(`${label}`, (c) => c.codePointAt(0))];
+    const key = [words.length, ...words, tag.length, ...tag];
+    return expandSeed(key, 8);
+  },
+  random: (engine) => {
+    if (typeof engine.random === 'function') return engine.random();
+    const a = engine.nextUint32() >>> 5;
+    const b = engine.nextUint32() >>> 6;
+    return (a * 67108864 + b) / 9007199254740992;
+  },
+  real: (engine, interval = '[0,1)', precision = 'double') => {
+    if (precision === 'single') {
+      const x = engine.nextUint32() >>> 8;
+      if (interval === '[0,1]') return Math.fround(x / 16777215);
+      if (interval === '(0,1)') return ((x >>> 1) + 0.5) / 8388608;
+      return x / 16777216;
+    }
+    const a = engine.nextUint32() >>> 5;
+    const b = engine.nextUint32() >>> 6;
+    const x = a * 67108864 + b;
+    if (interval === '[0,1]') return x / 9007199254740991;
+    if (interval === '(0,1)')
+      return (Math.floor(x / 2) + 0.5) / 4503599627370496;
+    return x / 9007199254740992;
+  },
+  below: (engine, n) => {
+    if (!Number.isInteger(n) || n < 1 || n > 9007199254740992) return NaN;
+    if (n <= 4294967296) {
+      const limit = n * Math.floor(4294967296 / n);
+      let x = engine.nextUint32() >>> 0;
+      while (x >= limit) x = engine.nextUint32() >>> 0;
+      return x % n;
+    }
+    const limit = n * Math.floor(9007199254740992 / n);
+    const next = () =>
+      (engine.nextUint32() >>> 11) * 4294967296 + (engine.nextUint32() >>> 0);
+    let x = next();
+    while (x >= limit) x = next();
+    return x % n;
+  },
+  fill: (engine, out) => {
+    if (typeof engine.fill === 'function') engine.fill(out);
+    else for (let i = 0; i < out.length; i++) out[i] = engine.nextUint32();
+    return out;
+  },
+  buffered: (engine, size = 624) => {
+    if (typeof engine.fill !== 'function') {
+      return { nextUint32: () => engine.nextUint32() };
+    }
+    const block = new Uint32Array(size);
+    let i = size;
+    return {
+      nextUint32: () => {
+        if (i === size) {
+          KDEngines.fill(engine, block);
+          i = 0;
+        }
+        return block[i++];
+      },
+    };
+  },
+  jump: (engine, n, raw = false) => {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      console.warn('Jump must be a non-negative integer.');
+      return false;
+    }
+    const own = raw && typeof engine.random === 'function';
+    if (own && engine instanceof KDUniform) engine.jump(2 * n);
+    else if (own) while (n-- > 0) KDEngines.real(engine);
+    else if (typeof engine.jump === 'function') engine.jump(n);
+    else while (n-- > 0) KDEngines.random(engine);
+    return true;
+  },
+  isEngine: (engine) =>
+    !!engine &&
+    typeof engine.name === 'string' &&
+    ['seed', 'nextUint32', 'getState', 'setState'].every(
+      (key) => typeof engine[key] === 'function'
+    ),
+  xoshiro128: (seed) =>
+    wordEngine(
+      'xoshiro128**',
+      4,
+      (s) => expandSeed(s, 4),
+      xoshiro128Step,
+      seed,
+      linearAdvance(4, xoshiro128Step)
+    ),
+  xoshiro256: (seed) =>
+    wordEngine(
+      'xoshiro256**',
+      8,
+      (s) => expandSeed(s, 8),
+      xoshiro256Step,
+      seed,
+      linearAdvance(8, xoshiro256Step)
+    ),
+  pcg32: (seed) => {
+    const multiplier = [0x5851f42d, 0x4c957f2d];
+    const step = (w) => {
+      const old = [w[0], w[1]];
+      const next = u64.add(u64.mul(old, multiplier), [w[2], w[3]]);
+      w[0] = next[0];
+      w[1] = next[1];
+      const xorshifted = u64.shr(u64.xor(u64.shr(old, 18), old), 27)[1];
+      const rot = old[0] >>> 27;
+      return (xorshifted >>> rot) | (xorshifted << (-rot & 31));
+    };
+    return wordEngine(
+      'pcg32',
+      4,
+      (s) => {
+        const [stateHi, stateLo, seqHi, seqLo] = expandSeed(s, 4);
+        const inc = u64.shl([seqHi, seqLo], 1);
+        const w = [0, 0, inc[0], (inc[1] | 1) >>> 0];
+        step(w);
+        const state = u64.add([w[0], w[1]], [stateHi, stateLo]);
+        w[0] = state[0];
+        w[1] = state[1];
+        step(w);
+        return w;
+      },
+      step,
+      seed,
+      (w, n) => {
+        const inc = [w[2], w[3]];
+        let curMult = u64.mul(multiplier, multiplier);
+        let curPlus = u64.mul(u64.add(multiplier, [0, 1]), inc);
+        let accMult = [0, 1];
+        let accPlus = [0, 0];
+        for (let m = n; m > 0; m = Math.floor(m / 2)) {
+          if (m % 2) {
+            accMult = u64.mul(accMult, curMult);
+            accPlus = u64.add(u64.mul(accPlus, curMult), curPlus);
+          }
+          curPlus = u64.mul(u64.add(curMult, [0, 1]), curPlus);
+          curMult = u64.mul(curMult, curMult);
+        }
+        const state = u64.add(u64.mul([w[0], w[1]], accMult), accPlus);
+        w[0] = state[0];
+        w[1] = state[1];
+      }
+    );
+  },
+  splitmix64: (seed) =>
+    wordEngine(
+      'splitmix64',
+      2,
+      (s) => (Array.isArray(s) ? expandSeed(s, 2) : u64.from(s)),
+      (w) => {
+        const state = [w[0], w[1]];
+        const result = splitmix64(state);
+        w[0] = state[0];
+        w[1] = state[1];
+        return result[0];
+      },
+      seed,
+      (w, n) => {
+        const stride = u64.mul(u64.from(n), [0x3c6ef372, 0xfe94f82a]);
+        const state = u64.add([w[0], w[1]], stride);
+        w[0] = state[0];
+        w[1] = state[1];
+      }
+    ),
+  sfc32: (seed) => {
+    const step = (w) => {
+      const t = (((w[0] + w[1]) | 0) + w[3]) | 0;
+      w[3] = (w[3] + 1) >>> 0;
+      w[0] = (w[1] ^ (w[1] >>> 9)) >>> 0;
+      w[1] = (w[2] + (w[2] << 3)) >>> 0;
+      w[2] = (rotl32(w[2], 21) + t) >>> 0;
+      return t >>> 0;
+    };
+    return wordEngine(
+      'sfc32',
+      4,
+      (s) => {
+        const w = [...expandSeed(s, 3), 1];
+        for (let i = 0; i < 12; i++) step(w);
+        return w;
+      },
+      step,
+      seed
+    );
+  },
+  crypto: () => {
+    const buffer = new Uint32Array(256);
+    let index = buffer.length;
+    return {
+      name: 'crypto',
+      seed: () => undefined,
+      nextUint32: () => {
+        if (index >= buffer.length) {
+          KDRuntime.fill(buffer);
+          index = 0;
+        }
+        return buffer[index++];
+      },
+      getState: () => null,
+      setState: () => {
+        console.warn('The crypto engine state can not be restored.');
+        return false;
+      },
+      jump: () => undefined,
+    };
+  },
+};
+
+const KDGaussian = (uniformGenerator, skew = 0) => {
+  const scaleSkew = (sk) => {
+    let n = new KDNumber(Math.abs(sk));
+    n.clip(0, 1);
+    const skewRight = () => {
+      sk = 1 - n.value();
+    };
+    const skewLeft = () => {
+      n.scale(0, 4);
+      sk = n.value();
+    };
+    const noSkew = () => {
+      sk = 1;
+    };
+    if (sk === 0) noSkew();
+    else if (sk < 0) skewRight();
+    else skewLeft();
+    return sk;
+  };
+  skew = scaleSkew(skew);
+  if (typeof uniformGenerator.random !== 'function') {
+    console.error('must provide a valid prng generator object');
+    return NaN;
+  }
+  const fix = KDNumber.floatingPointFix;
+  let num;
+  do {
+    let u = 0;
+    let v = 0;
+    while (u === 0) u = uniformGenerator.random();
+    while (v === 0) v = uniformGenerator.random();
+    num = fix(Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v));
+    num = fix(num / 10.0 + 0.5);
+  } while (num > 1 || num < 0);
+  num = fix(Math.pow(num, skew));
+  return num;
+};
+
+const fix = KDNumber.floatingPointFix;
+const sorted = (arr) => [...arr].sort((a, b) => a - b);
+const moments = (arr) => {
+  const n = arr.length;
+  const mean = arr.reduce((sum, x) => sum + x, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  arr.forEach((x) => {
+    const d = x - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+  return { n, mean, m2: m2 / n, m3: m3 / n, m4: m4 / n };
+};
+const KDElemstats = {
+  mean: (arr) => {
+    const sum = arr.reduce((previous, current) => (current += previous));
+    return KDNumber.floatingPointFix(sum / arr.length);
+  },
+  median: (arr) => {
+    const s = sorted(arr);
+    const median = (s[(s.length - 1) >> 1] + s[s.length >> 1]) / 2;
+    return KDNumber.floatingPointFix(median);
+  },
+  modes: (arr) => {
+    const modes = [];
+    const counts = [];
+    let max = 0;
+    arr.forEach((number) => {
+      counts[number] = (counts[number] || 0) + 1;
+      if (counts[number] > max) max = counts[number];
+    });
+    counts.forEach((count, index) => {
+      if (count === max) modes.push(KDNumber.floatingPointFix(index));
+    });
+    return modes;
+  },
+  stdDev: (arr, options = {}) => {
+    const { normalized = true, sample = false } = options;
+    if (!normalized || sample) {
+      const sd = Math.sqrt(KDElemstats.variance(arr, { sample }));
+      if (!normalized) return fix(sd);
+      return KDNumber.scale(sd, [0, KDElemstats.max(arr)], [0, 1]);
+    }
+    const avg = KDElemstats.mean(arr);
+    const sqDiffs = arr.map((value) =>
+      fix(fix(value - avg) * fix(value - avg))
+    );
+    const avgSqRt = fix(Math.sqrt(KDElemstats.mean(sqDiffs)));
+    const stdDev = KDNumber.scale(avgSqRt, [0, Math.max(...arr)], [0, 1]);
+    return stdDev;
+  },
+  variance: (arr, options = {}) => {
+    const correction = options.sample ? 1 : 0;
+    if (arr.length <= correction) return NaN;
+    const { n, m2 } = moments(arr);
+    return fix((m2 * n) / (n - correction));
+  },
+  min: (arr) => (arr.length ? arr.reduce((a, b) => (b < a ? b : a)) : NaN),
+  max: (arr) => (arr.length ? arr.reduce((a, b) => (b > a ? b : a)) : NaN),
+  range: (arr) => fix(KDElemstats.max(arr) - KDElemstats.min(arr)),
+  quantile: (arr, p) => {
+    if (!arr.length || typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+      return NaN;
+    }
+    const s = sorted(arr);
+    const h = (s.length - 1) * p;
+    const lo = Math.floor(h);
+    const hi = Math.min(lo + 1, s.length - 1);
+    return fix(s[lo] + (h - lo) * (s[hi] - s[lo]));
+  },
+  percentile: (arr, p) => KDElemstats.quantile(arr, p / 100),
+  iqr: (arr) =>
+    fix(KDElemstats.quantile(arr, 0.75) - KDElemstats.quantile(arr, 0.25)),
+  skewness: (arr, options = {}) => {
+    const { n, m2, m3 } = moments(arr);
+    if (!(m2 > 0) || (options.sample && n < 3)) return NaN;
+    const g1 = m3 / Math.pow(m2, 1.5);
+    return fix(options.sample ? (g1 * Math.sqrt(n * (n - 1))) / (n - 2) : g1);
+  },
+  kurtosis: (arr, options = {}) => {
+    const { n, m2, m4 } = moments(arr);
+    if (!(m2 > 0) || (options.sample && n < 4)) return NaN;
+    const g2 = m4 / (m2 * m2) - 3;
+    if (!options.sample) return fix(g2);
+    return fix((((n + 1) * g2 + 6) * (n - 1)) / ((n - 2) * (n - 3)));
+  },
+  fiveNumber: (arr) => ({
+    min: KDElemstats.min(arr),
+    q1: KDElemstats.quantile(arr, 0.25),
+    median: KDElemstats.quantile(arr, 0.5),
+    q3: KDElemstats.quantile(arr, 0.75),
+    max: KDElemstats.max(arr),
+  }),
+  describe: (arr) => {
+    const sample = { sample: true };
+    const stdDev = { normalized: false };
+    return Object.assign(
+      Object.assign(
+        {
+          count: arr.length,
+          mean: arr.length ? KDElemstats.mean(arr) : NaN,
+          modes: KDElemstats.modes(arr),
+        },
+        KDElemstats.fiveNumber(arr)
+      ),
+      {
+        range: KDElemstats.range(arr),
+        iqr: KDElemstats.iqr(arr),
+        variance: KDElemstats.variance(arr),
+        sampleVariance: KDElemstats.variance(arr, sample),
+        stdDev: KDElemstats.stdDev(arr, stdDev),
+        sampleStdDev: KDElemstats.stdDev(
+          arr,
+          Object.assign(Object.assign({}, stdDev), sample)
+        ),
+        skewness: KDElemstats.skewness(arr),
+        kurtosis: KDElemstats.kurtosis(arr),
+      }
+    );
+  },
+};
+
+const maxIterations = 100;
+const maxDice = 1000;
+const maxSides = 1000000;
+const KDDice = {
+  maxDice,
+  maxSides,
+  parse: (notation) => {
+    const src = `${notation}`.replace(/\s+/g, '').toLowerCase();
+    let pos = 0;
+    const fail = (message) => {
+      throw new Error(`${message} at position ${pos} in "${notation}".`);
+    };
+    const peek = (str) => src.startsWith(str, pos);
+    const accept = (str) => {
+      if (!peek(str)) return false;
+      pos += str.length;
+      return true;
+    };
+    const integer = () => {
+      const match = /^\d+/.exec(src.slice(pos));
+      if (!match) return undefined;
+      pos += match[0].length;
+      return Number(match[0]);
+    };
+    const compare = () => {
+      const ops = ['<=', '>=', '<', '>', '='];
+      const op = ops.find((o) => accept(o));
+      const value = integer();
+      if (value === undefined) {
+        if (op) fail('Expected a number');
+        return undefined;
+      }
+      return { op: op || '=', value };
+    };
+    const dice = (count, start) => {
+      let sides;
+      let fudge = false;
+      if (accept('%')) sides = 100;
+      else if (accept('f')) {
+        sides = 3;
+        fudge = true;
+      } else sides = integer();
+      if (sides === undefined || sides < 1) fail('Expected number of sides');
+      if (count > maxDice) fail(`Can not roll more than ${maxDice} dice`);
+      if (sides > maxSides) {
+        fail(`Dice can not have more than ${maxSides} sides`);
+      }
+      const term = {
+        type: 'dice',
+        notation: '',
+        count,
+        sides: sides,
+        fudge,
+      };
+      const max = fudge ? 1 : sides;
+      for (;;) {
+        if (accept('!')) {
+          const compound = accept('!');
+          const cmp = compare() || { op: '>=', value: max };
+          term.explode = { compound, compare: cmp };
+        } else if (accept('r')) {
+          const once = accept('o');
+          const cmp = compare();
+          if (!cmp) fail('Expected a reroll condition');
+          term.reroll = { once, compare: cmp };
+        } else if (peek('k') || peek('dh') || peek('dl')) {
+          const drop = src[pos++] === 'd';
+          let highest = !drop;
+          if (accept('h')) highest = true;
+          else if (accept('l')) highest = false;
+          const n = integer();
+          term.keep = { drop, highest, count: n === undefined ? 1 : n };
+        } else break;
+      }
+      const min = fudge ? -1 : 1;
+      const always = (c) => KDDice.compare(min, c) && KDDice.compare(max, c);
+      if (term.explode && always(term.explode.compare))
+        fail('Exploding dice can not explode on every face');
+      if (term.reroll && !term.reroll.once && always(term.reroll.compare))
+        fail('Rerolls can not match every face');
+      term.notation = src.slice(start, pos);
+      return term;
+    };
+    const primary = () => {
+      const start = pos;
+      if (accept('(')) {
+        const node = expression();
+        if (!accept(')')) fail('Expected ")"');
+        return node;
+      }
+      const n = integer();
+      if (accept('d')) return dice(n === undefined ? 1 : n, start);
+      if (n === undefined) fail('Unexpected character');
+      return { type: 'number', value: n };
+    };
+    const factor = () => {
+      if (accept('-')) return { type: 'negate', operand: factor() };
+      if (accept('+')) return factor();
+      return primary();
+    };
+    const term = () => {
+      let node = factor();
+      while (peek('*') || peek('/')) {
+        const op = src[pos++];
+        node = { type: 'binary', op, left: node, right: factor() };
+      }
+      return node;
+    };
+    const expression = () => {
+      let node = term();
+      while (peek('+') || peek('-')) {
+        const op = src[pos++];
+        node = { type: 'binary', op, left: node, right: term() };
+      }
+      return node;
+    };
+    if (!src.length) fail('Empty dice notation');
+    const tree = expression();
+    if (pos < src.length) fail('Unexpected character');
+    return tree;
+  },
+  evaluate: (tree, die, notation = '') => {
+    const groups = [];
+    const rollTerm = (term) => {
+      const { sides, fudge, explode, reroll, keep } = term;
+      const face = () => (fudge ? die(3) - 2 : die(sides));
+      const dice = [];
+      const rollOne = () => {
+        let value = face();
+        if (reroll) {
+          let attempts = reroll.once ? 1 : maxIterations;
+          while (attempts-- && KDDice.compare(value, reroll.compare)) {
+            dice.push({ value, kept: false, rerolled: true, exploded: false });
+            value = face();
+          }
+        }
+        return { value, kept: true, rerolled: false, exploded: false };
+      };
+      let count = term.count;
+      while (count--) {
+        let current = rollOne();
+        let last = current.value;
+        let explosions = maxIterations;
+        dice.push(current);
+        while (
+          explode &&
+          explosions-- &&
+          KDDice.compare(last, explode.compare)
+        ) {
+          const extra = rollOne();
+          current.exploded = true;
+          last = extra.value;
+          if (explode.compound) {
+            current.rolls = [...(current.rolls || [current.value]), last];
+            current.value += extra.value;
+          } else {
+            current = extra;
+            dice.push(current);
+          }
+        }
+      }
+      if (keep) {
+        const active = dice.filter((d) => !d.rerolled);
+        const sorted = [...active].sort((a, b) =>
+          keep.highest ? b.value - a.value : a.value - b.value
+        );
+        const n = Math.min(keep.count, sorted.length);
+        const removed = keep.drop ? sorted.slice(0, n) : sorted.slice(n);
+        removed.forEach((d) => (d.kept = false));
+      }
+      const total = dice
+        .filter((d) => d.kept)
+        .reduce((sum, d) => sum + d.value, 0);
+      groups.push({ notation: term.notation, sides, fudge, dice, total });
+      return total;
+    };
+    const visit = (node) => {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'dice':
+          return rollTerm(node);
+        case 'negate':
+          return -visit(node.operand);
+        case 'binary': {
+          const left = visit(node.left);
+          const right = visit(node.right);
+          if (node.op === '+') return left + right;
+          if (node.op === '-') return left - right;
+          if (node.op === '*') return left * right;
+          if (right === 0)
+            throw new Error(`Division by zero in "${notation}".`);
+          return left / right;
+        }
+      }
+    };
+    const total = visit(tree);
+    return { notation, total, groups };
+  },
+  compare: (value, compare) => {
+    switch (compare.op) {
+      case '<':
+        return value < compare.value;
+      case '>':
+        return value > compare.value;
+      case '<=':
+        return value <= compare.value;
+      case '>=':
+        return value >= compare.value;
+      default:
+        return value === compare.value;
+    }
+  },
+};
+
+const maxIterations$1 = 100;
+const epsilon = 1e-15;
+const maxValues = 50000;
+const maxSteps = 1000000;
+const guard = (size, steps = 0) => {
+  if (size > maxValues || steps > maxSteps) {
+    throw new Error('The distribution is too large to calculate.');
+  }
+};
+const add = (pmf, value, p) => pmf.set(value, (pmf.get(value) || 0) + p);
+const combine = (a, b, op) => {
+  guard(0, a.size * b.size);
+  const out = new Map();
+  a.forEach((pa, x) => b.forEach((pb, y) => add(out, op(x, y), pa * pb)));
+  guard(out.size);
+  return out;
+};
+const bounds = (pmf) => {
+  let min = Infinity;
+  let max = -Infinity;
+  pmf.forEach((p, v) => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+  return [min, max];
+};
+const sum = (a, b) => {
+  const integers = (pmf) => Array.from(pmf.keys()).every(Number.isInteger);
+  if (!integers(a) || !integers(b)) return combine(a, b, (x, y) => x + y);
+  const [aMin, aMax] = bounds(a);
+  const [bMin, bMax] = bounds(b);
+  guard(aMax - aMin + bMax - bMin + 1);
+  const dense = (pmf, min, max) => {
+    const arr = new Float64Array(max - min + 1);
+    pmf.forEach((p, v) => (arr[v - min] += p));
+    return arr;
+  };
+  const x = dense(a, aMin, aMax);
+  const y = dense(b, bMin, bMax);
+  const out = new Float64Array(x.length + y.length - 1);
+  for (let i = 0; i < x.length; i++) {
+    const p = x[i];
+    if (p) for (let j = 0; j < y.length; j++) out[i + j] += p * y[j];
+  }
+  const pmf = new Map();
+  out.forEach((p, i) => {
+    if (p) pmf.set(aMin + bMin + i, p);
+  });
+  return pmf;
+};
+const negate = (pmf) => {
+  const out = new Map();
+  pmf.forEach((p, value) => add(out, -value, p));
+  return out;
+};
+const repeat = (pmf, n) => {
+  let result = new Map([[0, 1]]);
+  let power = pmf;
+  while (n > 0) {
+    if (n & 1) result = sum(result, power);
+    n = Math.floor(n / 2);
+    if (n) power = sum(power, power);
+  }
+  return result;
+};
+const split$1 = (pmf, compare) => {
+  const match = new Map();
+  const rest = new Map();
+  pmf.forEach((p, value) =>
+    (KDDice.compare(value, compare) ? match : rest).set(value, p)
+  );
+  return { match, rest };
+};
+const mass = (pmf) => Array.from(pmf.values()).reduce((sum, p) => sum + p, 0);
+const scale = (pmf, factor) => {
+  const out = new Map();
+  pmf.forEach((p, value) => out.set(value, p * factor));
+  return out;
+};
+const choose = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
+const keepPool = (groups, keep, highest) => {
+  const values = Array.from(
+    new Set([].concat(...groups.map(([pmf]) => [...pmf.keys()])))
+  ).sort((a, b) => (highest ? b - a : a - b));
+  guard(values.length);
+  let steps = 0;
+  let states = new Map();
+  states.set('', { assigned: groups.map(() => 0), sum: 0, p: 1 });
+  values.forEach((value) => {
+    const next = new Map();
+    states.forEach((state) => {
+      const taken = state.assigned.reduce((sum, n) => sum + n, 0);
+      const visit = (g, assigned, count, p) => {
+        if (g === groups.length) {
+          guard(next.size, ++steps);
+          const kept = Math.min(count, Math.max(0, keep - taken));
+          const sum = state.sum + kept * value;
+          const key = `${assigned.join()}|${sum}`;
+          const existing = next.get(key);
+          if (existing) existing.p += p;
+          else next.set(key, { assigned, sum, p });
+          return;
+        }
+        const [pmf, n] = groups[g];
+        const q = pmf.get(value) || 0;
+        const remaining = n - state.assigned[g];
+        const limit = q ? remaining : 0;
+        for (let c = 0; c <= limit; c++) {
+          const weight = choose(remaining, c) * Math.pow(q, c);
+          if (!weight) break;
+          const a = [...assigned];
+          a[g] += c;
+          visit(g + 1, a, count + c, p * weight);
+        }
+      };
+      visit(0, state.assigned, 0, state.p);
+    });
+    states = next;
+  });
+  const out = new Map();
+  states.forEach(({ assigned, sum, p }) => {
+    if (assigned.every((n, g) => n === groups[g][1])) add(out, sum, p);
+  });
+  return out;
+};
+const rollOne = (term) => {
+  const faces = new Map();
+  const min = term.fudge ? -1 : 1;
+  const max = term.fudge ? 1 : term.sides;
+  guard(max - min + 1);
+  for (let v = min; v <= max; v++) faces.set(v, 1 / (max - min + 1));
+  const { reroll } = term;
+  if (!reroll) return faces;
+  let result = faces;
+  let attempts = reroll.once ? 1 : maxIterations$1;
+  while (attempts--) {
+    const { match, rest } = split$1(result, reroll.compare);
+    const q = mass(match);
+    if (!q) break;
+    result = rest;
+    faces.forEach((p, v) => add(result, v, p * q));
+    if (q < epsilon) break;
+  }
+  return result;
+};
+const chain = (die, compare) => {
+  const { match } = split$1(die, compare);
+  const q = mass(match);
+  let result = die;
+  let tail = 1;
+  for (let i = 0; i < maxIterations$1 && tail >= epsilon; i++) {
+    const { rest } = split$1(die, compare);
+    match.forEach((p, v) =>
+      result.forEach((pr, r) => add(rest, v + r, p * pr))
+    );
+    guard(rest.size);
+    result = rest;
+    tail *= q;
+  }
+  return result;
+};
+const rollTerm = (term) => {
+  const { count, explode, keep } = term;
+  const die = rollOne(term);
+  const kept = keep
+    ? keep.drop
+      ? Math.max(0, count - keep.count)
+      : Math.min(count, keep.count)
+    : count;
+  const highest = keep ? keep.highest !== keep.drop : true;
+  if (!explode) {
+    return kept === count
+      ? repeat(die, count)
+      : keepPool([[die, count]], kept, highest);
+  }
+  const dice = chain(die, explode.compare);
+  if (!keep) return repeat(dice, count);
+  if (explode.compound) return keepPool([[dice, count]], kept, highest);
+  const { match, rest } = split$1(die, explode.compare);
+  const q = mass(match);
+  const exploding = q ? scale(match, 1 / q) : match;
+  const stopping = scale(rest, 1 / (1 - q));
+  const out = new Map();
+  let covered = 0;
+  for (let m = 0; m <= maxIterations$1 * count && 1 - covered >= epsilon; m++) {
+    const weight =
+      choose(count + m - 1, m) * Math.pow(q, m) * Math.pow(1 - q, count);
+    covered += weight;
+    if (!weight) continue;
+    const pool = keep.drop
+      ? Math.max(0, count + m - keep.count)
+      : Math.min(count + m, keep.count);
+    const groups = [
+      [stopping, count],
+      [exploding, m],
+    ];
+    keepPool(groups, pool, highest).forEach((p, v) => add(out, v, p * weight));
+  }
+  return out;
+};
+const visit = (node) => {
+  switch (node.type) {
+    case 'number':
+      return new Map([[node.value, 1]]);
+    case 'dice':
+      return rollTerm(node);
+    case 'negate':
+      return negate(visit(node.operand));
+    case 'binary': {
+      const left = visit(node.left);
+      const right = visit(node.right);
+      if (node.op === '+') return sum(left, right);
+      if (node.op === '-') return sum(left, negate(right));
+      const ops = {
+        '*': (x, y) => x * y,
+        '/': (x, y) => {
+          if (y === 0) throw new Error('Division by zero is possible.');
+          return x / y;
+        },
+      };
+      return combine(left, right, ops[node.op]);
+    }
+  }
+};
+class KDDiceDistribution {
+  constructor(tree, notation = '') {
+    const pmf = visit(tree);
+    const values = Array.from(pmf.keys())
+      .filter((v) => pmf.get(v) > 0)
+      .sort((a, b) => a - b);
+    const total = values.reduce((sum, v) => sum + pmf.get(v), 0);
+    const probabilities = values.map((v) => pmf.get(v) / total);
+    const cumulative = [];
+    probabilities.reduce(
+      (sum, p, i) => (cumulative[i] = Math.min(1, sum + p)),
+      0
+    );
+    const mean = values.reduce((sum, v, i) => sum + v * probabilities[i], 0);
+    const variance = values.reduce(
+      (sum, v, i) => sum + (v - mean) * (v - mean) * probabilities[i],
+      0
+    );
+    const atLeast = [];
+    for (let i = values.length - 1, sum = 0; i >= 0; i--) {
+      sum += probabilities[i];
+      atLeast[i] = Math.min(1, sum);
+    }
+    this.notation = notation;
+    this.values = () => [...values];
+    this.pmf = () => [...probabilities];
+    this.cdf = () => [...cumulative];
+    this.probability = (value) => {
+      const i = values.indexOf(value);
+      return i < 0 ? 0 : probabilities[i];
+    };
+    this.atLeast = (value) => {
+      const i = values.findIndex((v) => v >= value);
+      return i < 0 ? 0 : atLeast[i];
+    };
+    this.atMost = (value) => {
+      let i = values.length - 1;
+      while (i >= 0 && values[i] > value) i--;
+      return i < 0 ? 0 : cumulative[i];
+    };
+    this.mean = () => mean;
+    this.variance = () => variance;
+    this.stdDev = () => Math.sqrt(variance);
+    this.percentile = (p) => {
+      if (typeof p !== 'number' || !(p >= 0 && p <= 100)) {
+        console.log(new Error('Percentile must be in the range [0,100].'));
+        return NaN;
+      }
+      const i = cumulative.findIndex((c) => c >= p / 100 - 1e-12);
+      return values[i < 0 ? values.length - 1 : i];
+    };
+    this.table = () =>
+      values.map((value, i) => ({
+        value,
+        probability: probabilities[i],
+        atMost: cumulative[i],
+        atLeast: atLeast[i],
+      }));
+  }
+}
+
+const invalid$1 = (message) => {
+  console.log(new Error(message));
+  return NaN;
+};
+const finite = (...values) =>
+  values.every((v) => typeof v === 'number' && Number.isFinite(v));
+const open = (uniform) => {
+  let u = 0;
+  while (u <= 0 || u >= 1) u = uniform.random();
+  return u;
+};
+const logGamma = (x) => {
+  const g = [
+    676.5203681218851,
+    -1259.1392167224028,
+    771.32342877765313,
+    -176.61502916214059,
+    12.507343278686905,
+    -0.13857109526572012,
+    9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (x < 0.5) {
+    return (
+      Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x)
+    );
+  }
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  g.forEach((c, i) => (a += c / (x + i + 1)));
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a)
+  );
+};
+const KDDistributions = {
+  standardNormalPair: (uniform) => {
+    let u;
+    let v;
+    let s;
+    do {
+      u = uniform.random() * 2 - 1;
+      v = uniform.random() * 2 - 1;
+      s = u * u + v * v;
+    } while (s >= 1 || s === 0);
+    const f = Math.sqrt((-2 * Math.log(s)) / s);
+    return [u * f, v * f];
+  },
+  standardNormal: (uniform) => {
+    if (typeof uniform.normal === 'function') return uniform.normal();
+    return KDDistributions.standardNormalPair(uniform)[0];
+  },
+  normal: (uniform, mean = 0, stdDev = 1) => {
+    if (!finite(mean, stdDev) || stdDev <= 0) {
+      return invalid$1(
+        'Mean must be finite and standard deviation must be > 0.'
+      );
+    }
+    return mean + stdDev * KDDistributions.standardNormal(uniform);
+  },
+  truncatedNormal: (
+    uniform,
+    mean = 0,
+    stdDev = 1,
+    range = [-Infinity, Infinity]
+  ) => {
+    if (!finite(mean, stdDev) || stdDev <= 0) {
+      return invalid$1(
+        'Mean must be finite and standard deviation must be > 0.'
+      );
+    }
+    const [min, max] = Array.isArray(range) ? range : [NaN, NaN];
+    if (Number.isNaN(min) || Number.isNaN(max) || !(min < max)) {
+      return invalid$1('Range must be [min, max] with min < max.');
+    }
+    let a = (min - mean) / stdDev;
+    let b = (max - mean) / stdDev;
+    const mirror = b <= 0;
+    if (mirror) [a, b] = [-b, -a];
+    const sample = () => {
+      if (a <= 0) {
+        if (b - a < Math.sqrt(2 * Math.PI)) {
+          for (;;) {
+            const z = a + (b - a) * uniform.random();
+            if (uniform.random() <= Math.exp((-z * z) / 2)) return z;
+          }
+        }
+        for (;;) {
+          const z = KDDistributions.standardNormal(uniform);
+          if (z >= a && z <= b) return z;
+        }
+      }
+      const alpha = (a + Math.sqrt(a * a + 4)) / 2;
+      const uniformIsFaster =
+        b - a <
+        ((2 * Math.sqrt(Math.E)) / (a + Math.sqrt(a * a + 4))) *
+          Math.exp((a * a - a * Math.sqrt(a * a + 4)) / 4);
+      for (;;) {
+        if (uniformIsFaster) {
+          const z = a + (b - a) * uniform.random();
+          if (uniform.random() <= Math.exp((a * a - z * z) / 2)) return z;
+        } else {
+          const z = a - Math.log(open(uniform)) / alpha;
+          const rho = Math.exp((-(z - alpha) * (z - alpha)) / 2);
+          if (z <= b && uniform.random() <= rho) return z;
+        }
+      }
+    };
+    const z = sample();
+    return mean + stdDev * (mirror ? -z : z);
+  },
+  exponential: (uniform, rate = 1) => {
+    if (!finite(rate) || rate <= 0) return invalid$1('Rate must be > 0.');
+    return -Math.log(open(uniform)) / rate;
+  },
+  poisson: (uniform, lambda) => {
+    if (!finite(lambda) || lambda <= 0) return invalid$1('Lambda must be > 0.');
+    if (lambda < 30) {
+      const limit = Math.exp(-lambda);
+      let k = 0;
+      let p = uniform.random();
+      while (p > limit) {
+        k++;
+        p *= uniform.random();
+      }
+      return k;
+    }
+    const slam = Math.sqrt(lambda);
+    const loglam = Math.log(lambda);
+    const b = 0.931 + 2.53 * slam;
+    const a = -0.059 + 0.02483 * b;
+    const invalpha = 1.1239 + 1.1328 / (b - 3.4);
+    const vr = 0.9277 - 3.6224 / (b - 2);
+    for (;;) {
+      const u = uniform.random() - 0.5;
+      const v = open(uniform);
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor(((2 * a) / us + b) * u + lambda + 0.43);
+      if (us >= 0.07 && v <= vr) return k;
+      if (k < 0 || (us < 0.013 && v > us)) continue;
+      const lhs =
+        Math.log(v) + Math.log(invalpha) - Math.log(a / (us * us) + b);
+      if (lhs <= -lambda + k * loglam - logGamma(k + 1)) return k;
+    }
+  },
+  binomial: (uniform, n, p) => {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      return invalid$1('Trials must be a non-negative integer.');
+    }
+    if (!finite(p) || p < 0 || p > 1) return invalid$1('P must be in [0,1].');
+    if (p > 0.5) return n - KDDistributions.binomial(uniform, n, 1 - p);
+    if (p === 0 || n === 0) return 0;
+    if (n * p < 30) {
+      const logq = Math.log1p(-p);
+      let x = 0;
+      let sum = 0;
+      for (;;) {
+        sum += Math.ceil(Math.log(open(uniform)) / logq);
+        if (sum > n) return x;
+        x++;
+      }
+    }
+    const q = 1 - p;
+    const spq = Math.sqrt(n * p * q);
+    const b = 1.15 + 2.53 * spq;
+    const a = -0.0873 + 0.0248 * b + 0.01 * p;
+    const c = n * p + 0.5;
+    const vr = 0.92 - 4.2 / b;
+    const alpha = (2.83 + 5.1 / b) * spq;
+    const lpq = Math.log(p / q);
+    const m = Math.floor((n + 1) * p);
+    const h = logGamma(m + 1) + logGamma(n - m + 1);
+    for (;;) {
+      const u = uniform.random() - 0.5;
+      const v = open(uniform);
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor(((2 * a) / us + b) * u + c);
+      if (k < 0 || k > n) continue;
+      if (us >= 0.07 && v <= vr) return k;
+      const lhs = Math.log((v * alpha) / (a / (us * us) + b));
+      if (lhs <= h - logGamma(k + 1) - logGamma(n - k + 1) + (k - m) * lpq) {
+        return k;
+      }
+    }
+  },
+  geometric: (uniform, p) => {
+    if (!finite(p) || p <= 0 || p > 1) return invalid$1('P must be in (0,1].');
+    if (p === 1) return 1;
+    return Math.max(1, Math.ceil(Math.log1p(-open(uniform)) / Math.log1p(-p)));
+  },
+  gamma: (uniform, shape, scale = 1) => {
+    if (!finite(shape, scale) || shape <= 0 || scale <= 0) {
+      return invalid$1('Shape and scale must be > 0.');
+    }
+    if (shape < 1) {
+      const boost = Math.pow(open(uniform), 1 / shape);
+      return KDDistributions.gamma(uniform, shape + 1, scale) * boost;
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = KDDistributions.standardNormal(uniform);
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = open(uniform);
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+        return d * v * scale;
+      }
+    }
+  },
+  beta: (uniform, alpha, beta) => {
+    if (!finite(alpha, beta) || alpha <= 0 || beta <= 0) {
+      return invalid$1('Alpha and beta must be > 0.');
+    }
+    const x = KDDistributions.gamma(uniform, alpha);
+    const y = KDDistributions.gamma(uniform, beta);
+    return x / (x + y);
+  },
+  logNormal: (uniform, mu = 0, sigma = 1) => {
+    if (!finite(mu, sigma) || sigma <= 0) {
+      return invalid$1('Mu must be finite and sigma must be > 0.');
+    }
+    return Math.exp(mu + sigma * KDDistributions.standardNormal(uniform));
+  },
+  weibull: (uniform, shape, scale = 1) => {
+    if (!finite(shape, scale) || shape <= 0 || scale <= 0) {
+      return invalid$1('Shape and scale must be > 0.');
+    }
+    return scale * Math.pow(-Math.log(open(uniform)), 1 / shape);
+  },
+  triangular: (uniform, min, max, mode = (min + max) / 2) => {
+    if (!finite(min, max, mode) || min >= max || mode < min || mode > max) {
+      return invalid$1('Triangular requires min < max and min <= mode <= max.');
+    }
+    const u = uniform.random();
+    const range = max - min;
+    if (u < (mode - min) / range) {
+      return min + Math.sqrt(u * range * (mode - min));
+    }
+    return max - Math.sqrt((1 - u) * range * (max - mode));
+  },
+  cauchy: (uniform, location = 0, scale = 1) => {
+    if (!finite(location, scale) || scale <= 0) {
+      return invalid$1('Location must be finite and scale must be > 0.');
+    }
+    return location + scale * Math.tan(Math.PI * (open(uniform) - 0.5));
+  },
+  chiSquare: (uniform, k) => {
+    if (!finite(k) || k <= 0)
+      return invalid$1('Degrees of freedom must be > 0.');
+    return KDDistributions.gamma(uniform, k / 2, 2);
+  },
+  studentT: (uniform, nu) => {
+    if (!finite(nu) || nu <= 0)
+      return invalid$1('Degrees of freedom must be > 0.');
+    const z = KDDistributions.standardNormal(uniform);
+    return z / Math.sqrt(KDDistributions.chiSquare(uniform, nu) / nu);
+  },
+  logGamma,
+};
+
+const index = (source, n) =>
+  source.below ? source.below(n) : Math.floor(source.random() * n);
+class KDLootTable {
+  constructor(entries, source = Math) {
+    const table = (Array.isArray(entries) ? entries : []).map((entry) =>
+      Object.assign({}, entry)
+    );
+    const weightOf = (entry) => (entry.weight === undefined ? 1 : entry.weight);
+    const valid = table.every((entry) => {
+      const weight = weightOf(entry);
+      return (
+        typeof weight === 'number' && Number.isFinite(weight) && weight >= 0
+      );
+    });
+    if (!valid) {
+      console.log(new Error('Loot table weights must be finite and >= 0.'));
+    }
+    const pool = [];
+    table.forEach((entry, i) => {
+      if (valid && !entry.guaranteed && weightOf(entry) > 0) pool.push(i);
+    });
+    const n = pool.length;
+    const probability = new Array(n).fill(1);
+    const alias = new Array(n).fill(0).map((x, i) => i);
+    if (n > 0) {
+      const total = pool.reduce((sum, i) => sum + weightOf(table[i]), 0);
+      const scaled = pool.map((i) => (weightOf(table[i]) * n) / total);
+      const small = [];
+      const large = [];
+      scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+      while (small.length && large.length) {
+        const s = small.pop();
+        const l = large.pop();
+        probability[s] = scaled[s];
+        alias[s] = l;
+        scaled[l] = scaled[l] + scaled[s] - 1;
+        (scaled[l] < 1 ? small : large).push(l);
+      }
+    }
+    const resolve = (index, source) => {
+      if (source.record) source.record(index);
+      const { value } = table[index];
+      if (value instanceof KDLootTable) return value.drawFrom(source, 1);
+      return [value];
+    };
+    const withReplacement = (source, count) => {
+      const selected = [];
+      while (count-- > 0) {
+        const i = index(source, n);
+        selected.push(source.random() < probability[i] ? i : alias[i]);
+      }
+      return selected;
+    };
+    const withoutReplacement = (source, count) => {
+      const remaining = pool.map((x, i) => i);
+      const selected = [];
+      while (count-- > 0 && remaining.length) {
+        const weights = remaining.map((i) => weightOf(table[pool[i]]));
+        let target = source.random() * weights.reduce((a, b) => a + b, 0);
+        let j = 0;
+        while (j < remaining.length - 1 && target >= weights[j]) {
+          target -= weights[j];
+          j++;
+        }
+        selected.push(remaining[j]);
+        remaining.splice(j, 1);
+      }
+      return selected;
+    };
+    this.entries = () => table.map((entry) => Object.assign({}, entry));
+    this.drawFrom = (source, count = 1, options = {}) => {
+      if (!Number.isSafeInteger(count) || count < 0) {
+        console.log(new Error('Count must be a non-negative integer.'));
+        return [];
+      }
+      const indices = [];
+      const tracked = {
+        random: source.random,
+        below: source.below,
+        record: (index) => {
+          indices.push(index);
+          if (source.record) source.record(index);
+        },
+      };
+      const drops = [];
+      table.forEach((entry, i) => {
+        if (valid && entry.guaranteed) drops.push(...resolve(i, tracked));
+      });
+      if (n > 0) {
+        const replace = options.replace === undefined || options.replace;
+        const selected = replace
+          ? withReplacement(source, count)
+          : withoutReplacement(source, count);
+        selected.forEach((i) => drops.push(...resolve(pool[i], tracked)));
+      }
+      if (source.drawn) source.drawn(indices, count, options);
+      return drops;
+    };
+    this.draw = (count, options) => this.drawFrom(source, count, options);
+  }
+}
+
+const invalid$2 = (message) => {
+  console.log(new Error(message));
+  return [];
+};
+const count = (n) => Number.isSafeInteger(n) && n >= 0;
+const index$1 = (uniform, n) =>
+  uniform.below ? uniform.below(n) : Math.floor(uniform.random() * n);
+const KDSampling = {
+  shuffle: (uniform, array) => {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = index$1(uniform, i + 1);
+      const tmp = array[i];
+      array[i] = array[j];
+      array[j] = tmp;
+    }
+    return array;
+  },
+  sample: (uniform, array, k, replace = false) => {
+    if (!count(k)) {
+      return invalid$2('Sample size must be a non-negative integer.');
+    }
+    const n = array.length;
+    if (replace) {
+      if (k > 0 && n === 0) return invalid$2('Can not sample an empty array.');
+      return new Array(k).fill(0).map(() => array[index$1(uniform, n)]);
+    }
+    if (k > n) return invalid$2('Sample size is larger than the population.');
+    const copy = [...array];
+    for (let i = 0; i < k; i++) {
+      const j = i + index$1(uniform, n - i);
+      const tmp = copy[i];
+      copy[i] = copy[j];
+      copy[j] = tmp;
+    }
+    return copy.slice(0, k);
+  },
+  reservoir: (uniform, iterable, k) => {
+    if (!count(k)) {
+      return invalid$2('Sample size must be a non-negative integer.');
+    }
+    const reservoir = [];
+    let seen = 0;
+    for (const item of iterable) {
+      if (seen < k) reservoir.push(item);
+      else {
+        const j = index$1(uniform, seen + 1);
+        if (j < k) reservoir[j] = item;
+      }
+      seen++;
+    }
+    return KDSampling.shuffle(uniform, reservoir);
+  },
+  permutation: (uniform, n) => {
+    if (!count(n)) return invalid$2('n must be a non-negative integer.');
+    const range = new Array(n).fill(0).map((x, i) => i);
+    return KDSampling.shuffle(uniform, range);
+  },
+  combination: (uniform, n, k) => {
+    if (!count(n) || !count(k)) {
+      return invalid$2('n and k must be non-negative integers.');
+    }
+    if (k > n) return invalid$2('k must be <= n.');
+    const chosen = new Set();
+    for (let j = n - k; j < n; j++) {
+      const t = index$1(uniform, j + 1);
+      chosen.add(chosen.has(t) ? j : t);
+    }
+    return Array.from(chosen).sort((a, b) => a - b);
+  },
+};
+
+const alphabets = {
+  nanoid: 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict',
+  hex: '0123456789abcdef',
+  base62: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+};
+const lengths = { nanoid: 21, hex: 32, base62: 22 };
+const toUuid = (bytes) => {
+  const hex = bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+};
+const KDUid = {
+  bytes: (next, n) => {
+    const bytes = [];
+    while (bytes.length < n) {
+      const word = next() >>> 0;
+      for (let shift = 24; shift >= 0 && bytes.length < n; shift -= 8) {
+        bytes.push((word >>> shift) & 0xff);
+      }
+    }
+    return bytes;
+  },
+  uuid4: (next) => {
+    const bytes = KDUid.bytes(next, 16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return toUuid(bytes);
+  },
+  uuid7: (next, time = Date.now()) => {
+    if (!Number.isSafeInteger(time) || time < 0 || time >= Math.pow(2, 48)) {
+      console.log(new Error('Time must be an integer in the range [0, 2^48).'));
+      return '';
+    }
+    const bytes = KDUid.bytes(next, 16);
+    for (let i = 0; i < 6; i++) {
+      bytes[i] = Math.floor(time / Math.pow(2, 8 * (5 - i))) % 256;
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x70;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return toUuid(bytes);
+  },
+  string: (next, length, alphabet) => {
+    const chars = Array.from(`${alphabet}`);
+    if (chars.length < 2 || new Set(chars).size !== chars.length) {
+      console.log(
+        new Error('Alphabet must have at least 2 unique characters.')
+      );
+      return '';
+    }
+    if (!Number.isSafeInteger(length) || length < 1) {
+      console.log(new Error('Length must be a positive integer.'));
+      return '';
+    }
+    let str = '';
+    const source = { nextUint32: next };
+    while (length--) str += chars[KDEngines.below(source, chars.length)];
+    return str;
+  },
+  create: (next, options = {}) => {
+    const { format = 'v4', length, alphabet, time } = options;
+    switch (format) {
+      case 'v4':
+        return KDUid.uuid4(next);
+      case 'v7':
+        return KDUid.uuid7(next, time);
+      case 'nanoid':
+        return KDUid.string(
+          next,
+          length === undefined ? lengths.nanoid : length,
+          alphabet === undefined ? alphabets.nanoid : alphabet
+        );
+      case 'hex':
+      case 'base62':
+        return KDUid.string(
+          next,
+          length === undefined ? lengths[format] : length,
+          alphabets[format]
+        );
+      default:
+        console.log(new Error(`Unknown ID format "${format}".`));
+        return '';
+    }
+  },
+};
+
+class KDEmitter {
+  constructor() {
+    const listeners = new Map();
+    this.on = (event, listener) => {
+      if (typeof listener !== 'function') {
+        console.log(new Error('Listener must be a function.'));
+        return () => {};
+      }
+      listeners.set(event, [...(listeners.get(event) || []), listener]);
+      return () => this.off(event, listener);
+    };
+    this.off = (event, listener) => {
+      const remaining = (listeners.get(event) || []).filter(
+        (fn) => fn !== listener
+      );
+      if (remaining.length) listeners.set(event, remaining);
+      else listeners.delete(event);
+    };
+    this.emit = (event, payload) => {
+      (listeners.get(event) || []).forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (error) {
+          console.log(error);
+        }
+      });
+    };
+    this.listening = (event) => listeners.has(event);
+    this.stream = (event, accept) => {
+      const queue = [];
+      let waiting = [];
+      let done = false;
+      const off = this.on(event, (payload) => {
+        if (accept && !accept(payload)) return;
+        const resolve = waiting.shift();
+        if (resolve) resolve({ value: payload, done: false });
+        else queue.push(payload);
+      });
+      const iterator = {
+        next: () => {
+          if (queue.length) {
+            const value = queue.shift();
+            return Promise.resolve({ value, done: false });
+          }
+          if (done) return Promise.resolve({ value: undefined, done: true });
+          return new Promise((resolve) => waiting.push(resolve));
+        },
+        return: () => {
+          done = true;
+          off();
+          queue.length = 0;
+          waiting.forEach((resolve) =>
+            resolve({ value: undefined, done: true })
+          );
+          waiting = [];
+          return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]: () => iterator,
+      };
+      return iterator;
+    };
+  }
+}
+
+const reals = ['uniform', 'gaussian', 'normal'];
+const invalid$3 = (message) => {
+  console.log(new Error(message));
+  return false;
+};
+const KDBulk = {
+  arrays: {
+    Float64Array,
+    Float32Array,
+    Uint32Array,
+    Int32Array,
+    Uint16Array,
+    Int16Array,
+    Uint8Array,
+    Int8Array,
+  },
+  isArray: (array) =>
+    Object.keys(KDBulk.arrays).some(
+      (name) => array instanceof KDBulk.arrays[name]
+    ),
+  count: (min, max, step = 1) => {
+    const span = max - min;
+    if (
+      !Number.isSafeInteger(min) ||
+      !Number.isSafeInteger(max) ||
+      !Number.isSafeInteger(step) ||
+      step < 1 ||
+      !(span >= 0 && span <= Number.MAX_SAFE_INTEGER)
+    ) {
+      return NaN;
+    }
+    return Math.floor(span / step) + 1;
+  },
+  fill: (source, out, method, args = []) => {
+    const float = out instanceof Float64Array || out instanceof Float32Array;
+    if (reals.includes(method) && !float) {
+      return invalid$3(`Use a Float64Array or Float32Array for "${method}".`);
+    }
+    const n = out.length;
+    const uniform = { random: () => KDEngines.real(source) };
+    switch (method) {
+      case 'uniform': {
+        const single = out instanceof Float32Array ? 'single' : 'double';
+        for (let i = 0; i < n; i++) {
+          out[i] = KDEngines.real(source, '[0,1)', single);
+        }
+        return true;
+      }
+      case 'uint32':
+        for (let i = 0; i < n; i++) out[i] = source.nextUint32();
+        return true;
+      case 'int': {
+        const [min, max, step = 1] = args;
+        const count = KDBulk.count(min, max, step);
+        if (Number.isNaN(count)) return invalid$3('Invalid integer range.');
+        for (let i = 0; i < n; i++) {
+          out[i] = min + step * KDEngines.below(source, count);
+        }
+        return true;
+      }
+      case 'd': {
+        const sides = Math.trunc(args[0]);
+        if (!(sides >= 1 && sides <= 9007199254740992)) {
+          return invalid$3('Sides must be a number of at least 1.');
+        }
+        for (let i = 0; i < n; i++) {
+          out[i] = 1 + KDEngines.below(source, sides);
+        }
+        return true;
+      }
+      case 'gaussian': {
+        const [skew = 0] = args;
+        if (typeof skew !== 'number' || !Number.isFinite(skew)) {
+          return invalid$3('Skew must be a finite number.');
+        }
+        for (let i = 0; i < n; i++) out[i] = KDGaussian(uniform, skew);
+        return true;
+      }
+      case 'normal': {
+        const [mean = 0, stdDev = 1] = args;
+        if (!Number.isFinite(mean) || !Number.isFinite(stdDev) || stdDev <= 0) {
+          return invalid$3(
+            'Mean must be finite and standard deviation must be > 0.'
+          );
+        }
+        for (let i = 0; i < n; i += 2) {
+          const [z1, z2] = KDDistributions.standardNormalPair(uniform);
+          out[i] = mean + stdDev * z1;
+          if (i + 1 < n) out[i + 1] = mean + stdDev * z2;
+        }
+        return true;
+      }
+      default:
+        return invalid$3(`Unknown distribution "${method}".`);
+    }
+  },
+};
+
+const version = 1;
+const range = (n) => new Array(n).fill(0).map((x, i) => i);
+const fromShape = (shape) =>
+  shape.map((entry, i) => ({
+    value: entry.table ? new KDLootTable(fromShape(entry.table)) : i,
+    weight: entry.weight,
+    guaranteed: entry.guaranteed,
+  }));
+const replayers = {
+  uniform: (roll) => roll.uniform(),
+  gaussian: (roll, [skew]) => roll.gaussian(skew),
+  int: (roll, [min, max, step]) => roll.int(min, max, step),
+  d: (roll, [sides]) => roll.d(sides),
+  fill: (roll, [type, length, options]) => {
+    const Type = KDBulk.arrays[type];
+    return Type && Array.from(roll.fill(new Type(length), options) || []);
+  },
+  batch: (roll, [n, method, ...args]) =>
+    Array.from(roll.batch(n, method, ...args) || []),
+  random01Closed: (roll, [precision]) => roll.random01Closed(precision),
+  random01Open: (roll, [precision]) => roll.random01Open(precision),
+  randomHalfOpen: (roll, [precision]) => roll.randomHalfOpen(precision),
+  parse: (roll, [notation]) => roll.parse(notation),
+  pick: (roll, [length]) => roll.pick(range(length)),
+  weighted: (roll, [weights]) =>
+    roll.weighted(
+      weights.map((weight, i) => ({
+        value: i,
+        weight,
+      }))
+    ),
+  lootTable: (roll, [shape, count, replace]) => {
+    const indices = [];
+    const source = {
+      random: roll.random,
+      below: (n) => roll.int(0, n - 1),
+      record: (i) => indices.push(i),
+    };
+    new KDLootTable(fromShape(shape)).drawFrom(source, count, { replace });
+    return indices;
+  },
+  shuffle: (roll, [length]) => roll.shuffle(range(length)),
+  sample: (roll, [length, k, replace, iterable]) =>
+    roll.sample(iterable ? new Set(range(length)) : range(length), k, {
+      replace,
+    }),
+  permutation: (roll, [n]) => roll.permutation(n),
+  combination: (roll, [n, k]) => roll.combination(n, k),
+  uid: (roll, [options]) => roll.uid(options),
+  discard: (roll, [n]) => roll.discard(n),
+  normal: (roll, [mean, stdDev]) => roll.normal(mean, stdDev),
+  truncatedNormal: (roll, [mean, stdDev, limits]) =>
+    roll.truncatedNormal(mean, stdDev, limits),
+  exponential: (roll, [rate]) => roll.exponential(rate),
+  poisson: (roll, [lambda]) => roll.poisson(lambda),
+  binomial: (roll, [n, p]) => roll.binomial(n, p),
+  geometric: (roll, [p]) => roll.geometric(p),
+  beta: (roll, [alpha, beta]) => roll.beta(alpha, beta),
+  gamma: (roll, [shape, scale]) => roll.gamma(shape, scale),
+  logNormal: (roll, [mu, sigma]) => roll.logNormal(mu, sigma),
+  weibull: (roll, [shape, scale]) => roll.weibull(shape, scale),
+  triangular: (roll, [min, max, mode]) => roll.triangular(min, max, mode),
+  cauchy: (roll, [location, scale]) => roll.cauchy(location, scale),
+  chiSquare: (roll, [k]) => roll.chiSquare(k),
+  studentT: (roll, [nu]) => roll.studentT(nu),
+};
+const KDAudit = {
+  version,
+  serialize: (value) =>
+    value === undefined ? null : JSON.parse(JSON.stringify(value)),
+  shape: (table) =>
+    table.entries().map((entry) => ({
+      weight: entry.weight === undefined ? 1 : entry.weight,
+      guaranteed: !!entry.guaranteed,
+      table:
+        entry.value instanceof KDLootTable ? KDAudit.shape(entry.value) : null,
+    })),
+  verify: (roll, calls) => {
+    for (let index = 0; index < calls.length; index++) {
+      const { method, args, result } = calls[index];
+      const replay = replayers[method];
+      if (!replay || !Array.isArray(args)) {
+        return {
+          valid: false,
+          replayed: index,
+          error: `Unknown call "${method}" at index ${index}.`,
+        };
+      }
+      const restored = args.map((arg) => (arg === null ? undefined : arg));
+      const actual = KDAudit.serialize(replay(roll, restored));
+      const expected = KDAudit.serialize(result);
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        return {
+          valid: false,
+          replayed: index,
+          divergence: { index, method, args, expected, actual },
+        };
+      }
+    }
+    return { valid: true, replayed: calls.length };
+  },
+};
+
+class KDFair {
+  constructor(options, create) {
+    let { serverSeed, nonce = 0, engine = 'mt19937' } = options;
+    if (
+      serverSeed !== undefined &&
+      (typeof serverSeed !== 'string' || !serverSeed)
+    ) {
+      console.log(new Error('Server seed must be a non-empty string.'));
+      serverSeed = undefined;
+    }
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      console.log(new Error('Nonce must be a non-negative integer.'));
+      nonce = 0;
+    }
+    if (!KDEngines.names.includes(engine) || engine === 'crypto') {
+      console.log(
+        new Error(`Engine "${engine}" can not be used for fair play.`)
+      );
+      engine = 'mt19937';
+    }
+    const secret =
+      serverSeed === undefined ? KDFair.createServerSeed() : serverSeed;
+    const serverSeedHash = KDFair.hash(secret, engine);
+    const games = [];
+    let revealed = false;
+    this.hash = () => serverSeedHash;
+    this.nonce = () => nonce;
+    this.roll = (clientSeed) => {
+      if (revealed) {
+        console.log(
+          new Error('The server seed was revealed. Start a new session.')
+        );
+        return undefined;
+      }
+      if (typeof clientSeed !== 'string') {
+        console.log(new Error('Client seed must be a string.'));
+        return undefined;
+      }
+      const roll = create(KDFair.seed(secret, clientSeed, nonce), engine);
+      games.push({ clientSeed, nonce: nonce++, roll });
+      return roll;
+    };
+    this.reveal = () => {
+      revealed = true;
+      return games.map(({ clientSeed, nonce, roll }) => ({
+        serverSeed: secret,
+        serverSeedHash,
+        engine,
+        clientSeed,
+        nonce,
+        log: roll.exportLog(),
+      }));
+    };
+  }
+  static createServerSeed() {
+    const engine = KDEngines.create('crypto');
+    const bytes = new Uint8Array(32);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 8; i++) view.setUint32(4 * i, engine.nextUint32());
+    return KDSha256.hex(bytes);
+  }
+  static hash(serverSeed, engine = 'mt19937') {
+    return KDSha256.hex(KDSha256.digest(`${engine}:${serverSeed}`));
+  }
+  static seed(serverSeed, clientSeed, nonce) {
+    return KDSha256.words(KDSha256.hmac(serverSeed, `${clientSeed}:${nonce}`));
+  }
+  static check(proof) {
+    if (!proof || typeof proof !== 'object' || !proof.log) {
+      return 'Invalid proof.';
+    }
+    const {
+      serverSeed,
+      serverSeedHash,
+      engine,
+      clientSeed,
+      nonce,
+      log,
+    } = proof;
+    if (
+      typeof serverSeed !== 'string' ||
+      typeof engine !== 'string' ||
+      KDFair.hash(serverSeed, engine) !== serverSeedHash
+    ) {
+      return 'The server seed and engine do not match the hash.';
+    }
+    if (log.engine !== engine) {
+      return 'The log does not use the committed engine.';
+    }
+    if (log.state !== undefined) {
+      return 'The log must start from the seed.';
+    }
+    const seed = KDFair.seed(serverSeed, `${clientSeed}`, nonce);
+    if (JSON.stringify(log.seed) !== JSON.stringify(seed)) {
+      return 'The log was not seeded from the server seed, client seed, and nonce.';
+    }
+    return undefined;
+  }
+}
+
+const compression = 100;
+const bufferSize = 5 * compression;
+const scale$1 = (q) => (compression / (2 * Math.PI)) * Math.asin(2 * q - 1);
+const compress = (points) => {
+  if (!points.length) return [];
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  const total = sorted.reduce((sum, [, weight]) => sum + weight, 0);
+  const centroids = [];
+  let [mean, weight] = sorted[0];
+  let before = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    const [m, w] = sorted[i];
+    const q0 = before / total;
+    const q2 = (before + weight + w) / total;
+    if (scale$1(q2) - scale$1(q0) <= 1) {
+      mean += ((m - mean) * w) / (weight + w);
+      weight += w;
+    } else {
+      centroids.push([mean, weight]);
+      before += weight;
+      [mean, weight] = [m, w];
+    }
+  }
+  centroids.push([mean, weight]);
+  return centroids;
+};
+class KDRunningStats {
+  constructor() {
+    let n = 0;
+    let mean = 0;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let centroids = [];
+    let buffer = [];
+    const flush = () => {
+      if (buffer.length) centroids = compress(centroids.concat(buffer));
+      buffer = [];
+    };
+    const orNaN = (value) => (n ? value : NaN);
+    this.push = (value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      const n1 = n;
+      n++;
+      const delta = value - mean;
+      const dn = delta / n;
+      const dn2 = dn * dn;
+      const term = delta * dn * n1;
+      mean += dn;
+      m4 += term * dn2 * (n * n - 3 * n + 3) + 6 * dn2 * m2 - 4 * dn * m3;
+      m3 += term * dn * (n - 2) - 3 * dn * m2;
+      m2 += term;
+      if (value < min) min = value;
+      if (value > max) max = value;
+      buffer.push([value, 1]);
+      if (buffer.length >= bufferSize) flush();
+    };
+    this.count = () => n;
+    this.mean = () => orNaN(mean);
+    this.variance = () => orNaN(m2 / n);
+    this.stdDev = () => Math.sqrt(this.variance());
+    this.min = () => orNaN(min);
+    this.max = () => orNaN(max);
+    this.skewness = () =>
+      m2 > 0 ? (Math.sqrt(n) * m3) / Math.pow(m2, 1.5) : NaN;
+    this.kurtosis = () => (m2 > 0 ? (n * m4) / (m2 * m2) - 3 : NaN);
+    this.quantile = (p) => {
+      if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+        console.log(new Error('Quantile must be in the range [0,1].'));
+        return NaN;
+      }
+      flush();
+      if (!n) return NaN;
+      if (p === 0) return min;
+      if (p === 1) return max;
+      const target = p * n;
+      let before = 0;
+      for (let i = 0; i < centroids.length; i++) {
+        const [m, w] = centroids[i];
+        const center = before + w / 2;
+        if (target <= center) {
+          if (i === 0) {
+            const t = w > 1 ? target / center : 1;
+            return min + (m - min) * Math.min(1, t);
+          }
+          const [pm, pw] = centroids[i - 1];
+          const previous = before - pw / 2;
+          return pm + ((m - pm) * (target - previous)) / (center - previous);
+        }
+        before += w;
+      }
+      const [m, w] = centroids[centroids.length - 1];
+      if (w <= 1) return m;
+      return max - ((max - m) * (n - target)) / (w / 2);
+    };
+    this.summary = () => ({
+      count: n,
+      mean: this.mean(),
+      variance: this.variance(),
+      stdDev: this.stdDev(),
+      min: this.min(),
+      max: this.max(),
+      skewness: this.skewness(),
+      kurtosis: this.kurtosis(),
+      median: n ? this.quantile(0.5) : NaN,
+    });
+    this.getState = () => {
+      flush();
+      return {
+        count: n,
+        mean,
+        m2,
+        m3,
+        m4,
+        min: orNaN(min),
+        max: orNaN(max),
+        centroids: centroids.map(([m, w]) => [m, w]),
+      };
+    };
+    this.setState = (state) => {
+      const numbers = ['count', 'mean', 'm2', 'm3', 'm4'];
+      if (
+        !state ||
+        typeof state !== 'object' ||
+        !numbers.every((key) => typeof state[key] === 'number') ||
+        !Array.isArray(state.centroids)
+      ) {
+        console.warn('Invalid statistics state. State was not restored.');
+        return false;
+      }
+      ({ count: n, mean, m2, m3, m4 } = state);
+      min = n && typeof state.min === 'number' ? state.min : Infinity;
+      max = n && typeof state.max === 'number' ? state.max : -Infinity;
+      centroids = state.centroids.map(([m, w]) => [m, w]);
+      buffer = [];
+      return true;
+    };
+    this.merge = (other) => {
+      const a = this.getState();
+      const b = other.getState();
+      const count = a.count + b.count;
+      const merged = new KDRunningStats();
+      if (!a.count || !b.count) {
+        merged.setState(a.count ? a : b);
+        return merged;
+      }
+      const [na, nb] = [a.count, b.count];
+      const delta = b.mean - a.mean;
+      const d2 = delta * delta;
+      merged.setState({
+        count,
+        mean: a.mean + (delta * nb) / count,
+        m2: a.m2 + b.m2 + (d2 * na * nb) / count,
+        m3:
+          a.m3 +
+          b.m3 +
+          (d2 * delta * na * nb * (na - nb)) / (count * count) +
+          (3 * delta * (na * b.m2 - nb * a.m2)) / count,
+        m4:
+          a.m4 +
+          b.m4 +
+          (d2 * d2 * na * nb * (na * na - na * nb + nb * nb)) /
+            (count * count * count) +
+          (6 * d2 * (na * na * b.m2 + nb * nb * a.m2)) / (count * count) +
+          (4 * delta * (na * b.m3 - nb * a.m3)) / count,
+        min: Math.min(a.min, b.min),
+        max: Math.max(a.max, b.max),
+        centroids: compress(a.centroids.concat(b.centroids)),
+      });
+      return merged;
+    };
+  }
+}
+
+const TINY = 1e-300;
+const gammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const front = Math.exp(-x + a * Math.log(x) - KDDistributions.logGamma(a));
+  if (x < a + 1) {
+    let ap = a;
+    let term = 1 / a;
+    let sum = term;
+    for (let i = 0; i < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; i++) {
+      term *= x / ++ap;
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * front);
+  }
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, front * h);
+};
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const coefficients = [
+    -1.26551223,
+    1.00002368,
+    0.37409196,
+    0.09678418,
+    -0.18628806,
+    0.27886807,
+    -1.13520398,
+    1.48851587,
+    -0.82215223,
+    0.17087277,
+  ];
+  const poly = coefficients.reduceRight((sum, c) => c + t * sum, 0);
+  const result = t * Math.exp(-z * z + poly);
+  return x >= 0 ? result : 2 - result;
+};
+const chiSquareP = (statistic, df) => gammaQ(df / 2, statistic / 2);
+const normalCdf = (x) => 0.5 * erfc(-x / Math.SQRT2);
+const twoSided = (z) => erfc(Math.abs(z) / Math.SQRT2);
+const kolmogorov = (lambda) => {
+  const a = -2 * lambda * lambda;
+  let sign = 2;
+  let sum = 0;
+  let previous = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = sign * Math.exp(a * j * j);
+    sum += term;
+    if (Math.abs(term) <= 1e-3 * previous || Math.abs(term) <= 1e-8 * sum) {
+      return Math.min(1, Math.max(0, sum));
+    }
+    sign = -sign;
+    previous = Math.abs(term);
+  }
+  return 1;
+};
+const pearson = (observed, expected) =>
+  observed.reduce(
+    (sum, o, i) => sum + Math.pow(o - expected[i], 2) / expected[i],
+    0
+  );
+const pool = (observed, expected) => {
+  const o = [...observed];
+  const e = [...expected];
+  while (e.length > 2 && e[0] < 5) {
+    e[1] += e.shift();
+    o[1] += o.shift();
+  }
+  while (e.length > 2 && e[e.length - 1] < 5) {
+    e[e.length - 2] += e.pop();
+    o[o.length - 2] += o.pop();
+  }
+  return { observed: o, expected: e };
+};
+const generator = (source) => {
+  if (typeof source === 'string') {
+    if (!KDEngines.names.includes(source)) return undefined;
+    source = KDEngines.create(source);
+  }
+  if (KDEngines.isEngine(source)) {
+    const engine = source;
+    return {
+      random: () => KDEngines.random(engine),
+      int: (min, max) => min + KDEngines.below(engine, max - min + 1),
+    };
+  }
+  if (source && typeof source.random === 'function') {
+    return source;
+  }
+  return undefined;
+};
+const below = (g, n) =>
+  g.int ? g.int(0, n - 1) : Math.min(Math.floor(g.random() * n), n - 1);
+const valid = (n, alpha, min) =>
+  Number.isSafeInteger(n) && n >= min && alpha > 0 && alpha < 1;
+const result = (test, alpha, n, statistic, pValue, df) => {
+  const r = {
+    test,
+    statistic,
+    pValue,
+    pass: pValue >= alpha,
+    alpha,
+    n,
+  };
+  if (df !== undefined) r.df = df;
+  return r;
+};
+const invalid$4 = (test, alpha, n) => {
+  console.log(new Error(`Invalid source or options for the ${test} test.`));
+  return result(test, alpha, n, NaN, NaN);
+};
+const KDTest = {
+  chiSquare: (source, options = {}) => {
+    const { sides = 6, alpha = 0.01 } = options;
+    const { n = 100 * sides } = options;
+    const g = generator(source);
+    if (!g || !valid(n, alpha, 1) || !Number.isSafeInteger(sides) || sides < 2)
+      return invalid$4('chiSquare', alpha, n);
+    const d = g.d || ((s) => below(g, s) + 1);
+    const observed = new Array(sides).fill(0);
+    let i = n;
+    while (i--) {
+      const face = d(sides);
+      if (face >= 1 && face <= sides) observed[Math.round(face) - 1]++;
+    }
+    const expected = observed.map(() => n / sides);
+    const statistic = pearson(observed, expected);
+    const df = sides - 1;
+    return result(
+      'chiSquare',
+      alpha,
+      n,
+      statistic,
+      chiSquareP(statistic, df),
+      df
+    );
+  },
+  ks: (source, options = {}) => {
+    const { n = 1000, alpha = 0.01, distribution = 'uniform' } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      (distribution !== 'uniform' && distribution !== 'normal')
+    ) {
+      return invalid$4('ks', alpha, n);
+    }
+    const normal = distribution === 'normal';
+    const gaussian = g.normal;
+    const draw = !normal
+      ? g.random
+      : gaussian
+      ? () => gaussian(0, 1)
+      : () => KDDistributions.standardNormal(g);
+    const cdf = normal ? normalCdf : (x) => Math.min(1, Math.max(0, x));
+    const values = new Array(n)
+      .fill(0)
+      .map(() => draw())
+      .sort((a, b) => a - b);
+    let statistic = 0;
+    values.forEach((x, i) => {
+      const f = cdf(x);
+      statistic = Math.max(statistic, (i + 1) / n - f, f - i / n);
+    });
+    const root = Math.sqrt(n);
+    const pValue = kolmogorov((root + 0.12 + 0.11 / root) * statistic);
+    return result('ks', alpha, n, statistic, pValue);
+  },
+  runs: (source, options = {}) => {
+    const { n = 1000, alpha = 0.01 } = options;
+    const g = generator(source);
+    if (!g || !valid(n, alpha, 2)) return invalid$4('runs', alpha, n);
+    let above = 0;
+    let below = 0;
+    let runs = 0;
+    let previous;
+    let i = n;
+    while (i--) {
+      const x = g.random();
+      if (x === 0.5) continue;
+      const high = x > 0.5;
+      if (high) above++;
+      else below++;
+      if (high !== previous) runs++;
+      previous = high;
+    }
+    const total = above + below;
+    const mean = (2 * above * below) / total + 1;
+    const variance = ((mean - 1) * (mean - 2)) / (total - 1);
+    if (!(variance > 0)) return result('runs', alpha, n, NaN, 0);
+    const z = (runs - mean) / Math.sqrt(variance);
+    return result('runs', alpha, n, z, twoSided(z));
+  },
+  serialCorrelation: (source, options = {}) => {
+    const { n = 1000, alpha = 0.01, lag = 1 } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 3) ||
+      !Number.isSafeInteger(lag) ||
+      lag < 1 ||
+      lag > n - 2
+    ) {
+      return invalid$4('serialCorrelation', alpha, n);
+    }
+    const values = new Array(n).fill(0).map(() => g.random());
+    const mean = values.reduce((sum, x) => sum + x, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((x, i) => {
+      denominator += Math.pow(x - mean, 2);
+      if (i + lag < n) numerator += (x - mean) * (values[i + lag] - mean);
+    });
+    const r = denominator ? numerator / denominator : 1;
+    const z = (r + 1 / n) * Math.sqrt(n);
+    return result('serialCorrelation', alpha, n, r, twoSided(z));
+  },
+  gap: (source, options = {}) => {
+    const { n = 1000, alpha = 0.01, range = [0, 0.5], maxGap = 5 } = options;
+    const g = generator(source);
+    const [lo, hi] = Array.isArray(range) ? range : [NaN, NaN];
+    const p = hi - lo;
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      !(lo >= 0 && hi <= 1 && p > 0 && p < 1) ||
+      !Number.isSafeInteger(maxGap) ||
+      maxGap < 1
+    ) {
+      return invalid$4('gap', alpha, n);
+    }
+    const observed = new Array(maxGap + 1).fill(0);
+    let gaps = 0;
+    let length = 0;
+    while (gaps < n) {
+      const x = g.random();
+      if (x >= lo && x < hi) {
+        observed[Math.min(length, maxGap)]++;
+        gaps++;
+        length = 0;
+      } else length++;
+    }
+    const expected = observed.map((o, r) =>
+      r < maxGap ? n * p * Math.pow(1 - p, r) : n * Math.pow(1 - p, maxGap)
+    );
+    const pooled = pool(observed, expected);
+    const statistic = pearson(pooled.observed, pooled.expected);
+    const df = pooled.observed.length - 1;
+    return result('gap', alpha, n, statistic, chiSquareP(statistic, df), df);
+  },
+  poker: (source, options = {}) => {
+    const { n = 1000, alpha = 0.01, cards = 5, digits = 10 } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      !Number.isSafeInteger(cards) ||
+      !Number.isSafeInteger(digits) ||
+      cards < 2 ||
+      digits < 2
+    ) {
+      return invalid$4('poker', alpha, n);
+    }
+    const observed = new Array(cards).fill(0);
+    let i = n;
+    while (i--) {
+      const hand = new Set();
+      for (let c = 0; c < cards; c++) {
+        hand.add(below(g, digits));
+      }
+      observed[hand.size - 1]++;
+    }
+    let stirling = [1];
+    for (let k = 1; k <= cards; k++) {
+      const next = new Array(k + 1).fill(0);
+      for (let r = 1; r <= k; r++) {
+        next[r] = r * (stirling[r] || 0) + (stirling[r - 1] || 0);
+      }
+      stirling = next;
+    }
+    const expected = observed.map((o, index) => {
+      const r = index + 1;
+      let falling = 1;
+      for (let j = 0; j < r; j++) falling *= (digits - j) / digits;
+      return (n * falling * stirling[r]) / Math.pow(digits, cards - r);
+    });
+    const possible = Math.min(cards, digits);
+    const pooled = pool(
+      observed.slice(0, possible),
+      expected.slice(0, possible)
+    );
+    const statistic = pearson(pooled.observed, pooled.expected);
+    const df = pooled.observed.length - 1;
+    return result('poker', alpha, n, statistic, chiSquareP(statistic, df), df);
+  },
+  all: (source, options = {}) => {
+    const { alpha } = options;
+    const results = [
+      KDTest.chiSquare(source, { alpha }),
+      KDTest.ks(source, { alpha }),
+      KDTest.ks(source, { alpha, distribution: 'normal' }),
+      KDTest.runs(source, { alpha }),
+      KDTest.serialCorrelation(source, { alpha }),
+      KDTest.gap(source, { alpha }),
+      KDTest.poker(source, { alpha }),
+    ];
+    return { pass: results.every((r) => r.pass), results };
+  },
+};
+
+const probit = (p) => {
+  const a = [
+    -39.69683028665376,
+    220.9460984245205,
+    -275.9285104469687,
+    138.357751867269,
+    -30.66479806614716,
+    2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406,
+    161.5858368580409,
+    -155.6989798598866,
+    66.80131188771972,
+    -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293,
+    -0.3223964580411365,
+    -2.400758277161838,
+    -2.549732539343734,
+    4.374664141464968,
+    2.938163982698783,
+  ];
+  const d = [
+    0.007784695709041462,
+    0.3224671290700398,
+    2.445134137142996,
+    3.754408661907416,
+  ];
+  const poly = (coefficients, x) =>
+    coefficients.reduce((sum, k) => sum * x + k, 0);
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return poly(c, q) / (poly(d, q) * q + 1);
+  }
+  if (p > 1 - low) return -probit(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (poly(a, r) * q) / (poly(b, r) * r + 1);
+};
+const checkpoint = (k) =>
+  [1, 2, 5][k % 3] * Math.pow(10, 1 + Math.floor(k / 3));
+const KDSimulation = {
+  run: (trial, options = {}) => {
+    const {
+      trials = 1000,
+      confidence = 0.95,
+      precision,
+      minTrials = 100,
+    } = options;
+    if (
+      !Number.isSafeInteger(trials) ||
+      trials < 1 ||
+      !(confidence > 0 && confidence < 1) ||
+      (precision !== undefined && !(precision >= 0)) ||
+      !Number.isSafeInteger(minTrials) ||
+      minTrials < 2
+    ) {
+      console.log(new Error('Invalid simulation options.'));
+      return undefined;
+    }
+    const z = probit((1 + confidence) / 2);
+    const values = [];
+    const convergence = [];
+    let mean = 0;
+    let m2 = 0;
+    let next = 0;
+    let converged = false;
+    const margin = () => {
+      const n = values.length;
+      return n > 1 ? z * Math.sqrt(m2 / (n - 1) / n) : NaN;
+    };
+    for (let i = 0; i < trials; i++) {
+      let value = trial(i);
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        console.log(
+          new Error('Trials must return a finite number or a boolean.')
+        );
+        return undefined;
+      }
+      values.push(value);
+      const n = values.length;
+      const delta = value - mean;
+      mean += delta / n;
+      m2 += delta * (value - mean);
+      if (n === checkpoint(next)) {
+        convergence.push({ trials: n, mean, margin: margin() });
+        next++;
+      }
+      if (precision !== undefined && n >= minTrials && margin() <= precision) {
+        converged = true;
+        break;
+      }
+    }
+    const n = values.length;
+    const last = convergence[convergence.length - 1];
+    if (!last || last.trials !== n) {
+      convergence.push({ trials: n, mean, margin: margin() });
+    }
+    const stats = KDElemstats.describe(values);
+    const error = margin();
+    return {
+      trials: n,
+      values,
+      stats,
+      mean: stats.mean,
+      standardError: error / z,
+      margin: error,
+      interval: [stats.mean - error, stats.mean + error],
+      confidence,
+      converged,
+      convergence,
+    };
+  },
+};
+
+const fix$1 = KDNumber.floatingPointFix;
+const maxBins = 1000;
+const label = (x) => `${Number(x.toPrecision(6))}`;
+const relative = (counts, total) =>
+  counts.map((count) => (total ? fix$1(count / total) : 0));
+const chart = (labels, counts) => ({
+  labels,
+  datasets: [{ label: 'Count', data: [...counts] }],
+});
+const KDHistogram = {
+  maxBins,
+  sturges: (arr) => (arr.length > 1 ? Math.ceil(Math.log2(arr.length)) + 1 : 1),
+  freedmanDiaconis: (arr) => (2 * KDElemstats.iqr(arr)) / Math.cbrt(arr.length),
+  histogram: (arr, options = {}) => {
+    const { bins = 'auto', range } = options;
+    const empty = Object.assign(Object.assign({}, chart([], [])), {
+      edges: [],
+      counts: [],
+      frequencies: [],
+    });
+    const finite = arr.filter((x) => Number.isFinite(x));
+    let [lo, hi] = range || [KDElemstats.min(finite), KDElemstats.max(finite)];
+    if (
+      !Number.isFinite(lo) ||
+      !Number.isFinite(hi) ||
+      lo > hi ||
+      (typeof bins === 'number' &&
+        !(Number.isInteger(bins) && bins > 0 && bins <= maxBins))
+    ) {
+      if (range || typeof bins === 'number') {
+        console.log(new Error('Invalid histogram range or bins.'));
+      }
+      return Object.assign(Object.assign({}, empty), { total: 0 });
+    }
+    const values = finite.filter((x) => x >= lo && x <= hi);
+    let count = 0;
+    let integer = bins === 'integer';
+    if (typeof bins === 'number') count = bins;
+    else if (bins === 'sturges') count = KDHistogram.sturges(values);
+    else if (!integer) {
+      const width = KDHistogram.freedmanDiaconis(values);
+      let fd = width > 0 ? Math.ceil((hi - lo) / width) : 0;
+      if (fd > maxBins) fd = 0;
+      count = Math.max(fd, KDHistogram.sturges(values));
+      if (bins === 'freedman-diaconis' && fd) count = fd;
+      integer =
+        bins === 'auto' &&
+        (hi - lo) / count < 1 &&
+        values.every((x) => Number.isInteger(x));
+    }
+    if (integer) {
+      lo = Math.ceil(lo);
+      hi = Math.floor(hi);
+      if (lo > hi) return Object.assign(Object.assign({}, empty), { total: 0 });
+      count = hi - lo + 1;
+      if (count > maxBins) {
+        console.log(new Error(`Can not make more than ${maxBins} bins.`));
+        return Object.assign(Object.assign({}, empty), { total: 0 });
+      }
+      const counts = new Array(count).fill(0);
+      values.forEach((x) => {
+        if (Number.isInteger(x)) counts[x - lo]++;
+      });
+      const total = counts.reduce((sum, c) => sum + c, 0);
+      const labels = counts.map((c, i) => label(lo + i));
+      return Object.assign(Object.assign({}, chart(labels, counts)), {
+        edges: new Array(count + 1).fill(0).map((x, i) => lo + i - 0.5),
+        counts,
+        frequencies: relative(counts, total),
+        total,
+      });
+    }
+    if (lo === hi) [lo, hi] = [lo - 0.5, hi + 0.5];
+    const width = (hi - lo) / count;
+    const edges = new Array(count + 1)
+      .fill(0)
+      .map((x, i) => (i === count ? hi : fix$1(lo + i * width)));
+    const counts = new Array(count).fill(0);
+    values.forEach((x) => {
+      let i = Math.min(count - 1, Math.floor((x - lo) / width));
+      while (i > 0 && x < edges[i]) i--;
+      while (i < count - 1 && x >= edges[i + 1]) i++;
+      counts[i]++;
+    });
+    const labels = counts.map(
+      (c, i) =>
+        `[${label(edges[i])}, ${label(edges[i + 1])}${
+          i === count - 1 ? ']' : ')'
+        }`
+    );
+    return Object.assign(Object.assign({}, chart(labels, counts)), {
+      edges,
+      counts,
+      frequencies: relative(counts, values.length),
+      total: values.length,
+    });
+  },
+  frequencies: (arr, include = []) => {
+    const counts = new Map();
+    include.forEach((x) => counts.set(x, 0));
+    arr.forEach((x) => {
+      if (!Number.isNaN(x)) counts.set(x, (counts.get(x) || 0) + 1);
+    });
+    const values = Array.from(counts.keys()).sort((a, b) => a - b);
+    const ordered = values.map((x) => counts.get(x));
+    const total = ordered.reduce((sum, c) => sum + c, 0);
+    return Object.assign(Object.assign({}, chart(values.map(label), ordered)), {
+      values,
+      counts: ordered,
+      frequencies: relative(ordered, total),
+      total,
+    });
+  },
+};
+
+const range$1 = (n) => new Array(n).fill(0).map((x, i) => i);
+const trim = (args) => {
+  const trimmed = [...args];
+  while (trimmed.length && trimmed[trimmed.length - 1] === undefined) {
+    trimmed.pop();
+  }
+  return trimmed;
+};
+class KDRoll {
+  constructor(seed, options = {}) {
+    let engine = KDRoll.createEngine(options.engine, KDSeed.key(seed));
+    let input = seed;
+    let spare = null;
+    const raw = !!options.raw;
+    const uniform = {
+      random: () => (raw ? KDEngines.real(engine) : KDEngines.random(engine)),
+      below: (n) => KDEngines.below(engine, n),
+      normal: () => {
+        if (spare !== null) {
+          const z = spare;
+          spare = null;
+          return z;
+        }
+        const [z, next] = KDDistributions.standardNormalPair(uniform);
+        spare = next;
+        return z;
+      },
+    };
+    let forks = 0;
+    let entropy;
+    let history = new KDHistory();
+    let stats = new Map();
+    const events = new KDEmitter();
+    let session = options.audit ? { seed: engine.seed(), calls: [] } : null;
+    const audit = (method, args, result) => {
+      if (!session) return;
+      session.calls.push({
+        method,
+        args: KDAudit.serialize(trim(args)),
+        result: KDAudit.serialize(result),
+      });
+    };
+    const copy = (entry) =>
+      Object.assign(Object.assign({}, entry), { args: [...entry.args] });
+    let sequence = 0;
+    const tally = (method, sides) => {
+      const key = `${method}:${sides}`;
+      if (!stats.has(key)) {
+        stats.set(key, { method, sides, stats: new KDRunningStats() });
+      }
+      return stats.get(key).stats;
+    };
+    const record = (method, args, result, sides) => {
+      const entry = {
+        method,
+        args: trim(args),
+        result,
+        index: sequence++,
+        time: Date.now(),
+      };
+      if (sides !== undefined) entry.sides = sides;
+      const dropped = history.length >= history.max() ? history[0] : undefined;
+      history.push(entry);
+      tally(method, sides).push(result);
+      if (events.listening('roll')) events.emit('roll', copy(entry));
+      if (dropped && events.listening('historyOverflow')) {
+        const maxHistory = history.max();
+        events.emit('historyOverflow', { entry: copy(dropped), maxHistory });
+      }
+    };
+    const selector = (method, args = []) => ({
+      random: uniform.random,
+      below: uniform.below,
+      record: (index) => record(method, args, index),
+    });
+    const _private = {
+      seed: (seed) => {
+        if (seed !== undefined) {
+          this.clearHistory();
+          engine.seed(KDSeed.key(seed));
+          input = seed;
+          spare = null;
+          forks = 0;
+          sequence = 0;
+          if (session) session = { seed: engine.seed(), calls: [] };
+          events.emit('seed', { seed: engine.seed() });
+        }
+        return engine.seed();
+      },
+      seedInfo: () => {
+        const key = engine.seed();
+        const given = input === undefined ? key : input;
+        return { input: given, key, code: KDSeed.encode(key) };
+      },
+      engine: () => engine.name,
+      simulate: (fn, options = {}) => {
+        if (typeof fn !== 'function') {
+          console.log(new Error('Simulations need a trial function.'));
+          return undefined;
+        }
+        const { seed } = options;
+        const runner =
+          seed === undefined
+            ? this.fork()
+            : new KDRoll(seed, { engine: _private.childEngine(), raw });
+        const base = runner.seed();
+        return KDSimulation.run((trial) => {
+          runner.seed(KDEngines.derive(base, trial));
+          return fn(runner, trial);
+        }, options);
+      },
+      childEngine: () =>
+        KDEngines.names.includes(engine.name) ? engine.name : 'mt19937',
+      child: (label) => {
+        const name = _private.childEngine();
+        if (name === 'crypto') {
+          return new KDRoll(undefined, { engine: name, raw });
+        }
+        const seed = KDEngines.derive(engine.seed(), label);
+        return new KDRoll(seed, { engine: name, raw });
+      },
+      history: (filter) => history.select(filter).map((entry) => entry.result),
+      historyEntries: (filter) => history.select(filter).map(copy),
+      maxHistory: (size) => history.max(size),
+      clearHistory: () => {
+        const cleared = history;
+        history = new KDHistory();
+        history.max(cleared.max());
+        stats = new Map();
+        if (events.listening('clearHistory')) {
+          events.emit('clearHistory', { entries: cleared.select().map(copy) });
+        }
+      },
+      running: (filter) =>
+        Array.from(stats.values())
+          .filter(({ method, sides }) =>
+            KDHistory.matches({ method, sides }, filter)
+          )
+          .reduce((all, group) => all.merge(group.stats), new KDRunningStats()),
+      stream: (filter) =>
+        events.stream('roll', (entry) => KDHistory.matches(entry, filter)),
+      getState: (options) => {
+        const state = {
+          engine: engine.name,
+          generator: engine.getState(),
+          normal: spare,
+          sequence,
+        };
+        if (options && options.history) {
+          state.history = this.historyEntries();
+          state.maxHistory = history.max();
+          state.stats = Array.from(stats.values()).map((group) => ({
+            method: group.method,
+            sides: group.sides,
+            state: group.stats.getState(),
+          }));
+        }
+        return state;
+      },
+      setState: (state) => {
+        let s;
+        try {
+          s = typeof state === 'string' ? JSON.parse(state) : state;
+        } catch (_a) {
+          console.warn('Unable to parse state JSON. State was not restored.');
+          return false;
+        }
+        if (!s || typeof s !== 'object') {
+          console.warn('Invalid state. State was not restored.');
+          return false;
+        }
+        const name = s.engine || engine.name;
+        const target =
+          name === engine.name ? engine : KDEngines.create(name, 0);
+        if (!target) {
+          console.warn(`Unknown engine "${name}". State was not restored.`);
+          return false;
+        }
+        if (!target.setState(s.generator)) return false;
+        engine = target;
+        input = undefined;
+        spare = typeof s.normal === 'number' ? s.normal : null;
+        this.clearHistory();
+        sequence = typeof s.sequence === 'number' ? s.sequence : 0;
+        if (s.maxHistory !== undefined) history.max(s.maxHistory);
+        if (Array.isArray(s.history)) {
+          s.history.forEach((entry) => history.push(copy(entry)));
+        }
+        if (Array.isArray(s.stats)) {
+          s.stats.forEach(({ method, sides, state }) => {
+            const restored = new KDRunningStats();
+            if (!restored.setState(state)) return;
+            stats.set(`${method}:${sides}`, { method, sides, stats: restored });
+          });
+        }
+        if (session) {
+          const start = KDAudit.serialize(this.getState());
+          session = { seed: engine.seed(), state: start, calls: [] };
+        }
+        return true;
+      },
+      exportLog: () => {
+        if (!session) {
+          console.log(
+            new Error(
+              'Auditing is off. Use `new KDRoll(seed, { audit: true })`.'
+            )
+          );
+          return undefined;
+        }
+        return KDAudit.serialize({
+          version: KDAudit.version,
+          engine: engine.name,
+          raw: raw || undefined,
+          seed: session.seed,
+          state: session.state,
+          calls: session.calls,
+        });
+      },
+      discard: (n) => {
+        if (KDEngines.jump(engine, n, raw)) audit('discard', [n], null);
+      },
+      uniform: () => {
+        const rand = uniform.random();
+        record('uniform', [], rand);
+        audit('uniform', [], rand);
+        return rand;
+      },
+      gaussian: (skew) => {
+        const rand = KDGaussian(uniform, skew);
+        record('gaussian', [skew], rand);
+        audit('gaussian', [skew], rand);
+        return rand;
+      },
+      sample: (method, ...args) => {
+        const distribution = KDDistributions[method];
+        const rand = distribution(uniform, ...args);
+        if (!Number.isNaN(rand)) {
+          record(method, args, rand);
+          audit(method, args, rand);
+        }
+        return rand;
+      },
+      real: (method, interval, precision) => {
+        if (
+          precision !== undefined &&
+          !['double', 'single'].includes(precision)
+        ) {
+          console.log(new Error("Precision must be 'double' or 'single'."));
+          return NaN;
+        }
+        const rand = KDEngines.real(engine, interval, precision);
+        record(method, [precision], rand);
+        audit(method, [precision], rand);
+        return rand;
+      },
+      bulk: (out, options = {}) => {
+        if (!KDBulk.isArray(out)) {
+          console.log(new Error('Only typed arrays of numbers can be filled.'));
+          return false;
+        }
+        const float =
+          out instanceof Float64Array || out instanceof Float32Array;
+        const {
+          distribution = float ? 'uniform' : 'uint32',
+          args = [],
+          history: mode = 'summary',
+        } = options;
+        if (!['full', 'summary', 'none'].includes(mode)) {
+          console.log(new Error(`Unknown history option "${mode}".`));
+          return false;
+        }
+        const words = KDEngines.buffered(engine);
+        if (!KDBulk.fill(words, out, distribution, args)) return false;
+        const sides = distribution === 'd' ? args[0] : undefined;
+        if (mode === 'full') {
+          out.forEach((x) => record(distribution, args, x, sides));
+        } else if (mode === 'summary') {
+          const running = tally(distribution, sides);
+          out.forEach((x) => running.push(x));
+          sequence += out.length;
+        }
+        return true;
+      },
+      fill: (array, options) => {
+        if (!_private.bulk(array, options)) return undefined;
+        const type = array.constructor.name;
+        audit('fill', [type, array.length, options], Array.from(array));
+        return array;
+      },
+      batch: (n, method = 'uniform', ...args) => {
+        if (!Number.isSafeInteger(n) || n < 0) {
+          console.log(new Error('Batch size must be a non-negative integer.'));
+          return undefined;
+        }
+        const out =
+          method === 'uint32' ? new Uint32Array(n) : new Float64Array(n);
+        if (!_private.bulk(out, { distribution: method, args })) {
+          return undefined;
+        }
+        audit('batch', [n, method, ...args], Array.from(out));
+        return out;
+      },
+      int: (min, max, step = 1) => {
+        const count = KDBulk.count(min, max, step);
+        if (Number.isNaN(count)) {
+          console.log(new Error('Invalid integer range.'));
+          return NaN;
+        }
+        const num = min + step * KDEngines.below(engine, count);
+        record('int', [min, max, step], num);
+        audit('int', [min, max, step], num);
+        return num;
+      },
+      die: (sides) => 1 + KDEngines.below(engine, Math.trunc(sides)),
+      d: (sides) => {
+        const num = typeof sides === 'number' ? _private.die(sides) : NaN;
+        if (Number.isNaN(num)) {
+          console.log(new Error('Sides must be a number of at least 1.'));
+          return NaN;
+        }
+        record('d', [sides], num, sides);
+        audit('d', [sides], num);
+        return num;
+      },
+      parse: (notation) => {
+        try {
+          const tree = KDDice.parse(notation);
+          const result = KDDice.evaluate(tree, _private.die, notation);
+          result.groups.forEach((group) =>
+            group.dice.forEach((die) =>
+              (die.rolls || [die.value]).forEach((value) =>
+                record('parse', [notation], value, group.sides)
+              )
+            )
+          );
+          audit('parse', [notation], result);
+          return result;
+        } catch (error) {
+          console.log(error);
+          const result = { notation, total: NaN, groups: [] };
+          audit('parse', [notation], result);
+          return result;
+        }
+      },
+      pick: (array) => {
+        if (!Array.isArray(array) || !array.length) {
+          console.log(new Error('Can not pick from an empty array.'));
+          return undefined;
+        }
+        const index = uniform.below(array.length);
+        record('pick', [array.length], index);
+        audit('pick', [array.length], index);
+        return array[index];
+      },
+      weighted: (entries) => {
+        const choices = (Array.isArray(entries)
+          ? entries
+          : []
+        ).map(({ value, weight }) => ({ value, weight }));
+        if (!choices.some((choice) => choice.weight > 0)) {
+          console.log(new Error('At least one weight must be > 0.'));
+          return undefined;
+        }
+        const source = selector('weighted', [choices.length]);
+        const indexed = choices.map(({ weight }, i) => ({ value: i, weight }));
+        const index = new KDLootTable(indexed, source).draw(1)[0];
+        if (index === undefined) return undefined;
+        const weights = choices.map(({ weight }) => weight);
+        audit('weighted', [weights], index);
+        return choices[index].value;
+      },
+      lootTable: (entries) => {
+        let shape;
+        const source = Object.assign(Object.assign({}, selector('lootTable')), {
+          drawn: (indices, count, options) => {
+            if (!session) return;
+            shape = shape || KDAudit.shape(table);
+            audit('lootTable', [shape, count, options.replace], indices);
+          },
+        });
+        const table = new KDLootTable(entries, source);
+        return table;
+      },
+      shuffle: (array, inPlace = false) => {
+        if (!Array.isArray(array)) {
+          console.log(new Error('Can only shuffle an array.'));
+          return [];
+        }
+        const order = KDSampling.shuffle(uniform, range$1(array.length));
+        audit('shuffle', [array.length], order);
+        const shuffled = order.map((j) => array[j]);
+        if (!inPlace) return shuffled;
+        shuffled.forEach((item, i) => (array[i] = item));
+        return array;
+      },
+      sampleFrom: (collection, k, options = {}) => {
+        const replace = !!options.replace;
+        const fromArray = (array, iterable) => {
+          const n = array.length;
+          const picked = KDSampling.sample(uniform, range$1(n), k, replace);
+          audit('sample', [n, k, replace, iterable], picked);
+          return picked.map((i) => array[i]);
+        };
+        if (Array.isArray(collection)) return fromArray(collection, false);
+        if (collection === null || typeof collection !== 'object') {
+          console.log(new Error('Can only sample an iterable.'));
+          return [];
+        }
+        if (replace) return fromArray(Array.from(collection), true);
+        let length = 0;
+        const indexed = function* () {
+          for (const item of collection) yield [length++, item];
+        };
+        const picked = KDSampling.reservoir(uniform, indexed(), k);
+        audit(
+          'sample',
+          [length, k, false, true],
+          picked.map(([i]) => i)
+        );
+        return picked.map(([, item]) => item);
+      },
+      permutation: (n) => {
+        const result = KDSampling.permutation(uniform, n);
+        audit('permutation', [n], result);
+        return result;
+      },
+      combination: (n, k) => {
+        const result = KDSampling.combination(uniform, n, k);
+        audit('combination', [n, k], result);
+        return result;
+      },
+      uid: (options = {}) => {
+        const source = options.source === undefined ? 'seeded' : options.source;
+        if (source === 'crypto') {
+          const secure = entropy || KDEngines.create('crypto');
+          entropy = secure;
+          return KDUid.create(() => secure.nextUint32(), options);
+        }
+        if (source !== 'seeded') {
+          console.log(new Error(`Unknown ID source "${source}".`));
+          return '';
+        }
+        const resolved = Object.assign({}, options);
+        if (resolved.format === 'v7' && resolved.time === undefined) {
+          resolved.time = Date.now();
+        }
+        const id = KDUid.create(() => engine.nextUint32(), resolved);
+        audit('uid', [resolved], id);
+        return id;
+      },
+      values: (arr) => (Array.isArray(arr) ? arr : this.history(arr)),
+      sides: (filter) => {
+        const entries = history.select(filter);
+        const sides = entries.length ? entries[0].sides : undefined;
+        if (sides === undefined || !Number.isInteger(sides)) return undefined;
+        const faces = entries.every(
+          ({ sides: s, result }) =>
+            s === sides &&
+            Number.isInteger(result) &&
+            result >= 1 &&
+            result <= sides
+        );
+        return faces ? sides : undefined;
+      },
+      histogram: (options = {}, arr) => {
+        if (Array.isArray(arr)) return KDHistogram.histogram(arr, options);
+        const sides = _private.sides(arr);
+        const faces =
+          sides && sides <= KDHistogram.maxBins
+            ? { bins: 'integer', range: [1, sides] }
+            : {};
+        return KDHistogram.histogram(
+          this.history(arr),
+          Object.assign(Object.assign({}, faces), options)
+        );
+      },
+      frequencies: (arr) => {
+        if (Array.isArray(arr)) return KDHistogram.frequencies(arr);
+        const sides = _private.sides(arr) || 0;
+        const faces = new Array(sides).fill(0).map((x, i) => i + 1);
+        return KDHistogram.frequencies(this.history(arr), faces);
+      },
+      mean: (arr) => {
+        return KDElemstats.mean(_private.values(arr));
+      },
+      median: (arr) => {
+        return KDElemstats.median(_private.values(arr));
+      },
+      modes: (arr) => {
+        return KDElemstats.modes(_private.values(arr));
+      },
+      stdDev: (arr, options) => {
+        return KDElemstats.stdDev(_private.values(arr), options);
+      },
+    };
+    this.seed = (seed) => _private.seed(seed);
+    this.seedInfo = () => _private.seedInfo();
+    this.on = (event, listener) => events.on(event, listener);
+    this.off = (event, listener) => events.off(event, listener);
+    this.stream = (filter) => _private.stream(filter);
+    this.split = (label) => _private.child(`${label}`);
+    this.fork = () => _private.child(forks++);
+    this.simulate = (fn, options) => _private.simulate(fn, options);
+    this.engine = () => _private.engine();
+    this.history = (filter) => _private.history(filter);
+    this.historyEntries = (filter) => _private.historyEntries(filter);
+    this.maxHistory = (size) => _private.maxHistory(size);
+    this.clearHistory = () => _private.clearHistory();
+    this.stats = (filter) => _private.running(filter).summary();
+    this.quantile = (p, filter) => _private.running(filter).quantile(p);
+    this.exportLog = () => _private.exportLog();
+    this.getState = (options) => _private.getState(options);
+    this.setState = (state) => _private.setState(state);
+    this.discard = (n) => _private.discard(n);
+    this.uniform = () => _private.uniform();
+    this.gaussian = (skew) => _private.gaussian(skew);
+    this.int = (min, max, step) => _private.int(min, max, step);
+    this.d = (sides) => _private.d(sides);
+    this.parse = (notation) => _private.parse(notation);
+    this.random = () => _private.uniform();
+    this.random01Closed = (precision) =>
+      _private.real('random01Closed', '[0,1]', precision);
+    this.random01Open = (precision) =>
+      _private.real('random01Open', '(0,1)', precision);
+    this.randomHalfOpen = (precision) =>
+      _private.real('randomHalfOpen', '[0,1)', precision);
+    this.fill = (array, options) => _private.fill(array, options);
+    this.batch = (n, method, ...args) => _private.batch(n, method, ...args);
+    this.pick = (array) => _private.pick(array);
+    this.weighted = (entries) => _private.weighted(entries);
+    this.lootTable = (entries) => _private.lootTable(entries);
+    this.shuffle = (array, inPlace) => _private.shuffle(array, inPlace);
+    this.sample = (collection, k, options) =>
+      _private.sampleFrom(collection, k, options);
+    this.permutation = (n) => _private.permutation(n);
+    this.combination = (n, k) => _private.combination(n, k);
+    this.uid = (options) => _private.uid(options);
+    const sample = _private.sample;
+    this.normal = (mean, stdDev) => sample('normal', mean, stdDev);
+    this.truncatedNormal = (mean, stdDev, range) =>
+      sample('truncatedNormal', mean, stdDev, range);
+    this.exponential = (rate) => sample('exponential', rate);
+    this.poisson = (lambda) => sample('poisson', lambda);
+    this.binomial = (n, p) => sample('binomial', n, p);
+    this.geometric = (p) => sample('geometric', p);
+    this.beta = (alpha, beta) => sample('beta', alpha, beta);
+    this.gamma = (shape, scale) => sample('gamma', shape, scale);
+    this.logNormal = (mu, sigma) => sample('logNormal', mu, sigma);
+    this.weibull = (shape, scale) => sample('weibull', shape, scale);
+    this.triangular = (min, max, mode) => sample('triangular', min, max, mode);
+    this.cauchy = (location, scale) => sample('cauchy', location, scale);
+    this.chiSquare = (k) => sample('chiSquare', k);
+    this.studentT = (nu) => sample('studentT', nu);
+    this.mean = (arr) => _private.mean(arr);
+    this.median = (arr) => _private.median(arr);
+    this.modes = (arr) => _private.modes(arr);
+    this.standardDeviation = (arr, options) => _private.stdDev(arr, options);
+    const values = _private.values;
+    this.variance = (arr, options) =>
+      KDElemstats.variance(values(arr), options);
+    this.min = (arr) => KDElemstats.min(values(arr));
+    this.max = (arr) => KDElemstats.max(values(arr));
+    this.range = (arr) => KDElemstats.range(values(arr));
+    this.percentile = (p, arr) => KDElemstats.percentile(values(arr), p);
+    this.iqr = (arr) => KDElemstats.iqr(values(arr));
+    this.skewness = (arr, options) =>
+      KDElemstats.skewness(values(arr), options);
+    this.kurtosis = (arr, options) =>
+      KDElemstats.kurtosis(values(arr), options);
+    this.fiveNumber = (arr) => KDElemstats.fiveNumber(values(arr));
+    this.describe = (arr) => KDElemstats.describe(values(arr));
+    this.histogram = (options, arr) => _private.histogram(options, arr);
+    this.frequencies = (arr) => _private.frequencies(arr);
+    Object.keys(this).forEach((key) => {
+      Object.defineProperty(this, key, {
+        value: this[key],
+        writable: false,
+        enumerable: true,
+      });
+    });
+  }
+  static random() {
+    return new KDRoll().random();
+  }
+  static d(sides) {
+    const roll = new KDRoll();
+    return roll.d(sides);
+  }
+  static int(min, max, step) {
+    return new KDRoll().int(min, max, step);
+  }
+  static parse(notation) {
+    return new KDRoll().parse(notation);
+  }
+  static probability(notation) {
+    try {
+      return new KDDiceDistribution(KDDice.parse(notation), notation);
+    } catch (error) {
+      console.log(error);
+      return undefined;
+    }
+  }
+  static replay(log) {
+    const fail = (error) => ({ valid: false, replayed: 0, error });
+    let l;
+    try {
+      l = typeof log === 'string' ? JSON.parse(log) : log;
+    } catch (_a) {
+      return fail('Unable to parse log JSON.');
+    }
+    if (!l || typeof l !== 'object' || !Array.isArray(l.calls)) {
+      return fail('Invalid log.');
+    }
+    if (l.version > KDAudit.version) {
+      return fail(`Unsupported log version ${l.version}.`);
+    }
+    if (!KDEngines.names.includes(l.engine) || l.engine === 'crypto') {
+      return fail(`Sessions using engine "${l.engine}" can not be replayed.`);
+    }
+    const roll = new KDRoll(l.seed, { engine: l.engine, raw: !!l.raw });
+    if (l.state && !roll.setState(l.state)) {
+      return fail('Invalid starting state.');
+    }
+    roll.maxHistory(0);
+    return KDAudit.verify(roll, l.calls);
+  }
+  static fair(options = {}) {
+    return new KDFair(
+      options,
+      (seed, engine) => new KDRoll(seed, { engine, audit: true })
+    );
+  }
+  static verify(proof) {
+    const error = KDFair.check(proof);
+    if (error) return { valid: false, replayed: 0, error };
+    return KDRoll.replay(proof.log);
+  }
+  static describe(arr) {
+    return KDElemstats.describe(arr);
+  }
+  static histogram(arr, options) {
+    return KDHistogram.histogram(arr, options);
+  }
+  static frequencies(arr) {
+    return KDHistogram.frequencies(arr);
+  }
+  static engines() {
+    return [...KDEngines.names];
+  }
+  static createEngine(engine, seed) {
+    if (KDEngines.isEngine(engine)) {
+      const custom = engine;
+      if (seed !== undefined) custom.seed(seed);
+      return custom;
+    }
+    const name = engine === undefined ? 'mt19937' : `${engine}`;
+    const builtIn = KDEngines.create(name, seed);
+    if (builtIn) return builtIn;
+    console.warn(`Unknown engine "${name}". Using "mt19937" instead.`);
+    return new KDUniform(seed);
+  }
+  static decodeSeed(code) {
+    return KDSeed.decode(code);
+  }
+  static setEntropy(source) {
+    KDRuntime.setEntropy(source);
+  }
+  static runtime() {
+    return {
+      environment: KDRuntime.environment(),
+      entropy: KDRuntime.entropy(),
+    };
+  }
+  static createRandomSeed() {
+    return KDUniform.createRandomSeed();
+  }
+  static scale(value, r1, r2) {
+    return KDNumber.scale(value, r1, r2);
+  }
+  static clip(value, range) {
+    return KDNumber.clip(value, range);
+  }
+  static round(value, places) {
+    return KDNumber.round(value, places);
+  }
+}
+KDRoll.test = KDTest;
+
+export { KDRoll, KDRuntime };
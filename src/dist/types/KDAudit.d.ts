@@ -0,0 +1,97 @@
+/**
+ * @file KDAudit.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Session logs for `KDRoll` and the functions that replay them.
+ * A log holds the seed, the engine, and every call that consumed random
+ * values, so anyone can re-execute a session and check each result.
+ */
+import { KDRoll, KDRollState } from './KDRoll';
+import { KDLootTable } from './KDLootTable';
+/**
+ * A call recorded in a session log. Methods that take collections record
+ * positions instead of elements, eg. `pick(['a', 'b', 'c'])` is recorded with
+ * `args: [3]` and the selected index as its `result`.
+ */
+export declare type KDAuditCall = {
+  /** Name of the `KDRoll` method, eg. `'d'`. */
+  method: string;
+  /** JSON-safe arguments. */
+  args: any[];
+  /** JSON-safe result. */
+  result: any;
+};
+/** A JSON-safe session log created by `exportLog()`. */
+export declare type KDAuditLog = {
+  /** Log format version. */
+  version: number;
+  /** Name of the engine. */
+  engine: string;
+  /** `true` if the session used `{ raw: true }`. */
+  raw?: boolean;
+  /** The seed of the session. */
+  seed: any;
+  /** Generator state the session started from, if it started from
+   * `setState()` instead of the seed. */
+  state?: KDRollState;
+  /** Every call in order. */
+  calls: KDAuditCall[];
+};
+/** Result of `KDRoll.replay()`. */
+export declare type KDReplayReport = {
+  /** `true` if every call reproduced its recorded result. */
+  valid: boolean;
+  /** Number of calls that matched before the first divergence. */
+  replayed: number;
+  /** The first call whose result did not match. */
+  divergence?: {
+    index: number;
+    method: string;
+    args: any[];
+    expected: any;
+    actual: any;
+  };
+  /** Reason the log could not be replayed. */
+  error?: string;
+};
+/** The structure of a loot table, without its values. */
+export declare type KDLootShape = {
+  weight: number;
+  guaranteed: boolean;
+  /** The shape of a nested table. */
+  table: KDLootShape[] | null;
+};
+/**
+ * Holds functions for creating and replaying session logs.
+ * @example
+ * ```
+ * const roll = new KDRoll(42, { audit: true });
+ * roll.d(20);
+ * KDRoll.replay(roll.exportLog()); // { valid: true, replayed: 1 }
+ * ```
+ */
+export declare const KDAudit: {
+  /** The current log format version. */
+  version: number;
+  /**
+   * Convert a value to JSON-safe data. `NaN` and `undefined` become `null`,
+   * so logs compare equal after a round trip through `JSON.stringify()`.
+   * @param {any} value - The value.
+   * @returns {any}
+   */
+  serialize: (value: any) => any;
+  /**
+   * Get the structure of a loot table, including nested tables.
+   * @param {KDLootTable} table - The table.
+   * @returns {KDLootShape[]}
+   */
+  shape: (table: KDLootTable<any>) => KDLootShape[];
+  /**
+   * Re-execute the calls of a log on an instance and compare each result.
+   * @param {KDRoll} roll - An instance in the starting state of the log.
+   * @param {KDAuditCall[]} calls - The recorded calls.
+   * @returns {KDReplayReport}
+   */
+  verify: (roll: KDRoll, calls: KDAuditCall[]) => KDReplayReport;
+};
@@ -0,0 +1,99 @@
+/**
+ * @file KDBulk.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for generating many values at once directly into
+ * typed arrays. Reals use the full bits of the engine without any floating
+ * point fix, so there is no per-value overhead beyond the distribution.
+ */
+/** Typed arrays that can be filled. */
+export declare type KDTypedArray =
+  | Float64Array
+  | Float32Array
+  | Uint32Array
+  | Int32Array
+  | Uint16Array
+  | Int16Array
+  | Uint8Array
+  | Int8Array;
+/**
+ * Distributions that can be generated in bulk. `'uniform'` is a real in
+ * [0,1), `'uint32'` is an unsigned 32-bit integer, `'int'` and `'d'` are
+ * the same as `int()` and `d()`, `'gaussian'` is the same as `gaussian()`,
+ * and `'normal'` is the same as `normal()`.
+ */
+export declare type KDBulkMethod =
+  | 'uniform'
+  | 'uint32'
+  | 'int'
+  | 'd'
+  | 'gaussian'
+  | 'normal';
+/** How `fill()` and `batch()` record values in `history()`. */
+export declare type KDBulkHistory = 'full' | 'summary' | 'none';
+/** Options for `fill()`. */
+export declare type KDFillOptions = {
+  /** Default `'uniform'` for `Float64Array` and `Float32Array`, and
+   * `'uint32'` for other arrays. */
+  distribution?: KDBulkMethod;
+  /** Arguments of the distribution, eg. `[1, 100]` for `'int'` or `[6]` for
+   * `'d'`. */
+  args?: any[];
+  /**
+   * `'full'` records every value like single calls, `'summary'` only
+   * updates running statistics, and `'none'` records nothing. Default
+   * `'summary'`.
+   */
+  history?: KDBulkHistory;
+};
+/**
+ * Holds functions for generating values in bulk.
+ * @example
+ * ```
+ * const engine = KDEngines.buffered(KDEngines.create('pcg32', 1));
+ * const rolls = new Uint8Array(1000000);
+ * KDBulk.fill(engine, rolls, 'd', [6]);
+ * ```
+ */
+export declare const KDBulk: {
+  /** Constructors of the typed arrays that can be filled, by name. */
+  arrays: {
+    [name: string]: new (length: number) => KDTypedArray;
+  };
+  /**
+   * Check that a value is a typed array that can be filled.
+   * @param {any} array - The value to check.
+   * @returns {boolean}
+   */
+  isArray: (array: any) => boolean;
+  /**
+   * Number of integers in the range [min,max] with a step between them.
+   * @param {number} min - The lowest integer. Must be a safe integer.
+   * @param {number} max - The highest integer. Must be a safe integer, and
+   * `max - min` can be at most `Number.MAX_SAFE_INTEGER`.
+   * @param {number} [step=1] - Must be a positive integer.
+   * @returns {number} `NaN` if the range is invalid.
+   */
+  count: (min: number, max: number, step?: number) => number;
+  /**
+   * Fill a typed array with values of a distribution. Integer arrays can't
+   * hold reals, and values too large for the array wrap like any other
+   * assignment.
+   * @param {{ nextUint32: () => number }} source - Generates unsigned 32-bit
+   * integers, eg. an engine or `KDEngines.buffered()`.
+   * @param {KDTypedArray} out - The array to fill.
+   * @param {KDBulkMethod} method - The distribution.
+   * @param {any[]} [args] - Arguments of the distribution.
+   * @returns {boolean} `false` if the distribution or its arguments are
+   * invalid, in which case `out` is not changed.
+   */
+  fill: (
+    source: {
+      nextUint32: () => number;
+    },
+    out: KDTypedArray,
+    method: KDBulkMethod,
+    args?: any[]
+  ) => boolean;
+};
@@ -0,0 +1,125 @@
+/**
+ * @file KDDice.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Parser and evaluator for dice notation (eg. `4d6kh3+2`).
+ * Supports NdS, percentile (d%), fudge (dF), keep/drop highest/lowest,
+ * exploding and compounding dice, rerolls, arithmetic, and parentheses.
+ */
+/** Comparison used by exploding dice and rerolls (eg. `!>5` or `r<2`). */
+export declare type KDDiceCompare = {
+  op: '=' | '<' | '>' | '<=' | '>=';
+  value: number;
+};
+/** A dice term, eg. `4d6kh3!r1`. */
+export declare type KDDiceTerm = {
+  type: 'dice';
+  notation: string;
+  count: number;
+  sides: number;
+  fudge: boolean;
+  keep?: {
+    drop: boolean;
+    highest: boolean;
+    count: number;
+  };
+  explode?: {
+    compound: boolean;
+    compare: KDDiceCompare;
+  };
+  reroll?: {
+    once: boolean;
+    compare: KDDiceCompare;
+  };
+};
+/** Node of a parsed dice expression. */
+export declare type KDDiceNode =
+  | KDDiceTerm
+  | {
+      type: 'number';
+      value: number;
+    }
+  | {
+      type: 'negate';
+      operand: KDDiceNode;
+    }
+  | {
+      type: 'binary';
+      op: '+' | '-' | '*' | '/';
+      left: KDDiceNode;
+      right: KDDiceNode;
+    };
+/** A single die rolled while evaluating a dice term. */
+export declare type KDDie = {
+  /** The face value of the die. */
+  value: number;
+  /** `false` if the die was dropped by a keep/drop modifier or a reroll. */
+  kept: boolean;
+  /** `true` if the die was discarded and rolled again. */
+  rerolled: boolean;
+  /** `true` if the die triggered an explosion. */
+  exploded: boolean;
+  /** Every face rolled by a compounding die, in order. `value` is their
+   * sum. */
+  rolls?: number[];
+};
+/** Result of evaluating a single dice term. */
+export declare type KDDiceGroup = {
+  notation: string;
+  sides: number;
+  fudge: boolean;
+  dice: KDDie[];
+  total: number;
+};
+/** Result of evaluating a full dice expression. */
+export declare type KDDiceResult = {
+  notation: string;
+  total: number;
+  groups: KDDiceGroup[];
+};
+/**
+ * Holds functions for parsing and evaluating dice notation.
+ * @example
+ * ```
+ * const ast = KDDice.parse('4d6kh3+2');
+ * const die = (sides) => Math.floor(Math.random() * sides) + 1;
+ * const result = KDDice.evaluate(ast, die, '4d6kh3+2');
+ * ```
+ */
+export declare const KDDice: {
+  /** Most dice in a single term. */
+  maxDice: number;
+  /** Most sides of a die. */
+  maxSides: number;
+  /**
+   * Parse dice notation into an expression tree. Whitespace and case are
+   * ignored.
+   * @param {string} notation - The dice notation, eg. `2d20kh1+5`.
+   * @returns {KDDiceNode}
+   * @throws {Error} If the notation can't be parsed, or a term has more than
+   * `maxDice` dice or a die has more than `maxSides` sides.
+   */
+  parse: (notation: string) => KDDiceNode;
+  /**
+   * Evaluate a parsed dice expression.
+   * @param {KDDiceNode} tree - Expression tree returned by `KDDice.parse()`.
+   * @param {(sides: number) => number} die - Function returning a random
+   * integer in the range [1, sides].
+   * @param {string} [notation] - The original notation, for the result.
+   * @returns {KDDiceResult}
+   * @throws {Error} If the expression divides by zero.
+   */
+  evaluate: (
+    tree: KDDiceNode,
+    die: (sides: number) => number,
+    notation?: string
+  ) => KDDiceResult;
+  /**
+   * Test a value against a comparison.
+   * @param {number} value - The value to test.
+   * @param {KDDiceCompare} compare - The comparison.
+   * @returns {boolean}
+   */
+  compare: (value: number, compare: KDDiceCompare) => boolean;
+};
@@ -0,0 +1,109 @@
+/**
+ * @file KDDiceDistribution.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing the exact probability distribution of a
+ * dice expression. Distributions are computed by convolution from the
+ * expression tree of `KDDice.parse()`, and follow the same rules as
+ * `KDDice.evaluate()` for keep/drop, exploding and compounding dice, and
+ * rerolls.
+ */
+import { KDDiceNode } from './KDDice';
+/** A row of `KDDiceDistribution.table()`. */
+export declare type KDDiceTableRow = {
+  value: number;
+  /** P(X = value). */
+  probability: number;
+  /** P(X <= value). */
+  atMost: number;
+  /** P(X >= value). */
+  atLeast: number;
+};
+/**
+ * @class The exact probability distribution of a dice expression. Create
+ * one with `KDRoll.probability()`.
+ * @example
+ * ```
+ * const dist = KDRoll.probability('3d6');
+ * dist.atLeast(12); // 0.375
+ * dist.mean(); // 10.5
+ * dist.percentile(90); // 14
+ * ```
+ */
+export declare class KDDiceDistribution {
+  /**
+   * The dice notation.
+   */
+  notation: string;
+  /**
+   * Get every possible value in ascending order.
+   * @returns {number[]}
+   */
+  values: () => number[];
+  /**
+   * Get the probability of each value of `values()`.
+   * @returns {number[]}
+   */
+  pmf: () => number[];
+  /**
+   * Get the cumulative probability of each value of `values()`.
+   * @returns {number[]}
+   */
+  cdf: () => number[];
+  /**
+   * Get P(X = value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  probability: (value: number) => number;
+  /**
+   * Get P(X >= value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  atLeast: (value: number) => number;
+  /**
+   * Get P(X <= value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  atMost: (value: number) => number;
+  /**
+   * Get the expected value.
+   * @returns {number}
+   */
+  mean: () => number;
+  /**
+   * Get the variance.
+   * @returns {number}
+   */
+  variance: () => number;
+  /**
+   * Get the standard deviation.
+   * @returns {number}
+   */
+  stdDev: () => number;
+  /**
+   * Get the smallest value with a cumulative probability of at least `p`%.
+   * @param {number} p - In the range [0,100], eg. `50` for the median.
+   * @returns {number} `NaN` if `p` is invalid.
+   */
+  percentile: (p: number) => number;
+  /**
+   * Get a table of every value with P(X = value), P(X <= value), and
+   * P(X >= value).
+   * @returns {KDDiceTableRow[]}
+   */
+  table: () => KDDiceTableRow[];
+  /**
+   * Class representing the exact probability distribution of a dice
+   * expression.
+   * @param {KDDiceNode} tree - Expression tree returned by `KDDice.parse()`.
+   * @param {string} [notation] - The original notation.
+   * @throws {Error} If the expression can divide by zero, or the
+   * distribution has more than 50000 values or takes too many steps to
+   * calculate.
+   */
+  constructor(tree: KDDiceNode, notation?: string);
+}
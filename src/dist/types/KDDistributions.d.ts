@@ -0,0 +1,180 @@
+/**
+ * @file KDDistributions.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Samplers for common probability distributions. Each sampler
+ * converts random numbers from a uniform distribution generator, so seeded
+ * generators produce reproducible samples.
+ */
+/**
+ * A uniform distribution random number generator in the interval [0,1). It
+ * may also provide a standard normal generator (eg. one that caches values).
+ */
+declare type Uniform = {
+  random: () => number;
+  normal?: () => number;
+};
+/**
+ * Holds samplers for common probability distributions. The first argument of
+ * each sampler is a uniform generator with a `.random()` method. Invalid
+ * parameters log an error and return `NaN`.
+ * @example
+ * ```
+ * const generator = new KDUniform() || Math;
+ * const wait = KDDistributions.exponential(generator, 0.5);
+ * ```
+ */
+export declare const KDDistributions: {
+  /**
+   * Generate two independent values with standard normal distribution
+   * N(0, 1) (Marsaglia polar method).
+   * @param {Uniform} uniform - The uniform generator.
+   * @returns {[number, number]}
+   */
+  standardNormalPair: (uniform: Uniform) => [number, number];
+  /**
+   * Standard normal distribution N(0, 1). Uses the generator's own
+   * `normal()` if it has one.
+   * @param {Uniform} uniform - The uniform generator.
+   * @returns {number}
+   */
+  standardNormal: (uniform: Uniform) => number;
+  /**
+   * Normal distribution N(mean, stdDev) with no bounds.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mean=0] - The mean.
+   * @param {number} [stdDev=1] - The standard deviation. Must be > 0.
+   * @returns {number}
+   */
+  normal: (uniform: Uniform, mean?: number, stdDev?: number) => number;
+  /**
+   * Normal distribution N(mean, stdDev) truncated to the range [min, max].
+   * Resamples from the same generator. Ranges far into a tail use
+   * exponential rejection (Robert, 1995) so they don't resample forever.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mean=0] - The mean before truncation.
+   * @param {number} [stdDev=1] - The standard deviation before truncation.
+   * Must be > 0.
+   * @param {[number, number]} [range] - The `[min, max]` allowed values.
+   * Either limit may be infinite. Default is unbounded.
+   * @returns {number}
+   */
+  truncatedNormal: (
+    uniform: Uniform,
+    mean?: number,
+    stdDev?: number,
+    range?: [number, number]
+  ) => number;
+  /**
+   * Exponential distribution. Mean is `1 / rate`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [rate=1] - Rate (lambda). Must be > 0.
+   * @returns {number}
+   */
+  exponential: (uniform: Uniform, rate?: number) => number;
+  /**
+   * Poisson distribution. Uses multiplication for small `lambda` and
+   * transformed rejection (PTRS) for large `lambda`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} lambda - Mean number of events. Must be > 0.
+   * @returns {number} A non-negative integer.
+   */
+  poisson: (uniform: Uniform, lambda: number) => number;
+  /**
+   * Binomial distribution. Uses geometric waiting times for small `n * p`
+   * and transformed rejection (BTRS) otherwise.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} n - Number of trials. Must be a non-negative integer.
+   * @param {number} p - Probability of success in the range [0,1].
+   * @returns {number} An integer in the range [0,n].
+   */
+  binomial: (uniform: Uniform, n: number, p: number) => number;
+  /**
+   * Geometric distribution. The number of trials up to and including the
+   * first success. Mean is `1 / p`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} p - Probability of success in the range (0,1].
+   * @returns {number} An integer >= 1.
+   */
+  geometric: (uniform: Uniform, p: number) => number;
+  /**
+   * Gamma distribution (Marsaglia and Tsang). Mean is `shape * scale`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (theta). Must be > 0.
+   * @returns {number}
+   */
+  gamma: (uniform: Uniform, shape: number, scale?: number) => number;
+  /**
+   * Beta distribution in the interval [0,1]. Mean is
+   * `alpha / (alpha + beta)`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} alpha - Must be > 0.
+   * @param {number} beta - Must be > 0.
+   * @returns {number}
+   */
+  beta: (uniform: Uniform, alpha: number, beta: number) => number;
+  /**
+   * Log-normal distribution. The natural log of the result is normally
+   * distributed with mean `mu` and standard deviation `sigma`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mu=0] - Mean of the underlying normal distribution.
+   * @param {number} [sigma=1] - Standard deviation of the underlying normal
+   * distribution. Must be > 0.
+   * @returns {number}
+   */
+  logNormal: (uniform: Uniform, mu?: number, sigma?: number) => number;
+  /**
+   * Weibull distribution.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (lambda). Must be > 0.
+   * @returns {number}
+   */
+  weibull: (uniform: Uniform, shape: number, scale?: number) => number;
+  /**
+   * Triangular distribution.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} min - Lower limit.
+   * @param {number} max - Upper limit. Must be > `min`.
+   * @param {number} [mode] - Most likely value in the range [min, max].
+   * Defaults to the midpoint.
+   * @returns {number}
+   */
+  triangular: (
+    uniform: Uniform,
+    min: number,
+    max: number,
+    mode?: number
+  ) => number;
+  /**
+   * Cauchy distribution. Has no defined mean or variance.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [location=0] - Location of the peak (median).
+   * @param {number} [scale=1] - Half width at half maximum. Must be > 0.
+   * @returns {number}
+   */
+  cauchy: (uniform: Uniform, location?: number, scale?: number) => number;
+  /**
+   * Chi-square distribution. Mean is `k`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} k - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   */
+  chiSquare: (uniform: Uniform, k: number) => number;
+  /**
+   * Student's t-distribution. Mean is `0` for `nu > 1`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} nu - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   */
+  studentT: (uniform: Uniform, nu: number) => number;
+  /**
+   * Natural log of the gamma function (Lanczos approximation).
+   * @param {number} x - Positive real.
+   * @returns {number}
+   */
+  logGamma: (x: number) => number;
+};
+export {};
@@ -0,0 +1,158 @@
+/**
+ * @file KDElemStats.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for calculating descriptive statistics of a
+ * `number[]`. Includes mean, median, modes, variance, standard deviation,
+ * min/max/range, quantiles, IQR, skewness, kurtosis, and a five-number
+ * summary. Input arrays are never modified.
+ */
+/** The minimum, quartiles, and maximum of a `number[]`. */
+export declare type KDFiveNumber = {
+  min: number;
+  q1: number;
+  median: number;
+  q3: number;
+  max: number;
+};
+/** Every statistic of `KDElemstats.describe()`. */
+export declare type KDDescription = KDFiveNumber & {
+  count: number;
+  mean: number;
+  modes: number[];
+  range: number;
+  iqr: number;
+  /** Population variance. */
+  variance: number;
+  /** Sample variance (Bessel's correction). */
+  sampleVariance: number;
+  /** Population standard deviation, not normalized. */
+  stdDev: number;
+  /** Sample standard deviation, not normalized. */
+  sampleStdDev: number;
+  skewness: number;
+  /** Excess kurtosis. `0` for a normal distribution. */
+  kurtosis: number;
+};
+/** Options for statistics with population and sample forms. */
+export declare type KDSampleOptions = {
+  /** If `true`, use the sample (bias-corrected) form. Default `false`. */
+  sample?: boolean;
+};
+/**
+ * Holds functions for calculating descriptive statistics of an array of
+ * numbers. Functions return `NaN` for arrays that are too short, except
+ * `mean()`, `median()`, `modes()`, and the normalized `stdDev()`.
+ */
+export declare const KDElemstats: {
+  /**
+   * Calculate the statistical mean of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  mean: (arr: number[]) => number;
+  /**
+   * Calculate the statistical median of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  median: (arr: number[]) => number;
+  /**
+   * Calculate the statistical modes of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  modes: (arr: number[]) => number[];
+  /**
+   * Calculate the standard deviation of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions & { normalized?: boolean }} [options] - Use
+   * `{ normalized: false }` for the standard deviation in the units of the
+   * data, and `{ sample: true }` for the sample standard deviation.
+   * @returns {number} By default, return is normalized (0-1) by the maximum.
+   */
+  stdDev: (
+    arr: number[],
+    options?: KDSampleOptions & {
+      normalized?: boolean;
+    }
+  ) => number;
+  /**
+   * Calculate the variance of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` to divide by
+   * `n - 1` instead of `n`.
+   * @returns {number}
+   */
+  variance: (arr: number[], options?: KDSampleOptions) => number;
+  /**
+   * Find the smallest value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  min: (arr: number[]) => number;
+  /**
+   * Find the largest value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  max: (arr: number[]) => number;
+  /**
+   * Calculate the difference between the largest and smallest values of an
+   * `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  range: (arr: number[]) => number;
+  /**
+   * Calculate a quantile of an `Array<number>` by linear interpolation
+   * between the closest ranks (the default of R, NumPy, and Excel's
+   * `PERCENTILE.INC`).
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number} p - In the range [0,1], eg. `0.5` for the median.
+   * @returns {number}
+   */
+  quantile: (arr: number[], p: number) => number;
+  /**
+   * Calculate a percentile of an `Array<number>`. See `quantile()`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number} p - In the range [0,100], eg. `95`.
+   * @returns {number}
+   */
+  percentile: (arr: number[], p: number) => number;
+  /**
+   * Calculate the interquartile range of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  iqr: (arr: number[]) => number;
+  /**
+   * Calculate the skewness of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * adjusted Fisher-Pearson coefficient (needs at least 3 values).
+   * @returns {number} `NaN` if every value is the same.
+   */
+  skewness: (arr: number[], options?: KDSampleOptions) => number;
+  /**
+   * Calculate the excess kurtosis of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * bias-corrected estimate (needs at least 4 values).
+   * @returns {number} `NaN` if every value is the same.
+   */
+  kurtosis: (arr: number[], options?: KDSampleOptions) => number;
+  /**
+   * Calculate the five-number summary of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDFiveNumber}
+   */
+  fiveNumber: (arr: number[]) => KDFiveNumber;
+  /**
+   * Calculate every statistic of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDDescription}
+   */
+  describe: (arr: number[]) => KDDescription;
+};
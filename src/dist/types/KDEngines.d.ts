@@ -0,0 +1,213 @@
+/**
+ * @file KDEngines.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Pseudorandom number engines that can be used by `KDRoll` in
+ * place of the default Mersenne Twister (`KDUniform`). Includes xoshiro128**,
+ * xoshiro256**, PCG32, SplitMix64, sfc32, and a crypto-backed engine.
+ */
+/** Allowed seed types. */
+declare type Seed = number | number[] | Uint32Array | undefined;
+/**
+ * Interface implemented by every engine. Custom engines can be passed to
+ * `new KDRoll(seed, { engine })` as long as they implement it.
+ * @example
+ * ```
+ * const engine: KDEngine = {
+ *   name: 'my-engine',
+ *   seed: (seed) => { ... },         // get or set the seed
+ *   nextUint32: () => { ... },       // unsigned 32-bit integer
+ *   getState: () => { ... },         // JSON-safe state
+ *   setState: (state) => { ... },    // restore, `false` if invalid
+ * };
+ * ```
+ */
+export interface KDEngine {
+  /** Engine name used in saved states. */
+  name: string;
+  /**
+   * If `seed` is empty, return the current seed. Otherwise, re-seed the
+   * engine.
+   */
+  seed: (seed?: Seed) => Seed;
+  /** Generate a random unsigned 32-bit integer. */
+  nextUint32: () => number;
+  /** Return a JSON-safe copy of the current state. */
+  getState: () => any;
+  /** Restore a state returned by `getState()`. */
+  setState: (state: any) => boolean;
+  /**
+   * Optional. Generate a random real in the interval [0,1]. If not provided,
+   * one is derived from `nextUint32()`.
+   */
+  random?: () => number;
+  /**
+   * Optional. Fill an array with outputs faster than calling `nextUint32()`
+   * for each, eg. a whole state vector at a time. May be a different
+   * sequence than `nextUint32()`.
+   */
+  fill?: (out: Uint32Array) => void;
+  /**
+   * Optional. Advance the engine as if `n` random reals had been generated
+   * with `KDEngines.random()`. If not provided, `KDEngines.jump()` generates
+   * and discards them.
+   */
+  jump?: (n: number) => void;
+}
+/** Serializable snapshot of an engine whose state is made of 32-bit words. */
+export declare type KDWordEngineState = {
+  seed: Seed;
+  words: number[];
+};
+/** Bounds of a random real: `'[0,1)'`, `'[0,1]'`, or `'(0,1)'`. */
+export declare type KDInterval = '[0,1)' | '[0,1]' | '(0,1)';
+/**
+ * Precision of a random real. `'double'` uses up to 53 random bits, and
+ * `'single'` uses up to 24 so results are exact 32-bit floats.
+ */
+export declare type KDPrecision = 'double' | 'single';
+/**
+ * Holds the built-in engines and helpers for working with any `KDEngine`.
+ */
+export declare const KDEngines: {
+  /** Names of the built-in engines. */
+  names: string[];
+  /**
+   * Create a built-in engine by name.
+   * @param {string} [name='mt19937'] - One of `KDEngines.names`.
+   * @param {Seed} [seed] - The initial seed. Creates a random seed if one
+   * isn't provided.
+   * @returns {KDEngine | undefined} `undefined` if the name is unknown.
+   */
+  create: (name?: string, seed?: Seed) => KDEngine | undefined;
+  /**
+   * Derive a child seed from a parent seed and a label. The same inputs
+   * always produce the same 256-bit seed, and different labels produce
+   * unrelated seeds.
+   * @param {Seed} seed - The parent seed.
+   * @param {string | number} label - A string label, or a numeric index.
+   * Strings and numbers never derive the same seed.
+   * @returns {number[]} Eight unsigned 32-bit words.
+   */
+  derive: (seed: Seed, label: string | number) => number[];
+  /**
+   * Generate a 53-bit random real in the interval [0,1) from any engine.
+   * Uses the engine's own `random()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @returns {number}
+   */
+  random: (engine: KDEngine) => number;
+  /**
+   * Generate a random real with documented bounds from the full bits of any
+   * engine's `nextUint32()`, without any floating point fix. `'[0,1)'` uses
+   * 53 bits (24 single), `'[0,1]'` divides 53 bits (24 single) by their
+   * largest value, and `'(0,1)'` centers 52 bits (23 single) between
+   * neighbors.
+   * @param {KDEngine} engine - The engine.
+   * @param {KDInterval} [interval='[0,1)'] - The bounds.
+   * @param {KDPrecision} [precision='double'] - Two outputs for `'double'`,
+   * one for `'single'`.
+   * @returns {number}
+   */
+  real: (
+    engine: {
+      nextUint32: () => number;
+    },
+    interval?: KDInterval,
+    precision?: KDPrecision
+  ) => number;
+  /**
+   * Generate a random integer in the range [0,n) from any engine. Rejection
+   * samples 32-bit outputs of `nextUint32()`, so every integer is exactly
+   * equally likely. Ranges over 2^32 combine two outputs into 53 bits.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} n - An integer in the range [1,2^53].
+   * @returns {number} `NaN` if `n` is invalid.
+   */
+  below: (
+    engine: {
+      nextUint32: () => number;
+    },
+    n: number
+  ) => number;
+  /**
+   * Fill an array with random unsigned 32-bit integers from any engine. Uses
+   * the engine's own `fill()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @param {Uint32Array} out - The array to fill.
+   * @returns {Uint32Array} `out`.
+   */
+  fill: (engine: KDEngine, out: Uint32Array) => Uint32Array;
+  /**
+   * Read the outputs of an engine a block at a time with `KDEngines.fill()`.
+   * Engines without their own `fill()` are read one output at a time, so
+   * nothing is wasted. Otherwise, outputs left in the last block are
+   * discarded.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} [size=624] - Outputs per block.
+   * @returns {{ nextUint32: () => number }}
+   */
+  buffered: (
+    engine: KDEngine,
+    size?: number
+  ) => {
+    nextUint32: () => number;
+  };
+  /**
+   * Advance any engine as if `n` random reals had been generated with
+   * `KDEngines.random()`, or with `KDEngines.real()` if `raw` is `true`. Uses
+   * the engine's own `jump()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} n - A non-negative integer.
+   * @param {boolean} [raw=false] - Count reals from `KDEngines.real()`.
+   * @returns {boolean} `false` if `n` is invalid.
+   */
+  jump: (engine: KDEngine, n: number, raw?: boolean) => boolean;
+  /**
+   * Check that an object implements `KDEngine`.
+   * @param {any} engine - The object to check.
+   * @returns {boolean}
+   */
+  isEngine: (engine: any) => boolean;
+  /**
+   * xoshiro128** by David Blackman and Sebastiano Vigna. 128 bits of state.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  xoshiro128: (seed?: Seed) => KDEngine;
+  /**
+   * xoshiro256** by David Blackman and Sebastiano Vigna. 256 bits of state.
+   * Returns the upper 32 bits of each 64-bit output.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  xoshiro256: (seed?: Seed) => KDEngine;
+  /**
+   * PCG32 (XSH RR) by Melissa O'Neill. 64 bits of state plus a 64-bit stream
+   * selector.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  pcg32: (seed?: Seed) => KDEngine;
+  /**
+   * SplitMix64 by Sebastiano Vigna. 64 bits of state. Returns the upper 32
+   * bits of each 64-bit output.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  splitmix64: (seed?: Seed) => KDEngine;
+  /**
+   * sfc32 (Small Fast Counting) by Chris Doty-Humphrey. 128 bits of state.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  sfc32: (seed?: Seed) => KDEngine;
+  /**
+   * Engine backed by `KDRuntime.fill()`, usually `crypto`. It can't be
+   * seeded, and its state can't be saved or restored.
+   * @returns {KDEngine}
+   */
+  crypto: () => KDEngine;
+};
+export {};
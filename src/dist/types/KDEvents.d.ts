@@ -0,0 +1,75 @@
+/**
+ * @file KDEvents.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a typed event emitter, with an async
+ * iterator view of any event.
+ */
+/** A function called with the payload of an event. */
+export declare type KDListener<T> = (payload: T) => void;
+/**
+ * @class Typed event emitter. `Events` maps each event name to the type of its
+ * payload.
+ * @example
+ * ```
+ * const events = new KDEmitter<{ tick: number }>();
+ * const off = events.on('tick', (n) => console.log(n));
+ * events.emit('tick', 1);
+ * off();
+ * ```
+ */
+export declare class KDEmitter<
+  Events extends {
+    [event: string]: any;
+  }
+> {
+  /**
+   * Add a listener.
+   * @param {keyof Events} event - The event name.
+   * @param {KDListener} listener - Called with the payload of each event.
+   * @returns {() => void} Removes the listener.
+   */
+  on: <K extends keyof Events>(
+    event: K,
+    listener: KDListener<Events[K]>
+  ) => () => void;
+  /**
+   * Remove a listener.
+   * @param {keyof Events} event - The event name.
+   * @param {KDListener} listener - The listener passed to `on()`.
+   */
+  off: <K extends keyof Events>(
+    event: K,
+    listener: KDListener<Events[K]>
+  ) => void;
+  /**
+   * Call every listener of an event. A listener that throws is logged and
+   * does not prevent the others from being called.
+   * @param {keyof Events} event - The event name.
+   * @param {Events[K]} payload - The payload.
+   */
+  emit: <K extends keyof Events>(event: K, payload: Events[K]) => void;
+  /**
+   * Check for listeners, eg. to skip building a payload nobody receives.
+   * @param {keyof Events} event - The event name.
+   * @returns {boolean}
+   */
+  listening: (event: keyof Events) => boolean;
+  /**
+   * Iterate future payloads of an event with `for await`. Payloads are queued
+   * until they are read. Ending the loop removes the listener.
+   * @param {keyof Events} event - The event name.
+   * @param {(payload: Events[K]) => boolean} [accept] - Only queue payloads
+   * that pass this test.
+   * @returns {AsyncIterableIterator<Events[K]>}
+   */
+  stream: <K extends keyof Events>(
+    event: K,
+    accept?: (payload: Events[K]) => boolean
+  ) => AsyncIterableIterator<Events[K]>;
+  /**
+   * Class representing a typed event emitter.
+   */
+  constructor();
+}
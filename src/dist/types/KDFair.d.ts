@@ -0,0 +1,115 @@
+/**
+ * @file KDFair.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a provably fair commit-reveal session. The
+ * server commits to a secret seed and the engine by publishing their SHA-256
+ * hash, each game is seeded with HMAC-SHA256(server seed, client seed +
+ * nonce), and revealing the server seed lets anyone recompute every result.
+ */
+import { KDRoll } from './KDRoll';
+import { KDAuditLog } from './KDAudit';
+/** Everything needed to verify one game of a revealed session. */
+export declare type KDFairProof = {
+  /** The secret server seed, revealed after the session. */
+  serverSeed: string;
+  /** SHA-256 hex of the engine and server seed, published before the
+   * session. */
+  serverSeedHash: string;
+  /** The engine committed to with the server seed. */
+  engine: string;
+  /** The seed contributed by the client. */
+  clientSeed: string;
+  /** The game number. */
+  nonce: number;
+  /** The session log of the game. */
+  log: KDAuditLog;
+};
+/** Options for `KDRoll.fair()`. */
+export declare type KDFairOptions = {
+  /** The secret server seed. Default is 32 random bytes as hex. */
+  serverSeed?: string;
+  /** The first nonce. Default `0`. */
+  nonce?: number;
+  /** A built-in engine name. Default `'mt19937'`. */
+  engine?: string;
+};
+/**
+ * @class Provably fair commit-reveal session. Create one with `KDRoll.fair()`.
+ * @example
+ * ```
+ * const fair = KDRoll.fair();
+ * publish(fair.hash());              // before the client picks a seed
+ * const roll = fair.roll(clientSeed); // a new game for each nonce
+ * roll.d(20);
+ * const proofs = fair.reveal();       // after the session
+ * KDRoll.verify(proofs[0]);          // { valid: true, replayed: 1 }
+ * ```
+ */
+export declare class KDFair {
+  /**
+   * Get the commitment to publish before any game is played.
+   * @returns {string} SHA-256 hex of the engine and server seed.
+   */
+  hash: () => string;
+  /**
+   * Get the nonce of the next game.
+   * @returns {number}
+   */
+  nonce: () => number;
+  /**
+   * Start the next game. The returned instance is seeded from the server
+   * seed, the client seed, and the nonce, and keeps a session log.
+   * @param {string} clientSeed - The seed contributed by the client.
+   * @returns {KDRoll | undefined} `undefined` if the session was revealed or
+   * the client seed isn't a string.
+   */
+  roll: (clientSeed: string) => KDRoll | undefined;
+  /**
+   * End the session and reveal the server seed.
+   * @returns {KDFairProof[]} A proof for every game, in order.
+   */
+  reveal: () => KDFairProof[];
+  /**
+   * Class representing a provably fair commit-reveal session.
+   * @param {KDFairOptions} options - The server seed, the first nonce, and
+   * the engine.
+   * @param {(seed: number[], engine: string) => KDRoll} create - Creates an
+   * audited instance from a derived seed and the engine.
+   */
+  constructor(
+    options: KDFairOptions,
+    create: (seed: number[], engine: string) => KDRoll
+  );
+  /**
+   * @static Generate a random server seed with the crypto engine.
+   * @returns {string} 32 bytes as hex.
+   */
+  static createServerSeed(): string;
+  /**
+   * @static Hash a server seed and the engine, so the server can't switch
+   * engines after committing.
+   * @param {string} serverSeed - The server seed.
+   * @param {string} [engine='mt19937'] - The engine name.
+   * @returns {string} SHA-256 hex of `${engine}:${serverSeed}`.
+   */
+  static hash(serverSeed: string, engine?: string): string;
+  /**
+   * @static Derive the seed of a game.
+   * @param {string} serverSeed - The server seed.
+   * @param {string} clientSeed - The client seed.
+   * @param {number} nonce - The game number.
+   * @returns {number[]} Eight unsigned 32-bit words of
+   * HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`).
+   */
+  static seed(serverSeed: string, clientSeed: string, nonce: number): number[];
+  /**
+   * @static Check that a proof's server seed and engine match its hash, and
+   * that its log uses that engine and was seeded from the server seed,
+   * client seed, and nonce. Doesn't replay the log.
+   * @param {KDFairProof} proof - The proof.
+   * @returns {string | undefined} The reason the proof is invalid, if any.
+   */
+  static check(proof: KDFairProof): string | undefined;
+}
@@ -0,0 +1,29 @@
+/**
+ * @file KDGaussian.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Generates a 53-bit random real in the interval [0, 1] with gaussian
+ * distribution (Box Mueller transform) by converting random numbers generated via uniform
+ * distribution (Mersenne Twister).
+ */
+/**
+ * Generates a 53-bit random real in the interval [0, 1] with gaussian
+ * distribution (Box Mueller transform).
+ * @param {{ random: () => number }} uniformGenerator - A uniform distribution
+ * random number generator with a `.random()` method.
+ * @param {number} [skew=0] - `number` in the range of -1 to 1. Negative
+ * values skew data RIGHT, positive values skew data LEFT.
+ * @returns
+ * @example
+ * ```
+ * const generator = new KDUniform() || Math
+ * const rand = kdgaussian(generator, 0)
+ * ```
+ */
+export declare const KDGaussian: (
+  uniformGenerator: {
+    random: () => number;
+  },
+  skew?: number
+) => number;
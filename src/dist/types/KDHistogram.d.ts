@@ -0,0 +1,103 @@
+/**
+ * @file KDHistogram.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for binning a `number[]` into histograms and
+ * frequency tables. Results include `labels` and `datasets`, so they can be
+ * passed to Chart.js as chart data.
+ */
+/** Bin counting rules. */
+export declare type KDBinRule =
+  | 'auto'
+  | 'sturges'
+  | 'freedman-diaconis'
+  | 'integer';
+/** Options for `histogram()`. */
+export declare type KDHistogramOptions = {
+  /**
+   * Number of equal width bins, or a rule for choosing them. `'auto'` uses
+   * the narrower of the Sturges and Freedman–Diaconis widths, and whole
+   * number bins for integer data that would otherwise get bins narrower than
+   * `1`. `'integer'` gives one bin for each whole number, and ignores values
+   * that aren't whole numbers. The rules fall back to Sturges if
+   * Freedman–Diaconis gives more than `maxBins` bins. Default `'auto'`.
+   */
+  bins?: number | KDBinRule;
+  /** The lower and upper edges. Values outside are ignored. Default is the
+   * smallest and largest value. */
+  range?: [number, number];
+};
+/** Chart.js chart data. */
+export declare type KDChartData = {
+  labels: string[];
+  datasets: {
+    label: string;
+    data: number[];
+  }[];
+};
+/** Counts of values in equal width bins. */
+export declare type KDHistogram = KDChartData & {
+  /** Bin edges. One more than the number of bins. Every bin includes its
+   * lower edge, and the last bin also includes its upper edge. */
+  edges: number[];
+  counts: number[];
+  /** Relative frequencies. `counts[i] / total`. */
+  frequencies: number[];
+  /** Number of values counted. */
+  total: number;
+};
+/** Counts of each distinct value. */
+export declare type KDFrequencyTable = KDChartData & {
+  /** Distinct values in ascending order. */
+  values: number[];
+  counts: number[];
+  /** Relative frequencies. `counts[i] / total`. */
+  frequencies: number[];
+  /** Number of values counted. */
+  total: number;
+};
+/**
+ * Holds functions for binning an array of numbers. Input arrays are never
+ * modified.
+ * @example
+ * ```
+ * const h = KDHistogram.histogram([1, 2, 2, 3, 7], { bins: 3 });
+ * h.edges; // [1, 3, 5, 7]
+ * h.counts; // [3, 1, 1]
+ * new Chart(ctx, { type: 'bar', data: h });
+ * ```
+ */
+export declare const KDHistogram: {
+  /** Most bins in a histogram. */
+  maxBins: number;
+  /**
+   * Number of bins by Sturges' rule, `ceil(log2(n)) + 1`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  sturges: (arr: number[]) => number;
+  /**
+   * Bin width by the Freedman–Diaconis rule, `2 * IQR / cbrt(n)`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number} `0` if the IQR is `0`, and `NaN` if `arr` is empty.
+   */
+  freedmanDiaconis: (arr: number[]) => number;
+  /**
+   * Count the values of an `Array<number>` in equal width bins.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDHistogramOptions} [options] - `bins` and `range`.
+   * @returns {KDHistogram} Empty if there are no bins, eg. `range` is
+   * invalid, `arr` is empty and no `range` was given, or there would be more
+   * than `maxBins` bins.
+   */
+  histogram: (arr: number[], options?: KDHistogramOptions) => KDHistogram;
+  /**
+   * Count each distinct value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number[]} [include] - Values to list even if they don't occur,
+   * eg. every face of a die.
+   * @returns {KDFrequencyTable}
+   */
+  frequencies: (arr: number[], include?: number[]) => KDFrequencyTable;
+};
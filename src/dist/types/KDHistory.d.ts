@@ -0,0 +1,68 @@
+/**
+ * @file KDHistory.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class extending `Array` with max size management.
+ */
+/** A value recorded in history, with the call that produced it. */
+export declare type KDHistoryEntry = {
+  /** Name of the method that produced the value, eg. `'d'`. */
+  method: string;
+  /** Arguments passed to the method. */
+  args: any[];
+  /** The recorded value. */
+  result: number;
+  /** Number of values recorded before this one since seeding. */
+  index: number;
+  /** Unix timestamp in milliseconds. */
+  time: number;
+  /** Number of sides, for die rolls. */
+  sides?: number;
+};
+/** Filter for history entries. */
+export declare type KDHistoryFilter = {
+  /** Only include values produced by these methods, eg. `'d'`. */
+  source?: string | string[];
+  /** Only include die rolls with this number of sides. */
+  sides?: number;
+};
+/**
+ * @class Extends `Array` with max size and automatic overflow handling.
+ * @extends
+ */
+export declare class KDHistory extends Array {
+  /**
+   * Get/Set the maximum allowed size of the array.
+   * @param {number} [size] - If empty, return the current max size.
+   * Else set the new max size and return the value.
+   * @return {number}
+   */
+  max: (size?: number) => number;
+  /**
+   * @override
+   * If `length >= max`, remove the first element of the array
+   * before adding each new element.
+   * @param {KDHistoryEntry[]} items
+   * @returns {number} new array length
+   */
+  push: (...items: KDHistoryEntry[]) => number;
+  /**
+   * Get the entries that match a filter.
+   * @param {KDHistoryFilter} [filter] - If empty, return every entry.
+   * @returns {KDHistoryEntry[]}
+   */
+  select: (filter?: KDHistoryFilter) => KDHistoryEntry[];
+  /**
+   * Class extending `Array` with max size and automatic overflow handling.
+   * @extends
+   */
+  constructor();
+  /**
+   * @static Check if an entry matches a filter.
+   * @param {KDHistoryEntry} entry - The entry.
+   * @param {KDHistoryFilter} [filter] - If empty, every entry matches.
+   * @returns {boolean}
+   */
+  static matches(entry: KDHistoryEntry, filter?: KDHistoryFilter): boolean;
+}
@@ -0,0 +1,64 @@
+/**
+ * @file KDJump.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Polynomial jump-ahead for engines whose state transition is
+ * linear over GF(2), such as MT19937 and xoshiro. Jumping `n` steps costs
+ * O(log n) polynomial operations instead of `n` state transitions.
+ */
+/** Polynomial over GF(2). Bit `i` is the coefficient of `t^i`. */
+export declare type KDPolynomial = Uint32Array;
+/**
+ * Holds functions for polynomial jump-ahead over GF(2).
+ * @example
+ * ```
+ * const { poly, degree } = KDJump.minimalPolynomial(bits);
+ * const jump = KDJump.power(poly, degree, 1, 1000000);
+ * KDJump.evaluate(jump, degree, add, step);
+ * ```
+ */
+export declare const KDJump: {
+  /**
+   * Find the minimal polynomial of a bit sequence with Berlekamp-Massey. For
+   * a linear generator of degree `d`, `2d` bits of any output bit are
+   * enough to recover its characteristic polynomial.
+   * @param {ArrayLike<number>} bits - The sequence of `0` and `1` values.
+   * @returns {{ poly: KDPolynomial; degree: number }}
+   */
+  minimalPolynomial: (
+    bits: ArrayLike<number>
+  ) => {
+    poly: KDPolynomial;
+    degree: number;
+  };
+  /**
+   * Compute `t^(step * count) mod poly` by repeated squaring.
+   * @param {KDPolynomial} poly - The characteristic polynomial.
+   * @param {number} degree - Degree of `poly`.
+   * @param {number} step - Transitions per counted value. Must be < `degree`.
+   * @param {number} count - Number of values to jump. A safe integer.
+   * @returns {KDPolynomial} The jump polynomial, of degree < `degree`.
+   */
+  power: (
+    poly: KDPolynomial,
+    degree: number,
+    step: number,
+    count: number
+  ) => KDPolynomial;
+  /**
+   * Apply a jump polynomial `g` to a generator state by Horner's method,
+   * computing `g_0 S + g_1 T(S) + g_2 T(T(S)) + ...` where `T` is one state
+   * transition.
+   * @param {KDPolynomial} jump - Jump polynomial from `KDJump.power()`.
+   * @param {number} degree - Degree of the characteristic polynomial.
+   * @param {() => void} add - XOR the current state into an accumulator.
+   * @param {() => void} step - Advance the current state by one transition.
+   */
+  evaluate: (
+    jump: KDPolynomial,
+    degree: number,
+    add: () => void,
+    step: () => void
+  ) => void;
+};
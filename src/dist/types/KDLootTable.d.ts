@@ -0,0 +1,94 @@
+/**
+ * @file KDLootTable.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a reusable weighted loot table. Uses the
+ * alias method (Vose) for O(1) draws. Supports nested tables, guaranteed
+ * drops, and draws without replacement.
+ */
+/** An entry in a loot table. */
+export declare type KDLootEntry<T> = {
+  /** The dropped value, or a nested table to draw from. */
+  value: T | KDLootTable<T>;
+  /** Relative weight. Default `1`. Ignored for guaranteed entries. */
+  weight?: number;
+  /** If `true`, the entry is dropped on every draw in addition to the
+   * random drops. */
+  guaranteed?: boolean;
+};
+/**
+ * A uniform distribution random number generator in the interval [0,1), with
+ * an optional function that records the index of each selected entry, and an
+ * optional function called after each draw with every selected index in
+ * order, including selections from nested tables.
+ */
+export declare type KDLootSource = {
+  random: () => number;
+  /** Random integer in the range [0, n). Default scales `random()`. */
+  below?: (n: number) => number;
+  record?: (index: number) => void;
+  drawn?: (indices: number[], count: number, options: KDLootOptions) => void;
+};
+/** Options for drawing from a loot table. */
+export declare type KDLootOptions = {
+  /** If `false`, an entry can't be drawn more than once per draw. Default
+   * `true`. */
+  replace?: boolean;
+};
+/**
+ * @class Reusable weighted loot table. Random drops use the alias method, so
+ * each draw is O(1) regardless of the number of entries.
+ * @example
+ * ```
+ * const roll = new KDRoll();
+ * const gems = roll.lootTable([
+ *   { value: 'ruby', weight: 1 },
+ *   { value: 'emerald', weight: 3 },
+ * ]);
+ * const table = roll.lootTable([
+ *   { value: 'gold', guaranteed: true },
+ *   { value: 'sword', weight: 1 },
+ *   { value: 'potion', weight: 10 },
+ *   { value: gems, weight: 4 },
+ * ]);
+ * table.draw(2); // eg. ['gold', 'potion', 'emerald']
+ * ```
+ */
+export declare class KDLootTable<T = any> {
+  /**
+   * Return a copy of the table entries.
+   * @returns {KDLootEntry<T>[]}
+   */
+  entries: () => KDLootEntry<T>[];
+  /**
+   * Draw from the table with the generator it was created with. Guaranteed
+   * entries are always included, followed by `count` random drops. Nested
+   * tables are resolved to a single value.
+   * @param {number} [count=1] - The number of random drops.
+   * @param {KDLootOptions} [options] - Use `{ replace: false }` to prevent an
+   * entry from being drawn more than once.
+   * @returns {T[]}
+   */
+  draw: (count?: number, options?: KDLootOptions) => T[];
+  /**
+   * Draw from the table with a different generator.
+   * @param {KDLootSource} source - The generator.
+   * @param {number} [count=1] - The number of random drops.
+   * @param {KDLootOptions} [options] - Draw options.
+   * @returns {T[]}
+   */
+  drawFrom: (
+    source: KDLootSource,
+    count?: number,
+    options?: KDLootOptions
+  ) => T[];
+  /**
+   * Class representing a reusable weighted loot table.
+   * @param {KDLootEntry<T>[]} entries - The table entries. Weights must be
+   * finite and >= 0.
+   * @param {KDLootSource} [source=Math] - The default generator used by
+   * `draw()`.
+   */
+  constructor(entries: KDLootEntry<T>[], source?: KDLootSource);
+}
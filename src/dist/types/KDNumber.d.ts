@@ -1,5 +1,5 @@
 /**
- * @file KDNumber.js
+ * @file KDNumber.ts
  * @author Cadence Holmes
  * @copyright Cadence Holmes 2020
  * @license MIT
@@ -36,7 +36,73 @@
  * console.log(kdn.value() === 999) // true
  * ```
  */
-export class KDNumber {
+export declare class KDNumber {
+  /** Get the current number value. */
+  value: () => number;
+  /** Set the current number value. */
+  setValue: (value: number) => void;
+  /** Get the current known range. */
+  range: () => [number, number];
+  /** Set the current known range. */
+  setRange: (range: [number, number]) => void;
+  /**
+   * Scale the current value to a new range and update the current range.
+   * Initial range is inferred from the current known range.
+   * Automatically applies a JS floating point error fix.
+   * @param {number} min - The minimum value of the new range.
+   * @param {number} max - The maximum value of the new range.
+   * @returns {KDNumber} The calling instance of `KDNumber`.
+   *
+   * @example `The initial range is inferred from the current known range.`
+   * ```
+   * const n = new KDNumber(0.55, [0, 1]); // initial range is 0-1
+   * n.scale(0, 10); // scale from a range of 0-1 to a range of 0-10
+   * const num = n.value(); // num = 5.5
+   * ```
+   *
+   * @example `Scale a value from a range of [0, 1] to [-1, 1]`
+   * ```
+   * const n: new KDNumber(0.5, [0, 1]);
+   * n.scale(-1, 1);
+   * const num = n.value(); // num == 0
+   * ```
+   *
+   * @example `Scale a value from a range of [0, 1] to [0, 127]`
+   * ```
+   * const n: new KDNumber(0.5, [0, 1]);
+   * n.scale(0, 127);
+   * const num = n.value(); // num == 63.5
+   * ```
+   */
+  scale: (min: number, max: number) => KDNumber;
+  /**
+   * Limit the current value to a hard minimum and maximum.
+   * Automatically applies a JS floating point error fix.
+   * @param {number} min - The minimum possible value.
+   * @param {number} max - The maximum possible value.
+   * @returns {KDNumber} The calling instance of `KDNumber`.
+   * @example
+   * ```
+   * const n = new KDNumber(0.55, [0, 1]);
+   * n.clip(0, 0.5);
+   * const num = n.value(); // 0.5
+   * ```
+   */
+  clip: (min: number, max: number) => KDNumber;
+  /**
+   * Round the current value to a specific number of places.
+   * Digits < 5 are rounded down. Automatically applies a JS floating point error fix.
+   * @param {number} [places=0] - The desired number of decimal places. `0` rounds to a whole number.
+   * @returns {KDNumber} The calling instance of `KDNumber`.
+   * @example
+   * ```
+   * const n = new KDNumber(3.753);
+   * n.round(2); // n.value() == 3.75
+   * n.round(1); // n.value() == 3.8
+   * n.round(0); // n.value() == 4
+   * ```
+   */
+  round: (places: number) => KDNumber;
   /**
    * Class for mutating a number with scale/clip/round. Also includes a static method
    * that can compensate for JS floating point errors. Internal transformations automatically
@@ -65,36 +131,7 @@ export class KDNumber {
    * console.log(kdn.value() === 999) // true
    * ```
    */
-  constructor(value, range = [0, 1]) {
-    let v =
-      typeof value === 'number'
-        ? value
-        : !Number.isNaN(parseFloat(`${value}`))
-        ? parseFloat(`${value}`)
-        : value.value();
-    let r = range;
-    this.scale = (min = 0, max = 1) => {
-      v = KDNumber.scale(v, r, [min, max]);
-      r = [min, max];
-      return this;
-    };
-    this.clip = (min, max) => {
-      v = KDNumber.clip(v, [min, max]);
-      return this;
-    };
-    this.round = (places = 0) => {
-      v = KDNumber.round(v, places);
-      return this;
-    };
-    this.value = () => v;
-    this.range = () => r;
-    this.setValue = (value) => {
-      v = value;
-    };
-    this.setRange = (range) => {
-      r = range;
-    };
-  }
+  constructor(value: number | string | KDNumber, range?: [number, number]);
   /**
    * @static
    * Scale the value from one range to another.
@@ -122,18 +159,11 @@ export class KDNumber {
    * const scaled: number = KDNumber.scale(n, [0, 1], [0, 127]); // scaled == 63.5
    * ```
    */
-  static scale(value, initialRange, targetRange) {
-    const fix = KDNumber.floatingPointFix;
-    const r1 = initialRange;
-    const r2 = targetRange;
-    const r1Size = fix(r1[1] - r1[0]);
-    const r2Size = fix(r2[1] - r2[0]);
-    const x = fix(value - r1[0]);
-    const y = fix(x * r2Size);
-    const z = fix(y / r1Size);
-    const scaled = fix(z + r2[0]);
-    return scaled;
-  }
+  static scale(
+    value: number,
+    initialRange: [number, number],
+    targetRange: [number, number]
+  ): number;
   /**
    * @static
    * Limit a value to a hard minimum and maximum.
@@ -147,13 +177,7 @@ export class KDNumber {
    * const clipped: number = KDNumber.clip(n, [0, 3]); // clipped == 3.0
    * ```
    */
-  static clip(value, range) {
-    const fix = KDNumber.floatingPointFix;
-    const clipMin = (v) => fix(Math.max(range[0], v));
-    const clipMax = (v) => fix(Math.min(v, range[1]));
-    const clipped = clipMax(clipMin(value));
-    return clipped;
-  }
+  static clip(value: number, range: [number, number]): number;
   /**
    * @static
    * Round a value to a specific number of places.
@@ -170,11 +194,7 @@ export class KDNumber {
    * const wholeNumber = KDNumber.round(n, 0); // wholeNumber == 4
    * ```
    */
-  static round(value, places = 0) {
-    return KDNumber.floatingPointFix(
-      Number(Math.round(Number(value + 'e' + places)) + 'e-' + places)
-    );
-  }
+  static round(value: number, places?: number): number;
   /**
    * @static
    * Account for the floating point error found in JS math.
@@ -194,22 +214,5 @@ export class KDNumber {
    * let notWrong = fix(0.3 - 0.1) // 0.2
    * ```
    */
-  static floatingPointFix(value, repeat = 6) {
-    /* Value is not applicable */
-    if (!value || Number.isNaN(parseFloat(`${value}`))) return value;
-    /* No decimal */
-    const [intPart, decimalPart] = `${value}`.split('.');
-    if (!decimalPart) return value;
-    /* Check for a possible error by looking for a string of
-           length `repeat` of consecutively repeating 9's or 0's. */
-    const regex = new RegExp(`(9{${repeat},}|0{${repeat},})(\\d)*$`, 'gm');
-    const matched = decimalPart.match(regex);
-    /* No floating point problem */
-    if (!matched) return value;
-    /* If it looks like there is an error, round it off. */
-    const [wrongPart] = matched;
-    const correctDecimalsLength = decimalPart.length - wrongPart.length;
-    const fixed = parseFloat(`${intPart}.${decimalPart}`);
-    return parseFloat(fixed.toFixed(correctDecimalsLength));
-  }
+  static floatingPointFix(value: number, repeat?: number): number;
 }
@@ -0,0 +1,1065 @@
+/**
+ * @file KDRoll.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview `KDRoll` is a class representing a random number manager.
+ * Includes Mersenne Twister uniform distribution, Box Mueller gaussian
+ * distribution, n-sided die rolling, history of variable max size, elementary
+ * statistics, and scale/clip/round convenience functions.
+ */
+import { KDHistoryEntry, KDHistoryFilter } from './KDHistory';
+import { KDEngine, KDPrecision } from './KDEngines';
+import { KDDescription, KDFiveNumber, KDSampleOptions } from './KDElemStats';
+import { KDDiceResult } from './KDDice';
+import { KDDiceDistribution } from './KDDiceDistribution';
+import { KDLootEntry, KDLootTable } from './KDLootTable';
+import { KDUidOptions } from './KDUid';
+import { KDListener } from './KDEvents';
+import { KDAuditLog, KDReplayReport } from './KDAudit';
+import { KDFair, KDFairOptions, KDFairProof } from './KDFair';
+import { KDRunningState, KDRunningSummary } from './KDRunningStats';
+import { KDSeedInfo, KDSeedInput } from './KDSeed';
+import { KDEntropyName, KDEntropySource, KDEnvironment } from './KDRuntime';
+import { KDBulkMethod, KDFillOptions, KDTypedArray } from './KDBulk';
+import { KDSimulationOptions, KDSimulationResult } from './KDSimulation';
+import {
+  KDFrequencyTable,
+  KDHistogram,
+  KDHistogramOptions,
+} from './KDHistogram';
+/** Allowed seed types. */
+declare type Seed = number | number[] | Uint32Array | undefined;
+/**
+ * Serializable snapshot of a `KDRoll` instance. Contains only JSON-safe
+ * values, so `JSON.stringify()` can be used to save it.
+ */
+export declare type KDRollState = {
+  engine?: string;
+  generator: any;
+  normal?: number | null;
+  sequence?: number;
+  history?: KDHistoryEntry[];
+  maxHistory?: number;
+  stats?: {
+    method: string;
+    sides?: number;
+    state: KDRunningState;
+  }[];
+};
+/** Events emitted by `KDRoll`, mapped to the type of their payload. */
+export declare type KDRollEvents = {
+  /** A value was recorded in history. */
+  roll: KDHistoryEntry;
+  /** The instance was re-seeded. */
+  seed: {
+    seed: Seed;
+  };
+  /** History was cleared, including by `seed()` and `setState()`. */
+  clearHistory: {
+    entries: KDHistoryEntry[];
+  };
+  /** The oldest entry was removed because history reached `maxHistory`. */
+  historyOverflow: {
+    entry: KDHistoryEntry;
+    maxHistory: number;
+  };
+};
+/** Options for `new KDRoll()`. */
+export declare type KDRollOptions = {
+  /**
+   * A built-in engine name (see `KDRoll.engines()`) or a custom `KDEngine`.
+   * Default `'mt19937'`.
+   */
+  engine?: string | KDEngine;
+  /**
+   * If `true`, log every call that consumes random values for
+   * `exportLog()`. The log grows until the instance is re-seeded. Default
+   * `false`.
+   */
+  audit?: boolean;
+  /**
+   * If `true`, `uniform()` and everything built on it use the full 53 bits
+   * of two engine outputs in the interval [0,1), without the floating point
+   * fix of the `'mt19937'` engine. The fix rounds away long runs of `0` and
+   * `9` digits, so some values can't occur. Only changes engines with their
+   * own `random()`, like `'mt19937'`. Default `false`.
+   */
+  raw?: boolean;
+};
+/**
+ * `KDRoll` is a class representing a random number manager.
+ * Includes Mersenne Twister uniform distribution, Box Mueller gaussian
+ * distribution, n-sided die rolling, history of variable max size, elementary
+ * statistics, and scale/clip/round convenience functions.
+ */
+export declare class KDRoll {
+  /**
+   * Re-seed the manager. Automatically clears history.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit integer `number`,
+   * `Uint32Array`, or `number[]` of arbitrary size/values. Strings and plain
+   * objects are hashed, and `BigInt`, `ArrayBuffer`, and `DataView` are
+   * split into 32-bit words, so they are reproducible too.
+   * @returns {Seed} Returns the current seed key. Use `seedInfo()` for the
+   * original seed.
+   * @readonly
+   */
+  seed: (seed?: KDSeedInput) => Seed;
+  /**
+   * Get the seed as it was given, the key the engine was seeded with, and a
+   * short code for the key. `new KDRoll(KDRoll.decodeSeed(code))` continues
+   * the same sequence as the seed.
+   * @returns {KDSeedInfo} `input` is the key if the seed was generated or
+   * restored with `setState()`. `code` is `undefined` for keys of more than
+   * 8 words, eg. generated seeds.
+   * @readonly
+   */
+  seedInfo: () => KDSeedInfo;
+  /**
+   * Listen for an event. `'roll'` fires for every value recorded in
+   * `history()` (eg. from `uniform()`, `gaussian()`, and `d()`) with its
+   * `historyEntries()` metadata. `'seed'`, `'clearHistory'`, and
+   * `'historyOverflow'` fire when the instance is re-seeded, history is
+   * cleared, and the oldest entry is dropped at `maxHistory`. Listeners
+   * receive copies, so changing a payload never changes history.
+   * @param {keyof KDRollEvents} event - The event name.
+   * @param {KDListener} listener - Called with the payload of each event.
+   * @returns {() => void} Removes the listener.
+   * @readonly
+   */
+  on: <K extends keyof KDRollEvents>(
+    event: K,
+    listener: KDListener<KDRollEvents[K]>
+  ) => () => void;
+  /**
+   * Remove a listener added with `on()`.
+   * @param {keyof KDRollEvents} event - The event name.
+   * @param {KDListener} listener - The listener.
+   * @readonly
+   */
+  off: <K extends keyof KDRollEvents>(
+    event: K,
+    listener: KDListener<KDRollEvents[K]>
+  ) => void;
+  /**
+   * Iterate future `'roll'` events with `for await`. Entries are queued until
+   * they are read, and ending the loop stops listening.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {AsyncIterableIterator<KDHistoryEntry>}
+   * @readonly
+   */
+  stream: (filter?: KDHistoryFilter) => AsyncIterableIterator<KDHistoryEntry>;
+  /**
+   * Create an independent child instance from the current seed and a label.
+   * The child depends only on the parent seed and the label, so adding or
+   * removing rolls elsewhere never changes its sequence. Children have their
+   * own history and use the same engine. Children of a custom engine use
+   * `'mt19937'`.
+   * @param {string} label - Name of the child stream, eg. `'loot'`.
+   * @returns {KDRoll}
+   * @readonly
+   */
+  split: (label: string) => KDRoll;
+  /**
+   * Create the next unnamed child instance. The nth call to `fork()` after
+   * seeding always returns the same stream. See `split()`.
+   * @returns {KDRoll}
+   * @readonly
+   */
+  fork: () => KDRoll;
+  /**
+   * Run a Monte Carlo simulation. Each trial gets its own seeded stream, so
+   * results are reproducible and this instance's sequence and history are
+   * untouched. Trial `i` uses the same stream as the `i`th `fork()` of an
+   * instance seeded with `options.seed`.
+   * @param {(roll: KDRoll, trial: number) => number | boolean} fn - Runs one
+   * trial with its stream and returns the result. The instance is reused by
+   * the next trial.
+   * @param {KDSimulationOptions} [options] - `trials` (default `1000`),
+   * `seed` (default is the next `fork()`), `confidence` (default `0.95`),
+   * and `precision` to stop early once the margin of error of the mean is
+   * small enough, after at least `minTrials` (default `100`).
+   * @returns {KDSimulationResult | undefined} The mean, confidence interval,
+   * descriptive statistics, and convergence of the results. `undefined` if
+   * an option is invalid or a trial doesn't return a finite number or a
+   * boolean.
+   * @readonly
+   */
+  simulate: (
+    fn: (roll: KDRoll, trial: number) => number | boolean,
+    options?: KDSimulationOptions
+  ) => KDSimulationResult | undefined;
+  /**
+   * Get the name of the engine generating random numbers.
+   * @returns {string}
+   * @readonly
+   */
+  engine: () => string;
+  /**
+   * Return a copy of the recorded values with no references.
+   * @param {KDHistoryFilter} [filter] - Use `source` to only include values
+   * produced by a method (eg. `'d'` or `['uniform', 'gaussian']`), and
+   * `sides` to only include die rolls with that many sides.
+   * @returns {number[]} Returns the current `history`.
+   * @readonly
+   */
+  history: (filter?: KDHistoryFilter) => number[];
+  /**
+   * Return a copy of the history with the call that produced each value: the
+   * `method`, its `args`, the `result`, a sequence `index` that counts every
+   * value recorded since seeding, and a `time` stamp.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {KDHistoryEntry[]}
+   * @readonly
+   */
+  historyEntries: (filter?: KDHistoryFilter) => KDHistoryEntry[];
+  /**
+   * Get running statistics of every value recorded since history was last
+   * cleared. Unlike `mean()` and `median()`, they include values that no
+   * longer fit in `history()`, and cost O(1) memory and time per roll. The
+   * median is estimated with a t-digest.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {KDRunningSummary} `count`, `mean`, population `variance` and
+   * `stdDev`, `min`, `max`, `skewness`, excess `kurtosis`, and `median`.
+   * Every statistic is `NaN` if no values match.
+   * @readonly
+   */
+  stats: (filter?: KDHistoryFilter) => KDRunningSummary;
+  /**
+   * Estimate a quantile of every value recorded since history was last
+   * cleared. See `stats()`. For exact quantiles of `history()` or an array,
+   * use `percentile()`.
+   * @param {number} p - In the range [0,1], eg. `0.99`.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {number}
+   * @readonly
+   */
+  quantile: (p: number, filter?: KDHistoryFilter) => number;
+  /**
+   * Get or set the maximum history size.
+   * @param {number} [size] - The maximum history size. If `size=undefined` is
+   * this function will return the current `maxHistory`. Initial `maxHistory`
+   * is `1000`.
+   * @returns {number} Returns the current `maxHistory`.
+   * @readonly
+   */
+  maxHistory: (size?: number) => number;
+  /**
+   * Reset `history` but retain the current `maxHistory`.
+   */
+  clearHistory: () => void;
+  /**
+   * Export the session log of an instance created with `{ audit: true }`.
+   * The log holds the engine, the seed, and every call that consumed random
+   * values since seeding, in order, with its arguments and result. Calls that
+   * take collections record positions instead of elements. The log is
+   * JSON-safe with a fixed key order, so `JSON.stringify()` produces a stable
+   * string to sign or hash. Check it with `KDRoll.replay()`.
+   * @returns {KDAuditLog | undefined} `undefined` if auditing is off.
+   * @readonly
+   */
+  exportLog: () => KDAuditLog | undefined;
+  /**
+   * Take a snapshot of the generator state. Restoring the snapshot with
+   * `setState()` continues the exact same random sequence.
+   * @param {{ history?: boolean }} [options] - Pass `{ history: true }` to
+   * include the current `historyEntries()` and `maxHistory()`.
+   * @returns {KDRollState} A JSON-safe snapshot.
+   * @readonly
+   */
+  getState: (options?: { history?: boolean }) => KDRollState;
+  /**
+   * Restore a snapshot created by `getState()`. Clears history, then restores
+   * history and `maxHistory` if the snapshot includes them.
+   * @param {KDRollState | string} state - A snapshot, or a JSON string of a
+   * snapshot.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   * @readonly
+   */
+  setState: (state: KDRollState | string) => boolean;
+  /**
+   * Skip the next `n` values of `uniform()` without recording them in
+   * `history()`. Uses jump-ahead, so large skips are fast for every engine
+   * except `'sfc32'` and custom engines without `jump()`.
+   * @param {number} n - A non-negative integer.
+   * @readonly
+   */
+  discard: (n: number) => void;
+  /**
+   * Generates a 53-bit random real in the interval [0,1] with
+   * normal distribution. Use `randomHalfOpen()`, `random01Closed()`, or
+   * `random01Open()` for exact bounds.
+   * @returns {number}
+   * @readonly
+   */
+  uniform: () => number;
+  /**
+   * Generates a 53-bit random real in the interval [0,1] with gaussian
+   * distribution.
+   * @param {number} [skew=0] - In the range [-1,1]. Negative values skew data
+   * RIGHT, and positive values skew data LEFT. Default `skew=0`.
+   * @returns {number}
+   * @readonly
+   */
+  gaussian: (skew?: number) => number;
+  /**
+   * Generates a random real with normal distribution N(mean, stdDev). Unlike
+   * `gaussian()`, results are not limited to [0,1].
+   * @param {number} [mean=0] - The mean.
+   * @param {number} [stdDev=1] - The standard deviation. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  normal: (mean?: number, stdDev?: number) => number;
+  /**
+   * Generates a random real with normal distribution N(mean, stdDev),
+   * resampling from the same generator until the result is in `range`.
+   * @param {number} [mean=0] - The mean before truncation.
+   * @param {number} [stdDev=1] - The standard deviation before truncation.
+   * Must be > 0.
+   * @param {[number, number]} [range] - The `[min, max]` allowed values.
+   * Either limit may be infinite. Default is unbounded.
+   * @returns {number}
+   * @readonly
+   */
+  truncatedNormal: (
+    mean?: number,
+    stdDev?: number,
+    range?: [number, number]
+  ) => number;
+  /**
+   * Generate a random integer in the range [min,max]. Rejection samples the
+   * 32-bit output of the engine, so every integer is exactly equally likely
+   * for any range of up to 2^53 integers. With `step`, only `min`,
+   * `min + step`, `min + 2 * step`... up to `max` are generated.
+   * @param {number} min - The lowest integer. Must be a safe integer.
+   * @param {number} max - The highest integer. Must be a safe integer, and
+   * `max - min` can be at most `Number.MAX_SAFE_INTEGER`.
+   * @param {number} [step=1] - Distance between possible results. Must be a
+   * positive integer.
+   * @returns {number} `NaN` if the range is invalid.
+   * @readonly
+   */
+  int: (min: number, max: number, step?: number) => number;
+  /**
+   * Simulates a die-rolling metaphor. Generates a random integer in the range
+   * [1,n] where n is the number of sides, the same way as `int()`, so every
+   * face is exactly equally likely.
+   * @param {number} sides - Number of sides to represent. Allows but ignores
+   * decimals.
+   * @returns {number} `NaN` if `sides` is less than 1.
+   * @readonly
+   */
+  d: (sides: number) => number;
+  /**
+   * Roll a dice expression such as `4d6kh3+2`. Every die is rolled with the
+   * seeded generator and recorded in `history()`, including dice that are
+   * rerolled or dropped.
+   * @param {string} notation - Dice notation. Supports `NdS`, `d%`, `dF`,
+   * keep/drop (`kh`, `kl`, `dh`, `dl`), exploding (`!`) and compounding
+   * (`!!`) dice, rerolls (`r`, `ro`), `+ - * /`, and parentheses. Each
+   * roll of a compounding die is recorded separately. Terms can have at most
+   * 1000 dice of at most 1000000 sides.
+   * @returns {KDDiceResult} The total and every individual die. `total` is
+   * `NaN` if the notation is invalid or divides by zero.
+   * @readonly
+   */
+  parse: (notation: string) => KDDiceResult;
+  /**
+   * Choose a random element of an array. The selected index is recorded in
+   * `history()`.
+   * @param {T[]} array - The array to choose from.
+   * @returns {T | undefined} `undefined` if the array is empty.
+   * @readonly
+   */
+  pick: <T>(array: T[]) => T | undefined;
+  /**
+   * Choose a random value where each value has a relative weight. The
+   * selected index is recorded in `history()`.
+   * @param {{ value: T; weight: number }[]} entries - Weights must be finite
+   * and >= 0.
+   * @returns {T | undefined} `undefined` if no entry has a positive weight.
+   * @readonly
+   */
+  weighted: <T>(
+    entries: {
+      value: T;
+      weight: number;
+    }[]
+  ) => T | undefined;
+  /**
+   * Create a reusable loot table that draws with this instance's generator.
+   * Draws are O(1) using the alias method. Every selected entry index is
+   * recorded in `history()`.
+   * @param {KDLootEntry<T>[]} entries - Entries with a `value`, an optional
+   * `weight` (default `1`), and an optional `guaranteed` flag. A `value` may
+   * be another `KDLootTable`.
+   * @returns {KDLootTable<T>}
+   * @readonly
+   */
+  lootTable: <T>(entries: KDLootEntry<T>[]) => KDLootTable<T>;
+  /**
+   * Shuffle an array using Fisher-Yates. Shuffles are not recorded in
+   * `history()`.
+   * @param {T[]} array - The array to shuffle.
+   * @param {boolean} [inPlace=false] - If `true`, shuffle and return the
+   * original array. Otherwise return a shuffled copy.
+   * @returns {T[]}
+   * @readonly
+   */
+  shuffle: <T>(array: T[], inPlace?: boolean) => T[];
+  /**
+   * Choose `k` elements of an array or any other iterable. Iterables that
+   * aren't arrays are sampled in a single pass with reservoir sampling.
+   * Samples are not recorded in `history()`.
+   * @param {T[] | Iterable<T>} collection - The collection to sample. Not
+   * modified.
+   * @param {number} k - The number of elements.
+   * @param {{ replace?: boolean }} [options] - Use `{ replace: true }` to allow
+   * elements to be chosen more than once.
+   * @returns {T[]} The chosen elements in random order.
+   * @readonly
+   */
+  sample: <T>(
+    collection: T[] | Iterable<T>,
+    k: number,
+    options?: {
+      replace?: boolean;
+    }
+  ) => T[];
+  /**
+   * Generate a random permutation of the integers [0, n).
+   * @param {number} n - The number of integers.
+   * @returns {number[]}
+   * @readonly
+   */
+  permutation: (n: number) => number[];
+  /**
+   * Choose `k` distinct integers from [0, n).
+   * @param {number} n - The number of integers to choose from.
+   * @param {number} k - The number of integers to choose.
+   * @returns {number[]} Sorted in ascending order.
+   * @readonly
+   */
+  combination: (n: number, k: number) => number[];
+  /**
+   * Generate a unique identifier. Defaults to an RFC4122 version 4 UUID.
+   * Identifiers are not recorded in `history()`.
+   * @param {KDUidOptions} [options] - `format` is one of `'v4'`, `'v7'`
+   * (time-ordered), `'nanoid'`, `'hex'`, or `'base62'`. `source` is
+   * `'seeded'` (default, reproducible) or `'crypto'` (unpredictable). Use
+   * `length` and `alphabet` for string IDs, or `time` for `v7` UUIDs.
+   * @returns {string} Empty if the options are invalid.
+   * @readonly
+   */
+  uid: (options?: KDUidOptions) => string;
+  /**
+   * Generates a random real with exponential distribution.
+   * @param {number} [rate=1] - Rate (lambda). Must be > 0. Mean is
+   * `1 / rate`.
+   * @returns {number}
+   * @readonly
+   */
+  exponential: (rate?: number) => number;
+  /**
+   * Generates a random integer with Poisson distribution.
+   * @param {number} lambda - Mean number of events. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  poisson: (lambda: number) => number;
+  /**
+   * Generates a random integer with binomial distribution. The number of
+   * successes in `n` trials.
+   * @param {number} n - Number of trials. Must be a non-negative integer.
+   * @param {number} p - Probability of success in the range [0,1].
+   * @returns {number}
+   * @readonly
+   */
+  binomial: (n: number, p: number) => number;
+  /**
+   * Generates a random integer with geometric distribution. The number of
+   * trials up to and including the first success.
+   * @param {number} p - Probability of success in the range (0,1].
+   * @returns {number}
+   * @readonly
+   */
+  geometric: (p: number) => number;
+  /**
+   * Generates a random real in the interval [0,1] with beta distribution.
+   * @param {number} alpha - Must be > 0.
+   * @param {number} beta - Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  beta: (alpha: number, beta: number) => number;
+  /**
+   * Generates a random real with gamma distribution.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (theta). Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  gamma: (shape: number, scale?: number) => number;
+  /**
+   * Generates a random real with log-normal distribution.
+   * @param {number} [mu=0] - Mean of the underlying normal distribution.
+   * @param {number} [sigma=1] - Standard deviation of the underlying normal
+   * distribution. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  logNormal: (mu?: number, sigma?: number) => number;
+  /**
+   * Generates a random real with Weibull distribution.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (lambda). Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  weibull: (shape: number, scale?: number) => number;
+  /**
+   * Generates a random real in the interval [min, max] with triangular
+   * distribution.
+   * @param {number} min - Lower limit.
+   * @param {number} max - Upper limit.
+   * @param {number} [mode] - Most likely value. Defaults to the midpoint.
+   * @returns {number}
+   * @readonly
+   */
+  triangular: (min: number, max: number, mode?: number) => number;
+  /**
+   * Generates a random real with Cauchy distribution.
+   * @param {number} [location=0] - Location of the peak.
+   * @param {number} [scale=1] - Half width at half maximum. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  cauchy: (location?: number, scale?: number) => number;
+  /**
+   * Generates a random real with chi-square distribution.
+   * @param {number} k - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  chiSquare: (k: number) => number;
+  /**
+   * Generates a random real with Student's t-distribution.
+   * @param {number} nu - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  studentT: (nu: number) => number;
+  /**
+   * Convenience function. Alias for `uniform()`.
+   * @returns {number}
+   * @readonly
+   */
+  random: () => number;
+  /**
+   * Generates a random real in the closed interval [0,1], where `0` and `1`
+   * are both possible. Uses the full bits of the engine without any
+   * floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 53 random
+   * bits, or `'single'` for 24 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  random01Closed: (precision?: KDPrecision) => number;
+  /**
+   * Generates a random real in the open interval (0,1), where neither `0`
+   * nor `1` is possible. Safe for `Math.log()`. Uses the full bits of the
+   * engine without any floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 52 random
+   * bits, or `'single'` for 23 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  random01Open: (precision?: KDPrecision) => number;
+  /**
+   * Generates a random real in the half-open interval [0,1), where `0` is
+   * possible and `1` is not. Uses the full bits of the engine without any
+   * floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 53 random
+   * bits, or `'single'` for 24 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  randomHalfOpen: (precision?: KDPrecision) => number;
+  /**
+   * Generate values directly into a typed array. Much faster than calling a
+   * method for each value. Reals use the full bits of the engine without any
+   * floating point fix, and the `'mt19937'` engine is read a whole state
+   * vector at a time, so results are a different sequence than single calls.
+   * @param {T} array - A `Float64Array`, `Float32Array`, or an integer typed
+   * array like `Uint32Array`. Integer arrays can't hold reals.
+   * @param {KDFillOptions} [options] - The `distribution`: `'uniform'`
+   * (default for float arrays), `'uint32'` (default for integer arrays),
+   * `'int'`, `'d'`, `'gaussian'`, or `'normal'`. Its `args`, eg. `[1, 6]`
+   * for `'int'`. How values are recorded in `history()`: `'full'`,
+   * `'summary'` (default, only running statistics), or `'none'`.
+   * @returns {T | undefined} The filled array, or `undefined` if the array or
+   * options are invalid.
+   * @readonly
+   */
+  fill: <T extends KDTypedArray>(
+    array: T,
+    options?: KDFillOptions
+  ) => T | undefined;
+  /**
+   * Generate `n` values of a distribution with `fill()`. Values are only
+   * recorded in running statistics.
+   * @param {number} n - Number of values.
+   * @param {KDBulkMethod} [method='uniform'] - `'uniform'`, `'uint32'`,
+   * `'int'`, `'d'`, `'gaussian'`, or `'normal'`.
+   * @param {any[]} args - Arguments of the distribution, eg. `6` for `'d'`.
+   * @returns {Float64Array | Uint32Array | undefined} A `Uint32Array` for
+   * `'uint32'` and a `Float64Array` otherwise, or `undefined` if the
+   * arguments are invalid.
+   * @readonly
+   */
+  batch: (
+    n: number,
+    method?: KDBulkMethod,
+    ...args: any[]
+  ) => Float64Array | Uint32Array | undefined;
+  /**
+   * Calculate the statistical mean of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  mean: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate the statistical median of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  median: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate the statistical modes of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number[]}
+   * @readonly
+   */
+  modes: (arr?: number[] | KDHistoryFilter) => number[];
+  /**
+   * Calculate the standard deviation of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions & { normalized?: boolean }} [options] - Use
+   * `{ normalized: false }` for the standard deviation in the units of the
+   * data, and `{ sample: true }` for the sample standard deviation.
+   * @returns {number} By default, standard deviation is normalized [0,1].
+   * @readonly
+   */
+  standardDeviation: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions & {
+      normalized?: boolean;
+    }
+  ) => number;
+  /**
+   * Calculate the variance of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * sample variance. Default is the population variance.
+   * @returns {number}
+   * @readonly
+   */
+  variance: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+  /**
+   * Find the smallest value of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  min: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Find the largest value of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  max: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate the difference between the largest and smallest values of a
+   * `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  range: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate a percentile of a `number[]` or the current `history()` by
+   * linear interpolation between the closest ranks.
+   * @param {number} p - In the range [0,100], eg. `95`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  percentile: (p: number, arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate the interquartile range of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  iqr: (arr?: number[] | KDHistoryFilter) => number;
+  /**
+   * Calculate the skewness of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * adjusted Fisher-Pearson coefficient.
+   * @returns {number}
+   * @readonly
+   */
+  skewness: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+  /**
+   * Calculate the excess kurtosis of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * bias-corrected estimate.
+   * @returns {number}
+   * @readonly
+   */
+  kurtosis: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+  /**
+   * Calculate the five-number summary of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDFiveNumber} `min`, `q1`, `median`, `q3`, and `max`.
+   * @readonly
+   */
+  fiveNumber: (arr?: number[] | KDHistoryFilter) => KDFiveNumber;
+  /**
+   * Calculate every descriptive statistic of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDDescription}
+   * @readonly
+   */
+  describe: (arr?: number[] | KDHistoryFilter) => KDDescription;
+  /**
+   * Count the values of a `number[]` or the current `history()` in equal
+   * width bins. If every value in `history()` is a roll of the same die with
+   * at most `KDHistogram.maxBins` (1000) faces, defaults to one bin for each
+   * face. Never makes more than 1000 bins.
+   * @param {KDHistogramOptions} [options] - `bins` is a number or a rule:
+   * `'auto'`, `'sturges'`, `'freedman-diaconis'`, or `'integer'`. `range` is
+   * `[min, max]`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDHistogram} Counts, relative frequencies, and bin edges, with
+   * `labels` and `datasets` for Chart.js.
+   * @readonly
+   */
+  histogram: (
+    options?: KDHistogramOptions,
+    arr?: number[] | KDHistoryFilter
+  ) => KDHistogram;
+  /**
+   * Count each distinct value of a `number[]` or the current `history()`. If
+   * every value in `history()` is a roll of the same die, every face is
+   * listed.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDFrequencyTable} Counts and relative frequencies, with
+   * `labels` and `datasets` for Chart.js.
+   * @readonly
+   */
+  frequencies: (arr?: number[] | KDHistoryFilter) => KDFrequencyTable;
+  /**
+   * Instantiates a new `KDRoll()`
+   * @param {KDSeedInput} [seed] - The initial seed value. Should be an
+   * unsigned integer or `Uint32Array` of arbitrary values and length, or a
+   * string, `BigInt`, byte buffer, or plain object. If `seed=undefined`,
+   * `KDRoll()` will generate its own random seed using
+   * `KDRoll.createRandomSeed()`.
+   * @param {KDRollOptions} [options] - Use `{ engine }` to choose the engine
+   * by name or pass a custom `KDEngine`. Default engine is `'mt19937'`. Use
+   * `{ audit: true }` to keep a session log for `exportLog()`, and
+   * `{ raw: true }` to generate reals without a floating point fix.
+   * @note `KDRoll` is a class representing a random number manager.
+   * Includes Mersenne Twister uniform distribution, Box Mueller gaussian
+   * distribution, n-sided die rolling, history of variable max size, elementary
+   * statistics, and scale/clip/round convenience functions.
+   */
+  constructor(seed?: KDSeedInput, options?: KDRollOptions);
+  /**
+   * @static Convenience function to generate a randomly seeded random number
+   * normalized [0,1].
+   * @returns {number}
+   */
+  static random(): number;
+  /**
+   * @static Convenience function to generate a randomly seeded random number
+   * in the range 1-sides.
+   * @param {number} sides - The desired number of sides to simulate.
+   * @returns {number}
+   */
+  static d(sides: number): number;
+  /**
+   * @static Convenience function to generate a randomly seeded random integer
+   * in the range min-max.
+   * @param {number} min - The lowest integer.
+   * @param {number} max - The highest integer.
+   * @param {number} [step=1] - Distance between possible results.
+   * @returns {number}
+   */
+  static int(min: number, max: number, step?: number): number;
+  /**
+   * @static Convenience function to roll a dice expression with a randomly
+   * seeded instance.
+   * @param {string} notation - Dice notation, eg. `4d6kh3+2`.
+   * @returns {KDDiceResult}
+   */
+  static parse(notation: string): KDDiceResult;
+  /**
+   * @static Calculate the exact probability distribution of a dice
+   * expression. Supports the notation of `parse()`, and assumes fair dice.
+   * Distributions with more than 50000 possible values, eg. `100d1000`, or
+   * large keep/drop pools are not calculated.
+   * @param {string} notation - Dice notation, eg. `4d6kh3+2`.
+   * @returns {KDDiceDistribution | undefined} Expected value, variance,
+   * PMF, CDF, P(X >= k), and percentiles. `undefined` if the notation is
+   * invalid, it can divide by zero, or the distribution is too large.
+   * @example
+   * ```
+   * KDRoll.probability('3d6').atLeast(12); // 0.375
+   * KDRoll.probability('4d6dl1').mean(); // 12.24
+   * ```
+   */
+  static probability(notation: string): KDDiceDistribution | undefined;
+  /**
+   * @static Re-execute a session log from `exportLog()` on a fresh instance
+   * and compare every result, to independently verify that no call was
+   * changed, added, or removed.
+   * @param {KDAuditLog | string} log - A session log, or a JSON string of one.
+   * @returns {KDReplayReport} `valid` is `true` if every call matched.
+   * Otherwise `divergence` describes the first call that didn't, or `error`
+   * explains why the log could not be replayed.
+   */
+  static replay(log: KDAuditLog | string): KDReplayReport;
+  /**
+   * @static Start a provably fair commit-reveal session. Publish
+   * `fair.hash()`, which commits to the server seed and the engine, before
+   * the client chooses a seed, start each game with `fair.roll(clientSeed)`,
+   * and call `fair.reveal()` after the session. Each game is seeded with
+   * HMAC-SHA256(server seed, client seed + nonce) and keeps a session log.
+   * @param {KDFairOptions} [options] - The secret `serverSeed` (default is
+   * random), the first `nonce` (default `0`), and the `engine`.
+   * @returns {KDFair}
+   */
+  static fair(options?: KDFairOptions): KDFair;
+  /**
+   * @static Verify a game of a revealed provably fair session. Checks the
+   * server seed and engine against the published hash, checks that the game
+   * uses that engine and was seeded from the server seed, client seed, and
+   * nonce, then replays every call.
+   * Compare `proof.serverSeedHash` with the hash published before the game.
+   * @param {KDFairProof} proof - A proof from `fair.reveal()`.
+   * @returns {KDReplayReport} `valid` is `true` if every check passed.
+   */
+  static verify(proof: KDFairProof): KDReplayReport;
+  /**
+   * @static Calculate every descriptive statistic of a `number[]`. The array
+   * is not modified.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDDescription} Count, mean, modes, five-number summary, range,
+   * IQR, population and sample variance and standard deviation, skewness,
+   * and excess kurtosis.
+   */
+  static describe(arr: number[]): KDDescription;
+  /**
+   * @static Count the values of a `number[]` in equal width bins.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDHistogramOptions} [options] - `bins` and `range`.
+   * @returns {KDHistogram} Counts, relative frequencies, and bin edges, with
+   * `labels` and `datasets` for Chart.js.
+   */
+  static histogram(arr: number[], options?: KDHistogramOptions): KDHistogram;
+  /**
+   * @static Count each distinct value of a `number[]`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDFrequencyTable} Counts and relative frequencies, with
+   * `labels` and `datasets` for Chart.js.
+   */
+  static frequencies(arr: number[]): KDFrequencyTable;
+  /**
+   * @static Statistical tests of randomness quality for a `KDRoll` instance,
+   * an engine, or the name of a built-in engine: `chiSquare()` for die fairness, `ks()`, `runs()`,
+   * `serialCorrelation()`, `gap()`, `poker()`, and `all()`. Each returns a
+   * p-value and a pass/fail verdict.
+   * @example
+   * ```
+   * KDRoll.test.chiSquare(roll.fork(), { sides: 20 }).pass;
+   * KDRoll.test.all('pcg32').pass;
+   * ```
+   */
+  static readonly test: {
+    chiSquare: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions & {
+        sides?: number | undefined;
+      }
+    ) => import('./KDTest').KDTestResult;
+    ks: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions & {
+        distribution?: 'normal' | 'uniform' | undefined;
+      }
+    ) => import('./KDTest').KDTestResult;
+    runs: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions
+    ) => import('./KDTest').KDTestResult;
+    serialCorrelation: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions & {
+        lag?: number | undefined;
+      }
+    ) => import('./KDTest').KDTestResult;
+    gap: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions & {
+        range?: [number, number] | undefined;
+        maxGap?: number | undefined;
+      }
+    ) => import('./KDTest').KDTestResult;
+    poker: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions & {
+        cards?: number | undefined;
+        digits?: number | undefined;
+      }
+    ) => import('./KDTest').KDTestResult;
+    all: (
+      source: import('./KDTest').KDTestSource,
+      options?: import('./KDTest').KDTestOptions
+    ) => import('./KDTest').KDTestReport
+    /**
+     * Generate a random permutation of the integers [0, n).
+     * @param {number} n - The number of integers.
+     * @returns {number[]}
+     * @readonly
+     */;
+  };
+  /**
+   * @static Get the names of the built-in engines.
+   * @returns {string[]}
+   */
+  static engines(): string[];
+  /**
+   * @static Create the engine for a new instance.
+   * @param {string | KDEngine} [engine='mt19937'] - Engine name or a custom
+   * `KDEngine`.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  private static createEngine;
+  /**
+   * @static Read a seed code from `seedInfo()`. Ignores case, spaces, and
+   * dashes, and detects most typos with a check symbol.
+   * @param {string} code - The seed code, eg. `'01Z4-J'`.
+   * @returns {number | number[] | undefined} The seed key, or `undefined` if
+   * the code is invalid.
+   */
+  static decodeSeed(code: string): number | number[] | undefined;
+  /**
+   * @static Use a custom source of entropy for random seeds and the
+   * `'crypto'` engine, eg. a hardware generator, or a fixed source in tests.
+   * @param {KDEntropySource} [source] - Fills a `Uint32Array` with random
+   * values. `undefined` restores the default.
+   */
+  static setEntropy(source?: KDEntropySource): void;
+  /**
+   * @static Get the kind of runtime and the source of entropy that is used.
+   * @returns {{ environment: KDEnvironment, entropy: KDEntropyName }}
+   */
+  static runtime(): {
+    environment: KDEnvironment;
+    entropy: KDEntropyName;
+  };
+  /**
+   * @static Generate a random seed array using a custom source of entropy,
+   * `crypto.getRandomValues()`, or Node `crypto`. Falls back to
+   * `Math.random()` if none is available.
+   * @return {number[]} Randomly generated `number[]` of random size [20,623]
+   * and values.
+   */
+  static createRandomSeed(): number[];
+  /**
+   * @static Scale a value from a known range to a new range.
+   * @param {number} value - The initial value.
+   * @param {[number, number]} r1 - The initial range [min, max].
+   * @param {[number, number]} r2 - The target range [min, max].
+   * @returns {number}
+   */
+  static scale(
+    value: number,
+    r1: [number, number],
+    r2: [number, number]
+  ): number;
+  /**
+   * @static Limit a value to a hard minimum and maximum.
+   * @param {number} value - The initial value.
+   * @param {[number, number]} range - Array containing the minimum and
+   * maximum possible values.
+   * @returns {number}
+   */
+  static clip(value: number, range: [number, number]): number;
+  /**
+   * @static Round a value to a specific number of places. Decimal values < 5
+   * (for any given place) are rounded down.
+   * @param {number} value - The initial value.
+   * @param {number} [places=0] - The desired number of decimal places.
+   * `0` results in a whole number. Default is `places=0`.
+   * @returns {number}
+   */
+  static round(value: number, places: number): number;
+}
+export {};
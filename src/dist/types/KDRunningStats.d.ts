@@ -0,0 +1,128 @@
+/**
+ * @file KDRunningStats.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a streaming statistics accumulator. Tracks
+ * count, min/max, mean, variance, skewness, and kurtosis exactly with
+ * Welford-style updates, and quantiles approximately with a merging t-digest.
+ * Memory use is constant regardless of the number of values.
+ */
+/** Summary of the values pushed to a `KDRunningStats`. */
+export declare type KDRunningSummary = {
+  count: number;
+  mean: number;
+  /** Population variance. */
+  variance: number;
+  /** Population standard deviation. */
+  stdDev: number;
+  min: number;
+  max: number;
+  skewness: number;
+  /** Excess kurtosis. `0` for a normal distribution. */
+  kurtosis: number;
+  /** Estimated median. */
+  median: number;
+};
+/** JSON-safe snapshot of a `KDRunningStats`. */
+export declare type KDRunningState = {
+  count: number;
+  mean: number;
+  m2: number;
+  m3: number;
+  m4: number;
+  min: number;
+  max: number;
+  centroids: [number, number][];
+};
+/**
+ * @class Streaming statistics accumulator. Each `push()` is O(1) amortized.
+ * @example
+ * ```
+ * const stats = new KDRunningStats();
+ * [1, 2, 3, 4].forEach(stats.push);
+ * stats.mean(); // 2.5
+ * stats.quantile(0.5); // 2.5
+ * ```
+ */
+export declare class KDRunningStats {
+  /**
+   * Add a value. Values that aren't finite numbers are ignored.
+   * @param {number} value - The value.
+   */
+  push: (value: number) => void;
+  /**
+   * Get the number of values.
+   * @returns {number}
+   */
+  count: () => number;
+  /**
+   * Get the mean. `NaN` if empty.
+   * @returns {number}
+   */
+  mean: () => number;
+  /**
+   * Get the population variance. `NaN` if empty.
+   * @returns {number}
+   */
+  variance: () => number;
+  /**
+   * Get the population standard deviation. `NaN` if empty.
+   * @returns {number}
+   */
+  stdDev: () => number;
+  /**
+   * Get the smallest value. `NaN` if empty.
+   * @returns {number}
+   */
+  min: () => number;
+  /**
+   * Get the largest value. `NaN` if empty.
+   * @returns {number}
+   */
+  max: () => number;
+  /**
+   * Get the skewness. `NaN` if empty or if every value is the same.
+   * @returns {number}
+   */
+  skewness: () => number;
+  /**
+   * Get the excess kurtosis. `NaN` if empty or if every value is the same.
+   * @returns {number}
+   */
+  kurtosis: () => number;
+  /**
+   * Estimate a quantile. Exact for small counts and accurate to a fraction
+   * of a percentile for large counts, most of all near the tails.
+   * @param {number} p - In the range [0,1], eg. `0.5` for the median.
+   * @returns {number} `NaN` if empty or `p` is invalid.
+   */
+  quantile: (p: number) => number;
+  /**
+   * Get every statistic at once.
+   * @returns {KDRunningSummary}
+   */
+  summary: () => KDRunningSummary;
+  /**
+   * Combine with another accumulator as if every value had been pushed to
+   * one. Neither accumulator is changed.
+   * @param {KDRunningStats} other - The other accumulator.
+   * @returns {KDRunningStats} A new accumulator.
+   */
+  merge: (other: KDRunningStats) => KDRunningStats;
+  /**
+   * Take a JSON-safe snapshot.
+   * @returns {KDRunningState}
+   */
+  getState: () => KDRunningState;
+  /**
+   * Restore a snapshot created by `getState()`.
+   * @param {KDRunningState} state - The snapshot.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   */
+  setState: (state: KDRunningState) => boolean;
+  /**
+   * Class representing a streaming statistics accumulator.
+   */
+  constructor();
+}
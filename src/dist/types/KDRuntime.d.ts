@@ -0,0 +1,64 @@
+/**
+ * @file KDRuntime.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Finds the global object and a source of entropy in any
+ * runtime: browsers, Web Workers, Node, and server-side rendering. Nothing
+ * here assumes that `window` exists.
+ */
+/**
+ * Fills an array with random unsigned 32-bit integers. May fill the array in
+ * place or return a filled array of the same length.
+ */
+export declare type KDEntropySource = (out: Uint32Array) => Uint32Array | void;
+/**
+ * Where entropy comes from. `'custom'` is a source set with `setEntropy()`,
+ * `'webcrypto'` is `crypto.getRandomValues()`, `'node'` is the Node `crypto`
+ * module, and `'math'` is `Math.random()`, which is not secure.
+ */
+export declare type KDEntropyName = 'custom' | 'webcrypto' | 'node' | 'math';
+/** The kind of runtime. */
+export declare type KDEnvironment = 'browser' | 'worker' | 'node' | 'unknown';
+/**
+ * Holds functions for working with the runtime.
+ * @example
+ * ```
+ * KDRuntime.environment(); // 'node'
+ * KDRuntime.entropy(); // 'webcrypto'
+ * KDRuntime.fill(new Uint32Array(4)); // Uint32Array [ ... ]
+ * ```
+ */
+export declare const KDRuntime: {
+  /**
+   * Get the global object: `globalThis`, `self` in workers, `window` in
+   * older browsers, or `global` in older versions of Node.
+   * @returns {any}
+   */
+  global: () => any;
+  /**
+   * Detect the kind of runtime.
+   * @returns {KDEnvironment}
+   */
+  environment: () => KDEnvironment;
+  /**
+   * Use a custom source of entropy for random seeds and the crypto engine,
+   * eg. a hardware generator or a fixed source in tests.
+   * @param {KDEntropySource} [source] - The source. `undefined` restores
+   * the default.
+   */
+  setEntropy: (source?: KDEntropySource | undefined) => void;
+  /**
+   * Get the name of the source of entropy that is used.
+   * @returns {KDEntropyName}
+   */
+  entropy: () => KDEntropyName;
+  /**
+   * Fill an array with random unsigned 32-bit integers from the first
+   * available source: a custom source, `crypto.getRandomValues()`, Node
+   * `crypto.randomFillSync()`, or `Math.random()`.
+   * @param {Uint32Array} out - The array to fill.
+   * @returns {Uint32Array} `out`.
+   */
+  fill: (out: Uint32Array) => Uint32Array;
+};
@@ -0,0 +1,82 @@
+/**
+ * @file KDSampling.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Collection helpers driven by a uniform distribution random
+ * number generator. Includes Fisher-Yates shuffles, sampling with and without
+ * replacement, reservoir sampling, permutations, and combinations.
+ */
+/**
+ * A uniform distribution random number generator in the interval [0,1), and
+ * optionally an unbiased random integer in the range [0, n). A generator
+ * whose `random()` can return 1 must provide `below()`.
+ */
+declare type Uniform = {
+  random: () => number;
+  below?: (n: number) => number;
+};
+/**
+ * Holds functions for shuffling and sampling collections. Every function
+ * takes the generator as its first argument.
+ * @example
+ * ```
+ * const uniform = { random: Math.random };
+ * KDSampling.shuffle(uniform, [1, 2, 3, 4]);
+ * KDSampling.combination(uniform, 52, 5);
+ * ```
+ */
+export declare const KDSampling: {
+  /**
+   * Shuffle an array in place using Fisher-Yates.
+   * @param {Uniform} uniform - The generator.
+   * @param {T[]} array - The array to shuffle.
+   * @returns {T[]} The same array.
+   */
+  shuffle: <T>(uniform: Uniform, array: T[]) => T[];
+  /**
+   * Choose `k` elements of an array.
+   * @param {Uniform} uniform - The generator.
+   * @param {T[]} array - The array to sample. Not modified.
+   * @param {number} k - The number of elements.
+   * @param {boolean} [replace=false] - If `true`, elements may be chosen more
+   * than once.
+   * @returns {T[]} The chosen elements in random order.
+   */
+  sample: <T_1>(
+    uniform: Uniform,
+    array: T_1[],
+    k: number,
+    replace?: boolean
+  ) => T_1[];
+  /**
+   * Choose `k` elements of an iterable of unknown length in a single pass,
+   * without replacement.
+   * @param {Uniform} uniform - The generator.
+   * @param {Iterable<T>} iterable - Any iterable, eg. a `Set` or generator.
+   * @param {number} k - The number of elements.
+   * @returns {T[]} The chosen elements in random order. Contains every
+   * element if the iterable has fewer than `k` elements.
+   */
+  reservoir: <T_2>(
+    uniform: Uniform,
+    iterable: Iterable<T_2>,
+    k: number
+  ) => T_2[];
+  /**
+   * Generate a random permutation of the integers [0, n).
+   * @param {Uniform} uniform - The generator.
+   * @param {number} n - The number of integers.
+   * @returns {number[]}
+   */
+  permutation: (uniform: Uniform, n: number) => number[];
+  /**
+   * Choose `k` distinct integers from [0, n) using Floyd's algorithm.
+   * @param {Uniform} uniform - The generator.
+   * @param {number} n - The number of integers to choose from.
+   * @param {number} k - The number of integers to choose.
+   * @returns {number[]} Sorted in ascending order.
+   */
+  combination: (uniform: Uniform, n: number, k: number) => number[];
+};
+export {};
@@ -0,0 +1,89 @@
+/**
+ * @file KDSeed.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for deriving deterministic seed keys from strings,
+ * `BigInt`, byte buffers, and plain objects, and for formatting seed keys as
+ * short codes that can be shared and typed back in.
+ */
+/** A seed key that every engine accepts. */
+declare type Seed = number | number[] | Uint32Array | undefined;
+/**
+ * Anything that can be used as a seed. Numbers, arrays of numbers, and typed
+ * arrays such as `Uint8Array` are used as they are. Strings and plain
+ * objects are hashed, and `BigInt`, `ArrayBuffer`, and `DataView` are split
+ * into 32-bit words.
+ */
+export declare type KDSeedInput =
+  | Seed
+  | string
+  | bigint
+  | ArrayBuffer
+  | DataView
+  | Uint8Array
+  | {
+      [key: string]: any;
+    };
+/** Result of `seedInfo()`. */
+export declare type KDSeedInfo = {
+  /** The seed as it was given, or the key if it was generated. */
+  input: KDSeedInput;
+  /** The key the engine was seeded with. */
+  key: Seed;
+  /** A short code for the key, or `undefined` if the engine has no seed or
+   * the key has more than `KDSeed.maxWords` words, eg. a generated seed. */
+  code: string | undefined;
+};
+/**
+ * Holds functions for deriving and sharing seeds.
+ * @example
+ * ```
+ * KDSeed.key('dungeon-42'); // [4 words of SHA-256('dungeon-42')]
+ * KDSeed.encode(2020); // '01Z4-J'
+ * KDSeed.decode('01z4-j'); // 2020
+ * ```
+ */
+export declare const KDSeed: {
+  /** Most words of a key that `encode()` accepts. */
+  maxWords: number;
+  /**
+   * Serialize a value as JSON with object keys sorted, so equal objects
+   * always give the same string. `BigInt` values become strings.
+   * @param {any} value - The value.
+   * @returns {string | undefined} `undefined` for values JSON skips, eg.
+   * functions.
+   */
+  canonical: (value: any) => string | undefined;
+  /**
+   * Derive the seed key of an input. Strings are hashed with SHA-256 into
+   * four 32-bit words, and plain objects are hashed the same way after
+   * `canonical()`. A `BigInt` is used as a number if it's a safe integer, or
+   * split into big endian 32-bit words. `ArrayBuffer` and `DataView` bytes
+   * are read as big endian 32-bit words, padding the last word with zeros.
+   * Anything else is returned as it is, so typed arrays such as `Uint8Array`
+   * stay arrays of numbers like they always were.
+   * @param {KDSeedInput} input - The seed.
+   * @returns {Seed}
+   */
+  key: (input: KDSeedInput) => Seed;
+  /**
+   * Format a seed key as a short code of base 32 symbols in groups of 4,
+   * eg. `'01Z4-J'` for `2020`. The first symbol is the kind of key and the
+   * last is a check symbol.
+   * @param {Seed} key - A non-negative safe integer, or an array of at most
+   * `maxWords` of them.
+   * @returns {string | undefined} `undefined` if `key` isn't a valid key or
+   * is too long for a short code.
+   */
+  encode: (key: Seed) => string | undefined;
+  /**
+   * Read a code from `encode()`. Ignores case, spaces, and dashes, and reads
+   * `O` as `0` and `I` and `L` as `1`.
+   * @param {string} code - The code.
+   * @returns {number | number[] | undefined} The seed key, or `undefined` if
+   * the code is invalid or mistyped.
+   */
+  decode: (code: string) => number | number[] | undefined;
+};
+export {};
@@ -0,0 +1,43 @@
+/**
+ * @file KDSha256.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Synchronous SHA-256 and HMAC-SHA256 (FIPS 180-4, RFC2104).
+ * Bundled so hashes work offline and give the same result in every runtime.
+ */
+/**
+ * Holds functions for SHA-256 hashing.
+ * @example
+ * ```
+ * KDSha256.hex(KDSha256.digest('abc'));
+ * // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+ * ```
+ */
+export declare const KDSha256: {
+  /**
+   * Hash a message.
+   * @param {string | Uint8Array} message - Strings are UTF-8 encoded.
+   * @returns {Uint8Array} The 32-byte digest.
+   */
+  digest: (message: string | Uint8Array) => Uint8Array;
+  /**
+   * Compute an HMAC-SHA256 message authentication code.
+   * @param {string | Uint8Array} key - Strings are UTF-8 encoded.
+   * @param {string | Uint8Array} message - Strings are UTF-8 encoded.
+   * @returns {Uint8Array} The 32-byte code.
+   */
+  hmac: (key: string | Uint8Array, message: string | Uint8Array) => Uint8Array;
+  /**
+   * Format bytes as a lowercase hex string.
+   * @param {Uint8Array} bytes - The bytes.
+   * @returns {string}
+   */
+  hex: (bytes: Uint8Array) => string;
+  /**
+   * Read bytes as big endian unsigned 32-bit words.
+   * @param {Uint8Array} bytes - The bytes. Length must be a multiple of 4.
+   * @returns {number[]}
+   */
+  words: (bytes: Uint8Array) => number[];
+};
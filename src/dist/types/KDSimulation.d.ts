@@ -0,0 +1,82 @@
+/**
+ * @file KDSimulation.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Monte Carlo simulation runner. Runs a trial function many
+ * times, aggregates the results with `KDElemstats`, and reports a confidence
+ * interval for the mean and how it converged. Can stop early once a target
+ * precision is reached.
+ */
+import { KDDescription } from './KDElemStats';
+import { KDSeedInput } from './KDSeed';
+/** Options for `simulate()`. */
+export declare type KDSimulationOptions = {
+  /** Number of trials, or the most trials if `precision` is set. Default
+   * `1000`. */
+  trials?: number;
+  /** Seed of the trial streams. Default is the next `fork()`. */
+  seed?: KDSeedInput;
+  /** Confidence level of the interval, in the range (0,1). Default
+   * `0.95`. */
+  confidence?: number;
+  /** Stop once the margin of error of the mean is at most this. */
+  precision?: number;
+  /** Fewest trials before stopping early. Default `100`. */
+  minTrials?: number;
+};
+/** Estimate of the mean after a number of trials. */
+export declare type KDSimulationCheckpoint = {
+  trials: number;
+  mean: number;
+  /** Margin of error of the mean. */
+  margin: number;
+};
+/** Result of `simulate()`. */
+export declare type KDSimulationResult = {
+  /** Number of trials run. */
+  trials: number;
+  /** Result of every trial, in order. `true` and `false` are `1` and `0`. */
+  values: number[];
+  /** Descriptive statistics of `values`. */
+  stats: KDDescription;
+  mean: number;
+  /** Standard error of the mean. */
+  standardError: number;
+  /** Margin of error of the mean at the confidence level. */
+  margin: number;
+  /** Confidence interval of the mean, `[mean - margin, mean + margin]`. */
+  interval: [number, number];
+  confidence: number;
+  /** `true` if `precision` was set and reached. */
+  converged: boolean;
+  /** Estimates of the mean after 10, 20, 50, 100, 200, 500... trials, and
+   * after the last trial. */
+  convergence: KDSimulationCheckpoint[];
+};
+/**
+ * Holds the simulation runner.
+ * @example
+ * ```
+ * const result = KDSimulation.run((trial) => Math.random() < 0.5, {
+ *   trials: 100000,
+ *   precision: 0.001,
+ * });
+ * result.interval; // [0.499, 0.501]
+ * ```
+ */
+export declare const KDSimulation: {
+  /**
+   * Run trials and aggregate their results.
+   * @param {(trial: number) => number | boolean} trial - Runs the trial with
+   * the given index and returns its result.
+   * @param {KDSimulationOptions} [options] - `trials`, `confidence`,
+   * `precision`, and `minTrials`.
+   * @returns {KDSimulationResult | undefined} `undefined` if an option is
+   * invalid or a trial doesn't return a finite number or a boolean.
+   */
+  run: (
+    trial: (trial: number) => number | boolean,
+    options?: KDSimulationOptions
+  ) => KDSimulationResult | undefined;
+};
@@ -0,0 +1,169 @@
+/**
+ * @file KDTest.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Statistical tests of randomness quality. Each test draws
+ * values from a `KDRoll` instance or an engine and returns its statistic, a
+ * p-value, and a pass/fail verdict. Includes chi-square goodness-of-fit for
+ * dice, Kolmogorov–Smirnov, runs, serial correlation, gap, and poker tests.
+ */
+import { KDEngine } from './KDEngines';
+/**
+ * Anything that generates random reals in the interval [0,1), eg. a `KDRoll`
+ * instance. `d()`, `int()`, and `normal()` are used if present.
+ */
+export declare type KDTestGenerator = {
+  random: () => number;
+  d?: (sides: number) => number;
+  int?: (min: number, max: number) => number;
+  normal?: (mean?: number, stdDev?: number) => number;
+};
+/** A `KDRoll` instance, an engine, or the name of a built-in engine. */
+export declare type KDTestSource = KDTestGenerator | KDEngine | string;
+/** Result of a randomness test. */
+export declare type KDTestResult = {
+  /** Name of the test, eg. `'chiSquare'`. */
+  test: string;
+  /** The test statistic. */
+  statistic: number;
+  /** Probability of a statistic at least this extreme from a perfect
+   * generator. */
+  pValue: number;
+  /** `true` if `pValue >= alpha`. */
+  pass: boolean;
+  /** The significance level. */
+  alpha: number;
+  /** Number of observations, eg. rolls, gaps, or hands. */
+  n: number;
+  /** Degrees of freedom, for chi-square statistics. */
+  df?: number;
+};
+/** Options shared by every test. */
+export declare type KDTestOptions = {
+  /** Number of observations. Each test has its own default. */
+  n?: number;
+  /** Significance level. Default `0.01`. */
+  alpha?: number;
+};
+/** Result of `KDTest.all()`. */
+export declare type KDTestReport = {
+  /** `true` if every test passed. */
+  pass: boolean;
+  results: KDTestResult[];
+};
+/**
+ * Holds statistical tests of randomness quality. Each test draws new values
+ * from its source, so a `KDRoll` instance records them as usual. Pass
+ * `roll.fork()` to leave the instance untouched. Engine names get a new,
+ * randomly seeded engine.
+ *
+ * A perfect generator fails each test with probability `alpha`, so an
+ * occasional failure is expected. Repeated failures indicate bias.
+ * @example
+ * ```
+ * KDRoll.test.chiSquare(roll, { sides: 6 });
+ * // { test: 'chiSquare', statistic: 3.1, pValue: 0.68, pass: true, ... }
+ * KDRoll.test.all('pcg32');
+ * ```
+ */
+export declare const KDTest: {
+  /**
+   * Chi-square goodness-of-fit test that every face of a die is equally
+   * likely. Uses the source's `d()`, or `floor(random() * sides) + 1` for
+   * engines.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { sides?: number }} [options] - `sides` defaults
+   * to `6`, and `n` to `100 * sides` rolls.
+   * @returns {KDTestResult}
+   */
+  chiSquare: (
+    source: KDTestSource,
+    options?: KDTestOptions & {
+      sides?: number;
+    }
+  ) => KDTestResult;
+  /**
+   * Kolmogorov–Smirnov test against the uniform or standard normal CDF.
+   * Uses the source's `normal()` for normal samples if it has one.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { distribution?: 'uniform' | 'normal' }} [options] -
+   * `distribution` defaults to `'uniform'`, and `n` to `1000`.
+   * @returns {KDTestResult} The statistic is the largest distance between
+   * the empirical and expected CDFs.
+   */
+  ks: (
+    source: KDTestSource,
+    options?: KDTestOptions & {
+      distribution?: 'uniform' | 'normal';
+    }
+  ) => KDTestResult;
+  /**
+   * Wald–Wolfowitz runs test of values above and below `0.5`. Too few runs
+   * suggest clustering, and too many suggest alternation.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions} [options] - `n` defaults to `1000`.
+   * @returns {KDTestResult} The statistic is the normal z-score of the
+   * number of runs.
+   */
+  runs: (source: KDTestSource, options?: KDTestOptions) => KDTestResult;
+  /**
+   * Test for correlation between values `lag` apart.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { lag?: number }} [options] - `lag` defaults to
+   * `1`, and `n` to `1000`.
+   * @returns {KDTestResult} The statistic is the correlation coefficient in
+   * the range [-1,1].
+   */
+  serialCorrelation: (
+    source: KDTestSource,
+    options?: KDTestOptions & {
+      lag?: number;
+    }
+  ) => KDTestResult;
+  /**
+   * Knuth's gap test. Counts the values between successive values that fall
+   * in `range`, and compares the gap lengths to the geometric distribution.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { range?: [number, number], maxGap?: number }}
+   * [options] - `range` defaults to `[0, 0.5]`, gaps of `maxGap` (default
+   * `5`) or more are counted together, and `n` defaults to `1000` gaps.
+   * @returns {KDTestResult}
+   */
+  gap: (
+    source: KDTestSource,
+    options?: KDTestOptions & {
+      range?: [number, number];
+      maxGap?: number;
+    }
+  ) => KDTestResult;
+  /**
+   * Knuth's simplified poker test. Deals hands of `cards` digits in base
+   * `digits` and counts the distinct digits in each hand.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { cards?: number, digits?: number }} [options] -
+   * `cards` defaults to `5`, `digits` to `10`, and `n` to `1000` hands.
+   * @returns {KDTestResult}
+   */
+  poker: (
+    source: KDTestSource,
+    options?: KDTestOptions & {
+      cards?: number;
+      digits?: number;
+    }
+  ) => KDTestResult;
+  /**
+   * Run every test with its default options.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions} [options] - `alpha` for every test.
+   * @returns {KDTestReport}
+   */
+  all: (source: KDTestSource, options?: KDTestOptions) => KDTestReport;
+};
@@ -0,0 +1,75 @@
+/**
+ * @file KDUid.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Unique identifier generators driven by a source of unsigned
+ * 32-bit integers. Includes RFC4122 version 4 and version 7 UUIDs, nanoid-style
+ * IDs with a custom alphabet, and random hex/base62 strings.
+ */
+/** Function returning a random unsigned 32-bit integer. */
+declare type Words = () => number;
+/** Identifier formats supported by `KDUid.create()`. */
+export declare type KDUidFormat = 'v4' | 'v7' | 'nanoid' | 'hex' | 'base62';
+/** Options for `KDUid.create()`. */
+export declare type KDUidOptions = {
+  /** Default `'v4'`. */
+  format?: KDUidFormat;
+  /** `'seeded'` (reproducible) or `'crypto'`. Default `'seeded'`. */
+  source?: 'seeded' | 'crypto';
+  /** Length of `nanoid`, `hex`, and `base62` IDs. */
+  length?: number;
+  /** Alphabet of `nanoid` IDs. */
+  alphabet?: string;
+  /** Unix timestamp in milliseconds for `v7` UUIDs. Default `Date.now()`. */
+  time?: number;
+};
+/**
+ * Holds functions for generating unique identifiers. Every function takes the
+ * source of random unsigned 32-bit integers as its first argument.
+ * @example
+ * ```
+ * const next = () => Math.floor(Math.random() * 4294967296);
+ * KDUid.uuid4(next); // eg. '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed'
+ * ```
+ */
+export declare const KDUid: {
+  /**
+   * Generate random bytes.
+   * @param {Words} next - The source.
+   * @param {number} n - The number of bytes.
+   * @returns {number[]}
+   */
+  bytes: (next: Words, n: number) => number[];
+  /**
+   * Generate an RFC4122 version 4 (random) UUID.
+   * @param {Words} next - The source.
+   * @returns {string}
+   */
+  uuid4: (next: Words) => string;
+  /**
+   * Generate a version 7 (time-ordered) UUID. The first 48 bits are the
+   * timestamp, so UUIDs sort by creation time.
+   * @param {Words} next - The source.
+   * @param {number} [time=Date.now()] - Unix timestamp in milliseconds.
+   * @returns {string} Empty if `time` is invalid.
+   */
+  uuid7: (next: Words, time?: number) => string;
+  /**
+   * Generate a string of characters chosen uniformly from an alphabet.
+   * @param {Words} next - The source.
+   * @param {number} length - The number of characters.
+   * @param {string} alphabet - Unique characters, at least 2.
+   * @returns {string} Empty if `length` or `alphabet` is invalid.
+   */
+  string: (next: Words, length: number, alphabet: string) => string;
+  /**
+   * Generate an identifier in any supported format.
+   * @param {Words} next - The source.
+   * @param {KDUidOptions} [options] - The `format`, plus `length` and
+   * `alphabet` for string IDs or `time` for `v7` UUIDs.
+   * @returns {string} Empty if the options are invalid.
+   */
+  create: (next: Words, options?: KDUidOptions) => string;
+};
+export {};
@@ -0,0 +1,103 @@
+/**
+ * @file KDUniform.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class implementing Mersenne Twister random number generator.
+ */
+import { KDSeedInput } from './KDSeed';
+/** Allowed seed types. */
+declare type Seed = number | number[] | Uint32Array | undefined;
+/** Serializable snapshot of the generator. */
+export declare type KDUniformState = {
+  seed: Seed;
+  mt: number[];
+  mti: number;
+};
+/**
+ * Mersenne Twister uniform distribution random number generator.
+ * Generates a random seed using `crypto` if one isn't provided.
+ */
+export declare class KDUniform {
+  /** Engine name used in saved states. */
+  name: string;
+  /**
+   * Generates a random unsigned 32-bit integer.
+   * @returns {number}
+   */
+  nextUint32: () => number;
+  /**
+   * Generates a 53-bit random real in the interval [0,1] with
+   * normal distribution.
+   * @returns {number}
+   */
+  random: () => number;
+  /**
+   * Fill an array with random unsigned 32-bit integers, a whole state vector
+   * at a time. Every 624 outputs cost one twist instead of one each, so this
+   * is a different sequence than calling `nextUint32()`. Outputs left over in
+   * the last state vector are discarded.
+   * @param {Uint32Array} out - The array to fill.
+   */
+  fill: (out: Uint32Array) => void;
+  /**
+   * Advance the generator as if `random()` had been called `n` times, using
+   * polynomial jump-ahead. Costs O(log n) after the first call.
+   * @param {number} n - A non-negative integer.
+   */
+  jump: (n: number) => void;
+  /**
+   * If `seed` is `null`, return the current seed. Otherwise, initialize the
+   * instance with a new seed. Creates a random seed if one isn't provided.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`,
+   * `number[]` of arbitrary size and values, string, `BigInt`, byte buffer,
+   * or plain object.
+   * @returns {Seed} The actual seed after initialization.
+   */
+  seed: (seed?: KDSeedInput) => Seed;
+  /**
+   * Return a copy of the current generator state.
+   * @returns {KDUniformState}
+   */
+  getState: () => KDUniformState;
+  /**
+   * Restore the generator to a previous state so that it continues the exact
+   * same sequence.
+   * @param {KDUniformState} state - A state returned by `getState()`.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   */
+  setState: (state: KDUniformState) => boolean;
+  /**
+   * Mersenne Twister uniform distribution random number generator.
+   * Generates a random seed using `crypto` if one isn't provided.
+   * @param {KDSeedInput} [seed=null] - The initial seed value. Should be an
+   * unsigned 32-bit `Integer`, `Uint32Array`, or `number[]` of arbitrary
+   * values and length, or a string, `BigInt`, byte buffer, or plain object.
+   * If `null`, `KDRoll()` will generate a random seed.
+   */
+  constructor(seed?: KDSeedInput);
+  /**
+   * Check that an object is a valid `KDUniformState`.
+   * @param {any} state - The object to check.
+   * @returns {boolean}
+   */
+  static isState(state: any): boolean;
+  /**
+   * Validate a seed. Strings, `BigInt`, byte buffers, and plain objects are
+   * converted with `KDSeed.key()`. Floats are rounded and negative numbers
+   * are made positive. Unsafe, empty, or unsupported seeds are replaced with
+   * a random seed array.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`,
+   * `number[]` of arbitrary size and values, or any other `KDSeedInput`.
+   * @returns {number | number[]} The seed that should be used.
+   */
+  static normalizeSeed(seed?: KDSeedInput): number | number[];
+  /**
+   * Generate a random seed array with `KDRuntime.fill()`, which uses a custom
+   * source, `crypto.getRandomValues()`, or Node `crypto`, and falls back to
+   * `Math.random()`.
+   * @returns {number[]}
+   */
+  static createRandomSeed(): number[];
+}
+export {};
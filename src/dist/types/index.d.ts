@@ -0,0 +1,36 @@
+/**
+ * @file /src/module/dev/index.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Entry point of the TypeScript sources. Compiles to an ES
+ * module or, with `module: commonjs`, to a CommonJS module. Nothing it loads
+ * needs `window` or any other DOM global, so it can be imported in Node, Web
+ * Workers, and server-side rendering.
+ * @example
+ * ```
+ * import { KDRoll } from './module/dev';
+ * const { KDRoll } = require('./module/dev');
+ * ```
+ */
+export { KDRoll } from './KDRoll';
+export { KDRuntime } from './KDRuntime';
+export type { KDRollOptions, KDRollState, KDRollEvents } from './KDRoll';
+export type {
+  KDEntropyName,
+  KDEntropySource,
+  KDEnvironment,
+} from './KDRuntime';
+export type { KDEngine, KDInterval, KDPrecision } from './KDEngines';
+export type { KDSeedInput, KDSeedInfo } from './KDSeed';
+export type { KDHistoryEntry, KDHistoryFilter } from './KDHistory';
+export type { KDDiceResult } from './KDDice';
+export type { KDLootEntry, KDLootOptions } from './KDLootTable';
+export type { KDUidFormat, KDUidOptions } from './KDUid';
+export type { KDAuditLog, KDReplayReport } from './KDAudit';
+export type { KDFairOptions, KDFairProof } from './KDFair';
+export type { KDSimulationOptions, KDSimulationResult } from './KDSimulation';
+export type { KDHistogramOptions, KDFrequencyTable } from './KDHistogram';
+export type { KDTestOptions, KDTestReport, KDTestResult } from './KDTest';
+export type { KDBulkMethod, KDFillOptions, KDTypedArray } from './KDBulk';
+export type { KDDescription, KDSampleOptions } from './KDElemStats';
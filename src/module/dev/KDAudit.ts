@@ -0,0 +1,212 @@
+/**
+ * @file KDAudit.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Session logs for `KDRoll` and the functions that replay them.
+ * A log holds the seed, the engine, and every call that consumed random
+ * values, so anyone can re-execute a session and check each result.
+ */
+
+import { KDRoll, KDRollState } from './KDRoll';
+import { KDLootEntry, KDLootTable } from './KDLootTable';
+import { KDBulk } from './KDBulk';
+
+/**
+ * A call recorded in a session log. Methods that take collections record
+ * positions instead of elements, eg. `pick(['a', 'b', 'c'])` is recorded with
+ * `args: [3]` and the selected index as its `result`.
+ */
+export type KDAuditCall = {
+  /** Name of the `KDRoll` method, eg. `'d'`. */
+  method: string;
+  /** JSON-safe arguments. */
+  args: any[];
+  /** JSON-safe result. */
+  result: any;
+};
+
+/** A JSON-safe session log created by `exportLog()`. */
+export type KDAuditLog = {
+  /** Log format version. */
+  version: number;
+  /** Name of the engine. */
+  engine: string;
+  /** `true` if the session used `{ raw: true }`. */
+  raw?: boolean;
+  /** The seed of the session. */
+  seed: any;
+  /** Generator state the session started from, if it started from
+   * `setState()` instead of the seed. */
+  state?: KDRollState;
+  /** Every call in order. */
+  calls: KDAuditCall[];
+};
+
+/** Result of `KDRoll.replay()`. */
+export type KDReplayReport = {
+  /** `true` if every call reproduced its recorded result. */
+  valid: boolean;
+  /** Number of calls that matched before the first divergence. */
+  replayed: number;
+  /** The first call whose result did not match. */
+  divergence?: {
+    index: number;
+    method: string;
+    args: any[];
+    expected: any;
+    actual: any;
+  };
+  /** Reason the log could not be replayed. */
+  error?: string;
+};
+
+/** The structure of a loot table, without its values. */
+export type KDLootShape = {
+  weight: number;
+  guaranteed: boolean;
+  /** The shape of a nested table. */
+  table: KDLootShape[] | null;
+};
+
+/** The current log format version. */
+const version = 1;
+
+/** The integers [0, n). */
+const range = (n: number): number[] => new Array(n).fill(0).map((x, i) => i);
+
+/** Rebuild a loot table whose values are the entry indices. */
+const fromShape = (shape: KDLootShape[]): KDLootEntry<number>[] =>
+  shape.map((entry, i) => ({
+    value: entry.table ? new KDLootTable(fromShape(entry.table)) : i,
+    weight: entry.weight,
+    guaranteed: entry.guaranteed,
+  }));
+
+/** Functions that re-execute a recorded call and return its result. */
+const replayers: { [method: string]: (roll: KDRoll, args: any[]) => any } = {
+  uniform: (roll) => roll.uniform(),
+  gaussian: (roll, [skew]) => roll.gaussian(skew),
+  int: (roll, [min, max, step]) => roll.int(min, max, step),
+  d: (roll, [sides]) => roll.d(sides),
+  fill: (roll, [type, length, options]) => {
+    const Type = KDBulk.arrays[type];
+    return Type && Array.from(roll.fill(new Type(length), options) || []);
+  },
+  batch: (roll, [n, method, ...args]) =>
+    Array.from(roll.batch(n, method, ...args) || []),
+  random01Closed: (roll, [precision]) => roll.random01Closed(precision),
+  random01Open: (roll, [precision]) => roll.random01Open(precision),
+  randomHalfOpen: (roll, [precision]) => roll.randomHalfOpen(precision),
+  parse: (roll, [notation]) => roll.parse(notation),
+  pick: (roll, [length]) => roll.pick(range(length)),
+  weighted: (roll, [weights]) =>
+    roll.weighted(
+      weights.map((weight: number, i: number) => ({
+        value: i,
+        weight,
+      }))
+    ),
+  lootTable: (roll, [shape, count, replace]) => {
+    const indices: number[] = [];
+    const source = {
+      random: roll.random,
+      below: (n: number) => roll.int(0, n - 1),
+      record: (i: number) => indices.push(i),
+    };
+    new KDLootTable(fromShape(shape)).drawFrom(source, count, { replace });
+    return indices;
+  },
+  shuffle: (roll, [length]) => roll.shuffle(range(length)),
+  sample: (roll, [length, k, replace, iterable]) =>
+    roll.sample(iterable ? new Set(range(length)) : range(length), k, {
+      replace,
+    }),
+  permutation: (roll, [n]) => roll.permutation(n),
+  combination: (roll, [n, k]) => roll.combination(n, k),
+  uid: (roll, [options]) => roll.uid(options),
+  discard: (roll, [n]) => roll.discard(n),
+  normal: (roll, [mean, stdDev]) => roll.normal(mean, stdDev),
+  truncatedNormal: (roll, [mean, stdDev, limits]) =>
+    roll.truncatedNormal(mean, stdDev, limits),
+  exponential: (roll, [rate]) => roll.exponential(rate),
+  poisson: (roll, [lambda]) => roll.poisson(lambda),
+  binomial: (roll, [n, p]) => roll.binomial(n, p),
+  geometric: (roll, [p]) => roll.geometric(p),
+  beta: (roll, [alpha, beta]) => roll.beta(alpha, beta),
+  gamma: (roll, [shape, scale]) => roll.gamma(shape, scale),
+  logNormal: (roll, [mu, sigma]) => roll.logNormal(mu, sigma),
+  weibull: (roll, [shape, scale]) => roll.weibull(shape, scale),
+  triangular: (roll, [min, max, mode]) => roll.triangular(min, max, mode),
+  cauchy: (roll, [location, scale]) => roll.cauchy(location, scale),
+  chiSquare: (roll, [k]) => roll.chiSquare(k),
+  studentT: (roll, [nu]) => roll.studentT(nu),
+};
+
+/**
+ * Holds functions for creating and replaying session logs.
+ * @example
+ * ```
+ * const roll = new KDRoll(42, { audit: true });
+ * roll.d(20);
+ * KDRoll.replay(roll.exportLog()); // { valid: true, replayed: 1 }
+ * ```
+ */
+export const KDAudit = {
+  /** The current log format version. */
+  version,
+
+  /**
+   * Convert a value to JSON-safe data. `NaN` and `undefined` become `null`,
+   * so logs compare equal after a round trip through `JSON.stringify()`.
+   * @param {any} value - The value.
+   * @returns {any}
+   */
+  serialize: (value: any): any =>
+    value === undefined ? null : JSON.parse(JSON.stringify(value)),
+
+  /**
+   * Get the structure of a loot table, including nested tables.
+   * @param {KDLootTable} table - The table.
+   * @returns {KDLootShape[]}
+   */
+  shape: (table: KDLootTable<any>): KDLootShape[] =>
+    table.entries().map((entry) => ({
+      weight: entry.weight === undefined ? 1 : entry.weight,
+      guaranteed: !!entry.guaranteed,
+      table:
+        entry.value instanceof KDLootTable ? KDAudit.shape(entry.value) : null,
+    })),
+
+  /**
+   * Re-execute the calls of a log on an instance and compare each result.
+   * @param {KDRoll} roll - An instance in the starting state of the log.
+   * @param {KDAuditCall[]} calls - The recorded calls.
+   * @returns {KDReplayReport}
+   */
+  verify: (roll: KDRoll, calls: KDAuditCall[]): KDReplayReport => {
+    for (let index = 0; index < calls.length; index++) {
+      const { method, args, result } = calls[index];
+      const replay = replayers[method];
+      if (!replay || !Array.isArray(args)) {
+        return {
+          valid: false,
+          replayed: index,
+          error: `Unknown call "${method}" at index ${index}.`,
+        };
+      }
+      /* JSON turns `undefined` arguments into `null`. */
+      const restored = args.map((arg) => (arg === null ? undefined : arg));
+      const actual = KDAudit.serialize(replay(roll, restored));
+      const expected = KDAudit.serialize(result);
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        return {
+          valid: false,
+          replayed: index,
+          divergence: { index, method, args, expected, actual },
+        };
+      }
+    }
+    return { valid: true, replayed: calls.length };
+  },
+};
@@ -0,0 +1,204 @@
+/**
+ * @file KDBulk.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for generating many values at once directly into
+ * typed arrays. Reals use the full bits of the engine without any floating
+ * point fix, so there is no per-value overhead beyond the distribution.
+ */
+
+import { KDEngines } from './KDEngines';
+import { KDGaussian } from './KDGaussian';
+import { KDDistributions } from './KDDistributions';
+
+/** Typed arrays that can be filled. */
+export type KDTypedArray =
+  | Float64Array
+  | Float32Array
+  | Uint32Array
+  | Int32Array
+  | Uint16Array
+  | Int16Array
+  | Uint8Array
+  | Int8Array;
+
+/**
+ * Distributions that can be generated in bulk. `'uniform'` is a real in
+ * [0,1), `'uint32'` is an unsigned 32-bit integer, `'int'` and `'d'` are
+ * the same as `int()` and `d()`, `'gaussian'` is the same as `gaussian()`,
+ * and `'normal'` is the same as `normal()`.
+ */
+export type KDBulkMethod =
+  | 'uniform'
+  | 'uint32'
+  | 'int'
+  | 'd'
+  | 'gaussian'
+  | 'normal';
+
+/** How `fill()` and `batch()` record values in `history()`. */
+export type KDBulkHistory = 'full' | 'summary' | 'none';
+
+/** Options for `fill()`. */
+export type KDFillOptions = {
+  /** Default `'uniform'` for `Float64Array` and `Float32Array`, and
+   * `'uint32'` for other arrays. */
+  distribution?: KDBulkMethod;
+  /** Arguments of the distribution, eg. `[1, 100]` for `'int'` or `[6]` for
+   * `'d'`. */
+  args?: any[];
+  /**
+   * `'full'` records every value like single calls, `'summary'` only
+   * updates running statistics, and `'none'` records nothing. Default
+   * `'summary'`.
+   */
+  history?: KDBulkHistory;
+};
+
+/** Distributions that generate reals. */
+const reals = ['uniform', 'gaussian', 'normal'];
+
+/** Log an error and report failure. */
+const invalid = (message: string): false => {
+  console.log(new Error(message));
+  return false;
+};
+
+/**
+ * Holds functions for generating values in bulk.
+ * @example
+ * ```
+ * const engine = KDEngines.buffered(KDEngines.create('pcg32', 1));
+ * const rolls = new Uint8Array(1000000);
+ * KDBulk.fill(engine, rolls, 'd', [6]);
+ * ```
+ */
+export const KDBulk = {
+  /** Constructors of the typed arrays that can be filled, by name. */
+  arrays: {
+    Float64Array,
+    Float32Array,
+    Uint32Array,
+    Int32Array,
+    Uint16Array,
+    Int16Array,
+    Uint8Array,
+    Int8Array,
+  } as { [name: string]: new (length: number) => KDTypedArray },
+
+  /**
+   * Check that a value is a typed array that can be filled.
+   * @param {any} array - The value to check.
+   * @returns {boolean}
+   */
+  isArray: (array: any): boolean =>
+    Object.keys(KDBulk.arrays).some(
+      (name) => array instanceof KDBulk.arrays[name]
+    ),
+
+  /**
+   * Number of integers in the range [min,max] with a step between them.
+   * @param {number} min - The lowest integer. Must be a safe integer.
+   * @param {number} max - The highest integer. Must be a safe integer, and
+   * `max - min` can be at most `Number.MAX_SAFE_INTEGER`.
+   * @param {number} [step=1] - Must be a positive integer.
+   * @returns {number} `NaN` if the range is invalid.
+   */
+  count: (min: number, max: number, step: number = 1): number => {
+    const span = max - min;
+    if (
+      !Number.isSafeInteger(min) ||
+      !Number.isSafeInteger(max) ||
+      !Number.isSafeInteger(step) ||
+      step < 1 ||
+      !(span >= 0 && span <= Number.MAX_SAFE_INTEGER)
+    ) {
+      return NaN;
+    }
+    return Math.floor(span / step) + 1;
+  },
+
+  /**
+   * Fill a typed array with values of a distribution. Integer arrays can't
+   * hold reals, and values too large for the array wrap like any other
+   * assignment.
+   * @param {{ nextUint32: () => number }} source - Generates unsigned 32-bit
+   * integers, eg. an engine or `KDEngines.buffered()`.
+   * @param {KDTypedArray} out - The array to fill.
+   * @param {KDBulkMethod} method - The distribution.
+   * @param {any[]} [args] - Arguments of the distribution.
+   * @returns {boolean} `false` if the distribution or its arguments are
+   * invalid, in which case `out` is not changed.
+   */
+  fill: (
+    source: { nextUint32: () => number },
+    out: KDTypedArray,
+    method: KDBulkMethod,
+    args: any[] = []
+  ): boolean => {
+    const float = out instanceof Float64Array || out instanceof Float32Array;
+    if (reals.includes(method) && !float) {
+      return invalid(`Use a Float64Array or Float32Array for "${method}".`);
+    }
+    const n = out.length;
+    const uniform = { random: () => KDEngines.real(source) };
+
+    switch (method) {
+      case 'uniform': {
+        /* Rounding a double to a 32-bit float could round up to 1. */
+        const single = out instanceof Float32Array ? 'single' : 'double';
+        for (let i = 0; i < n; i++) {
+          out[i] = KDEngines.real(source, '[0,1)', single);
+        }
+        return true;
+      }
+      case 'uint32':
+        for (let i = 0; i < n; i++) out[i] = source.nextUint32();
+        return true;
+      case 'int': {
+        const [min, max, step = 1] = args;
+        const count = KDBulk.count(min, max, step);
+        if (Number.isNaN(count)) return invalid('Invalid integer range.');
+        for (let i = 0; i < n; i++) {
+          out[i] = min + step * KDEngines.below(source, count);
+        }
+        return true;
+      }
+      case 'd': {
+        const sides = Math.trunc(args[0]);
+        if (!(sides >= 1 && sides <= 9007199254740992)) {
+          return invalid('Sides must be a number of at least 1.');
+        }
+        for (let i = 0; i < n; i++) {
+          out[i] = 1 + KDEngines.below(source, sides);
+        }
+        return true;
+      }
+      case 'gaussian': {
+        const [skew = 0] = args;
+        if (typeof skew !== 'number' || !Number.isFinite(skew)) {
+          return invalid('Skew must be a finite number.');
+        }
+        for (let i = 0; i < n; i++) out[i] = KDGaussian(uniform, skew);
+        return true;
+      }
+      case 'normal': {
+        const [mean = 0, stdDev = 1] = args;
+        if (!Number.isFinite(mean) || !Number.isFinite(stdDev) || stdDev <= 0) {
+          return invalid(
+            'Mean must be finite and standard deviation must be > 0.'
+          );
+        }
+        for (let i = 0; i < n; i += 2) {
+          const [z1, z2] = KDDistributions.standardNormalPair(uniform);
+          out[i] = mean + stdDev * z1;
+          if (i + 1 < n) out[i + 1] = mean + stdDev * z2;
+        }
+        return true;
+      }
+      default:
+        return invalid(`Unknown distribution "${method}".`);
+    }
+  },
+};
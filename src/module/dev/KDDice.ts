@@ -0,0 +1,356 @@
+/**
+ * @file KDDice.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Parser and evaluator for dice notation (eg. `4d6kh3+2`).
+ * Supports NdS, percentile (d%), fudge (dF), keep/drop highest/lowest,
+ * exploding and compounding dice, rerolls, arithmetic, and parentheses.
+ */
+
+/** Comparison used by exploding dice and rerolls (eg. `!>5` or `r<2`). */
+export type KDDiceCompare = {
+  op: '=' | '<' | '>' | '<=' | '>=';
+  value: number;
+};
+
+/** A dice term, eg. `4d6kh3!r1`. */
+export type KDDiceTerm = {
+  type: 'dice';
+  notation: string;
+  count: number;
+  sides: number;
+  fudge: boolean;
+  keep?: { drop: boolean; highest: boolean; count: number };
+  explode?: { compound: boolean; compare: KDDiceCompare };
+  reroll?: { once: boolean; compare: KDDiceCompare };
+};
+
+/** Node of a parsed dice expression. */
+export type KDDiceNode =
+  | KDDiceTerm
+  | { type: 'number'; value: number }
+  | { type: 'negate'; operand: KDDiceNode }
+  | {
+      type: 'binary';
+      op: '+' | '-' | '*' | '/';
+      left: KDDiceNode;
+      right: KDDiceNode;
+    };
+
+/** A single die rolled while evaluating a dice term. */
+export type KDDie = {
+  /** The face value of the die. */
+  value: number;
+  /** `false` if the die was dropped by a keep/drop modifier or a reroll. */
+  kept: boolean;
+  /** `true` if the die was discarded and rolled again. */
+  rerolled: boolean;
+  /** `true` if the die triggered an explosion. */
+  exploded: boolean;
+  /** Every face rolled by a compounding die, in order. `value` is their
+   * sum. */
+  rolls?: number[];
+};
+
+/** Result of evaluating a single dice term. */
+export type KDDiceGroup = {
+  notation: string;
+  sides: number;
+  fudge: boolean;
+  dice: KDDie[];
+  total: number;
+};
+
+/** Result of evaluating a full dice expression. */
+export type KDDiceResult = {
+  notation: string;
+  total: number;
+  groups: KDDiceGroup[];
+};
+
+/** Limit on explosions and rerolls for a single die. */
+const maxIterations: number = 100;
+
+/** Most dice in a single term, eg. `1000d6`. */
+const maxDice: number = 1000;
+
+/** Most sides of a die, eg. `d1000000`. */
+const maxSides: number = 1000000;
+
+/**
+ * Holds functions for parsing and evaluating dice notation.
+ * @example
+ * ```
+ * const ast = KDDice.parse('4d6kh3+2');
+ * const die = (sides) => Math.floor(Math.random() * sides) + 1;
+ * const result = KDDice.evaluate(ast, die, '4d6kh3+2');
+ * ```
+ */
+export const KDDice = {
+  /** Most dice in a single term. */
+  maxDice,
+
+  /** Most sides of a die. */
+  maxSides,
+
+  /**
+   * Parse dice notation into an expression tree. Whitespace and case are
+   * ignored.
+   * @param {string} notation - The dice notation, eg. `2d20kh1+5`.
+   * @returns {KDDiceNode}
+   * @throws {Error} If the notation can't be parsed, or a term has more than
+   * `maxDice` dice or a die has more than `maxSides` sides.
+   */
+  parse: (notation: string): KDDiceNode => {
+    const src: string = `${notation}`.replace(/\s+/g, '').toLowerCase();
+    let pos: number = 0;
+
+    const fail = (message: string): never => {
+      throw new Error(`${message} at position ${pos} in "${notation}".`);
+    };
+
+    const peek = (str: string): boolean => src.startsWith(str, pos);
+
+    const accept = (str: string): boolean => {
+      if (!peek(str)) return false;
+      pos += str.length;
+      return true;
+    };
+
+    const integer = (): number | undefined => {
+      const match = /^\d+/.exec(src.slice(pos));
+      if (!match) return undefined;
+      pos += match[0].length;
+      return Number(match[0]);
+    };
+
+    const compare = (): KDDiceCompare | undefined => {
+      const ops: KDDiceCompare['op'][] = ['<=', '>=', '<', '>', '='];
+      const op = ops.find((o) => accept(o));
+      const value = integer();
+      if (value === undefined) {
+        if (op) fail('Expected a number');
+        return undefined;
+      }
+      return { op: op || '=', value };
+    };
+
+    const dice = (count: number, start: number): KDDiceTerm => {
+      let sides: number | undefined;
+      let fudge: boolean = false;
+      if (accept('%')) sides = 100;
+      else if (accept('f')) {
+        sides = 3;
+        fudge = true;
+      } else sides = integer();
+      if (sides === undefined || sides < 1) fail('Expected number of sides');
+      if (count > maxDice) fail(`Can not roll more than ${maxDice} dice`);
+      if ((sides as number) > maxSides) {
+        fail(`Dice can not have more than ${maxSides} sides`);
+      }
+
+      const term: KDDiceTerm = {
+        type: 'dice',
+        notation: '',
+        count,
+        sides: sides as number,
+        fudge,
+      };
+      const max: number = fudge ? 1 : (sides as number);
+
+      for (;;) {
+        if (accept('!')) {
+          const compound = accept('!');
+          const cmp = compare() || { op: '>=', value: max };
+          term.explode = { compound, compare: cmp };
+        } else if (accept('r')) {
+          const once = accept('o');
+          const cmp = compare();
+          if (!cmp) fail('Expected a reroll condition');
+          term.reroll = { once, compare: cmp as KDDiceCompare };
+        } else if (peek('k') || peek('dh') || peek('dl')) {
+          const drop = src[pos++] === 'd';
+          let highest = !drop;
+          if (accept('h')) highest = true;
+          else if (accept('l')) highest = false;
+          const n = integer();
+          term.keep = { drop, highest, count: n === undefined ? 1 : n };
+        } else break;
+      }
+
+      const min: number = fudge ? -1 : 1;
+      const always = (c: KDDiceCompare) =>
+        KDDice.compare(min, c) && KDDice.compare(max, c);
+      if (term.explode && always(term.explode.compare))
+        fail('Exploding dice can not explode on every face');
+      if (term.reroll && !term.reroll.once && always(term.reroll.compare))
+        fail('Rerolls can not match every face');
+
+      term.notation = src.slice(start, pos);
+      return term;
+    };
+
+    const primary = (): KDDiceNode => {
+      const start = pos;
+      if (accept('(')) {
+        const node = expression();
+        if (!accept(')')) fail('Expected ")"');
+        return node;
+      }
+      const n = integer();
+      if (accept('d')) return dice(n === undefined ? 1 : n, start);
+      if (n === undefined) fail('Unexpected character');
+      return { type: 'number', value: n as number };
+    };
+
+    const factor = (): KDDiceNode => {
+      if (accept('-')) return { type: 'negate', operand: factor() };
+      if (accept('+')) return factor();
+      return primary();
+    };
+
+    const term = (): KDDiceNode => {
+      let node = factor();
+      while (peek('*') || peek('/')) {
+        const op = src[pos++] as '*' | '/';
+        node = { type: 'binary', op, left: node, right: factor() };
+      }
+      return node;
+    };
+
+    const expression = (): KDDiceNode => {
+      let node = term();
+      while (peek('+') || peek('-')) {
+        const op = src[pos++] as '+' | '-';
+        node = { type: 'binary', op, left: node, right: term() };
+      }
+      return node;
+    };
+
+    if (!src.length) fail('Empty dice notation');
+    const tree = expression();
+    if (pos < src.length) fail('Unexpected character');
+    return tree;
+  },
+
+  /**
+   * Evaluate a parsed dice expression.
+   * @param {KDDiceNode} tree - Expression tree returned by `KDDice.parse()`.
+   * @param {(sides: number) => number} die - Function returning a random
+   * integer in the range [1, sides].
+   * @param {string} [notation] - The original notation, for the result.
+   * @returns {KDDiceResult}
+   * @throws {Error} If the expression divides by zero.
+   */
+  evaluate: (
+    tree: KDDiceNode,
+    die: (sides: number) => number,
+    notation: string = ''
+  ): KDDiceResult => {
+    const groups: KDDiceGroup[] = [];
+
+    const rollTerm = (term: KDDiceTerm): number => {
+      const { sides, fudge, explode, reroll, keep } = term;
+      const face = () => (fudge ? die(3) - 2 : die(sides));
+      const dice: KDDie[] = [];
+
+      const rollOne = (): KDDie => {
+        let value = face();
+        if (reroll) {
+          let attempts = reroll.once ? 1 : maxIterations;
+          while (attempts-- && KDDice.compare(value, reroll.compare)) {
+            dice.push({ value, kept: false, rerolled: true, exploded: false });
+            value = face();
+          }
+        }
+        return { value, kept: true, rerolled: false, exploded: false };
+      };
+
+      let count = term.count;
+      while (count--) {
+        let current = rollOne();
+        let last = current.value;
+        let explosions = maxIterations;
+        dice.push(current);
+        while (
+          explode &&
+          explosions-- &&
+          KDDice.compare(last, explode.compare)
+        ) {
+          const extra = rollOne();
+          current.exploded = true;
+          last = extra.value;
+          if (explode.compound) {
+            current.rolls = [...(current.rolls || [current.value]), last];
+            current.value += extra.value;
+          } else {
+            current = extra;
+            dice.push(current);
+          }
+        }
+      }
+
+      if (keep) {
+        const active = dice.filter((d) => !d.rerolled);
+        const sorted = [...active].sort((a, b) =>
+          keep.highest ? b.value - a.value : a.value - b.value
+        );
+        const n = Math.min(keep.count, sorted.length);
+        const removed = keep.drop ? sorted.slice(0, n) : sorted.slice(n);
+        removed.forEach((d) => (d.kept = false));
+      }
+
+      const total = dice
+        .filter((d) => d.kept)
+        .reduce((sum, d) => sum + d.value, 0);
+      groups.push({ notation: term.notation, sides, fudge, dice, total });
+      return total;
+    };
+
+    const visit = (node: KDDiceNode): number => {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'dice':
+          return rollTerm(node);
+        case 'negate':
+          return -visit(node.operand);
+        case 'binary': {
+          const left = visit(node.left);
+          const right = visit(node.right);
+          if (node.op === '+') return left + right;
+          if (node.op === '-') return left - right;
+          if (node.op === '*') return left * right;
+          if (right === 0)
+            throw new Error(`Division by zero in "${notation}".`);
+          return left / right;
+        }
+      }
+    };
+
+    const total = visit(tree);
+    return { notation, total, groups };
+  },
+
+  /**
+   * Test a value against a comparison.
+   * @param {number} value - The value to test.
+   * @param {KDDiceCompare} compare - The comparison.
+   * @returns {boolean}
+   */
+  compare: (value: number, compare: KDDiceCompare): boolean => {
+    switch (compare.op) {
+      case '<':
+        return value < compare.value;
+      case '>':
+        return value > compare.value;
+      case '<=':
+        return value <= compare.value;
+      case '>=':
+        return value >= compare.value;
+      default:
+        return value === compare.value;
+    }
+  },
+};
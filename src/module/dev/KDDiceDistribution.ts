@@ -0,0 +1,502 @@
+/**
+ * @file KDDiceDistribution.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing the exact probability distribution of a
+ * dice expression. Distributions are computed by convolution from the
+ * expression tree of `KDDice.parse()`, and follow the same rules as
+ * `KDDice.evaluate()` for keep/drop, exploding and compounding dice, and
+ * rerolls.
+ */
+
+import { KDDice, KDDiceCompare, KDDiceNode, KDDiceTerm } from './KDDice';
+
+/** A row of `KDDiceDistribution.table()`. */
+export type KDDiceTableRow = {
+  value: number;
+  /** P(X = value). */
+  probability: number;
+  /** P(X <= value). */
+  atMost: number;
+  /** P(X >= value). */
+  atLeast: number;
+};
+
+/** Probability mass by value. */
+type PMF = Map<number, number>;
+
+/** Limit on explosions and rerolls for a single die, as in `KDDice`. */
+const maxIterations = 100;
+
+/** Probability below which explosion chains and pools are cut off. */
+const epsilon = 1e-15;
+
+/** Most possible values of a distribution. Larger expressions fail fast
+ * instead of blocking the thread. */
+const maxValues = 50000;
+
+/** Most steps of a single combination or dice pool. */
+const maxSteps = 1000000;
+
+/** Throw if a distribution would have more than `maxValues` values or take
+ * more than `maxSteps` steps. */
+const guard = (size: number, steps: number = 0) => {
+  if (size > maxValues || steps > maxSteps) {
+    throw new Error('The distribution is too large to calculate.');
+  }
+};
+
+/** Add probability mass to a value. */
+const add = (pmf: PMF, value: number, p: number) =>
+  pmf.set(value, (pmf.get(value) || 0) + p);
+
+/** Combine two independent distributions with an operator. */
+const combine = (a: PMF, b: PMF, op: (x: number, y: number) => number): PMF => {
+  guard(0, a.size * b.size);
+  const out: PMF = new Map();
+  a.forEach((pa, x) => b.forEach((pb, y) => add(out, op(x, y), pa * pb)));
+  guard(out.size);
+  return out;
+};
+
+/** Smallest and largest value of a distribution. */
+const bounds = (pmf: PMF): [number, number] => {
+  let min = Infinity;
+  let max = -Infinity;
+  pmf.forEach((p, v) => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+  return [min, max];
+};
+
+/** Sum of two independent distributions. Integer values are convolved as
+ * dense arrays, which is much faster than combining every pair. */
+const sum = (a: PMF, b: PMF): PMF => {
+  const integers = (pmf: PMF) => Array.from(pmf.keys()).every(Number.isInteger);
+  if (!integers(a) || !integers(b)) return combine(a, b, (x, y) => x + y);
+  const [aMin, aMax] = bounds(a);
+  const [bMin, bMax] = bounds(b);
+  guard(aMax - aMin + bMax - bMin + 1);
+  const dense = (pmf: PMF, min: number, max: number) => {
+    const arr = new Float64Array(max - min + 1);
+    pmf.forEach((p, v) => (arr[v - min] += p));
+    return arr;
+  };
+  const x = dense(a, aMin, aMax);
+  const y = dense(b, bMin, bMax);
+  const out = new Float64Array(x.length + y.length - 1);
+  for (let i = 0; i < x.length; i++) {
+    const p = x[i];
+    if (p) for (let j = 0; j < y.length; j++) out[i + j] += p * y[j];
+  }
+  const pmf: PMF = new Map();
+  out.forEach((p, i) => {
+    if (p) pmf.set(aMin + bMin + i, p);
+  });
+  return pmf;
+};
+
+/** Distribution of the negated values. */
+const negate = (pmf: PMF): PMF => {
+  const out: PMF = new Map();
+  pmf.forEach((p, value) => add(out, -value, p));
+  return out;
+};
+
+/** Sum of `n` independent values from a distribution, by repeated doubling. */
+const repeat = (pmf: PMF, n: number): PMF => {
+  let result: PMF = new Map([[0, 1]]);
+  let power = pmf;
+  while (n > 0) {
+    if (n & 1) result = sum(result, power);
+    n = Math.floor(n / 2);
+    if (n) power = sum(power, power);
+  }
+  return result;
+};
+
+/** Split a distribution by a comparison, keeping unnormalized masses. */
+const split = (pmf: PMF, compare: KDDiceCompare) => {
+  const match: PMF = new Map();
+  const rest: PMF = new Map();
+  pmf.forEach((p, value) =>
+    (KDDice.compare(value, compare) ? match : rest).set(value, p)
+  );
+  return { match, rest };
+};
+
+/** Total probability mass. */
+const mass = (pmf: PMF): number =>
+  Array.from(pmf.values()).reduce((sum, p) => sum + p, 0);
+
+/** Scale probability mass. */
+const scale = (pmf: PMF, factor: number): PMF => {
+  const out: PMF = new Map();
+  pmf.forEach((p, value) => out.set(value, p * factor));
+  return out;
+};
+
+/** Binomial coefficient as a float. */
+const choose = (n: number, k: number): number => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+/**
+ * Distribution of the sum of the kept dice of a pool made of groups of
+ * independent dice. Values are assigned from the best down, so the first
+ * `keep` dice assigned are the kept ones.
+ * @param {[PMF, number][]} groups - Distribution and number of dice of each
+ * group.
+ * @param {number} keep - Number of dice to keep.
+ * @param {boolean} highest - Keep the highest dice instead of the lowest.
+ * @returns {PMF}
+ */
+const keepPool = (groups: [PMF, number][], keep: number, highest: boolean) => {
+  const values = Array.from(
+    new Set(([] as number[]).concat(...groups.map(([pmf]) => [...pmf.keys()])))
+  ).sort((a, b) => (highest ? b - a : a - b));
+  guard(values.length);
+  let steps = 0;
+  type State = { assigned: number[]; sum: number; p: number };
+  let states = new Map<string, State>();
+  states.set('', { assigned: groups.map(() => 0), sum: 0, p: 1 });
+
+  values.forEach((value) => {
+    const next = new Map<string, State>();
+    states.forEach((state) => {
+      const taken = state.assigned.reduce((sum, n) => sum + n, 0);
+      /* Choose how many dice of each group show this value. */
+      const visit = (
+        g: number,
+        assigned: number[],
+        count: number,
+        p: number
+      ) => {
+        if (g === groups.length) {
+          guard(next.size, ++steps);
+          const kept = Math.min(count, Math.max(0, keep - taken));
+          const sum = state.sum + kept * value;
+          const key = `${assigned.join()}|${sum}`;
+          const existing = next.get(key);
+          if (existing) existing.p += p;
+          else next.set(key, { assigned, sum, p });
+          return;
+        }
+        const [pmf, n] = groups[g];
+        const q = pmf.get(value) || 0;
+        const remaining = n - state.assigned[g];
+        const limit = q ? remaining : 0;
+        for (let c = 0; c <= limit; c++) {
+          const weight = choose(remaining, c) * Math.pow(q, c);
+          if (!weight) break;
+          const a = [...assigned];
+          a[g] += c;
+          visit(g + 1, a, count + c, p * weight);
+        }
+      };
+      visit(0, state.assigned, 0, state.p);
+    });
+    states = next;
+  });
+
+  const out: PMF = new Map();
+  states.forEach(({ assigned, sum, p }) => {
+    if (assigned.every((n, g) => n === groups[g][1])) add(out, sum, p);
+  });
+  return out;
+};
+
+/**
+ * Distribution of a single die, including rerolls.
+ * @param {KDDiceTerm} term - The dice term.
+ * @returns {PMF}
+ */
+const rollOne = (term: KDDiceTerm): PMF => {
+  const faces: PMF = new Map();
+  const min = term.fudge ? -1 : 1;
+  const max = term.fudge ? 1 : term.sides;
+  guard(max - min + 1);
+  for (let v = min; v <= max; v++) faces.set(v, 1 / (max - min + 1));
+  const { reroll } = term;
+  if (!reroll) return faces;
+  let result = faces;
+  let attempts = reroll.once ? 1 : maxIterations;
+  while (attempts--) {
+    const { match, rest } = split(result, reroll.compare);
+    const q = mass(match);
+    if (!q) break;
+    result = rest;
+    faces.forEach((p, v) => add(result, v, p * q));
+    if (q < epsilon) break;
+  }
+  return result;
+};
+
+/**
+ * Distribution of a die and every die its explosions add.
+ * @param {PMF} die - Distribution of a single die.
+ * @param {KDDiceCompare} compare - The explosion condition.
+ * @returns {PMF}
+ */
+const chain = (die: PMF, compare: KDDiceCompare): PMF => {
+  const { match } = split(die, compare);
+  const q = mass(match);
+  let result = die;
+  let tail = 1;
+  for (let i = 0; i < maxIterations && tail >= epsilon; i++) {
+    const { rest } = split(die, compare);
+    match.forEach((p, v) =>
+      result.forEach((pr, r) => add(rest, v + r, p * pr))
+    );
+    guard(rest.size);
+    result = rest;
+    tail *= q;
+  }
+  return result;
+};
+
+/**
+ * Distribution of a dice term.
+ * @param {KDDiceTerm} term - The dice term.
+ * @returns {PMF}
+ */
+const rollTerm = (term: KDDiceTerm): PMF => {
+  const { count, explode, keep } = term;
+  const die = rollOne(term);
+  const kept = keep
+    ? keep.drop
+      ? Math.max(0, count - keep.count)
+      : Math.min(count, keep.count)
+    : count;
+  /* Dropping the highest keeps the lowest, and vice versa. */
+  const highest = keep ? keep.highest !== keep.drop : true;
+
+  if (!explode) {
+    return kept === count
+      ? repeat(die, count)
+      : keepPool([[die, count]], kept, highest);
+  }
+  const dice = chain(die, explode.compare);
+  if (!keep) return repeat(dice, count);
+  if (explode.compound) return keepPool([[dice, count]], kept, highest);
+
+  /* Exploded dice join the pool, so keep/drop counts them too. The pool is
+   * `count` dice that didn't explode plus a negative binomial number of
+   * dice that did. */
+  const { match, rest } = split(die, explode.compare);
+  const q = mass(match);
+  const exploding = q ? scale(match, 1 / q) : match;
+  const stopping = scale(rest, 1 / (1 - q));
+  const out: PMF = new Map();
+  let covered = 0;
+  for (let m = 0; m <= maxIterations * count && 1 - covered >= epsilon; m++) {
+    const weight =
+      choose(count + m - 1, m) * Math.pow(q, m) * Math.pow(1 - q, count);
+    covered += weight;
+    if (!weight) continue;
+    /* Every rolled die may be kept or dropped. */
+    const pool = keep.drop
+      ? Math.max(0, count + m - keep.count)
+      : Math.min(count + m, keep.count);
+    const groups: [PMF, number][] = [
+      [stopping, count],
+      [exploding, m],
+    ];
+    keepPool(groups, pool, highest).forEach((p, v) => add(out, v, p * weight));
+  }
+  return out;
+};
+
+/**
+ * Distribution of a node of an expression tree.
+ * @param {KDDiceNode} node - The node.
+ * @returns {PMF}
+ */
+const visit = (node: KDDiceNode): PMF => {
+  switch (node.type) {
+    case 'number':
+      return new Map([[node.value, 1]]);
+    case 'dice':
+      return rollTerm(node);
+    case 'negate':
+      return negate(visit(node.operand));
+    case 'binary': {
+      const left = visit(node.left);
+      const right = visit(node.right);
+      if (node.op === '+') return sum(left, right);
+      if (node.op === '-') return sum(left, negate(right));
+      const ops = {
+        '*': (x: number, y: number) => x * y,
+        '/': (x: number, y: number) => {
+          if (y === 0) throw new Error('Division by zero is possible.');
+          return x / y;
+        },
+      };
+      return combine(left, right, ops[node.op]);
+    }
+  }
+};
+
+/**
+ * @class The exact probability distribution of a dice expression. Create
+ * one with `KDRoll.probability()`.
+ * @example
+ * ```
+ * const dist = KDRoll.probability('3d6');
+ * dist.atLeast(12); // 0.375
+ * dist.mean(); // 10.5
+ * dist.percentile(90); // 14
+ * ```
+ */
+export class KDDiceDistribution {
+  /**
+   * The dice notation.
+   */
+  notation: string;
+
+  /**
+   * Get every possible value in ascending order.
+   * @returns {number[]}
+   */
+  values: () => number[];
+
+  /**
+   * Get the probability of each value of `values()`.
+   * @returns {number[]}
+   */
+  pmf: () => number[];
+
+  /**
+   * Get the cumulative probability of each value of `values()`.
+   * @returns {number[]}
+   */
+  cdf: () => number[];
+
+  /**
+   * Get P(X = value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  probability: (value: number) => number;
+
+  /**
+   * Get P(X >= value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  atLeast: (value: number) => number;
+
+  /**
+   * Get P(X <= value).
+   * @param {number} value - The value.
+   * @returns {number}
+   */
+  atMost: (value: number) => number;
+
+  /**
+   * Get the expected value.
+   * @returns {number}
+   */
+  mean: () => number;
+
+  /**
+   * Get the variance.
+   * @returns {number}
+   */
+  variance: () => number;
+
+  /**
+   * Get the standard deviation.
+   * @returns {number}
+   */
+  stdDev: () => number;
+
+  /**
+   * Get the smallest value with a cumulative probability of at least `p`%.
+   * @param {number} p - In the range [0,100], eg. `50` for the median.
+   * @returns {number} `NaN` if `p` is invalid.
+   */
+  percentile: (p: number) => number;
+
+  /**
+   * Get a table of every value with P(X = value), P(X <= value), and
+   * P(X >= value).
+   * @returns {KDDiceTableRow[]}
+   */
+  table: () => KDDiceTableRow[];
+
+  /**
+   * Class representing the exact probability distribution of a dice
+   * expression.
+   * @param {KDDiceNode} tree - Expression tree returned by `KDDice.parse()`.
+   * @param {string} [notation] - The original notation.
+   * @throws {Error} If the expression can divide by zero, or the
+   * distribution has more than 50000 values or takes too many steps to
+   * calculate.
+   */
+  constructor(tree: KDDiceNode, notation: string = '') {
+    const pmf = visit(tree);
+    const values = Array.from(pmf.keys())
+      .filter((v) => (pmf.get(v) as number) > 0)
+      .sort((a, b) => a - b);
+    const total = values.reduce((sum, v) => sum + (pmf.get(v) as number), 0);
+    /* Normalize away the rounding error of long convolutions. */
+    const probabilities = values.map((v) => (pmf.get(v) as number) / total);
+    const cumulative: number[] = [];
+    probabilities.reduce(
+      (sum, p, i) => (cumulative[i] = Math.min(1, sum + p)),
+      0
+    );
+    const mean = values.reduce((sum, v, i) => sum + v * probabilities[i], 0);
+    const variance = values.reduce(
+      (sum, v, i) => sum + (v - mean) * (v - mean) * probabilities[i],
+      0
+    );
+    /* Sum from the top so small tail probabilities stay accurate. */
+    const atLeast: number[] = [];
+    for (let i = values.length - 1, sum = 0; i >= 0; i--) {
+      sum += probabilities[i];
+      atLeast[i] = Math.min(1, sum);
+    }
+
+    this.notation = notation;
+    this.values = () => [...values];
+    this.pmf = () => [...probabilities];
+    this.cdf = () => [...cumulative];
+    this.probability = (value: number) => {
+      const i = values.indexOf(value);
+      return i < 0 ? 0 : probabilities[i];
+    };
+    this.atLeast = (value: number) => {
+      const i = values.findIndex((v) => v >= value);
+      return i < 0 ? 0 : atLeast[i];
+    };
+    this.atMost = (value: number) => {
+      let i = values.length - 1;
+      while (i >= 0 && values[i] > value) i--;
+      return i < 0 ? 0 : cumulative[i];
+    };
+    this.mean = () => mean;
+    this.variance = () => variance;
+    this.stdDev = () => Math.sqrt(variance);
+    this.percentile = (p: number) => {
+      if (typeof p !== 'number' || !(p >= 0 && p <= 100)) {
+        console.log(new Error('Percentile must be in the range [0,100].'));
+        return NaN;
+      }
+      const i = cumulative.findIndex((c) => c >= p / 100 - 1e-12);
+      return values[i < 0 ? values.length - 1 : i];
+    };
+    this.table = () =>
+      values.map((value, i) => ({
+        value,
+        probability: probabilities[i],
+        atMost: cumulative[i],
+        atLeast: atLeast[i],
+      }));
+  }
+}
@@ -0,0 +1,456 @@
+/**
+ * @file KDDistributions.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Samplers for common probability distributions. Each sampler
+ * converts random numbers from a uniform distribution generator, so seeded
+ * generators produce reproducible samples.
+ */
+
+/**
+ * A uniform distribution random number generator in the interval [0,1). It
+ * may also provide a standard normal generator (eg. one that caches values).
+ */
+type Uniform = { random: () => number; normal?: () => number };
+
+/**
+ * Log an error and return `NaN` for invalid parameters.
+ * @param {string} message - The error message.
+ * @returns {number} `NaN`
+ */
+const invalid = (message: string): number => {
+  console.log(new Error(message));
+  return NaN;
+};
+
+/** `true` if every value is a finite number. */
+const finite = (...values: number[]): boolean =>
+  values.every((v) => typeof v === 'number' && Number.isFinite(v));
+
+/**
+ * Generate a random real in the open interval (0,1). Rejects 0 and 1, which
+ * the rounded `random()` of an engine can return.
+ * @param {Uniform} uniform - The uniform generator.
+ * @returns {number}
+ */
+const open = (uniform: Uniform): number => {
+  let u = 0;
+  while (u <= 0 || u >= 1) u = uniform.random();
+  return u;
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation).
+ * @param {number} x - Positive real.
+ * @returns {number}
+ */
+const logGamma = (x: number): number => {
+  const g = [
+    676.5203681218851,
+    -1259.1392167224028,
+    771.32342877765313,
+    -176.61502916214059,
+    12.507343278686905,
+    -0.13857109526572012,
+    9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (x < 0.5) {
+    return (
+      Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x)
+    );
+  }
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  g.forEach((c, i) => (a += c / (x + i + 1)));
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a)
+  );
+};
+
+/**
+ * Holds samplers for common probability distributions. The first argument of
+ * each sampler is a uniform generator with a `.random()` method. Invalid
+ * parameters log an error and return `NaN`.
+ * @example
+ * ```
+ * const generator = new KDUniform() || Math;
+ * const wait = KDDistributions.exponential(generator, 0.5);
+ * ```
+ */
+export const KDDistributions = {
+  /**
+   * Generate two independent values with standard normal distribution
+   * N(0, 1) (Marsaglia polar method).
+   * @param {Uniform} uniform - The uniform generator.
+   * @returns {[number, number]}
+   */
+  standardNormalPair: (uniform: Uniform): [number, number] => {
+    let u: number;
+    let v: number;
+    let s: number;
+    do {
+      u = uniform.random() * 2 - 1;
+      v = uniform.random() * 2 - 1;
+      s = u * u + v * v;
+    } while (s >= 1 || s === 0);
+    const f = Math.sqrt((-2 * Math.log(s)) / s);
+    return [u * f, v * f];
+  },
+
+  /**
+   * Standard normal distribution N(0, 1). Uses the generator's own
+   * `normal()` if it has one.
+   * @param {Uniform} uniform - The uniform generator.
+   * @returns {number}
+   */
+  standardNormal: (uniform: Uniform): number => {
+    if (typeof uniform.normal === 'function') return uniform.normal();
+    return KDDistributions.standardNormalPair(uniform)[0];
+  },
+
+  /**
+   * Normal distribution N(mean, stdDev) with no bounds.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mean=0] - The mean.
+   * @param {number} [stdDev=1] - The standard deviation. Must be > 0.
+   * @returns {number}
+   */
+  normal: (uniform: Uniform, mean: number = 0, stdDev: number = 1): number => {
+    if (!finite(mean, stdDev) || stdDev <= 0) {
+      return invalid('Mean must be finite and standard deviation must be > 0.');
+    }
+    return mean + stdDev * KDDistributions.standardNormal(uniform);
+  },
+
+  /**
+   * Normal distribution N(mean, stdDev) truncated to the range [min, max].
+   * Resamples from the same generator. Ranges far into a tail use
+   * exponential rejection (Robert, 1995) so they don't resample forever.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mean=0] - The mean before truncation.
+   * @param {number} [stdDev=1] - The standard deviation before truncation.
+   * Must be > 0.
+   * @param {[number, number]} [range] - The `[min, max]` allowed values.
+   * Either limit may be infinite. Default is unbounded.
+   * @returns {number}
+   */
+  truncatedNormal: (
+    uniform: Uniform,
+    mean: number = 0,
+    stdDev: number = 1,
+    range: [number, number] = [-Infinity, Infinity]
+  ): number => {
+    if (!finite(mean, stdDev) || stdDev <= 0) {
+      return invalid('Mean must be finite and standard deviation must be > 0.');
+    }
+    const [min, max] = Array.isArray(range) ? range : [NaN, NaN];
+    if (Number.isNaN(min) || Number.isNaN(max) || !(min < max)) {
+      return invalid('Range must be [min, max] with min < max.');
+    }
+    /* Standardize the limits, and mirror ranges below the mean. */
+    let a = (min - mean) / stdDev;
+    let b = (max - mean) / stdDev;
+    const mirror = b <= 0;
+    if (mirror) [a, b] = [-b, -a];
+
+    const sample = (): number => {
+      /* The range includes the peak. */
+      if (a <= 0) {
+        if (b - a < Math.sqrt(2 * Math.PI)) {
+          for (;;) {
+            const z = a + (b - a) * uniform.random();
+            if (uniform.random() <= Math.exp((-z * z) / 2)) return z;
+          }
+        }
+        for (;;) {
+          const z = KDDistributions.standardNormal(uniform);
+          if (z >= a && z <= b) return z;
+        }
+      }
+      /* The range is entirely in the upper tail. */
+      const alpha = (a + Math.sqrt(a * a + 4)) / 2;
+      const uniformIsFaster =
+        b - a <
+        ((2 * Math.sqrt(Math.E)) / (a + Math.sqrt(a * a + 4))) *
+          Math.exp((a * a - a * Math.sqrt(a * a + 4)) / 4);
+      for (;;) {
+        if (uniformIsFaster) {
+          const z = a + (b - a) * uniform.random();
+          if (uniform.random() <= Math.exp((a * a - z * z) / 2)) return z;
+        } else {
+          const z = a - Math.log(open(uniform)) / alpha;
+          const rho = Math.exp((-(z - alpha) * (z - alpha)) / 2);
+          if (z <= b && uniform.random() <= rho) return z;
+        }
+      }
+    };
+
+    const z = sample();
+    return mean + stdDev * (mirror ? -z : z);
+  },
+
+  /**
+   * Exponential distribution. Mean is `1 / rate`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [rate=1] - Rate (lambda). Must be > 0.
+   * @returns {number}
+   */
+  exponential: (uniform: Uniform, rate: number = 1): number => {
+    if (!finite(rate) || rate <= 0) return invalid('Rate must be > 0.');
+    return -Math.log(open(uniform)) / rate;
+  },
+
+  /**
+   * Poisson distribution. Uses multiplication for small `lambda` and
+   * transformed rejection (PTRS) for large `lambda`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} lambda - Mean number of events. Must be > 0.
+   * @returns {number} A non-negative integer.
+   */
+  poisson: (uniform: Uniform, lambda: number): number => {
+    if (!finite(lambda) || lambda <= 0) return invalid('Lambda must be > 0.');
+    if (lambda < 30) {
+      const limit = Math.exp(-lambda);
+      let k = 0;
+      let p = uniform.random();
+      while (p > limit) {
+        k++;
+        p *= uniform.random();
+      }
+      return k;
+    }
+    const slam = Math.sqrt(lambda);
+    const loglam = Math.log(lambda);
+    const b = 0.931 + 2.53 * slam;
+    const a = -0.059 + 0.02483 * b;
+    const invalpha = 1.1239 + 1.1328 / (b - 3.4);
+    const vr = 0.9277 - 3.6224 / (b - 2);
+    for (;;) {
+      const u = uniform.random() - 0.5;
+      const v = open(uniform);
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor(((2 * a) / us + b) * u + lambda + 0.43);
+      if (us >= 0.07 && v <= vr) return k;
+      if (k < 0 || (us < 0.013 && v > us)) continue;
+      const lhs =
+        Math.log(v) + Math.log(invalpha) - Math.log(a / (us * us) + b);
+      if (lhs <= -lambda + k * loglam - logGamma(k + 1)) return k;
+    }
+  },
+
+  /**
+   * Binomial distribution. Uses geometric waiting times for small `n * p`
+   * and transformed rejection (BTRS) otherwise.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} n - Number of trials. Must be a non-negative integer.
+   * @param {number} p - Probability of success in the range [0,1].
+   * @returns {number} An integer in the range [0,n].
+   */
+  binomial: (uniform: Uniform, n: number, p: number): number => {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      return invalid('Trials must be a non-negative integer.');
+    }
+    if (!finite(p) || p < 0 || p > 1) return invalid('P must be in [0,1].');
+    if (p > 0.5) return n - KDDistributions.binomial(uniform, n, 1 - p);
+    if (p === 0 || n === 0) return 0;
+    if (n * p < 30) {
+      const logq = Math.log1p(-p);
+      let x = 0;
+      let sum = 0;
+      for (;;) {
+        sum += Math.ceil(Math.log(open(uniform)) / logq);
+        if (sum > n) return x;
+        x++;
+      }
+    }
+    const q = 1 - p;
+    const spq = Math.sqrt(n * p * q);
+    const b = 1.15 + 2.53 * spq;
+    const a = -0.0873 + 0.0248 * b + 0.01 * p;
+    const c = n * p + 0.5;
+    const vr = 0.92 - 4.2 / b;
+    const alpha = (2.83 + 5.1 / b) * spq;
+    const lpq = Math.log(p / q);
+    const m = Math.floor((n + 1) * p);
+    const h = logGamma(m + 1) + logGamma(n - m + 1);
+    for (;;) {
+      const u = uniform.random() - 0.5;
+      const v = open(uniform);
+      const us = 0.5 - Math.abs(u);
+      const k = Math.floor(((2 * a) / us + b) * u + c);
+      if (k < 0 || k > n) continue;
+      if (us >= 0.07 && v <= vr) return k;
+      const lhs = Math.log((v * alpha) / (a / (us * us) + b));
+      if (lhs <= h - logGamma(k + 1) - logGamma(n - k + 1) + (k - m) * lpq) {
+        return k;
+      }
+    }
+  },
+
+  /**
+   * Geometric distribution. The number of trials up to and including the
+   * first success. Mean is `1 / p`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} p - Probability of success in the range (0,1].
+   * @returns {number} An integer >= 1.
+   */
+  geometric: (uniform: Uniform, p: number): number => {
+    if (!finite(p) || p <= 0 || p > 1) return invalid('P must be in (0,1].');
+    if (p === 1) return 1;
+    return Math.max(1, Math.ceil(Math.log1p(-open(uniform)) / Math.log1p(-p)));
+  },
+
+  /**
+   * Gamma distribution (Marsaglia and Tsang). Mean is `shape * scale`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (theta). Must be > 0.
+   * @returns {number}
+   */
+  gamma: (uniform: Uniform, shape: number, scale: number = 1): number => {
+    if (!finite(shape, scale) || shape <= 0 || scale <= 0) {
+      return invalid('Shape and scale must be > 0.');
+    }
+    if (shape < 1) {
+      const boost = Math.pow(open(uniform), 1 / shape);
+      return KDDistributions.gamma(uniform, shape + 1, scale) * boost;
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x: number;
+      let v: number;
+      do {
+        x = KDDistributions.standardNormal(uniform);
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = open(uniform);
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+        return d * v * scale;
+      }
+    }
+  },
+
+  /**
+   * Beta distribution in the interval [0,1]. Mean is
+   * `alpha / (alpha + beta)`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} alpha - Must be > 0.
+   * @param {number} beta - Must be > 0.
+   * @returns {number}
+   */
+  beta: (uniform: Uniform, alpha: number, beta: number): number => {
+    if (!finite(alpha, beta) || alpha <= 0 || beta <= 0) {
+      return invalid('Alpha and beta must be > 0.');
+    }
+    const x = KDDistributions.gamma(uniform, alpha);
+    const y = KDDistributions.gamma(uniform, beta);
+    return x / (x + y);
+  },
+
+  /**
+   * Log-normal distribution. The natural log of the result is normally
+   * distributed with mean `mu` and standard deviation `sigma`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [mu=0] - Mean of the underlying normal distribution.
+   * @param {number} [sigma=1] - Standard deviation of the underlying normal
+   * distribution. Must be > 0.
+   * @returns {number}
+   */
+  logNormal: (uniform: Uniform, mu: number = 0, sigma: number = 1): number => {
+    if (!finite(mu, sigma) || sigma <= 0) {
+      return invalid('Mu must be finite and sigma must be > 0.');
+    }
+    return Math.exp(mu + sigma * KDDistributions.standardNormal(uniform));
+  },
+
+  /**
+   * Weibull distribution.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (lambda). Must be > 0.
+   * @returns {number}
+   */
+  weibull: (uniform: Uniform, shape: number, scale: number = 1): number => {
+    if (!finite(shape, scale) || shape <= 0 || scale <= 0) {
+      return invalid('Shape and scale must be > 0.');
+    }
+    return scale * Math.pow(-Math.log(open(uniform)), 1 / shape);
+  },
+
+  /**
+   * Triangular distribution.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} min - Lower limit.
+   * @param {number} max - Upper limit. Must be > `min`.
+   * @param {number} [mode] - Most likely value in the range [min, max].
+   * Defaults to the midpoint.
+   * @returns {number}
+   */
+  triangular: (
+    uniform: Uniform,
+    min: number,
+    max: number,
+    mode: number = (min + max) / 2
+  ): number => {
+    if (!finite(min, max, mode) || min >= max || mode < min || mode > max) {
+      return invalid('Triangular requires min < max and min <= mode <= max.');
+    }
+    const u = uniform.random();
+    const range = max - min;
+    if (u < (mode - min) / range) {
+      return min + Math.sqrt(u * range * (mode - min));
+    }
+    return max - Math.sqrt((1 - u) * range * (max - mode));
+  },
+
+  /**
+   * Cauchy distribution. Has no defined mean or variance.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} [location=0] - Location of the peak (median).
+   * @param {number} [scale=1] - Half width at half maximum. Must be > 0.
+   * @returns {number}
+   */
+  cauchy: (uniform: Uniform, location: number = 0, scale: number = 1) => {
+    if (!finite(location, scale) || scale <= 0) {
+      return invalid('Location must be finite and scale must be > 0.');
+    }
+    return location + scale * Math.tan(Math.PI * (open(uniform) - 0.5));
+  },
+
+  /**
+   * Chi-square distribution. Mean is `k`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} k - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   */
+  chiSquare: (uniform: Uniform, k: number): number => {
+    if (!finite(k) || k <= 0) return invalid('Degrees of freedom must be > 0.');
+    return KDDistributions.gamma(uniform, k / 2, 2);
+  },
+
+  /**
+   * Student's t-distribution. Mean is `0` for `nu > 1`.
+   * @param {Uniform} uniform - The uniform generator.
+   * @param {number} nu - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   */
+  studentT: (uniform: Uniform, nu: number): number => {
+    if (!finite(nu) || nu <= 0)
+      return invalid('Degrees of freedom must be > 0.');
+    const z = KDDistributions.standardNormal(uniform);
+    return z / Math.sqrt(KDDistributions.chiSquare(uniform, nu) / nu);
+  },
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation).
+   * @param {number} x - Positive real.
+   * @returns {number}
+   */
+  logGamma,
+};
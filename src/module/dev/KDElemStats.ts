@@ -3,15 +3,74 @@
  * @author Cadence Holmes
  * @copyright Cadence Holmes 2020
  * @license MIT
- * @fileoverview Functions for calculating mean, median, modes, and
- * standard deviation of a `number[]`.
+ * @fileoverview Functions for calculating descriptive statistics of a
+ * `number[]`. Includes mean, median, modes, variance, standard deviation,
+ * min/max/range, quantiles, IQR, skewness, kurtosis, and a five-number
+ * summary. Input arrays are never modified.
  */
 
 import { KDNumber } from './KDNumber';
 
+/** The minimum, quartiles, and maximum of a `number[]`. */
+export type KDFiveNumber = {
+  min: number;
+  q1: number;
+  median: number;
+  q3: number;
+  max: number;
+};
+
+/** Every statistic of `KDElemstats.describe()`. */
+export type KDDescription = KDFiveNumber & {
+  count: number;
+  mean: number;
+  modes: number[];
+  range: number;
+  iqr: number;
+  /** Population variance. */
+  variance: number;
+  /** Sample variance (Bessel's correction). */
+  sampleVariance: number;
+  /** Population standard deviation, not normalized. */
+  stdDev: number;
+  /** Sample standard deviation, not normalized. */
+  sampleStdDev: number;
+  skewness: number;
+  /** Excess kurtosis. `0` for a normal distribution. */
+  kurtosis: number;
+};
+
+/** Options for statistics with population and sample forms. */
+export type KDSampleOptions = {
+  /** If `true`, use the sample (bias-corrected) form. Default `false`. */
+  sample?: boolean;
+};
+
+const fix = KDNumber.floatingPointFix;
+
+/** Sorted copy of an array. */
+const sorted = (arr: number[]): number[] => [...arr].sort((a, b) => a - b);
+
+/** Mean and the 2nd, 3rd, and 4th central moments. */
+const moments = (arr: number[]) => {
+  const n = arr.length;
+  const mean = arr.reduce((sum, x) => sum + x, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  arr.forEach((x) => {
+    const d = x - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+  return { n, mean, m2: m2 / n, m3: m3 / n, m4: m4 / n };
+};
+
 /**
- * Holds functions for calculating mean, median, mode, and standard
- * deviation of an array of numbers.
+ * Holds functions for calculating descriptive statistics of an array of
+ * numbers. Functions return `NaN` for arrays that are too short, except
+ * `mean()`, `median()`, `modes()`, and the normalized `stdDev()`.
  */
 export const KDElemstats = {
   /**
@@ -30,8 +89,8 @@ export const KDElemstats = {
    * @returns {number}
    */
   median: (arr: number[]): number => {
-    arr.sort((a, b) => a - b);
-    const median = (arr[(arr.length - 1) >> 1] + arr[arr.length >> 1]) / 2;
+    const s = sorted(arr);
+    const median = (s[(s.length - 1) >> 1] + s[s.length >> 1]) / 2;
     return KDNumber.floatingPointFix(median);
   },
 
@@ -57,10 +116,21 @@ export const KDElemstats = {
   /**
    * Calculate the standard deviation of an `Array<number>`.
    * @param {number[]} arr - The array on which to operate.
-   * @returns {number} Return is normalized (0-1).
+   * @param {KDSampleOptions & { normalized?: boolean }} [options] - Use
+   * `{ normalized: false }` for the standard deviation in the units of the
+   * data, and `{ sample: true }` for the sample standard deviation.
+   * @returns {number} By default, return is normalized (0-1) by the maximum.
    */
-  stdDev: (arr: number[]): number => {
-    const fix = KDNumber.floatingPointFix;
+  stdDev: (
+    arr: number[],
+    options: KDSampleOptions & { normalized?: boolean } = {}
+  ): number => {
+    const { normalized = true, sample = false } = options;
+    if (!normalized || sample) {
+      const sd = Math.sqrt(KDElemstats.variance(arr, { sample }));
+      if (!normalized) return fix(sd);
+      return KDNumber.scale(sd, [0, KDElemstats.max(arr)], [0, 1]);
+    }
     const avg = KDElemstats.mean(arr);
     const sqDiffs = arr.map((value) =>
       fix(fix(value - avg) * fix(value - avg))
@@ -69,4 +139,145 @@ export const KDElemstats = {
     const stdDev = KDNumber.scale(avgSqRt, [0, Math.max(...arr)], [0, 1]);
     return stdDev;
   },
+
+  /**
+   * Calculate the variance of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` to divide by
+   * `n - 1` instead of `n`.
+   * @returns {number}
+   */
+  variance: (arr: number[], options: KDSampleOptions = {}): number => {
+    const correction = options.sample ? 1 : 0;
+    if (arr.length <= correction) return NaN;
+    const { n, m2 } = moments(arr);
+    return fix((m2 * n) / (n - correction));
+  },
+
+  /**
+   * Find the smallest value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  min: (arr: number[]): number =>
+    arr.length ? arr.reduce((a, b) => (b < a ? b : a)) : NaN,
+
+  /**
+   * Find the largest value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  max: (arr: number[]): number =>
+    arr.length ? arr.reduce((a, b) => (b > a ? b : a)) : NaN,
+
+  /**
+   * Calculate the difference between the largest and smallest values of an
+   * `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  range: (arr: number[]): number =>
+    fix(KDElemstats.max(arr) - KDElemstats.min(arr)),
+
+  /**
+   * Calculate a quantile of an `Array<number>` by linear interpolation
+   * between the closest ranks (the default of R, NumPy, and Excel's
+   * `PERCENTILE.INC`).
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number} p - In the range [0,1], eg. `0.5` for the median.
+   * @returns {number}
+   */
+  quantile: (arr: number[], p: number): number => {
+    if (!arr.length || typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+      return NaN;
+    }
+    const s = sorted(arr);
+    const h = (s.length - 1) * p;
+    const lo = Math.floor(h);
+    const hi = Math.min(lo + 1, s.length - 1);
+    return fix(s[lo] + (h - lo) * (s[hi] - s[lo]));
+  },
+
+  /**
+   * Calculate a percentile of an `Array<number>`. See `quantile()`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number} p - In the range [0,100], eg. `95`.
+   * @returns {number}
+   */
+  percentile: (arr: number[], p: number): number =>
+    KDElemstats.quantile(arr, p / 100),
+
+  /**
+   * Calculate the interquartile range of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  iqr: (arr: number[]): number =>
+    fix(KDElemstats.quantile(arr, 0.75) - KDElemstats.quantile(arr, 0.25)),
+
+  /**
+   * Calculate the skewness of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * adjusted Fisher-Pearson coefficient (needs at least 3 values).
+   * @returns {number} `NaN` if every value is the same.
+   */
+  skewness: (arr: number[], options: KDSampleOptions = {}): number => {
+    const { n, m2, m3 } = moments(arr);
+    if (!(m2 > 0) || (options.sample && n < 3)) return NaN;
+    const g1 = m3 / Math.pow(m2, 1.5);
+    return fix(options.sample ? (g1 * Math.sqrt(n * (n - 1))) / (n - 2) : g1);
+  },
+
+  /**
+   * Calculate the excess kurtosis of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * bias-corrected estimate (needs at least 4 values).
+   * @returns {number} `NaN` if every value is the same.
+   */
+  kurtosis: (arr: number[], options: KDSampleOptions = {}): number => {
+    const { n, m2, m4 } = moments(arr);
+    if (!(m2 > 0) || (options.sample && n < 4)) return NaN;
+    const g2 = m4 / (m2 * m2) - 3;
+    if (!options.sample) return fix(g2);
+    return fix((((n + 1) * g2 + 6) * (n - 1)) / ((n - 2) * (n - 3)));
+  },
+
+  /**
+   * Calculate the five-number summary of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDFiveNumber}
+   */
+  fiveNumber: (arr: number[]): KDFiveNumber => ({
+    min: KDElemstats.min(arr),
+    q1: KDElemstats.quantile(arr, 0.25),
+    median: KDElemstats.quantile(arr, 0.5),
+    q3: KDElemstats.quantile(arr, 0.75),
+    max: KDElemstats.max(arr),
+  }),
+
+  /**
+   * Calculate every statistic of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDDescription}
+   */
+  describe: (arr: number[]): KDDescription => {
+    const sample = { sample: true };
+    const stdDev = { normalized: false };
+    return {
+      count: arr.length,
+      mean: arr.length ? KDElemstats.mean(arr) : NaN,
+      modes: KDElemstats.modes(arr),
+      ...KDElemstats.fiveNumber(arr),
+      range: KDElemstats.range(arr),
+      iqr: KDElemstats.iqr(arr),
+      variance: KDElemstats.variance(arr),
+      sampleVariance: KDElemstats.variance(arr, sample),
+      stdDev: KDElemstats.stdDev(arr, stdDev),
+      sampleStdDev: KDElemstats.stdDev(arr, { ...stdDev, ...sample }),
+      skewness: KDElemstats.skewness(arr),
+      kurtosis: KDElemstats.kurtosis(arr),
+    };
+  },
 };
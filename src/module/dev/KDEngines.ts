@@ -0,0 +1,688 @@
+/**
+ * @file KDEngines.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Pseudorandom number engines that can be used by `KDRoll` in
+ * place of the default Mersenne Twister (`KDUniform`). Includes xoshiro128**,
+ * xoshiro256**, PCG32, SplitMix64, sfc32, and a crypto-backed engine.
+ */
+
+import { KDUniform } from './KDUniform';
+import { KDJump, KDPolynomial } from './KDJump';
+import { KDRuntime } from './KDRuntime';
+
+/** Allowed seed types. */
+type Seed = number | number[] | Uint32Array | undefined;
+
+/**
+ * Interface implemented by every engine. Custom engines can be passed to
+ * `new KDRoll(seed, { engine })` as long as they implement it.
+ * @example
+ * ```
+ * const engine: KDEngine = {
+ *   name: 'my-engine',
+ *   seed: (seed) => { ... },         // get or set the seed
+ *   nextUint32: () => { ... },       // unsigned 32-bit integer
+ *   getState: () => { ... },         // JSON-safe state
+ *   setState: (state) => { ... },    // restore, `false` if invalid
+ * };
+ * ```
+ */
+export interface KDEngine {
+  /** Engine name used in saved states. */
+  name: string;
+
+  /**
+   * If `seed` is empty, return the current seed. Otherwise, re-seed the
+   * engine.
+   */
+  seed: (seed?: Seed) => Seed;
+
+  /** Generate a random unsigned 32-bit integer. */
+  nextUint32: () => number;
+
+  /** Return a JSON-safe copy of the current state. */
+  getState: () => any;
+
+  /** Restore a state returned by `getState()`. */
+  setState: (state: any) => boolean;
+
+  /**
+   * Optional. Generate a random real in the interval [0,1]. If not provided,
+   * one is derived from `nextUint32()`.
+   */
+  random?: () => number;
+
+  /**
+   * Optional. Fill an array with outputs faster than calling `nextUint32()`
+   * for each, eg. a whole state vector at a time. May be a different
+   * sequence than `nextUint32()`.
+   */
+  fill?: (out: Uint32Array) => void;
+
+  /**
+   * Optional. Advance the engine as if `n` random reals had been generated
+   * with `KDEngines.random()`. If not provided, `KDEngines.jump()` generates
+   * and discards them.
+   */
+  jump?: (n: number) => void;
+}
+
+/** Serializable snapshot of an engine whose state is made of 32-bit words. */
+export type KDWordEngineState = {
+  seed: Seed;
+  words: number[];
+};
+
+/** Bounds of a random real: `'[0,1)'`, `'[0,1]'`, or `'(0,1)'`. */
+export type KDInterval = '[0,1)' | '[0,1]' | '(0,1)';
+
+/**
+ * Precision of a random real. `'double'` uses up to 53 random bits, and
+ * `'single'` uses up to 24 so results are exact 32-bit floats.
+ */
+export type KDPrecision = 'double' | 'single';
+
+/** A 64-bit unsigned integer stored as `[high, low]` 32-bit words. */
+type U64 = [number, number];
+
+/** 64-bit arithmetic on `[high, low]` pairs of unsigned 32-bit integers. */
+const u64 = {
+  from: (n: number): U64 => [Math.floor(n / 4294967296) >>> 0, n >>> 0],
+  add: (a: U64, b: U64): U64 => {
+    const lo = a[1] + b[1];
+    return [(a[0] + b[0] + (lo > 0xffffffff ? 1 : 0)) >>> 0, lo >>> 0];
+  },
+  mul: (a: U64, b: U64): U64 => {
+    const a0 = a[1] & 0xffff;
+    const a1 = a[1] >>> 16;
+    const b0 = b[1] & 0xffff;
+    const b1 = b[1] >>> 16;
+    const mid = a0 * b1 + a1 * b0;
+    const lo = a0 * b0 + (mid % 65536) * 65536;
+    const hi =
+      a1 * b1 +
+      Math.floor(mid / 65536) +
+      Math.floor(lo / 4294967296) +
+      Math.imul(a[0], b[1]) +
+      Math.imul(a[1], b[0]);
+    return [hi >>> 0, lo >>> 0];
+  },
+  xor: (a: U64, b: U64): U64 => [(a[0] ^ b[0]) >>> 0, (a[1] ^ b[1]) >>> 0],
+  shl: (a: U64, n: number): U64 => {
+    if (n >= 32) return [(a[1] << (n - 32)) >>> 0, 0];
+    if (n === 0) return a;
+    return [((a[0] << n) | (a[1] >>> (32 - n))) >>> 0, (a[1] << n) >>> 0];
+  },
+  shr: (a: U64, n: number): U64 => {
+    if (n >= 32) return [0, a[0] >>> (n - 32)];
+    if (n === 0) return a;
+    return [a[0] >>> n, ((a[1] >>> n) | (a[0] << (32 - n))) >>> 0];
+  },
+  rotl: (a: U64, n: number): U64 => {
+    const l = u64.shl(a, n);
+    const r = u64.shr(a, 64 - n);
+    return [(l[0] | r[0]) >>> 0, (l[1] | r[1]) >>> 0];
+  },
+};
+
+/** Rotate an unsigned 32-bit integer left. */
+const rotl32 = (x: number, n: number): number =>
+  ((x << n) | (x >>> (32 - n))) >>> 0;
+
+/**
+ * Advance a SplitMix64 state and return the next output.
+ * @param {U64} state - Mutated in place.
+ * @returns {U64}
+ */
+const splitmix64 = (state: U64): U64 => {
+  const next = u64.add(state, [0x9e3779b9, 0x7f4a7c15]);
+  state[0] = next[0];
+  state[1] = next[1];
+  let z = next;
+  z = u64.mul(u64.xor(z, u64.shr(z, 30)), [0xbf58476d, 0x1ce4e5b9]);
+  z = u64.mul(u64.xor(z, u64.shr(z, 27)), [0x94d049bb, 0x133111eb]);
+  return u64.xor(z, u64.shr(z, 31));
+};
+
+/**
+ * Expand a seed into `count` unsigned 32-bit words with SplitMix64. An
+ * integer seed `n` produces the same words as a SplitMix64 generator
+ * seeded with `n`.
+ * @param {number | number[]} seed - A normalized seed.
+ * @param {number} count - The number of words to generate.
+ * @returns {number[]}
+ */
+const expandSeed = (seed: number | number[], count: number): number[] => {
+  const key = Array.isArray(seed) ? seed : [seed];
+  let state: U64 = u64.from(key[0]);
+  for (let i = 1; i < key.length; i++) {
+    state = u64.xor(splitmix64(state), u64.from(key[i]));
+  }
+  const words: number[] = [];
+  while (words.length < count) words.push(...splitmix64(state));
+  return words.slice(0, count);
+};
+
+/** One step of xoshiro128**. Advances the state words in place. */
+const xoshiro128Step = (w: number[]): number => {
+  const result = Math.imul(rotl32(Math.imul(w[1], 5), 7), 9);
+  const t = w[1] << 9;
+  w[2] ^= w[0];
+  w[3] ^= w[1];
+  w[1] ^= w[2];
+  w[0] ^= w[3];
+  w[2] ^= t;
+  w[3] = rotl32(w[3], 11);
+  w.forEach((x, i) => (w[i] = x >>> 0));
+  return result;
+};
+
+/** One step of xoshiro256**. Advances the state words in place. */
+const xoshiro256Step = (w: number[]): number => {
+  const s: U64[] = [0, 1, 2, 3].map((i) => [w[i * 2], w[i * 2 + 1]]);
+  const result = u64.mul(u64.rotl(u64.mul(s[1], [0, 5]), 7), [0, 9]);
+  const t = u64.shl(s[1], 17);
+  s[2] = u64.xor(s[2], s[0]);
+  s[3] = u64.xor(s[3], s[1]);
+  s[1] = u64.xor(s[1], s[2]);
+  s[0] = u64.xor(s[0], s[3]);
+  s[2] = u64.xor(s[2], t);
+  s[3] = u64.rotl(s[3], 45);
+  s.forEach((x, i) => {
+    w[i * 2] = x[0];
+    w[i * 2 + 1] = x[1];
+  });
+  return result[0];
+};
+
+/**
+ * Create an engine whose state is a fixed number of unsigned 32-bit words.
+ * @param {string} name - Engine name.
+ * @param {number} size - Number of state words.
+ * @param {(seed: number | number[]) => number[]} init - Returns the initial
+ * state words for a normalized seed.
+ * @param {(words: number[]) => number} next - Advances the state words in
+ * place and returns an unsigned 32-bit integer.
+ * @param {Seed} [seed] - The initial seed.
+ * @param {(words: number[], n: number) => void} [advance] - Advances the
+ * state words in place by `n` random reals, ie. `2n` calls to `next()`.
+ * @returns {KDEngine}
+ */
+const wordEngine = (
+  name: string,
+  size: number,
+  init: (seed: number | number[]) => number[],
+  next: (words: number[]) => number,
+  seed?: Seed,
+  advance?: (words: number[], n: number) => void
+): KDEngine => {
+  let words: number[] = [];
+  let current: Seed;
+
+  const isState = (state: any): boolean =>
+    !!state &&
+    Array.isArray(state.words) &&
+    state.words.length === size &&
+    state.words.every(
+      (n: any) => Number.isInteger(n) && n >= 0 && n <= 0xffffffff
+    );
+
+  const reseed = (seed?: Seed) => {
+    current = KDUniform.normalizeSeed(seed);
+    words = init(current).map((x) => x >>> 0);
+    /* An all-zero state never leaves zero. */
+    if (words.every((x) => x === 0)) words[0] = 1;
+  };
+
+  const engine: KDEngine = {
+    name,
+    seed: (seed?: Seed) => {
+      if (seed !== undefined && seed !== null) reseed(seed);
+      return current;
+    },
+    nextUint32: () => next(words) >>> 0,
+    getState: (): KDWordEngineState => ({
+      seed: Array.isArray(current) ? [...current] : current,
+      words: [...words],
+    }),
+    setState: (state: KDWordEngineState) => {
+      if (!isState(state)) {
+        console.warn('Invalid generator state. State was not restored.');
+        return false;
+      }
+      current = Array.isArray(state.seed) ? [...state.seed] : state.seed;
+      words = [...state.words];
+      return true;
+    },
+  };
+
+  if (advance) {
+    engine.jump = (n: number) => {
+      if (!Number.isSafeInteger(n) || n < 0) {
+        console.warn('Jump must be a non-negative integer.');
+        return;
+      }
+      advance(words, n);
+    };
+  }
+
+  reseed(seed);
+  return engine;
+};
+
+/**
+ * Create an `advance` function for an engine whose state transition is
+ * linear over GF(2). The characteristic polynomial is found on first use.
+ * @param {number} size - Number of state words.
+ * @param {(words: number[]) => number} next - Advances the state words in
+ * place.
+ * @returns {(words: number[], n: number) => void}
+ */
+const linearAdvance = (size: number, next: (words: number[]) => number) => {
+  let characteristic: { poly: KDPolynomial; degree: number } | undefined;
+  return (words: number[], n: number) => {
+    if (!characteristic) {
+      const w = new Array(size).fill(0).map((x, i) => i + 1);
+      const bits = new Array(64 * size).fill(0).map(() => {
+        next(w);
+        return w[0] & 1;
+      });
+      characteristic = KDJump.minimalPolynomial(bits);
+    }
+    const { poly, degree } = characteristic;
+    const jump = KDJump.power(poly, degree, 2, n);
+    const current = [...words];
+    const result = new Array(size).fill(0);
+    KDJump.evaluate(
+      jump,
+      degree,
+      () => current.forEach((x, i) => (result[i] ^= x)),
+      () => next(current)
+    );
+    result.forEach((x, i) => (words[i] = x >>> 0));
+  };
+};
+
+/**
+ * Holds the built-in engines and helpers for working with any `KDEngine`.
+ */
+export const KDEngines = {
+  /** Names of the built-in engines. */
+  names: [
+    'mt19937',
+    'xoshiro128**',
+    'xoshiro256**',
+    'pcg32',
+    'splitmix64',
+    'sfc32',
+    'crypto',
+  ],
+
+  /**
+   * Create a built-in engine by name.
+   * @param {string} [name='mt19937'] - One of `KDEngines.names`.
+   * @param {Seed} [seed] - The initial seed. Creates a random seed if one
+   * isn't provided.
+   * @returns {KDEngine | undefined} `undefined` if the name is unknown.
+   */
+  create: (name: string = 'mt19937', seed?: Seed): KDEngine | undefined => {
+    switch (name) {
+      case 'mt19937':
+        return new KDUniform(seed);
+      case 'xoshiro128**':
+        return KDEngines.xoshiro128(seed);
+      case 'xoshiro256**':
+        return KDEngines.xoshiro256(seed);
+      case 'pcg32':
+        return KDEngines.pcg32(seed);
+      case 'splitmix64':
+        return KDEngines.splitmix64(seed);
+      case 'sfc32':
+        return KDEngines.sfc32(seed);
+      case 'crypto':
+        return KDEngines.crypto();
+      default:
+        return undefined;
+    }
+  },
+
+  /**
+   * Derive a child seed from a parent seed and a label. The same inputs
+   * always produce the same 256-bit seed, and different labels produce
+   * unrelated seeds.
+   * @param {Seed} seed - The parent seed.
+   * @param {string | number} label - A string label, or a numeric index.
+   * Strings and numbers never derive the same seed.
+   * @returns {number[]} Eight unsigned 32-bit words.
+   */
+  derive: (seed: Seed, label: string | number): number[] => {
+    const parent = KDUniform.normalizeSeed(seed);
+    const words = Array.isArray(parent) ? parent : [parent];
+    const tag =
+      typeof label === 'number'
+        ? [1, ...u64.from(label)]
+        : [0, ...Array.from(`${label}`, (c) => c.codePointAt(0) as number)];
+    const key = [words.length, ...words, tag.length, ...tag];
+    return expandSeed(key, 8);
+  },
+
+  /**
+   * Generate a 53-bit random real in the interval [0,1) from any engine.
+   * Uses the engine's own `random()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @returns {number}
+   */
+  random: (engine: KDEngine): number => {
+    if (typeof engine.random === 'function') return engine.random();
+    const a = engine.nextUint32() >>> 5;
+    const b = engine.nextUint32() >>> 6;
+    return (a * 67108864 + b) / 9007199254740992;
+  },
+
+  /**
+   * Generate a random real with documented bounds from the full bits of any
+   * engine's `nextUint32()`, without any floating point fix. `'[0,1)'` uses
+   * 53 bits (24 single), `'[0,1]'` divides 53 bits (24 single) by their
+   * largest value, and `'(0,1)'` centers 52 bits (23 single) between
+   * neighbors.
+   * @param {KDEngine} engine - The engine.
+   * @param {KDInterval} [interval='[0,1)'] - The bounds.
+   * @param {KDPrecision} [precision='double'] - Two outputs for `'double'`,
+   * one for `'single'`.
+   * @returns {number}
+   */
+  real: (
+    engine: { nextUint32: () => number },
+    interval: KDInterval = '[0,1)',
+    precision: KDPrecision = 'double'
+  ): number => {
+    if (precision === 'single') {
+      const x = engine.nextUint32() >>> 8;
+      if (interval === '[0,1]') return Math.fround(x / 16777215);
+      if (interval === '(0,1)') return ((x >>> 1) + 0.5) / 8388608;
+      return x / 16777216;
+    }
+    const a = engine.nextUint32() >>> 5;
+    const b = engine.nextUint32() >>> 6;
+    const x = a * 67108864 + b;
+    if (interval === '[0,1]') return x / 9007199254740991;
+    if (interval === '(0,1)')
+      return (Math.floor(x / 2) + 0.5) / 4503599627370496;
+    return x / 9007199254740992;
+  },
+
+  /**
+   * Generate a random integer in the range [0,n) from any engine. Rejection
+   * samples 32-bit outputs of `nextUint32()`, so every integer is exactly
+   * equally likely. Ranges over 2^32 combine two outputs into 53 bits.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} n - An integer in the range [1,2^53].
+   * @returns {number} `NaN` if `n` is invalid.
+   */
+  below: (engine: { nextUint32: () => number }, n: number): number => {
+    if (!Number.isInteger(n) || n < 1 || n > 9007199254740992) return NaN;
+    if (n <= 4294967296) {
+      /* Largest multiple of `n` that fits in 32 bits. */
+      const limit = n * Math.floor(4294967296 / n);
+      let x = engine.nextUint32() >>> 0;
+      while (x >= limit) x = engine.nextUint32() >>> 0;
+      return x % n;
+    }
+    const limit = n * Math.floor(9007199254740992 / n);
+    const next = () =>
+      (engine.nextUint32() >>> 11) * 4294967296 + (engine.nextUint32() >>> 0);
+    let x = next();
+    while (x >= limit) x = next();
+    return x % n;
+  },
+
+  /**
+   * Fill an array with random unsigned 32-bit integers from any engine. Uses
+   * the engine's own `fill()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @param {Uint32Array} out - The array to fill.
+   * @returns {Uint32Array} `out`.
+   */
+  fill: (engine: KDEngine, out: Uint32Array): Uint32Array => {
+    if (typeof engine.fill === 'function') engine.fill(out);
+    else for (let i = 0; i < out.length; i++) out[i] = engine.nextUint32();
+    return out;
+  },
+
+  /**
+   * Read the outputs of an engine a block at a time with `KDEngines.fill()`.
+   * Engines without their own `fill()` are read one output at a time, so
+   * nothing is wasted. Otherwise, outputs left in the last block are
+   * discarded.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} [size=624] - Outputs per block.
+   * @returns {{ nextUint32: () => number }}
+   */
+  buffered: (
+    engine: KDEngine,
+    size: number = 624
+  ): { nextUint32: () => number } => {
+    if (typeof engine.fill !== 'function') {
+      return { nextUint32: () => engine.nextUint32() };
+    }
+    const block = new Uint32Array(size);
+    let i = size;
+    return {
+      nextUint32: () => {
+        if (i === size) {
+          KDEngines.fill(engine, block);
+          i = 0;
+        }
+        return block[i++];
+      },
+    };
+  },
+
+  /**
+   * Advance any engine as if `n` random reals had been generated with
+   * `KDEngines.random()`, or with `KDEngines.real()` if `raw` is `true`. Uses
+   * the engine's own `jump()` if it has one.
+   * @param {KDEngine} engine - The engine.
+   * @param {number} n - A non-negative integer.
+   * @param {boolean} [raw=false] - Count reals from `KDEngines.real()`.
+   * @returns {boolean} `false` if `n` is invalid.
+   */
+  jump: (engine: KDEngine, n: number, raw: boolean = false): boolean => {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      console.warn('Jump must be a non-negative integer.');
+      return false;
+    }
+    /* Engines with their own `random()` may use a different number of
+     * outputs per real. The Mersenne Twister uses one. */
+    const own = raw && typeof engine.random === 'function';
+    if (own && engine instanceof KDUniform) engine.jump(2 * n);
+    else if (own) while (n-- > 0) KDEngines.real(engine);
+    else if (typeof engine.jump === 'function') engine.jump(n);
+    else while (n-- > 0) KDEngines.random(engine);
+    return true;
+  },
+
+  /**
+   * Check that an object implements `KDEngine`.
+   * @param {any} engine - The object to check.
+   * @returns {boolean}
+   */
+  isEngine: (engine: any): boolean =>
+    !!engine &&
+    typeof engine.name === 'string' &&
+    ['seed', 'nextUint32', 'getState', 'setState'].every(
+      (key) => typeof engine[key] === 'function'
+    ),
+
+  /**
+   * xoshiro128** by David Blackman and Sebastiano Vigna. 128 bits of state.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  xoshiro128: (seed?: Seed): KDEngine =>
+    wordEngine(
+      'xoshiro128**',
+      4,
+      (s) => expandSeed(s, 4),
+      xoshiro128Step,
+      seed,
+      linearAdvance(4, xoshiro128Step)
+    ),
+
+  /**
+   * xoshiro256** by David Blackman and Sebastiano Vigna. 256 bits of state.
+   * Returns the upper 32 bits of each 64-bit output.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  xoshiro256: (seed?: Seed): KDEngine =>
+    wordEngine(
+      'xoshiro256**',
+      8,
+      (s) => expandSeed(s, 8),
+      xoshiro256Step,
+      seed,
+      linearAdvance(8, xoshiro256Step)
+    ),
+
+  /**
+   * PCG32 (XSH RR) by Melissa O'Neill. 64 bits of state plus a 64-bit stream
+   * selector.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  pcg32: (seed?: Seed): KDEngine => {
+    const multiplier: U64 = [0x5851f42d, 0x4c957f2d];
+    const step = (w: number[]): number => {
+      const old: U64 = [w[0], w[1]];
+      const next = u64.add(u64.mul(old, multiplier), [w[2], w[3]]);
+      w[0] = next[0];
+      w[1] = next[1];
+      const xorshifted = u64.shr(u64.xor(u64.shr(old, 18), old), 27)[1];
+      const rot = old[0] >>> 27;
+      return (xorshifted >>> rot) | (xorshifted << (-rot & 31));
+    };
+    return wordEngine(
+      'pcg32',
+      4,
+      (s) => {
+        const [stateHi, stateLo, seqHi, seqLo] = expandSeed(s, 4);
+        const inc = u64.shl([seqHi, seqLo], 1);
+        const w = [0, 0, inc[0], (inc[1] | 1) >>> 0];
+        step(w);
+        const state = u64.add([w[0], w[1]], [stateHi, stateLo]);
+        w[0] = state[0];
+        w[1] = state[1];
+        step(w);
+        return w;
+      },
+      step,
+      seed,
+      (w, n) => {
+        /* Compose the LCG with itself (Brown, "Random Number Generation
+        with Arbitrary Strides"), starting from two steps per real. */
+        const inc: U64 = [w[2], w[3]];
+        let curMult = u64.mul(multiplier, multiplier);
+        let curPlus = u64.mul(u64.add(multiplier, [0, 1]), inc);
+        let accMult: U64 = [0, 1];
+        let accPlus: U64 = [0, 0];
+        for (let m = n; m > 0; m = Math.floor(m / 2)) {
+          if (m % 2) {
+            accMult = u64.mul(accMult, curMult);
+            accPlus = u64.add(u64.mul(accPlus, curMult), curPlus);
+          }
+          curPlus = u64.mul(u64.add(curMult, [0, 1]), curPlus);
+          curMult = u64.mul(curMult, curMult);
+        }
+        const state = u64.add(u64.mul([w[0], w[1]], accMult), accPlus);
+        w[0] = state[0];
+        w[1] = state[1];
+      }
+    );
+  },
+
+  /**
+   * SplitMix64 by Sebastiano Vigna. 64 bits of state. Returns the upper 32
+   * bits of each 64-bit output.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  splitmix64: (seed?: Seed): KDEngine =>
+    wordEngine(
+      'splitmix64',
+      2,
+      (s) => (Array.isArray(s) ? expandSeed(s, 2) : u64.from(s)),
+      (w) => {
+        const state: U64 = [w[0], w[1]];
+        const result = splitmix64(state);
+        w[0] = state[0];
+        w[1] = state[1];
+        return result[0];
+      },
+      seed,
+      (w, n) => {
+        /* The state is a counter. Add the increment twice per real. */
+        const stride = u64.mul(u64.from(n), [0x3c6ef372, 0xfe94f82a]);
+        const state = u64.add([w[0], w[1]], stride);
+        w[0] = state[0];
+        w[1] = state[1];
+      }
+    ),
+
+  /**
+   * sfc32 (Small Fast Counting) by Chris Doty-Humphrey. 128 bits of state.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  sfc32: (seed?: Seed): KDEngine => {
+    const step = (w: number[]): number => {
+      const t = (((w[0] + w[1]) | 0) + w[3]) | 0;
+      w[3] = (w[3] + 1) >>> 0;
+      w[0] = (w[1] ^ (w[1] >>> 9)) >>> 0;
+      w[1] = (w[2] + (w[2] << 3)) >>> 0;
+      w[2] = (rotl32(w[2], 21) + t) >>> 0;
+      return t >>> 0;
+    };
+    return wordEngine(
+      'sfc32',
+      4,
+      (s) => {
+        const w = [...expandSeed(s, 3), 1];
+        for (let i = 0; i < 12; i++) step(w);
+        return w;
+      },
+      step,
+      seed
+    );
+  },
+
+  /**
+   * Engine backed by `KDRuntime.fill()`, usually `crypto`. It can't be
+   * seeded, and its state can't be saved or restored.
+   * @returns {KDEngine}
+   */
+  crypto: (): KDEngine => {
+    const buffer = new Uint32Array(256);
+    let index = buffer.length;
+    return {
+      name: 'crypto',
+      seed: () => undefined,
+      nextUint32: () => {
+        if (index >= buffer.length) {
+          KDRuntime.fill(buffer);
+          index = 0;
+        }
+        return buffer[index++];
+      },
+      getState: () => null,
+      setState: () => {
+        console.warn('The crypto engine state can not be restored.');
+        return false;
+      },
+      /* Outputs are independent, so skipping them changes nothing. */
+      jump: () => undefined,
+    };
+  },
+};
@@ -0,0 +1,149 @@
+/**
+ * @file KDEvents.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a typed event emitter, with an async
+ * iterator view of any event.
+ */
+
+/** A function called with the payload of an event. */
+export type KDListener<T> = (payload: T) => void;
+
+/**
+ * @class Typed event emitter. `Events` maps each event name to the type of its
+ * payload.
+ * @example
+ * ```
+ * const events = new KDEmitter<{ tick: number }>();
+ * const off = events.on('tick', (n) => console.log(n));
+ * events.emit('tick', 1);
+ * off();
+ * ```
+ */
+export class KDEmitter<Events extends { [event: string]: any }> {
+  /**
+   * Add a listener.
+   * @param {keyof Events} event - The event name.
+   * @param {KDListener} listener - Called with the payload of each event.
+   * @returns {() => void} Removes the listener.
+   */
+  on: <K extends keyof Events>(
+    event: K,
+    listener: KDListener<Events[K]>
+  ) => () => void;
+
+  /**
+   * Remove a listener.
+   * @param {keyof Events} event - The event name.
+   * @param {KDListener} listener - The listener passed to `on()`.
+   */
+  off: <K extends keyof Events>(
+    event: K,
+    listener: KDListener<Events[K]>
+  ) => void;
+
+  /**
+   * Call every listener of an event. A listener that throws is logged and
+   * does not prevent the others from being called.
+   * @param {keyof Events} event - The event name.
+   * @param {Events[K]} payload - The payload.
+   */
+  emit: <K extends keyof Events>(event: K, payload: Events[K]) => void;
+
+  /**
+   * Check for listeners, eg. to skip building a payload nobody receives.
+   * @param {keyof Events} event - The event name.
+   * @returns {boolean}
+   */
+  listening: (event: keyof Events) => boolean;
+
+  /**
+   * Iterate future payloads of an event with `for await`. Payloads are queued
+   * until they are read. Ending the loop removes the listener.
+   * @param {keyof Events} event - The event name.
+   * @param {(payload: Events[K]) => boolean} [accept] - Only queue payloads
+   * that pass this test.
+   * @returns {AsyncIterableIterator<Events[K]>}
+   */
+  stream: <K extends keyof Events>(
+    event: K,
+    accept?: (payload: Events[K]) => boolean
+  ) => AsyncIterableIterator<Events[K]>;
+
+  /**
+   * Class representing a typed event emitter.
+   */
+  constructor() {
+    const listeners = new Map<keyof Events, KDListener<any>[]>();
+
+    this.on = (event, listener) => {
+      if (typeof listener !== 'function') {
+        console.log(new Error('Listener must be a function.'));
+        return () => {};
+      }
+      listeners.set(event, [...(listeners.get(event) || []), listener]);
+      return () => this.off(event, listener);
+    };
+
+    this.off = (event, listener) => {
+      const remaining = (listeners.get(event) || []).filter(
+        (fn) => fn !== listener
+      );
+      if (remaining.length) listeners.set(event, remaining);
+      else listeners.delete(event);
+    };
+
+    this.emit = (event, payload) => {
+      /* Listeners are replaced, never mutated, so removing one mid-emit is
+       * safe. */
+      (listeners.get(event) || []).forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (error) {
+          console.log(error);
+        }
+      });
+    };
+
+    this.listening = (event) => listeners.has(event);
+
+    this.stream = <K extends keyof Events>(
+      event: K,
+      accept?: (payload: Events[K]) => boolean
+    ) => {
+      type Result = IteratorResult<Events[K]>;
+      const queue: Events[K][] = [];
+      let waiting: ((result: Result) => void)[] = [];
+      let done = false;
+      const off = this.on(event, (payload) => {
+        if (accept && !accept(payload)) return;
+        const resolve = waiting.shift();
+        if (resolve) resolve({ value: payload, done: false });
+        else queue.push(payload);
+      });
+      const iterator: AsyncIterableIterator<Events[K]> = {
+        next: () => {
+          if (queue.length) {
+            const value = queue.shift() as Events[K];
+            return Promise.resolve({ value, done: false });
+          }
+          if (done) return Promise.resolve({ value: undefined, done: true });
+          return new Promise<Result>((resolve) => waiting.push(resolve));
+        },
+        return: () => {
+          done = true;
+          off();
+          queue.length = 0;
+          waiting.forEach((resolve) =>
+            resolve({ value: undefined, done: true })
+          );
+          waiting = [];
+          return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]: () => iterator,
+      };
+      return iterator;
+    };
+  }
+}
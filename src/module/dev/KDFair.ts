@@ -0,0 +1,225 @@
+/**
+ * @file KDFair.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a provably fair commit-reveal session. The
+ * server commits to a secret seed and the engine by publishing their SHA-256
+ * hash, each game is seeded with HMAC-SHA256(server seed, client seed +
+ * nonce), and revealing the server seed lets anyone recompute every result.
+ */
+
+import { KDRoll } from './KDRoll';
+import { KDAuditLog } from './KDAudit';
+import { KDEngine, KDEngines } from './KDEngines';
+import { KDSha256 } from './KDSha256';
+
+/** Everything needed to verify one game of a revealed session. */
+export type KDFairProof = {
+  /** The secret server seed, revealed after the session. */
+  serverSeed: string;
+  /** SHA-256 hex of the engine and server seed, published before the
+   * session. */
+  serverSeedHash: string;
+  /** The engine committed to with the server seed. */
+  engine: string;
+  /** The seed contributed by the client. */
+  clientSeed: string;
+  /** The game number. */
+  nonce: number;
+  /** The session log of the game. */
+  log: KDAuditLog;
+};
+
+/** Options for `KDRoll.fair()`. */
+export type KDFairOptions = {
+  /** The secret server seed. Default is 32 random bytes as hex. */
+  serverSeed?: string;
+  /** The first nonce. Default `0`. */
+  nonce?: number;
+  /** A built-in engine name. Default `'mt19937'`. */
+  engine?: string;
+};
+
+/**
+ * @class Provably fair commit-reveal session. Create one with `KDRoll.fair()`.
+ * @example
+ * ```
+ * const fair = KDRoll.fair();
+ * publish(fair.hash());              // before the client picks a seed
+ * const roll = fair.roll(clientSeed); // a new game for each nonce
+ * roll.d(20);
+ * const proofs = fair.reveal();       // after the session
+ * KDRoll.verify(proofs[0]);          // { valid: true, replayed: 1 }
+ * ```
+ */
+export class KDFair {
+  /**
+   * Get the commitment to publish before any game is played.
+   * @returns {string} SHA-256 hex of the engine and server seed.
+   */
+  hash: () => string;
+
+  /**
+   * Get the nonce of the next game.
+   * @returns {number}
+   */
+  nonce: () => number;
+
+  /**
+   * Start the next game. The returned instance is seeded from the server
+   * seed, the client seed, and the nonce, and keeps a session log.
+   * @param {string} clientSeed - The seed contributed by the client.
+   * @returns {KDRoll | undefined} `undefined` if the session was revealed or
+   * the client seed isn't a string.
+   */
+  roll: (clientSeed: string) => KDRoll | undefined;
+
+  /**
+   * End the session and reveal the server seed.
+   * @returns {KDFairProof[]} A proof for every game, in order.
+   */
+  reveal: () => KDFairProof[];
+
+  /**
+   * Class representing a provably fair commit-reveal session.
+   * @param {KDFairOptions} options - The server seed, the first nonce, and
+   * the engine.
+   * @param {(seed: number[], engine: string) => KDRoll} create - Creates an
+   * audited instance from a derived seed and the engine.
+   */
+  constructor(
+    options: KDFairOptions,
+    create: (seed: number[], engine: string) => KDRoll
+  ) {
+    let { serverSeed, nonce = 0, engine = 'mt19937' } = options;
+    if (
+      serverSeed !== undefined &&
+      (typeof serverSeed !== 'string' || !serverSeed)
+    ) {
+      console.log(new Error('Server seed must be a non-empty string.'));
+      serverSeed = undefined;
+    }
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      console.log(new Error('Nonce must be a non-negative integer.'));
+      nonce = 0;
+    }
+    if (!KDEngines.names.includes(engine) || engine === 'crypto') {
+      console.log(
+        new Error(`Engine "${engine}" can not be used for fair play.`)
+      );
+      engine = 'mt19937';
+    }
+    const secret =
+      serverSeed === undefined ? KDFair.createServerSeed() : serverSeed;
+    const serverSeedHash = KDFair.hash(secret, engine);
+    const games: { clientSeed: string; nonce: number; roll: KDRoll }[] = [];
+    let revealed = false;
+
+    this.hash = () => serverSeedHash;
+
+    this.nonce = () => nonce;
+
+    this.roll = (clientSeed: string) => {
+      if (revealed) {
+        console.log(
+          new Error('The server seed was revealed. Start a new session.')
+        );
+        return undefined;
+      }
+      if (typeof clientSeed !== 'string') {
+        console.log(new Error('Client seed must be a string.'));
+        return undefined;
+      }
+      const roll = create(KDFair.seed(secret, clientSeed, nonce), engine);
+      games.push({ clientSeed, nonce: nonce++, roll });
+      return roll;
+    };
+
+    this.reveal = () => {
+      revealed = true;
+      return games.map(({ clientSeed, nonce, roll }) => ({
+        serverSeed: secret,
+        serverSeedHash,
+        engine,
+        clientSeed,
+        nonce,
+        log: roll.exportLog() as KDAuditLog,
+      }));
+    };
+  }
+
+  /**
+   * @static Generate a random server seed with the crypto engine.
+   * @returns {string} 32 bytes as hex.
+   */
+  static createServerSeed(): string {
+    const engine = KDEngines.create('crypto') as KDEngine;
+    const bytes = new Uint8Array(32);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 8; i++) view.setUint32(4 * i, engine.nextUint32());
+    return KDSha256.hex(bytes);
+  }
+
+  /**
+   * @static Hash a server seed and the engine, so the server can't switch
+   * engines after committing.
+   * @param {string} serverSeed - The server seed.
+   * @param {string} [engine='mt19937'] - The engine name.
+   * @returns {string} SHA-256 hex of `${engine}:${serverSeed}`.
+   */
+  static hash(serverSeed: string, engine: string = 'mt19937'): string {
+    return KDSha256.hex(KDSha256.digest(`${engine}:${serverSeed}`));
+  }
+
+  /**
+   * @static Derive the seed of a game.
+   * @param {string} serverSeed - The server seed.
+   * @param {string} clientSeed - The client seed.
+   * @param {number} nonce - The game number.
+   * @returns {number[]} Eight unsigned 32-bit words of
+   * HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`).
+   */
+  static seed(serverSeed: string, clientSeed: string, nonce: number): number[] {
+    return KDSha256.words(KDSha256.hmac(serverSeed, `${clientSeed}:${nonce}`));
+  }
+
+  /**
+   * @static Check that a proof's server seed and engine match its hash, and
+   * that its log uses that engine and was seeded from the server seed,
+   * client seed, and nonce. Doesn't replay the log.
+   * @param {KDFairProof} proof - The proof.
+   * @returns {string | undefined} The reason the proof is invalid, if any.
+   */
+  static check(proof: KDFairProof): string | undefined {
+    if (!proof || typeof proof !== 'object' || !proof.log) {
+      return 'Invalid proof.';
+    }
+    const {
+      serverSeed,
+      serverSeedHash,
+      engine,
+      clientSeed,
+      nonce,
+      log,
+    } = proof;
+    if (
+      typeof serverSeed !== 'string' ||
+      typeof engine !== 'string' ||
+      KDFair.hash(serverSeed, engine) !== serverSeedHash
+    ) {
+      return 'The server seed and engine do not match the hash.';
+    }
+    if (log.engine !== engine) {
+      return 'The log does not use the committed engine.';
+    }
+    if (log.state !== undefined) {
+      return 'The log must start from the seed.';
+    }
+    const seed = KDFair.seed(serverSeed, `${clientSeed}`, nonce);
+    if (JSON.stringify(log.seed) !== JSON.stringify(seed)) {
+      return 'The log was not seeded from the server seed, client seed, and nonce.';
+    }
+    return undefined;
+  }
+}
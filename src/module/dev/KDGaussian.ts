@@ -9,12 +9,11 @@
  */
 
 import { KDNumber } from './KDNumber';
-import { KDUniform } from './KDUniform';
 
 /**
  * Generates a 53-bit random real in the interval [0, 1] with gaussian
  * distribution (Box Mueller transform).
- * @param {KDUniform | Math} uniformGenerator - A uniform distribution
+ * @param {{ random: () => number }} uniformGenerator - A uniform distribution
  * random number generator with a `.random()` method.
  * @param {number} [skew=0] - `number` in the range of -1 to 1. Negative
  * values skew data RIGHT, positive values skew data LEFT.
@@ -26,7 +25,7 @@ import { KDUniform } from './KDUniform';
  * ```
  */
 export const KDGaussian = (
-  uniformGenerator: KDUniform | Math,
+  uniformGenerator: { random: () => number },
   skew: number = 0
 ): number => {
   /**
@@ -63,23 +62,27 @@ export const KDGaussian = (
   };
   skew = scaleSkew(skew);
 
-  let u = 0;
-  let v = 0;
-  if (typeof uniformGenerator.random === 'function') {
-    while (u === 0) u = uniformGenerator.random();
-    while (v === 0) v = uniformGenerator.random();
-  } else {
+  if (typeof uniformGenerator.random !== 'function') {
     console.error('must provide a valid prng generator object');
+    return NaN;
   }
 
   const fix = KDNumber.floatingPointFix;
 
-  /* apply gaussian distribution */
-  let num = fix(Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v));
-  /* scale back to 0-1 */
-  num = fix(num / 10.0 + 0.5);
-  /* resample if out of range */
-  if (num > 1 || num < 0) num = Number(KDGaussian(new KDUniform(), skew));
+  let num: number;
+  do {
+    let u = 0;
+    let v = 0;
+    while (u === 0) u = uniformGenerator.random();
+    while (v === 0) v = uniformGenerator.random();
+
+    /* apply gaussian distribution */
+    num = fix(Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v));
+    /* scale back to 0-1 */
+    num = fix(num / 10.0 + 0.5);
+    /* resample from the same generator if out of range */
+  } while (num > 1 || num < 0);
+
   /* skew */
   num = fix(Math.pow(num, skew));
   return num;
@@ -0,0 +1,231 @@
+/**
+ * @file KDHistogram.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for binning a `number[]` into histograms and
+ * frequency tables. Results include `labels` and `datasets`, so they can be
+ * passed to Chart.js as chart data.
+ */
+
+import { KDNumber } from './KDNumber';
+import { KDElemstats } from './KDElemStats';
+
+/** Bin counting rules. */
+export type KDBinRule = 'auto' | 'sturges' | 'freedman-diaconis' | 'integer';
+
+/** Options for `histogram()`. */
+export type KDHistogramOptions = {
+  /**
+   * Number of equal width bins, or a rule for choosing them. `'auto'` uses
+   * the narrower of the Sturges and Freedman–Diaconis widths, and whole
+   * number bins for integer data that would otherwise get bins narrower than
+   * `1`. `'integer'` gives one bin for each whole number, and ignores values
+   * that aren't whole numbers. The rules fall back to Sturges if
+   * Freedman–Diaconis gives more than `maxBins` bins. Default `'auto'`.
+   */
+  bins?: number | KDBinRule;
+  /** The lower and upper edges. Values outside are ignored. Default is the
+   * smallest and largest value. */
+  range?: [number, number];
+};
+
+/** Chart.js chart data. */
+export type KDChartData = {
+  labels: string[];
+  datasets: { label: string; data: number[] }[];
+};
+
+/** Counts of values in equal width bins. */
+export type KDHistogram = KDChartData & {
+  /** Bin edges. One more than the number of bins. Every bin includes its
+   * lower edge, and the last bin also includes its upper edge. */
+  edges: number[];
+  counts: number[];
+  /** Relative frequencies. `counts[i] / total`. */
+  frequencies: number[];
+  /** Number of values counted. */
+  total: number;
+};
+
+/** Counts of each distinct value. */
+export type KDFrequencyTable = KDChartData & {
+  /** Distinct values in ascending order. */
+  values: number[];
+  counts: number[];
+  /** Relative frequencies. `counts[i] / total`. */
+  frequencies: number[];
+  /** Number of values counted. */
+  total: number;
+};
+
+const fix = KDNumber.floatingPointFix;
+
+/** Most bins in a histogram. */
+const maxBins: number = 1000;
+
+/** Format a number as a short label. */
+const label = (x: number): string => `${Number(x.toPrecision(6))}`;
+
+/** Relative frequencies of counts. */
+const relative = (counts: number[], total: number): number[] =>
+  counts.map((count) => (total ? fix(count / total) : 0));
+
+/** Chart.js chart data for counts. */
+const chart = (labels: string[], counts: number[]): KDChartData => ({
+  labels,
+  datasets: [{ label: 'Count', data: [...counts] }],
+});
+
+/**
+ * Holds functions for binning an array of numbers. Input arrays are never
+ * modified.
+ * @example
+ * ```
+ * const h = KDHistogram.histogram([1, 2, 2, 3, 7], { bins: 3 });
+ * h.edges; // [1, 3, 5, 7]
+ * h.counts; // [3, 1, 1]
+ * new Chart(ctx, { type: 'bar', data: h });
+ * ```
+ */
+export const KDHistogram = {
+  /** Most bins in a histogram. */
+  maxBins,
+
+  /**
+   * Number of bins by Sturges' rule, `ceil(log2(n)) + 1`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number}
+   */
+  sturges: (arr: number[]): number =>
+    arr.length > 1 ? Math.ceil(Math.log2(arr.length)) + 1 : 1,
+
+  /**
+   * Bin width by the Freedman–Diaconis rule, `2 * IQR / cbrt(n)`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {number} `0` if the IQR is `0`, and `NaN` if `arr` is empty.
+   */
+  freedmanDiaconis: (arr: number[]): number =>
+    (2 * KDElemstats.iqr(arr)) / Math.cbrt(arr.length),
+
+  /**
+   * Count the values of an `Array<number>` in equal width bins.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDHistogramOptions} [options] - `bins` and `range`.
+   * @returns {KDHistogram} Empty if there are no bins, eg. `range` is
+   * invalid, `arr` is empty and no `range` was given, or there would be more
+   * than `maxBins` bins.
+   */
+  histogram: (arr: number[], options: KDHistogramOptions = {}): KDHistogram => {
+    const { bins = 'auto', range } = options;
+    const empty = { ...chart([], []), edges: [], counts: [], frequencies: [] };
+    const finite = arr.filter((x) => Number.isFinite(x));
+    let [lo, hi] = range || [KDElemstats.min(finite), KDElemstats.max(finite)];
+    if (
+      !Number.isFinite(lo) ||
+      !Number.isFinite(hi) ||
+      lo > hi ||
+      (typeof bins === 'number' &&
+        !(Number.isInteger(bins) && bins > 0 && bins <= maxBins))
+    ) {
+      if (range || typeof bins === 'number') {
+        console.log(new Error('Invalid histogram range or bins.'));
+      }
+      return { ...empty, total: 0 };
+    }
+    const values = finite.filter((x) => x >= lo && x <= hi);
+
+    let count = 0;
+    let integer = bins === 'integer';
+    if (typeof bins === 'number') count = bins;
+    else if (bins === 'sturges') count = KDHistogram.sturges(values);
+    else if (!integer) {
+      const width = KDHistogram.freedmanDiaconis(values);
+      let fd = width > 0 ? Math.ceil((hi - lo) / width) : 0;
+      if (fd > maxBins) fd = 0;
+      count = Math.max(fd, KDHistogram.sturges(values));
+      if (bins === 'freedman-diaconis' && fd) count = fd;
+      integer =
+        bins === 'auto' &&
+        (hi - lo) / count < 1 &&
+        values.every((x) => Number.isInteger(x));
+    }
+
+    if (integer) {
+      lo = Math.ceil(lo);
+      hi = Math.floor(hi);
+      if (lo > hi) return { ...empty, total: 0 };
+      count = hi - lo + 1;
+      if (count > maxBins) {
+        console.log(new Error(`Can not make more than ${maxBins} bins.`));
+        return { ...empty, total: 0 };
+      }
+      const counts: number[] = new Array(count).fill(0);
+      values.forEach((x) => {
+        if (Number.isInteger(x)) counts[x - lo]++;
+      });
+      const total = counts.reduce((sum, c) => sum + c, 0);
+      const labels = counts.map((c, i) => label(lo + i));
+      return {
+        ...chart(labels, counts),
+        edges: new Array(count + 1).fill(0).map((x, i) => lo + i - 0.5),
+        counts,
+        frequencies: relative(counts, total),
+        total,
+      };
+    }
+
+    /* A single value gets a bin of width 1 centered on it. */
+    if (lo === hi) [lo, hi] = [lo - 0.5, hi + 0.5];
+    const width = (hi - lo) / count;
+    const edges = new Array(count + 1)
+      .fill(0)
+      .map((x, i) => (i === count ? hi : fix(lo + i * width)));
+    const counts: number[] = new Array(count).fill(0);
+    values.forEach((x) => {
+      let i = Math.min(count - 1, Math.floor((x - lo) / width));
+      /* Correct for rounding at the edges. */
+      while (i > 0 && x < edges[i]) i--;
+      while (i < count - 1 && x >= edges[i + 1]) i++;
+      counts[i]++;
+    });
+    const labels = counts.map(
+      (c, i) =>
+        `[${label(edges[i])}, ${label(edges[i + 1])}${
+          i === count - 1 ? ']' : ')'
+        }`
+    );
+    return {
+      ...chart(labels, counts),
+      edges,
+      counts,
+      frequencies: relative(counts, values.length),
+      total: values.length,
+    };
+  },
+
+  /**
+   * Count each distinct value of an `Array<number>`.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {number[]} [include] - Values to list even if they don't occur,
+   * eg. every face of a die.
+   * @returns {KDFrequencyTable}
+   */
+  frequencies: (arr: number[], include: number[] = []): KDFrequencyTable => {
+    const counts = new Map<number, number>();
+    include.forEach((x) => counts.set(x, 0));
+    arr.forEach((x) => {
+      if (!Number.isNaN(x)) counts.set(x, (counts.get(x) || 0) + 1);
+    });
+    const values = Array.from(counts.keys()).sort((a, b) => a - b);
+    const ordered = values.map((x) => counts.get(x) as number);
+    const total = ordered.reduce((sum, c) => sum + c, 0);
+    return {
+      ...chart(values.map(label), ordered),
+      values,
+      counts: ordered,
+      frequencies: relative(ordered, total),
+      total,
+    };
+  },
+};
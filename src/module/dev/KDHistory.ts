@@ -6,6 +6,30 @@
  * @fileoverview Class extending `Array` with max size management.
  */
 
+/** A value recorded in history, with the call that produced it. */
+export type KDHistoryEntry = {
+  /** Name of the method that produced the value, eg. `'d'`. */
+  method: string;
+  /** Arguments passed to the method. */
+  args: any[];
+  /** The recorded value. */
+  result: number;
+  /** Number of values recorded before this one since seeding. */
+  index: number;
+  /** Unix timestamp in milliseconds. */
+  time: number;
+  /** Number of sides, for die rolls. */
+  sides?: number;
+};
+
+/** Filter for history entries. */
+export type KDHistoryFilter = {
+  /** Only include values produced by these methods, eg. `'d'`. */
+  source?: string | string[];
+  /** Only include die rolls with this number of sides. */
+  sides?: number;
+};
+
 /**
  * @class Extends `Array` with max size and automatic overflow handling.
  * @extends
@@ -22,11 +46,18 @@ export class KDHistory extends Array {
   /**
    * @override
    * If `length >= max`, remove the first element of the array
-   * before adding the new element.
-   * @param {any[]} items
+   * before adding each new element.
+   * @param {KDHistoryEntry[]} items
    * @returns {number} new array length
    */
-  push: (...items: any[]) => number;
+  push: (...items: KDHistoryEntry[]) => number;
+
+  /**
+   * Get the entries that match a filter.
+   * @param {KDHistoryFilter} [filter] - If empty, return every entry.
+   * @returns {KDHistoryEntry[]}
+   */
+  select: (filter?: KDHistoryFilter) => KDHistoryEntry[];
 
   /**
    * Class extending `Array` with max size and automatic overflow handling.
@@ -48,11 +79,32 @@ export class KDHistory extends Array {
       return max;
     };
 
-    this.push = (...items: any[]): number => {
+    this.push = (...items: KDHistoryEntry[]): number => {
       let count = items.length;
       while (count--) if (this.length >= max) this.shift();
-      super.push(items);
+      super.push(...items);
       return this.length;
     };
+
+    this.select = (filter: KDHistoryFilter = {}): KDHistoryEntry[] =>
+      (Array.from(this) as KDHistoryEntry[]).filter((entry) =>
+        KDHistory.matches(entry, filter)
+      );
+  }
+
+  /**
+   * @static Check if an entry matches a filter.
+   * @param {KDHistoryEntry} entry - The entry.
+   * @param {KDHistoryFilter} [filter] - If empty, every entry matches.
+   * @returns {boolean}
+   */
+  static matches(entry: KDHistoryEntry, filter: KDHistoryFilter = {}) {
+    const { source, sides } = filter;
+    const methods =
+      source === undefined ? undefined : ([] as string[]).concat(source);
+    return (
+      (!methods || methods.includes(entry.method)) &&
+      (sides === undefined || entry.sides === sides)
+    );
   }
 }
@@ -0,0 +1,208 @@
+/**
+ * @file KDJump.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Polynomial jump-ahead for engines whose state transition is
+ * linear over GF(2), such as MT19937 and xoshiro. Jumping `n` steps costs
+ * O(log n) polynomial operations instead of `n` state transitions.
+ */
+
+/** Polynomial over GF(2). Bit `i` is the coefficient of `t^i`. */
+export type KDPolynomial = Uint32Array;
+
+/** Number of 32-bit words needed to hold `bits` bits. */
+const wordsFor = (bits: number): number => Math.ceil(bits / 32);
+
+/** Each byte with a zero inserted after every bit, for fast squaring. */
+const spread: Uint16Array = new Uint16Array(256).map((x, b) => {
+  let r = 0;
+  for (let k = 0; k < 8; k++) r |= ((b >>> k) & 1) << (2 * k);
+  return r;
+});
+
+/** Read 32 bits starting at an arbitrary bit offset. */
+const bitsAt = (p: Uint32Array, offset: number): number => {
+  const q = offset >>> 5;
+  const r = offset & 31;
+  const lo = p[q] || 0;
+  if (r === 0) return lo;
+  return ((lo >>> r) | ((p[q + 1] || 0) << (32 - r))) >>> 0;
+};
+
+/** XOR `src` shifted left by `shift` bits into `dst`. */
+const xorShifted = (dst: Uint32Array, src: Uint32Array, shift: number) => {
+  const o = shift >>> 5;
+  const s = shift & 31;
+  for (let w = 0; w < src.length && o + w < dst.length; w++) {
+    dst[o + w] ^= src[w] << s;
+    if (s && o + w + 1 < dst.length) dst[o + w + 1] ^= src[w] >>> (32 - s);
+  }
+};
+
+/** Parity of a 32-bit integer. */
+const parity = (x: number): number => {
+  x ^= x >>> 16;
+  x ^= x >>> 8;
+  x ^= x >>> 4;
+  x ^= x >>> 2;
+  x ^= x >>> 1;
+  return x & 1;
+};
+
+/**
+ * Create a function that reduces a polynomial modulo `poly`.
+ * @param {KDPolynomial} poly - The modulus.
+ * @param {number} degree - Degree of the modulus.
+ * @returns {(p: KDPolynomial, top: number) => KDPolynomial} Reduces `p`,
+ * whose degree is at most `top`, in place and returns the remainder.
+ */
+const reducer = (poly: KDPolynomial, degree: number) => {
+  /* The modulus pre-shifted by every bit offset in a word. */
+  const shifted: Uint32Array[] = [];
+  for (let s = 0; s < 32; s++) {
+    const p = new Uint32Array(wordsFor(degree + 1) + 1);
+    xorShifted(p, poly, s);
+    shifted.push(p);
+  }
+  return (p: KDPolynomial, top: number): KDPolynomial => {
+    for (let i = top; i >= degree; i--) {
+      const w = p[i >>> 5];
+      if (w === 0) {
+        i &= ~31;
+        continue;
+      }
+      if ((w >>> (i & 31)) & 1) {
+        const sh = i - degree;
+        const src = shifted[sh & 31];
+        const o = sh >>> 5;
+        for (let j = 0; j < src.length && o + j < p.length; j++) {
+          p[o + j] ^= src[j];
+        }
+      }
+    }
+    return p.slice(0, wordsFor(degree));
+  };
+};
+
+/**
+ * Holds functions for polynomial jump-ahead over GF(2).
+ * @example
+ * ```
+ * const { poly, degree } = KDJump.minimalPolynomial(bits);
+ * const jump = KDJump.power(poly, degree, 1, 1000000);
+ * KDJump.evaluate(jump, degree, add, step);
+ * ```
+ */
+export const KDJump = {
+  /**
+   * Find the minimal polynomial of a bit sequence with Berlekamp-Massey. For
+   * a linear generator of degree `d`, `2d` bits of any output bit are
+   * enough to recover its characteristic polynomial.
+   * @param {ArrayLike<number>} bits - The sequence of `0` and `1` values.
+   * @returns {{ poly: KDPolynomial; degree: number }}
+   */
+  minimalPolynomial: (
+    bits: ArrayLike<number>
+  ): { poly: KDPolynomial; degree: number } => {
+    const n = bits.length;
+    /* The sequence reversed, so each discrepancy reads contiguous bits. */
+    const reversed = new Uint32Array(wordsFor(n) + 1);
+    for (let i = 0; i < n; i++) {
+      if (bits[i]) reversed[(n - 1 - i) >>> 5] |= 1 << ((n - 1 - i) & 31);
+    }
+    const size = wordsFor(n + 64);
+    let c = new Uint32Array(size);
+    let b = new Uint32Array(size);
+    c[0] = 1;
+    b[0] = 1;
+    let length = 0;
+    let shift = 1;
+    for (let i = 0; i < n; i++) {
+      let d = 0;
+      const offset = n - 1 - i;
+      for (let w = 0; w < wordsFor(length + 1); w++) {
+        d ^= c[w] & bitsAt(reversed, offset + 32 * w);
+      }
+      if (!parity(d)) {
+        shift++;
+      } else if (2 * length <= i) {
+        const t = c.slice();
+        xorShifted(c, b, shift);
+        length = i + 1 - length;
+        b = t;
+        shift = 1;
+      } else {
+        xorShifted(c, b, shift);
+        shift++;
+      }
+    }
+    /* The characteristic polynomial is the reversed connection polynomial. */
+    const poly = new Uint32Array(wordsFor(length + 1));
+    for (let i = 0; i <= length; i++) {
+      if ((c[i >>> 5] >>> (i & 31)) & 1) {
+        poly[(length - i) >>> 5] |= 1 << ((length - i) & 31);
+      }
+    }
+    return { poly, degree: length };
+  },
+
+  /**
+   * Compute `t^(step * count) mod poly` by repeated squaring.
+   * @param {KDPolynomial} poly - The characteristic polynomial.
+   * @param {number} degree - Degree of `poly`.
+   * @param {number} step - Transitions per counted value. Must be < `degree`.
+   * @param {number} count - Number of values to jump. A safe integer.
+   * @returns {KDPolynomial} The jump polynomial, of degree < `degree`.
+   */
+  power: (
+    poly: KDPolynomial,
+    degree: number,
+    step: number,
+    count: number
+  ): KDPolynomial => {
+    const reduce = reducer(poly, degree);
+    const size = wordsFor(degree);
+    let r = new Uint32Array(size);
+    r[0] = 1;
+    const bits: number[] = [];
+    for (let m = count; m > 0; m = Math.floor(m / 2)) bits.push(m % 2);
+    for (let i = bits.length - 1; i >= 0; i--) {
+      const squared = new Uint32Array(2 * size);
+      for (let k = 0; k < size; k++) {
+        const x = r[k];
+        squared[2 * k] = spread[x & 255] | (spread[(x >>> 8) & 255] << 16);
+        squared[2 * k + 1] =
+          spread[(x >>> 16) & 255] | (spread[x >>> 24] << 16);
+      }
+      r = reduce(squared, 2 * degree - 2);
+      if (bits[i]) {
+        const shifted = new Uint32Array(wordsFor(degree + step) + 1);
+        xorShifted(shifted, r, step);
+        r = reduce(shifted, degree - 1 + step);
+      }
+    }
+    return r;
+  },
+
+  /**
+   * Apply a jump polynomial `g` to a generator state by Horner's method,
+   * computing `g_0 S + g_1 T(S) + g_2 T(T(S)) + ...` where `T` is one state
+   * transition.
+   * @param {KDPolynomial} jump - Jump polynomial from `KDJump.power()`.
+   * @param {number} degree - Degree of the characteristic polynomial.
+   * @param {() => void} add - XOR the current state into an accumulator.
+   * @param {() => void} step - Advance the current state by one transition.
+   */
+  evaluate: (
+    jump: KDPolynomial,
+    degree: number,
+    add: () => void,
+    step: () => void
+  ): void => {
+    for (let i = 0; i < degree; i++) {
+      if ((jump[i >>> 5] >>> (i & 31)) & 1) add();
+      if (i < degree - 1) step();
+    }
+  },
+};
@@ -0,0 +1,222 @@
+/**
+ * @file KDLootTable.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a reusable weighted loot table. Uses the
+ * alias method (Vose) for O(1) draws. Supports nested tables, guaranteed
+ * drops, and draws without replacement.
+ */
+
+/** An entry in a loot table. */
+export type KDLootEntry<T> = {
+  /** The dropped value, or a nested table to draw from. */
+  value: T | KDLootTable<T>;
+  /** Relative weight. Default `1`. Ignored for guaranteed entries. */
+  weight?: number;
+  /** If `true`, the entry is dropped on every draw in addition to the
+   * random drops. */
+  guaranteed?: boolean;
+};
+
+/**
+ * A uniform distribution random number generator in the interval [0,1), with
+ * an optional function that records the index of each selected entry, and an
+ * optional function called after each draw with every selected index in
+ * order, including selections from nested tables.
+ */
+export type KDLootSource = {
+  random: () => number;
+  /** Random integer in the range [0, n). Default scales `random()`. */
+  below?: (n: number) => number;
+  record?: (index: number) => void;
+  drawn?: (indices: number[], count: number, options: KDLootOptions) => void;
+};
+
+/** Options for drawing from a loot table. */
+export type KDLootOptions = {
+  /** If `false`, an entry can't be drawn more than once per draw. Default
+   * `true`. */
+  replace?: boolean;
+};
+
+/** Random integer in the range [0, n) from a source. A generator whose
+ * `random()` can return 1 must provide `below()`. */
+const index = (source: KDLootSource, n: number): number =>
+  source.below ? source.below(n) : Math.floor(source.random() * n);
+
+/**
+ * @class Reusable weighted loot table. Random drops use the alias method, so
+ * each draw is O(1) regardless of the number of entries.
+ * @example
+ * ```
+ * const roll = new KDRoll();
+ * const gems = roll.lootTable([
+ *   { value: 'ruby', weight: 1 },
+ *   { value: 'emerald', weight: 3 },
+ * ]);
+ * const table = roll.lootTable([
+ *   { value: 'gold', guaranteed: true },
+ *   { value: 'sword', weight: 1 },
+ *   { value: 'potion', weight: 10 },
+ *   { value: gems, weight: 4 },
+ * ]);
+ * table.draw(2); // eg. ['gold', 'potion', 'emerald']
+ * ```
+ */
+export class KDLootTable<T = any> {
+  /**
+   * Return a copy of the table entries.
+   * @returns {KDLootEntry<T>[]}
+   */
+  entries: () => KDLootEntry<T>[];
+
+  /**
+   * Draw from the table with the generator it was created with. Guaranteed
+   * entries are always included, followed by `count` random drops. Nested
+   * tables are resolved to a single value.
+   * @param {number} [count=1] - The number of random drops.
+   * @param {KDLootOptions} [options] - Use `{ replace: false }` to prevent an
+   * entry from being drawn more than once.
+   * @returns {T[]}
+   */
+  draw: (count?: number, options?: KDLootOptions) => T[];
+
+  /**
+   * Draw from the table with a different generator.
+   * @param {KDLootSource} source - The generator.
+   * @param {number} [count=1] - The number of random drops.
+   * @param {KDLootOptions} [options] - Draw options.
+   * @returns {T[]}
+   */
+  drawFrom: (
+    source: KDLootSource,
+    count?: number,
+    options?: KDLootOptions
+  ) => T[];
+
+  /**
+   * Class representing a reusable weighted loot table.
+   * @param {KDLootEntry<T>[]} entries - The table entries. Weights must be
+   * finite and >= 0.
+   * @param {KDLootSource} [source=Math] - The default generator used by
+   * `draw()`.
+   */
+  constructor(entries: KDLootEntry<T>[], source: KDLootSource = Math) {
+    const table: KDLootEntry<T>[] = (Array.isArray(entries)
+      ? entries
+      : []
+    ).map((entry) => ({ ...entry }));
+    const weightOf = (entry: KDLootEntry<T>) =>
+      entry.weight === undefined ? 1 : entry.weight;
+
+    const valid = table.every((entry) => {
+      const weight = weightOf(entry);
+      return (
+        typeof weight === 'number' && Number.isFinite(weight) && weight >= 0
+      );
+    });
+    if (!valid) {
+      console.log(new Error('Loot table weights must be finite and >= 0.'));
+    }
+
+    /* Indices of the entries that can be randomly dropped. */
+    const pool: number[] = [];
+    table.forEach((entry, i) => {
+      if (valid && !entry.guaranteed && weightOf(entry) > 0) pool.push(i);
+    });
+
+    /* Build the alias table (Vose). */
+    const n = pool.length;
+    const probability: number[] = new Array(n).fill(1);
+    const alias: number[] = new Array(n).fill(0).map((x, i) => i);
+    if (n > 0) {
+      const total = pool.reduce((sum, i) => sum + weightOf(table[i]), 0);
+      const scaled = pool.map((i) => (weightOf(table[i]) * n) / total);
+      const small: number[] = [];
+      const large: number[] = [];
+      scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+      while (small.length && large.length) {
+        const s = small.pop() as number;
+        const l = large.pop() as number;
+        probability[s] = scaled[s];
+        alias[s] = l;
+        scaled[l] = scaled[l] + scaled[s] - 1;
+        (scaled[l] < 1 ? small : large).push(l);
+      }
+    }
+
+    /* Resolve an entry to its value(s), drawing from nested tables. */
+    const resolve = (index: number, source: KDLootSource): T[] => {
+      if (source.record) source.record(index);
+      const { value } = table[index];
+      if (value instanceof KDLootTable) return value.drawFrom(source, 1);
+      return [value as T];
+    };
+
+    /* Select `count` pool entries with replacement in O(1) each. */
+    const withReplacement = (source: KDLootSource, count: number) => {
+      const selected: number[] = [];
+      while (count-- > 0) {
+        const i = index(source, n);
+        selected.push(source.random() < probability[i] ? i : alias[i]);
+      }
+      return selected;
+    };
+
+    /* Select up to `count` distinct pool entries. */
+    const withoutReplacement = (source: KDLootSource, count: number) => {
+      const remaining = pool.map((x, i) => i);
+      const selected: number[] = [];
+      while (count-- > 0 && remaining.length) {
+        const weights = remaining.map((i) => weightOf(table[pool[i]]));
+        let target = source.random() * weights.reduce((a, b) => a + b, 0);
+        let j = 0;
+        while (j < remaining.length - 1 && target >= weights[j]) {
+          target -= weights[j];
+          j++;
+        }
+        selected.push(remaining[j]);
+        remaining.splice(j, 1);
+      }
+      return selected;
+    };
+
+    this.entries = () => table.map((entry) => ({ ...entry }));
+
+    this.drawFrom = (
+      source: KDLootSource,
+      count: number = 1,
+      options: KDLootOptions = {}
+    ): T[] => {
+      if (!Number.isSafeInteger(count) || count < 0) {
+        console.log(new Error('Count must be a non-negative integer.'));
+        return [];
+      }
+      const indices: number[] = [];
+      const tracked: KDLootSource = {
+        random: source.random,
+        below: source.below,
+        record: (index: number) => {
+          indices.push(index);
+          if (source.record) source.record(index);
+        },
+      };
+      const drops: T[] = [];
+      table.forEach((entry, i) => {
+        if (valid && entry.guaranteed) drops.push(...resolve(i, tracked));
+      });
+      if (n > 0) {
+        const replace = options.replace === undefined || options.replace;
+        const selected = replace
+          ? withReplacement(source, count)
+          : withoutReplacement(source, count);
+        selected.forEach((i) => drops.push(...resolve(pool[i], tracked)));
+      }
+      if (source.drawn) source.drawn(indices, count, options);
+      return drops;
+    };
+
+    this.draw = (count, options) => this.drawFrom(source, count, options);
+  }
+}
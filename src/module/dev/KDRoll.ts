@@ -9,15 +9,115 @@
  * statistics, and scale/clip/round convenience functions.
  */
 
-import { KDHistory } from './KDHistory';
+import { KDHistory, KDHistoryEntry, KDHistoryFilter } from './KDHistory';
 import { KDNumber } from './KDNumber';
 import { KDUniform } from './KDUniform';
+import { KDEngine, KDEngines, KDInterval, KDPrecision } from './KDEngines';
 import { KDGaussian } from './KDGaussian';
-import { KDElemstats } from './KDElemStats';
+import {
+  KDDescription,
+  KDElemstats,
+  KDFiveNumber,
+  KDSampleOptions,
+} from './KDElemStats';
+import { KDDice, KDDiceResult } from './KDDice';
+import { KDDiceDistribution } from './KDDiceDistribution';
+import { KDDistributions } from './KDDistributions';
+import { KDLootEntry, KDLootSource, KDLootTable } from './KDLootTable';
+import { KDSampling } from './KDSampling';
+import { KDUid, KDUidOptions } from './KDUid';
+import { KDEmitter, KDListener } from './KDEvents';
+import { KDAudit, KDAuditCall, KDAuditLog, KDReplayReport } from './KDAudit';
+import { KDFair, KDFairOptions, KDFairProof } from './KDFair';
+import {
+  KDRunningState,
+  KDRunningStats,
+  KDRunningSummary,
+} from './KDRunningStats';
+import { KDTest } from './KDTest';
+import { KDSeed, KDSeedInfo, KDSeedInput } from './KDSeed';
+import {
+  KDEntropyName,
+  KDEntropySource,
+  KDEnvironment,
+  KDRuntime,
+} from './KDRuntime';
+import { KDBulk, KDBulkMethod, KDFillOptions, KDTypedArray } from './KDBulk';
+import {
+  KDSimulation,
+  KDSimulationOptions,
+  KDSimulationResult,
+} from './KDSimulation';
+import {
+  KDFrequencyTable,
+  KDHistogram,
+  KDHistogramOptions,
+} from './KDHistogram';
 
 /** Allowed seed types. */
 type Seed = number | number[] | Uint32Array | undefined;
 
+/**
+ * Serializable snapshot of a `KDRoll` instance. Contains only JSON-safe
+ * values, so `JSON.stringify()` can be used to save it.
+ */
+export type KDRollState = {
+  engine?: string;
+  generator: any;
+  normal?: number | null;
+  sequence?: number;
+  history?: KDHistoryEntry[];
+  maxHistory?: number;
+  stats?: { method: string; sides?: number; state: KDRunningState }[];
+};
+
+/** Events emitted by `KDRoll`, mapped to the type of their payload. */
+export type KDRollEvents = {
+  /** A value was recorded in history. */
+  roll: KDHistoryEntry;
+  /** The instance was re-seeded. */
+  seed: { seed: Seed };
+  /** History was cleared, including by `seed()` and `setState()`. */
+  clearHistory: { entries: KDHistoryEntry[] };
+  /** The oldest entry was removed because history reached `maxHistory`. */
+  historyOverflow: { entry: KDHistoryEntry; maxHistory: number };
+};
+
+/** Options for `new KDRoll()`. */
+export type KDRollOptions = {
+  /**
+   * A built-in engine name (see `KDRoll.engines()`) or a custom `KDEngine`.
+   * Default `'mt19937'`.
+   */
+  engine?: string | KDEngine;
+  /**
+   * If `true`, log every call that consumes random values for
+   * `exportLog()`. The log grows until the instance is re-seeded. Default
+   * `false`.
+   */
+  audit?: boolean;
+  /**
+   * If `true`, `uniform()` and everything built on it use the full 53 bits
+   * of two engine outputs in the interval [0,1), without the floating point
+   * fix of the `'mt19937'` engine. The fix rounds away long runs of `0` and
+   * `9` digits, so some values can't occur. Only changes engines with their
+   * own `random()`, like `'mt19937'`. Default `false`.
+   */
+  raw?: boolean;
+};
+
+/** The integers [0, n). */
+const range = (n: number): number[] => new Array(n).fill(0).map((x, i) => i);
+
+/** Remove trailing `undefined` arguments. */
+const trim = (args: any[]): any[] => {
+  const trimmed = [...args];
+  while (trimmed.length && trimmed[trimmed.length - 1] === undefined) {
+    trimmed.pop();
+  }
+  return trimmed;
+};
+
 /**
  * `KDRoll` is a class representing a random number manager.
  * Includes Mersenne Twister uniform distribution, Box Mueller gaussian
@@ -27,19 +127,157 @@ type Seed = number | number[] | Uint32Array | undefined;
 export class KDRoll {
   /**
    * Re-seed the manager. Automatically clears history.
-   * @param {Seed} [seed] - Unsigned 32-bit integer `number`, `Uint32Array`, or
-   * `number[]` of arbitrary size/values.
-   * @returns {Seed} Returns the current seed.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit integer `number`,
+   * `Uint32Array`, or `number[]` of arbitrary size/values. Strings and plain
+   * objects are hashed, and `BigInt`, `ArrayBuffer`, and `DataView` are
+   * split into 32-bit words, so they are reproducible too.
+   * @returns {Seed} Returns the current seed key. Use `seedInfo()` for the
+   * original seed.
+   * @readonly
+   */
+  seed: (seed?: KDSeedInput) => Seed;
+
+  /**
+   * Get the seed as it was given, the key the engine was seeded with, and a
+   * short code for the key. `new KDRoll(KDRoll.decodeSeed(code))` continues
+   * the same sequence as the seed.
+   * @returns {KDSeedInfo} `input` is the key if the seed was generated or
+   * restored with `setState()`. `code` is `undefined` for keys of more than
+   * 8 words, eg. generated seeds.
+   * @readonly
+   */
+  seedInfo: () => KDSeedInfo;
+
+  /**
+   * Listen for an event. `'roll'` fires for every value recorded in
+   * `history()` (eg. from `uniform()`, `gaussian()`, and `d()`) with its
+   * `historyEntries()` metadata. `'seed'`, `'clearHistory'`, and
+   * `'historyOverflow'` fire when the instance is re-seeded, history is
+   * cleared, and the oldest entry is dropped at `maxHistory`. Listeners
+   * receive copies, so changing a payload never changes history.
+   * @param {keyof KDRollEvents} event - The event name.
+   * @param {KDListener} listener - Called with the payload of each event.
+   * @returns {() => void} Removes the listener.
+   * @readonly
+   */
+  on: <K extends keyof KDRollEvents>(
+    event: K,
+    listener: KDListener<KDRollEvents[K]>
+  ) => () => void;
+
+  /**
+   * Remove a listener added with `on()`.
+   * @param {keyof KDRollEvents} event - The event name.
+   * @param {KDListener} listener - The listener.
+   * @readonly
+   */
+  off: <K extends keyof KDRollEvents>(
+    event: K,
+    listener: KDListener<KDRollEvents[K]>
+  ) => void;
+
+  /**
+   * Iterate future `'roll'` events with `for await`. Entries are queued until
+   * they are read, and ending the loop stops listening.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {AsyncIterableIterator<KDHistoryEntry>}
+   * @readonly
+   */
+  stream: (filter?: KDHistoryFilter) => AsyncIterableIterator<KDHistoryEntry>;
+
+  /**
+   * Create an independent child instance from the current seed and a label.
+   * The child depends only on the parent seed and the label, so adding or
+   * removing rolls elsewhere never changes its sequence. Children have their
+   * own history and use the same engine. Children of a custom engine use
+   * `'mt19937'`.
+   * @param {string} label - Name of the child stream, eg. `'loot'`.
+   * @returns {KDRoll}
+   * @readonly
+   */
+  split: (label: string) => KDRoll;
+
+  /**
+   * Create the next unnamed child instance. The nth call to `fork()` after
+   * seeding always returns the same stream. See `split()`.
+   * @returns {KDRoll}
    * @readonly
    */
-  seed: (seed?: Seed) => Seed;
+  fork: () => KDRoll;
 
   /**
-   * Return a copy of the internal `history` object with no references.
+   * Run a Monte Carlo simulation. Each trial gets its own seeded stream, so
+   * results are reproducible and this instance's sequence and history are
+   * untouched. Trial `i` uses the same stream as the `i`th `fork()` of an
+   * instance seeded with `options.seed`.
+   * @param {(roll: KDRoll, trial: number) => number | boolean} fn - Runs one
+   * trial with its stream and returns the result. The instance is reused by
+   * the next trial.
+   * @param {KDSimulationOptions} [options] - `trials` (default `1000`),
+   * `seed` (default is the next `fork()`), `confidence` (default `0.95`),
+   * and `precision` to stop early once the margin of error of the mean is
+   * small enough, after at least `minTrials` (default `100`).
+   * @returns {KDSimulationResult | undefined} The mean, confidence interval,
+   * descriptive statistics, and convergence of the results. `undefined` if
+   * an option is invalid or a trial doesn't return a finite number or a
+   * boolean.
+   * @readonly
+   */
+  simulate: (
+    fn: (roll: KDRoll, trial: number) => number | boolean,
+    options?: KDSimulationOptions
+  ) => KDSimulationResult | undefined;
+
+  /**
+   * Get the name of the engine generating random numbers.
+   * @returns {string}
+   * @readonly
+   */
+  engine: () => string;
+
+  /**
+   * Return a copy of the recorded values with no references.
+   * @param {KDHistoryFilter} [filter] - Use `source` to only include values
+   * produced by a method (eg. `'d'` or `['uniform', 'gaussian']`), and
+   * `sides` to only include die rolls with that many sides.
    * @returns {number[]} Returns the current `history`.
    * @readonly
    */
-  history: () => number[];
+  history: (filter?: KDHistoryFilter) => number[];
+
+  /**
+   * Return a copy of the history with the call that produced each value: the
+   * `method`, its `args`, the `result`, a sequence `index` that counts every
+   * value recorded since seeding, and a `time` stamp.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {KDHistoryEntry[]}
+   * @readonly
+   */
+  historyEntries: (filter?: KDHistoryFilter) => KDHistoryEntry[];
+
+  /**
+   * Get running statistics of every value recorded since history was last
+   * cleared. Unlike `mean()` and `median()`, they include values that no
+   * longer fit in `history()`, and cost O(1) memory and time per roll. The
+   * median is estimated with a t-digest.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {KDRunningSummary} `count`, `mean`, population `variance` and
+   * `stdDev`, `min`, `max`, `skewness`, excess `kurtosis`, and `median`.
+   * Every statistic is `NaN` if no values match.
+   * @readonly
+   */
+  stats: (filter?: KDHistoryFilter) => KDRunningSummary;
+
+  /**
+   * Estimate a quantile of every value recorded since history was last
+   * cleared. See `stats()`. For exact quantiles of `history()` or an array,
+   * use `percentile()`.
+   * @param {number} p - In the range [0,1], eg. `0.99`.
+   * @param {KDHistoryFilter} [filter] - Same as `history()`.
+   * @returns {number}
+   * @readonly
+   */
+  quantile: (p: number, filter?: KDHistoryFilter) => number;
 
   /**
    * Get or set the maximum history size.
@@ -56,9 +294,51 @@ export class KDRoll {
    */
   clearHistory: () => void;
 
+  /**
+   * Export the session log of an instance created with `{ audit: true }`.
+   * The log holds the engine, the seed, and every call that consumed random
+   * values since seeding, in order, with its arguments and result. Calls that
+   * take collections record positions instead of elements. The log is
+   * JSON-safe with a fixed key order, so `JSON.stringify()` produces a stable
+   * string to sign or hash. Check it with `KDRoll.replay()`.
+   * @returns {KDAuditLog | undefined} `undefined` if auditing is off.
+   * @readonly
+   */
+  exportLog: () => KDAuditLog | undefined;
+
+  /**
+   * Take a snapshot of the generator state. Restoring the snapshot with
+   * `setState()` continues the exact same random sequence.
+   * @param {{ history?: boolean }} [options] - Pass `{ history: true }` to
+   * include the current `historyEntries()` and `maxHistory()`.
+   * @returns {KDRollState} A JSON-safe snapshot.
+   * @readonly
+   */
+  getState: (options?: { history?: boolean }) => KDRollState;
+
+  /**
+   * Restore a snapshot created by `getState()`. Clears history, then restores
+   * history and `maxHistory` if the snapshot includes them.
+   * @param {KDRollState | string} state - A snapshot, or a JSON string of a
+   * snapshot.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   * @readonly
+   */
+  setState: (state: KDRollState | string) => boolean;
+
+  /**
+   * Skip the next `n` values of `uniform()` without recording them in
+   * `history()`. Uses jump-ahead, so large skips are fast for every engine
+   * except `'sfc32'` and custom engines without `jump()`.
+   * @param {number} n - A non-negative integer.
+   * @readonly
+   */
+  discard: (n: number) => void;
+
   /**
    * Generates a 53-bit random real in the interval [0,1] with
-   * normal distribution.
+   * normal distribution. Use `randomHalfOpen()`, `random01Closed()`, or
+   * `random01Open()` for exact bounds.
    * @returns {number}
    * @readonly
    */
@@ -75,16 +355,271 @@ export class KDRoll {
   gaussian: (skew?: number) => number;
 
   /**
-   * Simulates a die-rolling metaphor. Generates a 53-bit random real in the
-   * interval [0,1] with normal distribution, then scales it to a range [1,n]
-   * where n is the number of sides, then rounds to whole number.
+   * Generates a random real with normal distribution N(mean, stdDev). Unlike
+   * `gaussian()`, results are not limited to [0,1].
+   * @param {number} [mean=0] - The mean.
+   * @param {number} [stdDev=1] - The standard deviation. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  normal: (mean?: number, stdDev?: number) => number;
+
+  /**
+   * Generates a random real with normal distribution N(mean, stdDev),
+   * resampling from the same generator until the result is in `range`.
+   * @param {number} [mean=0] - The mean before truncation.
+   * @param {number} [stdDev=1] - The standard deviation before truncation.
+   * Must be > 0.
+   * @param {[number, number]} [range] - The `[min, max]` allowed values.
+   * Either limit may be infinite. Default is unbounded.
+   * @returns {number}
+   * @readonly
+   */
+  truncatedNormal: (
+    mean?: number,
+    stdDev?: number,
+    range?: [number, number]
+  ) => number;
+
+  /**
+   * Generate a random integer in the range [min,max]. Rejection samples the
+   * 32-bit output of the engine, so every integer is exactly equally likely
+   * for any range of up to 2^53 integers. With `step`, only `min`,
+   * `min + step`, `min + 2 * step`... up to `max` are generated.
+   * @param {number} min - The lowest integer. Must be a safe integer.
+   * @param {number} max - The highest integer. Must be a safe integer, and
+   * `max - min` can be at most `Number.MAX_SAFE_INTEGER`.
+   * @param {number} [step=1] - Distance between possible results. Must be a
+   * positive integer.
+   * @returns {number} `NaN` if the range is invalid.
+   * @readonly
+   */
+  int: (min: number, max: number, step?: number) => number;
+
+  /**
+   * Simulates a die-rolling metaphor. Generates a random integer in the range
+   * [1,n] where n is the number of sides, the same way as `int()`, so every
+   * face is exactly equally likely.
    * @param {number} sides - Number of sides to represent. Allows but ignores
    * decimals.
-   * @returns {number}
+   * @returns {number} `NaN` if `sides` is less than 1.
    * @readonly
    */
   d: (sides: number) => number;
 
+  /**
+   * Roll a dice expression such as `4d6kh3+2`. Every die is rolled with the
+   * seeded generator and recorded in `history()`, including dice that are
+   * rerolled or dropped.
+   * @param {string} notation - Dice notation. Supports `NdS`, `d%`, `dF`,
+   * keep/drop (`kh`, `kl`, `dh`, `dl`), exploding (`!`) and compounding
+   * (`!!`) dice, rerolls (`r`, `ro`), `+ - * /`, and parentheses. Each
+   * roll of a compounding die is recorded separately. Terms can have at most
+   * 1000 dice of at most 1000000 sides.
+   * @returns {KDDiceResult} The total and every individual die. `total` is
+   * `NaN` if the notation is invalid or divides by zero.
+   * @readonly
+   */
+  parse: (notation: string) => KDDiceResult;
+
+  /**
+   * Choose a random element of an array. The selected index is recorded in
+   * `history()`.
+   * @param {T[]} array - The array to choose from.
+   * @returns {T | undefined} `undefined` if the array is empty.
+   * @readonly
+   */
+  pick: <T>(array: T[]) => T | undefined;
+
+  /**
+   * Choose a random value where each value has a relative weight. The
+   * selected index is recorded in `history()`.
+   * @param {{ value: T; weight: number }[]} entries - Weights must be finite
+   * and >= 0.
+   * @returns {T | undefined} `undefined` if no entry has a positive weight.
+   * @readonly
+   */
+  weighted: <T>(entries: { value: T; weight: number }[]) => T | undefined;
+
+  /**
+   * Create a reusable loot table that draws with this instance's generator.
+   * Draws are O(1) using the alias method. Every selected entry index is
+   * recorded in `history()`.
+   * @param {KDLootEntry<T>[]} entries - Entries with a `value`, an optional
+   * `weight` (default `1`), and an optional `guaranteed` flag. A `value` may
+   * be another `KDLootTable`.
+   * @returns {KDLootTable<T>}
+   * @readonly
+   */
+  lootTable: <T>(entries: KDLootEntry<T>[]) => KDLootTable<T>;
+
+  /**
+   * Shuffle an array using Fisher-Yates. Shuffles are not recorded in
+   * `history()`.
+   * @param {T[]} array - The array to shuffle.
+   * @param {boolean} [inPlace=false] - If `true`, shuffle and return the
+   * original array. Otherwise return a shuffled copy.
+   * @returns {T[]}
+   * @readonly
+   */
+  shuffle: <T>(array: T[], inPlace?: boolean) => T[];
+
+  /**
+   * Choose `k` elements of an array or any other iterable. Iterables that
+   * aren't arrays are sampled in a single pass with reservoir sampling.
+   * Samples are not recorded in `history()`.
+   * @param {T[] | Iterable<T>} collection - The collection to sample. Not
+   * modified.
+   * @param {number} k - The number of elements.
+   * @param {{ replace?: boolean }} [options] - Use `{ replace: true }` to allow
+   * elements to be chosen more than once.
+   * @returns {T[]} The chosen elements in random order.
+   * @readonly
+   */
+  sample: <T>(
+    collection: T[] | Iterable<T>,
+    k: number,
+    options?: { replace?: boolean }
+  ) => T[];
+
+  /**
+   * Generate a random permutation of the integers [0, n).
+   * @param {number} n - The number of integers.
+   * @returns {number[]}
+   * @readonly
+   */
+  permutation: (n: number) => number[];
+
+  /**
+   * Choose `k` distinct integers from [0, n).
+   * @param {number} n - The number of integers to choose from.
+   * @param {number} k - The number of integers to choose.
+   * @returns {number[]} Sorted in ascending order.
+   * @readonly
+   */
+  combination: (n: number, k: number) => number[];
+
+  /**
+   * Generate a unique identifier. Defaults to an RFC4122 version 4 UUID.
+   * Identifiers are not recorded in `history()`.
+   * @param {KDUidOptions} [options] - `format` is one of `'v4'`, `'v7'`
+   * (time-ordered), `'nanoid'`, `'hex'`, or `'base62'`. `source` is
+   * `'seeded'` (default, reproducible) or `'crypto'` (unpredictable). Use
+   * `length` and `alphabet` for string IDs, or `time` for `v7` UUIDs.
+   * @returns {string} Empty if the options are invalid.
+   * @readonly
+   */
+  uid: (options?: KDUidOptions) => string;
+
+  /**
+   * Generates a random real with exponential distribution.
+   * @param {number} [rate=1] - Rate (lambda). Must be > 0. Mean is
+   * `1 / rate`.
+   * @returns {number}
+   * @readonly
+   */
+  exponential: (rate?: number) => number;
+
+  /**
+   * Generates a random integer with Poisson distribution.
+   * @param {number} lambda - Mean number of events. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  poisson: (lambda: number) => number;
+
+  /**
+   * Generates a random integer with binomial distribution. The number of
+   * successes in `n` trials.
+   * @param {number} n - Number of trials. Must be a non-negative integer.
+   * @param {number} p - Probability of success in the range [0,1].
+   * @returns {number}
+   * @readonly
+   */
+  binomial: (n: number, p: number) => number;
+
+  /**
+   * Generates a random integer with geometric distribution. The number of
+   * trials up to and including the first success.
+   * @param {number} p - Probability of success in the range (0,1].
+   * @returns {number}
+   * @readonly
+   */
+  geometric: (p: number) => number;
+
+  /**
+   * Generates a random real in the interval [0,1] with beta distribution.
+   * @param {number} alpha - Must be > 0.
+   * @param {number} beta - Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  beta: (alpha: number, beta: number) => number;
+
+  /**
+   * Generates a random real with gamma distribution.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (theta). Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  gamma: (shape: number, scale?: number) => number;
+
+  /**
+   * Generates a random real with log-normal distribution.
+   * @param {number} [mu=0] - Mean of the underlying normal distribution.
+   * @param {number} [sigma=1] - Standard deviation of the underlying normal
+   * distribution. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  logNormal: (mu?: number, sigma?: number) => number;
+
+  /**
+   * Generates a random real with Weibull distribution.
+   * @param {number} shape - Shape (k). Must be > 0.
+   * @param {number} [scale=1] - Scale (lambda). Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  weibull: (shape: number, scale?: number) => number;
+
+  /**
+   * Generates a random real in the interval [min, max] with triangular
+   * distribution.
+   * @param {number} min - Lower limit.
+   * @param {number} max - Upper limit.
+   * @param {number} [mode] - Most likely value. Defaults to the midpoint.
+   * @returns {number}
+   * @readonly
+   */
+  triangular: (min: number, max: number, mode?: number) => number;
+
+  /**
+   * Generates a random real with Cauchy distribution.
+   * @param {number} [location=0] - Location of the peak.
+   * @param {number} [scale=1] - Half width at half maximum. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  cauchy: (location?: number, scale?: number) => number;
+
+  /**
+   * Generates a random real with chi-square distribution.
+   * @param {number} k - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  chiSquare: (k: number) => number;
+
+  /**
+   * Generates a random real with Student's t-distribution.
+   * @param {number} nu - Degrees of freedom. Must be > 0.
+   * @returns {number}
+   * @readonly
+   */
+  studentT: (nu: number) => number;
+
   /**
    * Convenience function. Alias for `uniform()`.
    * @returns {number}
@@ -92,128 +627,926 @@ export class KDRoll {
    */
   random: () => number;
 
+  /**
+   * Generates a random real in the closed interval [0,1], where `0` and `1`
+   * are both possible. Uses the full bits of the engine without any
+   * floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 53 random
+   * bits, or `'single'` for 24 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  random01Closed: (precision?: KDPrecision) => number;
+
+  /**
+   * Generates a random real in the open interval (0,1), where neither `0`
+   * nor `1` is possible. Safe for `Math.log()`. Uses the full bits of the
+   * engine without any floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 52 random
+   * bits, or `'single'` for 23 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  random01Open: (precision?: KDPrecision) => number;
+
+  /**
+   * Generates a random real in the half-open interval [0,1), where `0` is
+   * possible and `1` is not. Uses the full bits of the engine without any
+   * floating point fix.
+   * @param {KDPrecision} [precision='double'] - `'double'` for 53 random
+   * bits, or `'single'` for 24 bits as an exact 32-bit float.
+   * @returns {number}
+   * @readonly
+   */
+  randomHalfOpen: (precision?: KDPrecision) => number;
+
+  /**
+   * Generate values directly into a typed array. Much faster than calling a
+   * method for each value. Reals use the full bits of the engine without any
+   * floating point fix, and the `'mt19937'` engine is read a whole state
+   * vector at a time, so results are a different sequence than single calls.
+   * @param {T} array - A `Float64Array`, `Float32Array`, or an integer typed
+   * array like `Uint32Array`. Integer arrays can't hold reals.
+   * @param {KDFillOptions} [options] - The `distribution`: `'uniform'`
+   * (default for float arrays), `'uint32'` (default for integer arrays),
+   * `'int'`, `'d'`, `'gaussian'`, or `'normal'`. Its `args`, eg. `[1, 6]`
+   * for `'int'`. How values are recorded in `history()`: `'full'`,
+   * `'summary'` (default, only running statistics), or `'none'`.
+   * @returns {T | undefined} The filled array, or `undefined` if the array or
+   * options are invalid.
+   * @readonly
+   */
+  fill: <T extends KDTypedArray>(
+    array: T,
+    options?: KDFillOptions
+  ) => T | undefined;
+
+  /**
+   * Generate `n` values of a distribution with `fill()`. Values are only
+   * recorded in running statistics.
+   * @param {number} n - Number of values.
+   * @param {KDBulkMethod} [method='uniform'] - `'uniform'`, `'uint32'`,
+   * `'int'`, `'d'`, `'gaussian'`, or `'normal'`.
+   * @param {any[]} args - Arguments of the distribution, eg. `6` for `'d'`.
+   * @returns {Float64Array | Uint32Array | undefined} A `Uint32Array` for
+   * `'uint32'` and a `Float64Array` otherwise, or `undefined` if the
+   * arguments are invalid.
+   * @readonly
+   */
+  batch: (
+    n: number,
+    method?: KDBulkMethod,
+    ...args: any[]
+  ) => Float64Array | Uint32Array | undefined;
+
   /**
    * Calculate the statistical mean of a `number[]` or the current `history()`.
-   * @param {number[]} [arr] - The array on which to operate.
-   * Defaults to `history()` if `arr=undefined`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
    * @returns {number}
    * @readonly
    */
-  mean: (arr?: number[]) => number;
+  mean: (arr?: number[] | KDHistoryFilter) => number;
 
   /**
    * Calculate the statistical median of a `number[]` or the current
    * `history()`.
-   * @param {number[]} [arr] - The array on which to operate.
-   * Defaults to `history()` if `arr=undefined`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
    * @returns {number}
    * @readonly
    */
-  median: (arr?: number[]) => number;
+  median: (arr?: number[] | KDHistoryFilter) => number;
 
   /**
    * Calculate the statistical modes of a `number[]` or the current `history()`.
-   * @param {number[]} [arr] - The array on which to operate.
-   * Defaults to `history()` if `arr=undefined`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
    * @returns {number[]}
    * @readonly
    */
-  modes: (arr?: number[]) => number[];
+  modes: (arr?: number[] | KDHistoryFilter) => number[];
 
   /**
    * Calculate the standard deviation of a `number[]` or the current
    * `history()`.
-   * @param {number[]} [arr] - The array on which to operate. Defaults to
-   * `history()` if `arr=undefined`.
-   * @returns {number} Standard deviation is normalized [0,1].
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions & { normalized?: boolean }} [options] - Use
+   * `{ normalized: false }` for the standard deviation in the units of the
+   * data, and `{ sample: true }` for the sample standard deviation.
+   * @returns {number} By default, standard deviation is normalized [0,1].
+   * @readonly
+   */
+  standardDeviation: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions & { normalized?: boolean }
+  ) => number;
+
+  /**
+   * Calculate the variance of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * sample variance. Default is the population variance.
+   * @returns {number}
+   * @readonly
+   */
+  variance: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+
+  /**
+   * Find the smallest value of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  min: (arr?: number[] | KDHistoryFilter) => number;
+
+  /**
+   * Find the largest value of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  max: (arr?: number[] | KDHistoryFilter) => number;
+
+  /**
+   * Calculate the difference between the largest and smallest values of a
+   * `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  range: (arr?: number[] | KDHistoryFilter) => number;
+
+  /**
+   * Calculate a percentile of a `number[]` or the current `history()` by
+   * linear interpolation between the closest ranks.
+   * @param {number} p - In the range [0,100], eg. `95`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  percentile: (p: number, arr?: number[] | KDHistoryFilter) => number;
+
+  /**
+   * Calculate the interquartile range of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {number}
+   * @readonly
+   */
+  iqr: (arr?: number[] | KDHistoryFilter) => number;
+
+  /**
+   * Calculate the skewness of a `number[]` or the current `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * adjusted Fisher-Pearson coefficient.
+   * @returns {number}
+   * @readonly
+   */
+  skewness: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+
+  /**
+   * Calculate the excess kurtosis of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @param {KDSampleOptions} [options] - Use `{ sample: true }` for the
+   * bias-corrected estimate.
+   * @returns {number}
    * @readonly
    */
-  standardDeviation: (arr?: number[]) => number;
+  kurtosis: (
+    arr?: number[] | KDHistoryFilter,
+    options?: KDSampleOptions
+  ) => number;
+
+  /**
+   * Calculate the five-number summary of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDFiveNumber} `min`, `q1`, `median`, `q3`, and `max`.
+   * @readonly
+   */
+  fiveNumber: (arr?: number[] | KDHistoryFilter) => KDFiveNumber;
+
+  /**
+   * Calculate every descriptive statistic of a `number[]` or the current
+   * `history()`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDDescription}
+   * @readonly
+   */
+  describe: (arr?: number[] | KDHistoryFilter) => KDDescription;
+
+  /**
+   * Count the values of a `number[]` or the current `history()` in equal
+   * width bins. If every value in `history()` is a roll of the same die with
+   * at most `KDHistogram.maxBins` (1000) faces, defaults to one bin for each
+   * face. Never makes more than 1000 bins.
+   * @param {KDHistogramOptions} [options] - `bins` is a number or a rule:
+   * `'auto'`, `'sturges'`, `'freedman-diaconis'`, or `'integer'`. `range` is
+   * `[min, max]`.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDHistogram} Counts, relative frequencies, and bin edges, with
+   * `labels` and `datasets` for Chart.js.
+   * @readonly
+   */
+  histogram: (
+    options?: KDHistogramOptions,
+    arr?: number[] | KDHistoryFilter
+  ) => KDHistogram;
+
+  /**
+   * Count each distinct value of a `number[]` or the current `history()`. If
+   * every value in `history()` is a roll of the same die, every face is
+   * listed.
+   * @param {number[] | KDHistoryFilter} [arr] - The array on which to
+   * operate, or a filter for `history()`. Defaults to `history()` if
+   * `arr=undefined`.
+   * @returns {KDFrequencyTable} Counts and relative frequencies, with
+   * `labels` and `datasets` for Chart.js.
+   * @readonly
+   */
+  frequencies: (arr?: number[] | KDHistoryFilter) => KDFrequencyTable;
 
   /**
    * Instantiates a new `KDRoll()`
-   * @param {Seed} [seed] - The initial seed value. Should be an unsigned
-   * integer or `Uint32Array` of arbitrary values and length. If
-   * `seed=undefined`, `KDRoll()` will generate its own random seed using
+   * @param {KDSeedInput} [seed] - The initial seed value. Should be an
+   * unsigned integer or `Uint32Array` of arbitrary values and length, or a
+   * string, `BigInt`, byte buffer, or plain object. If `seed=undefined`,
+   * `KDRoll()` will generate its own random seed using
    * `KDRoll.createRandomSeed()`.
+   * @param {KDRollOptions} [options] - Use `{ engine }` to choose the engine
+   * by name or pass a custom `KDEngine`. Default engine is `'mt19937'`. Use
+   * `{ audit: true }` to keep a session log for `exportLog()`, and
+   * `{ raw: true }` to generate reals without a floating point fix.
    * @note `KDRoll` is a class representing a random number manager.
    * Includes Mersenne Twister uniform distribution, Box Mueller gaussian
    * distribution, n-sided die rolling, history of variable max size, elementary
    * statistics, and scale/clip/round convenience functions.
    */
-  constructor(seed?: Seed) {
-    /* Mersenne Twister uniform distribution random number generator. */
-    const uniform = new KDUniform(seed);
+  constructor(seed?: KDSeedInput, options: KDRollOptions = {}) {
+    /* Uniform distribution random number generator. */
+    let engine: KDEngine = KDRoll.createEngine(
+      options.engine,
+      KDSeed.key(seed)
+    );
+    /* The seed as it was given. */
+    let input: KDSeedInput = seed;
+    /* The second value generated by the last standard normal pair. */
+    let spare: number | null = null;
+    /* Generate reals without the engine's floating point fix. */
+    const raw = !!options.raw;
+    const uniform = {
+      random: () => (raw ? KDEngines.real(engine) : KDEngines.random(engine)),
+      /* Indices use the unbiased integer generator, because `random()` of
+      the Mersenne Twister can round up to 1. */
+      below: (n: number) => KDEngines.below(engine, n),
+      normal: (): number => {
+        if (spare !== null) {
+          const z = spare;
+          spare = null;
+          return z;
+        }
+        const [z, next] = KDDistributions.standardNormalPair(uniform);
+        spare = next;
+        return z;
+      },
+    };
+    /* Number of children created by `fork()` since seeding. */
+    let forks: number = 0;
+    /* Crypto engine for unpredictable IDs. Created on first use. */
+    let entropy: KDEngine | undefined;
     /* Class extending `Array` with max size and automatic overflow handling. */
     let history = new KDHistory();
+    /* Running statistics of recorded values by method and sides. */
+    let stats = new Map<
+      string,
+      { method: string; sides?: number; stats: KDRunningStats }
+    >();
+    /* Listeners for `on()`. */
+    const events = new KDEmitter<KDRollEvents>();
+    /* Calls since seeding for `exportLog()`, or `null` if auditing is off. */
+    let session: {
+      seed: Seed;
+      state?: KDRollState;
+      calls: KDAuditCall[];
+    } | null = options.audit ? { seed: engine.seed(), calls: [] } : null;
+    /* Add a call to the session log. */
+    const audit = (method: string, args: any[], result: any) => {
+      if (!session) return;
+      session.calls.push({
+        method,
+        args: KDAudit.serialize(trim(args)),
+        result: KDAudit.serialize(result),
+      });
+    };
+    /* Copy an entry so listeners can't change history. */
+    const copy = (entry: KDHistoryEntry): KDHistoryEntry => ({
+      ...entry,
+      args: [...entry.args],
+    });
+    /* Number of values recorded since seeding. */
+    let sequence: number = 0;
+    /* Running statistics of a method and sides. */
+    const tally = (method: string, sides?: number): KDRunningStats => {
+      const key = `${method}:${sides}`;
+      if (!stats.has(key)) {
+        stats.set(key, { method, sides, stats: new KDRunningStats() });
+      }
+      return (stats.get(key) as { stats: KDRunningStats }).stats;
+    };
+    /* Add a value to history with the call that produced it. */
+    const record = (
+      method: string,
+      args: any[],
+      result: number,
+      sides?: number
+    ) => {
+      const entry: KDHistoryEntry = {
+        method,
+        args: trim(args),
+        result,
+        index: sequence++,
+        time: Date.now(),
+      };
+      if (sides !== undefined) entry.sides = sides;
+      const dropped = history.length >= history.max() ? history[0] : undefined;
+      history.push(entry);
+      tally(method, sides).push(result);
+      if (events.listening('roll')) events.emit('roll', copy(entry));
+      if (dropped && events.listening('historyOverflow')) {
+        const maxHistory = history.max();
+        events.emit('historyOverflow', { entry: copy(dropped), maxHistory });
+      }
+    };
+    /* Generator for selections. Records each selected index in history. */
+    const selector = (method: string, args: any[] = []): KDLootSource => ({
+      random: uniform.random,
+      below: uniform.below,
+      record: (index: number) => record(method, args, index),
+    });
     /* Private functions */
     const _private = {
-      seed: (seed?: Seed) => {
+      seed: (seed?: KDSeedInput) => {
         if (seed !== undefined) {
           this.clearHistory();
-          uniform.seed(seed);
+          engine.seed(KDSeed.key(seed));
+          input = seed;
+          spare = null;
+          forks = 0;
+          sequence = 0;
+          if (session) session = { seed: engine.seed(), calls: [] };
+          events.emit('seed', { seed: engine.seed() });
         }
-        return uniform.seed();
+        return engine.seed();
       },
-      history: () => history.map((x) => x[0]),
+      seedInfo: (): KDSeedInfo => {
+        const key = engine.seed();
+        const given = input === undefined ? key : input;
+        return { input: given, key, code: KDSeed.encode(key) };
+      },
+      engine: () => engine.name,
+      simulate: (
+        fn: (roll: KDRoll, trial: number) => number | boolean,
+        options: KDSimulationOptions = {}
+      ) => {
+        if (typeof fn !== 'function') {
+          console.log(new Error('Simulations need a trial function.'));
+          return undefined;
+        }
+        const { seed } = options;
+        const runner =
+          seed === undefined
+            ? this.fork()
+            : new KDRoll(seed, { engine: _private.childEngine(), raw });
+        const base = runner.seed();
+        return KDSimulation.run((trial) => {
+          runner.seed(KDEngines.derive(base, trial));
+          return fn(runner, trial);
+        }, options);
+      },
+      /* Engine of child instances. */
+      childEngine: () =>
+        KDEngines.names.includes(engine.name) ? engine.name : 'mt19937',
+      child: (label: string | number): KDRoll => {
+        const name = _private.childEngine();
+        if (name === 'crypto') {
+          return new KDRoll(undefined, { engine: name, raw });
+        }
+        const seed = KDEngines.derive(engine.seed(), label);
+        return new KDRoll(seed, { engine: name, raw });
+      },
+      history: (filter?: KDHistoryFilter) =>
+        history.select(filter).map((entry) => entry.result),
+      historyEntries: (filter?: KDHistoryFilter) =>
+        history.select(filter).map(copy),
       maxHistory: (size?: number) => history.max(size),
       clearHistory: () => {
-        const max = history.max();
+        const cleared = history;
         history = new KDHistory();
-        history.max(max);
+        history.max(cleared.max());
+        stats = new Map();
+        if (events.listening('clearHistory')) {
+          events.emit('clearHistory', { entries: cleared.select().map(copy) });
+        }
+      },
+      running: (filter?: KDHistoryFilter) =>
+        Array.from(stats.values())
+          .filter(({ method, sides }) =>
+            KDHistory.matches({ method, sides } as KDHistoryEntry, filter)
+          )
+          .reduce((all, group) => all.merge(group.stats), new KDRunningStats()),
+      stream: (filter?: KDHistoryFilter) =>
+        events.stream('roll', (entry) => KDHistory.matches(entry, filter)),
+      getState: (options?: { history?: boolean }): KDRollState => {
+        const state: KDRollState = {
+          engine: engine.name,
+          generator: engine.getState(),
+          normal: spare,
+          sequence,
+        };
+        if (options && options.history) {
+          state.history = this.historyEntries();
+          state.maxHistory = history.max();
+          state.stats = Array.from(stats.values()).map((group) => ({
+            method: group.method,
+            sides: group.sides,
+            state: group.stats.getState(),
+          }));
+        }
+        return state;
+      },
+      setState: (state: KDRollState | string): boolean => {
+        let s: KDRollState;
+        try {
+          s = typeof state === 'string' ? JSON.parse(state) : state;
+        } catch {
+          console.warn('Unable to parse state JSON. State was not restored.');
+          return false;
+        }
+        if (!s || typeof s !== 'object') {
+          console.warn('Invalid state. State was not restored.');
+          return false;
+        }
+        /* Switch to the saved engine if it's a different built-in engine. */
+        const name = s.engine || engine.name;
+        const target =
+          name === engine.name ? engine : KDEngines.create(name, 0);
+        if (!target) {
+          console.warn(`Unknown engine "${name}". State was not restored.`);
+          return false;
+        }
+        if (!target.setState(s.generator)) return false;
+        engine = target;
+        input = undefined;
+        spare = typeof s.normal === 'number' ? s.normal : null;
+        this.clearHistory();
+        sequence = typeof s.sequence === 'number' ? s.sequence : 0;
+        if (s.maxHistory !== undefined) history.max(s.maxHistory);
+        if (Array.isArray(s.history)) {
+          s.history.forEach((entry) => history.push(copy(entry)));
+        }
+        if (Array.isArray(s.stats)) {
+          s.stats.forEach(({ method, sides, state }) => {
+            const restored = new KDRunningStats();
+            if (!restored.setState(state)) return;
+            stats.set(`${method}:${sides}`, { method, sides, stats: restored });
+          });
+        }
+        if (session) {
+          const start = KDAudit.serialize(this.getState());
+          session = { seed: engine.seed(), state: start, calls: [] };
+        }
+        return true;
+      },
+      exportLog: (): KDAuditLog | undefined => {
+        if (!session) {
+          console.log(
+            new Error(
+              'Auditing is off. Use `new KDRoll(seed, { audit: true })`.'
+            )
+          );
+          return undefined;
+        }
+        return KDAudit.serialize({
+          version: KDAudit.version,
+          engine: engine.name,
+          raw: raw || undefined,
+          seed: session.seed,
+          state: session.state,
+          calls: session.calls,
+        });
+      },
+      discard: (n: number) => {
+        if (KDEngines.jump(engine, n, raw)) audit('discard', [n], null);
       },
       uniform: () => {
         const rand = uniform.random();
-        history.push(rand);
+        record('uniform', [], rand);
+        audit('uniform', [], rand);
         return rand;
       },
       gaussian: (skew?: number) => {
         const rand = KDGaussian(uniform, skew);
-        history.push(rand);
+        record('gaussian', [skew], rand);
+        audit('gaussian', [skew], rand);
         return rand;
       },
+      sample: (method: keyof typeof KDDistributions, ...args: any[]) => {
+        const distribution = KDDistributions[method] as (
+          uniform: { random: () => number },
+          ...args: any[]
+        ) => number;
+        const rand = distribution(uniform, ...args);
+        if (!Number.isNaN(rand)) {
+          record(method, args, rand);
+          audit(method, args, rand);
+        }
+        return rand;
+      },
+      real: (method: string, interval: KDInterval, precision?: KDPrecision) => {
+        if (
+          precision !== undefined &&
+          !['double', 'single'].includes(precision)
+        ) {
+          console.log(new Error("Precision must be 'double' or 'single'."));
+          return NaN;
+        }
+        const rand = KDEngines.real(engine, interval, precision);
+        record(method, [precision], rand);
+        audit(method, [precision], rand);
+        return rand;
+      },
+      bulk: (out: KDTypedArray, options: KDFillOptions = {}): boolean => {
+        if (!KDBulk.isArray(out)) {
+          console.log(new Error('Only typed arrays of numbers can be filled.'));
+          return false;
+        }
+        const float =
+          out instanceof Float64Array || out instanceof Float32Array;
+        const {
+          distribution = float ? 'uniform' : 'uint32',
+          args = [],
+          history: mode = 'summary',
+        } = options;
+        if (!['full', 'summary', 'none'].includes(mode)) {
+          console.log(new Error(`Unknown history option "${mode}".`));
+          return false;
+        }
+        const words = KDEngines.buffered(engine);
+        if (!KDBulk.fill(words, out, distribution, args)) return false;
+        const sides = distribution === 'd' ? args[0] : undefined;
+        if (mode === 'full') {
+          out.forEach((x: number) => record(distribution, args, x, sides));
+        } else if (mode === 'summary') {
+          const running = tally(distribution, sides);
+          out.forEach((x: number) => running.push(x));
+          sequence += out.length;
+        }
+        return true;
+      },
+      fill: <T extends KDTypedArray>(array: T, options?: KDFillOptions) => {
+        if (!_private.bulk(array, options)) return undefined;
+        const type = array.constructor.name;
+        audit('fill', [type, array.length, options], Array.from(array));
+        return array;
+      },
+      batch: (n: number, method: KDBulkMethod = 'uniform', ...args: any[]) => {
+        if (!Number.isSafeInteger(n) || n < 0) {
+          console.log(new Error('Batch size must be a non-negative integer.'));
+          return undefined;
+        }
+        const out =
+          method === 'uint32' ? new Uint32Array(n) : new Float64Array(n);
+        if (!_private.bulk(out, { distribution: method, args })) {
+          return undefined;
+        }
+        audit('batch', [n, method, ...args], Array.from(out));
+        return out;
+      },
+      int: (min: number, max: number, step: number = 1) => {
+        const count = KDBulk.count(min, max, step);
+        if (Number.isNaN(count)) {
+          console.log(new Error('Invalid integer range.'));
+          return NaN;
+        }
+        const num = min + step * KDEngines.below(engine, count);
+        record('int', [min, max, step], num);
+        audit('int', [min, max, step], num);
+        return num;
+      },
+      die: (sides: number) => 1 + KDEngines.below(engine, Math.trunc(sides)),
       d: (sides: number) => {
-        if (typeof sides === 'number') {
-          const n = new KDNumber(uniform.random());
-          n.scale(1, sides).round(0);
-          const num = n.value();
-          history.push(num);
-          return num;
-        } else {
-          console.log(new Error('Sides must be a number.'));
+        const num = typeof sides === 'number' ? _private.die(sides) : NaN;
+        if (Number.isNaN(num)) {
+          console.log(new Error('Sides must be a number of at least 1.'));
           return NaN;
         }
+        record('d', [sides], num, sides);
+        audit('d', [sides], num);
+        return num;
+      },
+      parse: (notation: string): KDDiceResult => {
+        try {
+          const tree = KDDice.parse(notation);
+          const result = KDDice.evaluate(tree, _private.die, notation);
+          result.groups.forEach((group) =>
+            group.dice.forEach((die) =>
+              (die.rolls || [die.value]).forEach((value) =>
+                record('parse', [notation], value, group.sides)
+              )
+            )
+          );
+          audit('parse', [notation], result);
+          return result;
+        } catch (error) {
+          console.log(error);
+          const result = { notation, total: NaN, groups: [] };
+          audit('parse', [notation], result);
+          return result;
+        }
+      },
+      pick: <T>(array: T[]): T | undefined => {
+        if (!Array.isArray(array) || !array.length) {
+          console.log(new Error('Can not pick from an empty array.'));
+          return undefined;
+        }
+        const index = uniform.below(array.length);
+        record('pick', [array.length], index);
+        audit('pick', [array.length], index);
+        return array[index];
+      },
+      weighted: <T>(entries: { value: T; weight: number }[]) => {
+        const choices = (Array.isArray(entries)
+          ? entries
+          : []
+        ).map(({ value, weight }) => ({ value, weight }));
+        if (!choices.some((choice) => choice.weight > 0)) {
+          console.log(new Error('At least one weight must be > 0.'));
+          return undefined;
+        }
+        const source = selector('weighted', [choices.length]);
+        const indexed = choices.map(({ weight }, i) => ({ value: i, weight }));
+        const index = new KDLootTable(indexed, source).draw(1)[0];
+        if (index === undefined) return undefined;
+        const weights = choices.map(({ weight }) => weight);
+        audit('weighted', [weights], index);
+        return choices[index].value;
+      },
+      lootTable: <T>(entries: KDLootEntry<T>[]) => {
+        /* The structure of the table, for the session log. */
+        let shape: ReturnType<typeof KDAudit.shape> | undefined;
+        const source: KDLootSource = {
+          ...selector('lootTable'),
+          drawn: (indices, count, options) => {
+            if (!session) return;
+            shape = shape || KDAudit.shape(table);
+            audit('lootTable', [shape, count, options.replace], indices);
+          },
+        };
+        const table = new KDLootTable<T>(entries, source);
+        return table;
+      },
+      shuffle: <T>(array: T[], inPlace: boolean = false): T[] => {
+        if (!Array.isArray(array)) {
+          console.log(new Error('Can only shuffle an array.'));
+          return [];
+        }
+        /* Shuffle positions, so the session log doesn't hold elements. */
+        const order = KDSampling.shuffle(uniform, range(array.length));
+        audit('shuffle', [array.length], order);
+        const shuffled = order.map((j) => array[j]);
+        if (!inPlace) return shuffled;
+        shuffled.forEach((item, i) => (array[i] = item));
+        return array;
+      },
+      sampleFrom: <T>(
+        collection: T[] | Iterable<T>,
+        k: number,
+        options: { replace?: boolean } = {}
+      ): T[] => {
+        const replace = !!options.replace;
+        /* Sample positions, so the session log doesn't hold elements. */
+        const fromArray = (array: T[], iterable: boolean) => {
+          const n = array.length;
+          const picked = KDSampling.sample(uniform, range(n), k, replace);
+          audit('sample', [n, k, replace, iterable], picked);
+          return picked.map((i) => array[i]);
+        };
+        if (Array.isArray(collection)) return fromArray(collection, false);
+        if (collection === null || typeof collection !== 'object') {
+          console.log(new Error('Can only sample an iterable.'));
+          return [];
+        }
+        if (replace) return fromArray(Array.from(collection), true);
+        let length = 0;
+        const indexed = function* () {
+          for (const item of collection) yield [length++, item] as [number, T];
+        };
+        const picked = KDSampling.reservoir(uniform, indexed(), k);
+        audit(
+          'sample',
+          [length, k, false, true],
+          picked.map(([i]) => i)
+        );
+        return picked.map(([, item]) => item);
+      },
+      permutation: (n: number) => {
+        const result = KDSampling.permutation(uniform, n);
+        audit('permutation', [n], result);
+        return result;
+      },
+      combination: (n: number, k: number) => {
+        const result = KDSampling.combination(uniform, n, k);
+        audit('combination', [n, k], result);
+        return result;
+      },
+      uid: (options: KDUidOptions = {}): string => {
+        const source = options.source === undefined ? 'seeded' : options.source;
+        if (source === 'crypto') {
+          const secure = entropy || (KDEngines.create('crypto') as KDEngine);
+          entropy = secure;
+          return KDUid.create(() => secure.nextUint32(), options);
+        }
+        if (source !== 'seeded') {
+          console.log(new Error(`Unknown ID source "${source}".`));
+          return '';
+        }
+        /* Log the time of time-ordered IDs, so they can be replayed. */
+        const resolved = { ...options };
+        if (resolved.format === 'v7' && resolved.time === undefined) {
+          resolved.time = Date.now();
+        }
+        const id = KDUid.create(() => engine.nextUint32(), resolved);
+        audit('uid', [resolved], id);
+        return id;
+      },
+      values: (arr?: number[] | KDHistoryFilter): number[] =>
+        Array.isArray(arr) ? arr : this.history(arr),
+      /* Sides of the die if every matching entry is a roll of it. */
+      sides: (filter?: KDHistoryFilter): number | undefined => {
+        const entries = history.select(filter);
+        const sides = entries.length ? entries[0].sides : undefined;
+        if (sides === undefined || !Number.isInteger(sides)) return undefined;
+        const faces = entries.every(
+          ({ sides: s, result }) =>
+            s === sides &&
+            Number.isInteger(result) &&
+            result >= 1 &&
+            result <= sides
+        );
+        return faces ? sides : undefined;
+      },
+      histogram: (
+        options: KDHistogramOptions = {},
+        arr?: number[] | KDHistoryFilter
+      ) => {
+        if (Array.isArray(arr)) return KDHistogram.histogram(arr, options);
+        const sides = _private.sides(arr);
+        const faces: KDHistogramOptions =
+          sides && sides <= KDHistogram.maxBins
+            ? { bins: 'integer', range: [1, sides] }
+            : {};
+        return KDHistogram.histogram(this.history(arr), {
+          ...faces,
+          ...options,
+        });
+      },
+      frequencies: (arr?: number[] | KDHistoryFilter) => {
+        if (Array.isArray(arr)) return KDHistogram.frequencies(arr);
+        const sides = _private.sides(arr) || 0;
+        const faces = new Array(sides).fill(0).map((x, i) => i + 1);
+        return KDHistogram.frequencies(this.history(arr), faces);
       },
-      mean: (arr?: number[]) => {
-        arr = arr ? arr : this.history();
-        return KDElemstats.mean(arr);
+      mean: (arr?: number[] | KDHistoryFilter) => {
+        return KDElemstats.mean(_private.values(arr));
       },
-      median: (arr?: any) => {
-        arr = arr ? arr : this.history();
-        return KDElemstats.median(arr);
+      median: (arr?: number[] | KDHistoryFilter) => {
+        return KDElemstats.median(_private.values(arr));
       },
-      modes: (arr?: number[]) => {
-        arr = arr ? arr : this.history();
-        return KDElemstats.modes(arr);
+      modes: (arr?: number[] | KDHistoryFilter) => {
+        return KDElemstats.modes(_private.values(arr));
       },
-      stdDev: (arr?: number[]) => {
-        arr = arr ? arr : this.history();
-        return KDElemstats.stdDev(arr);
+      stdDev: (
+        arr?: number[] | KDHistoryFilter,
+        options?: KDSampleOptions & { normalized?: boolean }
+      ) => {
+        return KDElemstats.stdDev(_private.values(arr), options);
       },
     };
 
     this.seed = (seed) => _private.seed(seed);
-    this.history = () => _private.history();
+    this.seedInfo = () => _private.seedInfo();
+    this.on = (event, listener) => events.on(event, listener);
+    this.off = (event, listener) => events.off(event, listener);
+    this.stream = (filter) => _private.stream(filter);
+    this.split = (label) => _private.child(`${label}`);
+    this.fork = () => _private.child(forks++);
+    this.simulate = (fn, options) => _private.simulate(fn, options);
+    this.engine = () => _private.engine();
+    this.history = (filter) => _private.history(filter);
+    this.historyEntries = (filter) => _private.historyEntries(filter);
     this.maxHistory = (size) => _private.maxHistory(size);
     this.clearHistory = () => _private.clearHistory();
+    this.stats = (filter) => _private.running(filter).summary();
+    this.quantile = (p, filter) => _private.running(filter).quantile(p);
+    this.exportLog = () => _private.exportLog();
+    this.getState = (options) => _private.getState(options);
+    this.setState = (state) => _private.setState(state);
+    this.discard = (n) => _private.discard(n);
     this.uniform = () => _private.uniform();
     this.gaussian = (skew) => _private.gaussian(skew);
+    this.int = (min, max, step) => _private.int(min, max, step);
     this.d = (sides) => _private.d(sides);
+    this.parse = (notation) => _private.parse(notation);
     this.random = () => _private.uniform();
+    this.random01Closed = (precision) =>
+      _private.real('random01Closed', '[0,1]', precision);
+    this.random01Open = (precision) =>
+      _private.real('random01Open', '(0,1)', precision);
+    this.randomHalfOpen = (precision) =>
+      _private.real('randomHalfOpen', '[0,1)', precision);
+    this.fill = (array, options) => _private.fill(array, options);
+    this.batch = (n, method, ...args) => _private.batch(n, method, ...args);
+    this.pick = (array) => _private.pick(array);
+    this.weighted = (entries) => _private.weighted(entries);
+    this.lootTable = (entries) => _private.lootTable(entries);
+    this.shuffle = (array, inPlace) => _private.shuffle(array, inPlace);
+    this.sample = (collection, k, options) =>
+      _private.sampleFrom(collection, k, options);
+    this.permutation = (n) => _private.permutation(n);
+    this.combination = (n, k) => _private.combination(n, k);
+    this.uid = (options) => _private.uid(options);
+    const sample = _private.sample;
+    this.normal = (mean, stdDev) => sample('normal', mean, stdDev);
+    this.truncatedNormal = (mean, stdDev, range) =>
+      sample('truncatedNormal', mean, stdDev, range);
+    this.exponential = (rate) => sample('exponential', rate);
+    this.poisson = (lambda) => sample('poisson', lambda);
+    this.binomial = (n, p) => sample('binomial', n, p);
+    this.geometric = (p) => sample('geometric', p);
+    this.beta = (alpha, beta) => sample('beta', alpha, beta);
+    this.gamma = (shape, scale) => sample('gamma', shape, scale);
+    this.logNormal = (mu, sigma) => sample('logNormal', mu, sigma);
+    this.weibull = (shape, scale) => sample('weibull', shape, scale);
+    this.triangular = (min, max, mode) => sample('triangular', min, max, mode);
+    this.cauchy = (location, scale) => sample('cauchy', location, scale);
+    this.chiSquare = (k) => sample('chiSquare', k);
+    this.studentT = (nu) => sample('studentT', nu);
     this.mean = (arr) => _private.mean(arr);
     this.median = (arr) => _private.median(arr);
     this.modes = (arr) => _private.modes(arr);
-    this.standardDeviation = (arr) => _private.stdDev(arr);
+    this.standardDeviation = (arr, options) => _private.stdDev(arr, options);
+    const values = _private.values;
+    this.variance = (arr, options) =>
+      KDElemstats.variance(values(arr), options);
+    this.min = (arr) => KDElemstats.min(values(arr));
+    this.max = (arr) => KDElemstats.max(values(arr));
+    this.range = (arr) => KDElemstats.range(values(arr));
+    this.percentile = (p, arr) => KDElemstats.percentile(values(arr), p);
+    this.iqr = (arr) => KDElemstats.iqr(values(arr));
+    this.skewness = (arr, options) =>
+      KDElemstats.skewness(values(arr), options);
+    this.kurtosis = (arr, options) =>
+      KDElemstats.kurtosis(values(arr), options);
+    this.fiveNumber = (arr) => KDElemstats.fiveNumber(values(arr));
+    this.describe = (arr) => KDElemstats.describe(values(arr));
+    this.histogram = (options, arr) => _private.histogram(options, arr);
+    this.frequencies = (arr) => _private.frequencies(arr);
 
     Object.keys(this).forEach((key) => {
       Object.defineProperty(this, key, {
@@ -245,9 +1578,228 @@ export class KDRoll {
   }
 
   /**
-   * @static Generate a random seed array using `window.crypto`. Falls back to
-   * `node.crypto` or a final fallback to using `Math.random()` to fill an
-   * array.
+   * @static Convenience function to generate a randomly seeded random integer
+   * in the range min-max.
+   * @param {number} min - The lowest integer.
+   * @param {number} max - The highest integer.
+   * @param {number} [step=1] - Distance between possible results.
+   * @returns {number}
+   */
+  static int(min: number, max: number, step?: number): number {
+    return new KDRoll().int(min, max, step);
+  }
+
+  /**
+   * @static Convenience function to roll a dice expression with a randomly
+   * seeded instance.
+   * @param {string} notation - Dice notation, eg. `4d6kh3+2`.
+   * @returns {KDDiceResult}
+   */
+  static parse(notation: string): KDDiceResult {
+    return new KDRoll().parse(notation);
+  }
+
+  /**
+   * @static Calculate the exact probability distribution of a dice
+   * expression. Supports the notation of `parse()`, and assumes fair dice.
+   * Distributions with more than 50000 possible values, eg. `100d1000`, or
+   * large keep/drop pools are not calculated.
+   * @param {string} notation - Dice notation, eg. `4d6kh3+2`.
+   * @returns {KDDiceDistribution | undefined} Expected value, variance,
+   * PMF, CDF, P(X >= k), and percentiles. `undefined` if the notation is
+   * invalid, it can divide by zero, or the distribution is too large.
+   * @example
+   * ```
+   * KDRoll.probability('3d6').atLeast(12); // 0.375
+   * KDRoll.probability('4d6dl1').mean(); // 12.24
+   * ```
+   */
+  static probability(notation: string): KDDiceDistribution | undefined {
+    try {
+      return new KDDiceDistribution(KDDice.parse(notation), notation);
+    } catch (error) {
+      console.log(error);
+      return undefined;
+    }
+  }
+
+  /**
+   * @static Re-execute a session log from `exportLog()` on a fresh instance
+   * and compare every result, to independently verify that no call was
+   * changed, added, or removed.
+   * @param {KDAuditLog | string} log - A session log, or a JSON string of one.
+   * @returns {KDReplayReport} `valid` is `true` if every call matched.
+   * Otherwise `divergence` describes the first call that didn't, or `error`
+   * explains why the log could not be replayed.
+   */
+  static replay(log: KDAuditLog | string): KDReplayReport {
+    const fail = (error: string) => ({ valid: false, replayed: 0, error });
+    let l: KDAuditLog;
+    try {
+      l = typeof log === 'string' ? JSON.parse(log) : log;
+    } catch {
+      return fail('Unable to parse log JSON.');
+    }
+    if (!l || typeof l !== 'object' || !Array.isArray(l.calls)) {
+      return fail('Invalid log.');
+    }
+    if (l.version > KDAudit.version) {
+      return fail(`Unsupported log version ${l.version}.`);
+    }
+    if (!KDEngines.names.includes(l.engine) || l.engine === 'crypto') {
+      return fail(`Sessions using engine "${l.engine}" can not be replayed.`);
+    }
+    const roll = new KDRoll(l.seed, { engine: l.engine, raw: !!l.raw });
+    if (l.state && !roll.setState(l.state)) {
+      return fail('Invalid starting state.');
+    }
+    /* Replays don't need history. */
+    roll.maxHistory(0);
+    return KDAudit.verify(roll, l.calls);
+  }
+
+  /**
+   * @static Start a provably fair commit-reveal session. Publish
+   * `fair.hash()`, which commits to the server seed and the engine, before
+   * the client chooses a seed, start each game with `fair.roll(clientSeed)`,
+   * and call `fair.reveal()` after the session. Each game is seeded with
+   * HMAC-SHA256(server seed, client seed + nonce) and keeps a session log.
+   * @param {KDFairOptions} [options] - The secret `serverSeed` (default is
+   * random), the first `nonce` (default `0`), and the `engine`.
+   * @returns {KDFair}
+   */
+  static fair(options: KDFairOptions = {}): KDFair {
+    return new KDFair(
+      options,
+      (seed, engine) => new KDRoll(seed, { engine, audit: true })
+    );
+  }
+
+  /**
+   * @static Verify a game of a revealed provably fair session. Checks the
+   * server seed and engine against the published hash, checks that the game
+   * uses that engine and was seeded from the server seed, client seed, and
+   * nonce, then replays every call.
+   * Compare `proof.serverSeedHash` with the hash published before the game.
+   * @param {KDFairProof} proof - A proof from `fair.reveal()`.
+   * @returns {KDReplayReport} `valid` is `true` if every check passed.
+   */
+  static verify(proof: KDFairProof): KDReplayReport {
+    const error = KDFair.check(proof);
+    if (error) return { valid: false, replayed: 0, error };
+    return KDRoll.replay(proof.log);
+  }
+
+  /**
+   * @static Calculate every descriptive statistic of a `number[]`. The array
+   * is not modified.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDDescription} Count, mean, modes, five-number summary, range,
+   * IQR, population and sample variance and standard deviation, skewness,
+   * and excess kurtosis.
+   */
+  static describe(arr: number[]): KDDescription {
+    return KDElemstats.describe(arr);
+  }
+
+  /**
+   * @static Count the values of a `number[]` in equal width bins.
+   * @param {number[]} arr - The array on which to operate.
+   * @param {KDHistogramOptions} [options] - `bins` and `range`.
+   * @returns {KDHistogram} Counts, relative frequencies, and bin edges, with
+   * `labels` and `datasets` for Chart.js.
+   */
+  static histogram(arr: number[], options?: KDHistogramOptions): KDHistogram {
+    return KDHistogram.histogram(arr, options);
+  }
+
+  /**
+   * @static Count each distinct value of a `number[]`.
+   * @param {number[]} arr - The array on which to operate.
+   * @returns {KDFrequencyTable} Counts and relative frequencies, with
+   * `labels` and `datasets` for Chart.js.
+   */
+  static frequencies(arr: number[]): KDFrequencyTable {
+    return KDHistogram.frequencies(arr);
+  }
+
+  /**
+   * @static Statistical tests of randomness quality for a `KDRoll` instance,
+   * an engine, or the name of a built-in engine: `chiSquare()` for die fairness, `ks()`, `runs()`,
+   * `serialCorrelation()`, `gap()`, `poker()`, and `all()`. Each returns a
+   * p-value and a pass/fail verdict.
+   * @example
+   * ```
+   * KDRoll.test.chiSquare(roll.fork(), { sides: 20 }).pass;
+   * KDRoll.test.all('pcg32').pass;
+   * ```
+   */
+  static readonly test = KDTest;
+
+  /**
+   * @static Get the names of the built-in engines.
+   * @returns {string[]}
+   */
+  static engines(): string[] {
+    return [...KDEngines.names];
+  }
+
+  /**
+   * @static Create the engine for a new instance.
+   * @param {string | KDEngine} [engine='mt19937'] - Engine name or a custom
+   * `KDEngine`.
+   * @param {Seed} [seed] - The initial seed.
+   * @returns {KDEngine}
+   */
+  private static createEngine(engine?: string | KDEngine, seed?: Seed) {
+    if (KDEngines.isEngine(engine)) {
+      const custom = engine as KDEngine;
+      if (seed !== undefined) custom.seed(seed);
+      return custom;
+    }
+    const name = engine === undefined ? 'mt19937' : `${engine}`;
+    const builtIn = KDEngines.create(name, seed);
+    if (builtIn) return builtIn;
+    console.warn(`Unknown engine "${name}". Using "mt19937" instead.`);
+    return new KDUniform(seed);
+  }
+
+  /**
+   * @static Read a seed code from `seedInfo()`. Ignores case, spaces, and
+   * dashes, and detects most typos with a check symbol.
+   * @param {string} code - The seed code, eg. `'01Z4-J'`.
+   * @returns {number | number[] | undefined} The seed key, or `undefined` if
+   * the code is invalid.
+   */
+  static decodeSeed(code: string): number | number[] | undefined {
+    return KDSeed.decode(code);
+  }
+
+  /**
+   * @static Use a custom source of entropy for random seeds and the
+   * `'crypto'` engine, eg. a hardware generator, or a fixed source in tests.
+   * @param {KDEntropySource} [source] - Fills a `Uint32Array` with random
+   * values. `undefined` restores the default.
+   */
+  static setEntropy(source?: KDEntropySource): void {
+    KDRuntime.setEntropy(source);
+  }
+
+  /**
+   * @static Get the kind of runtime and the source of entropy that is used.
+   * @returns {{ environment: KDEnvironment, entropy: KDEntropyName }}
+   */
+  static runtime(): { environment: KDEnvironment; entropy: KDEntropyName } {
+    return {
+      environment: KDRuntime.environment(),
+      entropy: KDRuntime.entropy(),
+    };
+  }
+
+  /**
+   * @static Generate a random seed array using a custom source of entropy,
+   * `crypto.getRandomValues()`, or Node `crypto`. Falls back to
+   * `Math.random()` if none is available.
    * @return {number[]} Randomly generated `number[]` of random size [20,623]
    * and values.
    */
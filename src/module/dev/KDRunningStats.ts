@@ -0,0 +1,343 @@
+/**
+ * @file KDRunningStats.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Class representing a streaming statistics accumulator. Tracks
+ * count, min/max, mean, variance, skewness, and kurtosis exactly with
+ * Welford-style updates, and quantiles approximately with a merging t-digest.
+ * Memory use is constant regardless of the number of values.
+ */
+
+/** Summary of the values pushed to a `KDRunningStats`. */
+export type KDRunningSummary = {
+  count: number;
+  mean: number;
+  /** Population variance. */
+  variance: number;
+  /** Population standard deviation. */
+  stdDev: number;
+  min: number;
+  max: number;
+  skewness: number;
+  /** Excess kurtosis. `0` for a normal distribution. */
+  kurtosis: number;
+  /** Estimated median. */
+  median: number;
+};
+
+/** JSON-safe snapshot of a `KDRunningStats`. */
+export type KDRunningState = {
+  count: number;
+  mean: number;
+  m2: number;
+  m3: number;
+  m4: number;
+  min: number;
+  max: number;
+  centroids: [number, number][];
+};
+
+/** Controls the size and accuracy of the t-digest. */
+const compression = 100;
+
+/** Number of values buffered before the t-digest is compressed. */
+const bufferSize = 5 * compression;
+
+/** The t-digest scale function. Limits centroid size near the tails. */
+const scale = (q: number): number =>
+  (compression / (2 * Math.PI)) * Math.asin(2 * q - 1);
+
+/**
+ * Merge weighted points into as few centroids as the scale function allows.
+ * @param {[number, number][]} points - `[mean, weight]` pairs.
+ * @returns {[number, number][]} Centroids sorted by mean.
+ */
+const compress = (points: [number, number][]): [number, number][] => {
+  if (!points.length) return [];
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  const total = sorted.reduce((sum, [, weight]) => sum + weight, 0);
+  const centroids: [number, number][] = [];
+  let [mean, weight] = sorted[0];
+  let before = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    const [m, w] = sorted[i];
+    const q0 = before / total;
+    const q2 = (before + weight + w) / total;
+    if (scale(q2) - scale(q0) <= 1) {
+      mean += ((m - mean) * w) / (weight + w);
+      weight += w;
+    } else {
+      centroids.push([mean, weight]);
+      before += weight;
+      [mean, weight] = [m, w];
+    }
+  }
+  centroids.push([mean, weight]);
+  return centroids;
+};
+
+/**
+ * @class Streaming statistics accumulator. Each `push()` is O(1) amortized.
+ * @example
+ * ```
+ * const stats = new KDRunningStats();
+ * [1, 2, 3, 4].forEach(stats.push);
+ * stats.mean(); // 2.5
+ * stats.quantile(0.5); // 2.5
+ * ```
+ */
+export class KDRunningStats {
+  /**
+   * Add a value. Values that aren't finite numbers are ignored.
+   * @param {number} value - The value.
+   */
+  push: (value: number) => void;
+
+  /**
+   * Get the number of values.
+   * @returns {number}
+   */
+  count: () => number;
+
+  /**
+   * Get the mean. `NaN` if empty.
+   * @returns {number}
+   */
+  mean: () => number;
+
+  /**
+   * Get the population variance. `NaN` if empty.
+   * @returns {number}
+   */
+  variance: () => number;
+
+  /**
+   * Get the population standard deviation. `NaN` if empty.
+   * @returns {number}
+   */
+  stdDev: () => number;
+
+  /**
+   * Get the smallest value. `NaN` if empty.
+   * @returns {number}
+   */
+  min: () => number;
+
+  /**
+   * Get the largest value. `NaN` if empty.
+   * @returns {number}
+   */
+  max: () => number;
+
+  /**
+   * Get the skewness. `NaN` if empty or if every value is the same.
+   * @returns {number}
+   */
+  skewness: () => number;
+
+  /**
+   * Get the excess kurtosis. `NaN` if empty or if every value is the same.
+   * @returns {number}
+   */
+  kurtosis: () => number;
+
+  /**
+   * Estimate a quantile. Exact for small counts and accurate to a fraction
+   * of a percentile for large counts, most of all near the tails.
+   * @param {number} p - In the range [0,1], eg. `0.5` for the median.
+   * @returns {number} `NaN` if empty or `p` is invalid.
+   */
+  quantile: (p: number) => number;
+
+  /**
+   * Get every statistic at once.
+   * @returns {KDRunningSummary}
+   */
+  summary: () => KDRunningSummary;
+
+  /**
+   * Combine with another accumulator as if every value had been pushed to
+   * one. Neither accumulator is changed.
+   * @param {KDRunningStats} other - The other accumulator.
+   * @returns {KDRunningStats} A new accumulator.
+   */
+  merge: (other: KDRunningStats) => KDRunningStats;
+
+  /**
+   * Take a JSON-safe snapshot.
+   * @returns {KDRunningState}
+   */
+  getState: () => KDRunningState;
+
+  /**
+   * Restore a snapshot created by `getState()`.
+   * @param {KDRunningState} state - The snapshot.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   */
+  setState: (state: KDRunningState) => boolean;
+
+  /**
+   * Class representing a streaming statistics accumulator.
+   */
+  constructor() {
+    let n = 0;
+    let mean = 0;
+    /* Sums of powers of differences from the mean. */
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let centroids: [number, number][] = [];
+    let buffer: [number, number][] = [];
+
+    const flush = () => {
+      if (buffer.length) centroids = compress(centroids.concat(buffer));
+      buffer = [];
+    };
+    const orNaN = (value: number) => (n ? value : NaN);
+
+    this.push = (value: number) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      /* Moment updates from Pébay (2008). */
+      const n1 = n;
+      n++;
+      const delta = value - mean;
+      const dn = delta / n;
+      const dn2 = dn * dn;
+      const term = delta * dn * n1;
+      mean += dn;
+      m4 += term * dn2 * (n * n - 3 * n + 3) + 6 * dn2 * m2 - 4 * dn * m3;
+      m3 += term * dn * (n - 2) - 3 * dn * m2;
+      m2 += term;
+      if (value < min) min = value;
+      if (value > max) max = value;
+      buffer.push([value, 1]);
+      if (buffer.length >= bufferSize) flush();
+    };
+
+    this.count = () => n;
+    this.mean = () => orNaN(mean);
+    this.variance = () => orNaN(m2 / n);
+    this.stdDev = () => Math.sqrt(this.variance());
+    this.min = () => orNaN(min);
+    this.max = () => orNaN(max);
+    this.skewness = () =>
+      m2 > 0 ? (Math.sqrt(n) * m3) / Math.pow(m2, 1.5) : NaN;
+    this.kurtosis = () => (m2 > 0 ? (n * m4) / (m2 * m2) - 3 : NaN);
+
+    this.quantile = (p: number) => {
+      if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+        console.log(new Error('Quantile must be in the range [0,1].'));
+        return NaN;
+      }
+      flush();
+      if (!n) return NaN;
+      if (p === 0) return min;
+      if (p === 1) return max;
+      /* Interpolate between centroid centers, and toward min/max at the
+       * ends. */
+      const target = p * n;
+      let before = 0;
+      for (let i = 0; i < centroids.length; i++) {
+        const [m, w] = centroids[i];
+        const center = before + w / 2;
+        if (target <= center) {
+          if (i === 0) {
+            const t = w > 1 ? target / center : 1;
+            return min + (m - min) * Math.min(1, t);
+          }
+          const [pm, pw] = centroids[i - 1];
+          const previous = before - pw / 2;
+          return pm + ((m - pm) * (target - previous)) / (center - previous);
+        }
+        before += w;
+      }
+      const [m, w] = centroids[centroids.length - 1];
+      if (w <= 1) return m;
+      return max - ((max - m) * (n - target)) / (w / 2);
+    };
+
+    this.summary = () => ({
+      count: n,
+      mean: this.mean(),
+      variance: this.variance(),
+      stdDev: this.stdDev(),
+      min: this.min(),
+      max: this.max(),
+      skewness: this.skewness(),
+      kurtosis: this.kurtosis(),
+      median: n ? this.quantile(0.5) : NaN,
+    });
+
+    this.getState = () => {
+      flush();
+      return {
+        count: n,
+        mean,
+        m2,
+        m3,
+        m4,
+        min: orNaN(min),
+        max: orNaN(max),
+        centroids: centroids.map(([m, w]) => [m, w] as [number, number]),
+      };
+    };
+
+    this.setState = (state: KDRunningState) => {
+      const numbers = ['count', 'mean', 'm2', 'm3', 'm4'];
+      if (
+        !state ||
+        typeof state !== 'object' ||
+        !numbers.every((key) => typeof (state as any)[key] === 'number') ||
+        !Array.isArray(state.centroids)
+      ) {
+        console.warn('Invalid statistics state. State was not restored.');
+        return false;
+      }
+      ({ count: n, mean, m2, m3, m4 } = state);
+      min = n && typeof state.min === 'number' ? state.min : Infinity;
+      max = n && typeof state.max === 'number' ? state.max : -Infinity;
+      centroids = state.centroids.map(([m, w]) => [m, w] as [number, number]);
+      buffer = [];
+      return true;
+    };
+
+    this.merge = (other: KDRunningStats) => {
+      const a = this.getState();
+      const b = other.getState();
+      const count = a.count + b.count;
+      const merged = new KDRunningStats();
+      if (!a.count || !b.count) {
+        merged.setState(a.count ? a : b);
+        return merged;
+      }
+      /* Pairwise moment combination from Pébay (2008). */
+      const [na, nb] = [a.count, b.count];
+      const delta = b.mean - a.mean;
+      const d2 = delta * delta;
+      merged.setState({
+        count,
+        mean: a.mean + (delta * nb) / count,
+        m2: a.m2 + b.m2 + (d2 * na * nb) / count,
+        m3:
+          a.m3 +
+          b.m3 +
+          (d2 * delta * na * nb * (na - nb)) / (count * count) +
+          (3 * delta * (na * b.m2 - nb * a.m2)) / count,
+        m4:
+          a.m4 +
+          b.m4 +
+          (d2 * d2 * na * nb * (na * na - na * nb + nb * nb)) /
+            (count * count * count) +
+          (6 * d2 * (na * na * b.m2 + nb * nb * a.m2)) / (count * count) +
+          (4 * delta * (na * b.m3 - nb * a.m3)) / count,
+        min: Math.min(a.min, b.min),
+        max: Math.max(a.max, b.max),
+        centroids: compress(a.centroids.concat(b.centroids)),
+      });
+      return merged;
+    };
+  }
+}
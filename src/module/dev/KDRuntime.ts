@@ -0,0 +1,161 @@
+/**
+ * @file KDRuntime.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Finds the global object and a source of entropy in any
+ * runtime: browsers, Web Workers, Node, and server-side rendering. Nothing
+ * here assumes that `window` exists.
+ */
+
+/**
+ * Fills an array with random unsigned 32-bit integers. May fill the array in
+ * place or return a filled array of the same length.
+ */
+export type KDEntropySource = (out: Uint32Array) => Uint32Array | void;
+
+/**
+ * Where entropy comes from. `'custom'` is a source set with `setEntropy()`,
+ * `'webcrypto'` is `crypto.getRandomValues()`, `'node'` is the Node `crypto`
+ * module, and `'math'` is `Math.random()`, which is not secure.
+ */
+export type KDEntropyName = 'custom' | 'webcrypto' | 'node' | 'math';
+
+/** The kind of runtime. */
+export type KDEnvironment = 'browser' | 'worker' | 'node' | 'unknown';
+
+/** Web Crypto compatible object. */
+type WebCrypto = { getRandomValues: <T extends ArrayBufferView>(a: T) => T };
+
+/** Node `crypto` module, or the part of it that is used. */
+type NodeCrypto = {
+  webcrypto?: WebCrypto;
+  randomFillSync?: <T extends ArrayBufferView>(a: T) => T;
+};
+
+/** Largest array `getRandomValues()` fills at once, in 32-bit words. */
+const QUOTA = 16384;
+
+/** Source set with `setEntropy()`. */
+let custom: KDEntropySource | undefined;
+
+/** The Node `crypto` module, `null` if it can't be loaded. */
+let nodeCrypto: NodeCrypto | null | undefined;
+
+/** Warn only once that `Math.random()` is in use. */
+let warned = false;
+
+/** Load the Node `crypto` module without bundlers treating it as a
+ * dependency. */
+const loadNodeCrypto = (): NodeCrypto | null => {
+  if (nodeCrypto !== undefined) return nodeCrypto;
+  let loaded: NodeCrypto | null = null;
+  try {
+    const load = typeof require === 'function' ? require : undefined;
+    if (load && KDRuntime.environment() === 'node') loaded = load('crypto');
+  } catch {
+    /* Not available, eg. an ES module without `require`. */
+  }
+  nodeCrypto = loaded;
+  return loaded;
+};
+
+/** The Web Crypto object of the runtime, if any. */
+const webCrypto = (): WebCrypto | undefined => {
+  const node = loadNodeCrypto();
+  const candidates = [KDRuntime.global().crypto, node && node.webcrypto];
+  return candidates.find((c) => c && typeof c.getRandomValues === 'function');
+};
+
+/**
+ * Holds functions for working with the runtime.
+ * @example
+ * ```
+ * KDRuntime.environment(); // 'node'
+ * KDRuntime.entropy(); // 'webcrypto'
+ * KDRuntime.fill(new Uint32Array(4)); // Uint32Array [ ... ]
+ * ```
+ */
+export const KDRuntime = {
+  /**
+   * Get the global object: `globalThis`, `self` in workers, `window` in
+   * older browsers, or `global` in older versions of Node.
+   * @returns {any}
+   */
+  global: (): any => {
+    if (typeof globalThis !== 'undefined') return globalThis;
+    if (typeof self !== 'undefined') return self;
+    if (typeof window !== 'undefined') return window;
+    if (typeof global !== 'undefined') return global;
+    return {};
+  },
+
+  /**
+   * Detect the kind of runtime.
+   * @returns {KDEnvironment}
+   */
+  environment: (): KDEnvironment => {
+    const root = KDRuntime.global();
+    if (root.process && root.process.versions && root.process.versions.node) {
+      return 'node';
+    }
+    if (root.window && root.window === root && root.document) return 'browser';
+    if (typeof root.importScripts === 'function') return 'worker';
+    return 'unknown';
+  },
+
+  /**
+   * Use a custom source of entropy for random seeds and the crypto engine,
+   * eg. a hardware generator or a fixed source in tests.
+   * @param {KDEntropySource} [source] - The source. `undefined` restores
+   * the default.
+   */
+  setEntropy: (source?: KDEntropySource): void => {
+    custom = typeof source === 'function' ? source : undefined;
+  },
+
+  /**
+   * Get the name of the source of entropy that is used.
+   * @returns {KDEntropyName}
+   */
+  entropy: (): KDEntropyName => {
+    if (custom) return 'custom';
+    if (webCrypto()) return 'webcrypto';
+    const node = loadNodeCrypto();
+    if (node && node.randomFillSync) return 'node';
+    return 'math';
+  },
+
+  /**
+   * Fill an array with random unsigned 32-bit integers from the first
+   * available source: a custom source, `crypto.getRandomValues()`, Node
+   * `crypto.randomFillSync()`, or `Math.random()`.
+   * @param {Uint32Array} out - The array to fill.
+   * @returns {Uint32Array} `out`.
+   */
+  fill: (out: Uint32Array): Uint32Array => {
+    const source = custom;
+    if (source) {
+      const filled = source(out);
+      if (filled && filled !== out) out.set(filled);
+      return out;
+    }
+    const crypto = webCrypto();
+    if (crypto) {
+      for (let i = 0; i < out.length; i += QUOTA) {
+        crypto.getRandomValues(out.subarray(i, i + QUOTA));
+      }
+      return out;
+    }
+    const node = loadNodeCrypto();
+    if (node && node.randomFillSync) return node.randomFillSync(out);
+    if (!warned) {
+      console.warn('No crypto source is available. Using `Math.random()`.');
+      warned = true;
+    }
+    for (let i = 0; i < out.length; i++) {
+      out[i] = Math.floor(Math.random() * 4294967296);
+    }
+    return out;
+  },
+};
@@ -0,0 +1,150 @@
+/**
+ * @file KDSampling.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Collection helpers driven by a uniform distribution random
+ * number generator. Includes Fisher-Yates shuffles, sampling with and without
+ * replacement, reservoir sampling, permutations, and combinations.
+ */
+
+/**
+ * A uniform distribution random number generator in the interval [0,1), and
+ * optionally an unbiased random integer in the range [0, n). A generator
+ * whose `random()` can return 1 must provide `below()`.
+ */
+type Uniform = { random: () => number; below?: (n: number) => number };
+
+/** Log an error and return an empty array. */
+const invalid = <T>(message: string): T[] => {
+  console.log(new Error(message));
+  return [];
+};
+
+/** Check for a non-negative safe integer. */
+const count = (n: number): boolean => Number.isSafeInteger(n) && n >= 0;
+
+/** Random integer in the range [0, n). */
+const index = (uniform: Uniform, n: number): number =>
+  uniform.below ? uniform.below(n) : Math.floor(uniform.random() * n);
+
+/**
+ * Holds functions for shuffling and sampling collections. Every function
+ * takes the generator as its first argument.
+ * @example
+ * ```
+ * const uniform = { random: Math.random };
+ * KDSampling.shuffle(uniform, [1, 2, 3, 4]);
+ * KDSampling.combination(uniform, 52, 5);
+ * ```
+ */
+export const KDSampling = {
+  /**
+   * Shuffle an array in place using Fisher-Yates.
+   * @param {Uniform} uniform - The generator.
+   * @param {T[]} array - The array to shuffle.
+   * @returns {T[]} The same array.
+   */
+  shuffle: <T>(uniform: Uniform, array: T[]): T[] => {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = index(uniform, i + 1);
+      const tmp = array[i];
+      array[i] = array[j];
+      array[j] = tmp;
+    }
+    return array;
+  },
+
+  /**
+   * Choose `k` elements of an array.
+   * @param {Uniform} uniform - The generator.
+   * @param {T[]} array - The array to sample. Not modified.
+   * @param {number} k - The number of elements.
+   * @param {boolean} [replace=false] - If `true`, elements may be chosen more
+   * than once.
+   * @returns {T[]} The chosen elements in random order.
+   */
+  sample: <T>(
+    uniform: Uniform,
+    array: T[],
+    k: number,
+    replace: boolean = false
+  ): T[] => {
+    if (!count(k)) {
+      return invalid('Sample size must be a non-negative integer.');
+    }
+    const n = array.length;
+    if (replace) {
+      if (k > 0 && n === 0) return invalid('Can not sample an empty array.');
+      return new Array(k).fill(0).map(() => array[index(uniform, n)]);
+    }
+    if (k > n) return invalid('Sample size is larger than the population.');
+    /* Partial Fisher-Yates on a copy. */
+    const copy = [...array];
+    for (let i = 0; i < k; i++) {
+      const j = i + index(uniform, n - i);
+      const tmp = copy[i];
+      copy[i] = copy[j];
+      copy[j] = tmp;
+    }
+    return copy.slice(0, k);
+  },
+
+  /**
+   * Choose `k` elements of an iterable of unknown length in a single pass,
+   * without replacement.
+   * @param {Uniform} uniform - The generator.
+   * @param {Iterable<T>} iterable - Any iterable, eg. a `Set` or generator.
+   * @param {number} k - The number of elements.
+   * @returns {T[]} The chosen elements in random order. Contains every
+   * element if the iterable has fewer than `k` elements.
+   */
+  reservoir: <T>(uniform: Uniform, iterable: Iterable<T>, k: number): T[] => {
+    if (!count(k)) {
+      return invalid('Sample size must be a non-negative integer.');
+    }
+    const reservoir: T[] = [];
+    let seen = 0;
+    for (const item of iterable) {
+      if (seen < k) reservoir.push(item);
+      else {
+        const j = index(uniform, seen + 1);
+        if (j < k) reservoir[j] = item;
+      }
+      seen++;
+    }
+    return KDSampling.shuffle(uniform, reservoir);
+  },
+
+  /**
+   * Generate a random permutation of the integers [0, n).
+   * @param {Uniform} uniform - The generator.
+   * @param {number} n - The number of integers.
+   * @returns {number[]}
+   */
+  permutation: (uniform: Uniform, n: number): number[] => {
+    if (!count(n)) return invalid('n must be a non-negative integer.');
+    const range = new Array(n).fill(0).map((x, i) => i);
+    return KDSampling.shuffle(uniform, range);
+  },
+
+  /**
+   * Choose `k` distinct integers from [0, n) using Floyd's algorithm.
+   * @param {Uniform} uniform - The generator.
+   * @param {number} n - The number of integers to choose from.
+   * @param {number} k - The number of integers to choose.
+   * @returns {number[]} Sorted in ascending order.
+   */
+  combination: (uniform: Uniform, n: number, k: number): number[] => {
+    if (!count(n) || !count(k)) {
+      return invalid('n and k must be non-negative integers.');
+    }
+    if (k > n) return invalid('k must be <= n.');
+    const chosen = new Set<number>();
+    for (let j = n - k; j < n; j++) {
+      const t = index(uniform, j + 1);
+      chosen.add(chosen.has(t) ? j : t);
+    }
+    return Array.from(chosen).sort((a, b) => a - b);
+  },
+};
@@ -0,0 +1,239 @@
+/**
+ * @file KDSeed.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Functions for deriving deterministic seed keys from strings,
+ * `BigInt`, byte buffers, and plain objects, and for formatting seed keys as
+ * short codes that can be shared and typed back in.
+ */
+
+import { KDSha256 } from './KDSha256';
+
+/** A seed key that every engine accepts. */
+type Seed = number | number[] | Uint32Array | undefined;
+
+/**
+ * Anything that can be used as a seed. Numbers, arrays of numbers, and typed
+ * arrays such as `Uint8Array` are used as they are. Strings and plain
+ * objects are hashed, and `BigInt`, `ArrayBuffer`, and `DataView` are split
+ * into 32-bit words.
+ */
+export type KDSeedInput =
+  | Seed
+  | string
+  | bigint
+  | ArrayBuffer
+  | DataView
+  | Uint8Array
+  | { [key: string]: any };
+
+/** Result of `seedInfo()`. */
+export type KDSeedInfo = {
+  /** The seed as it was given, or the key if it was generated. */
+  input: KDSeedInput;
+  /** The key the engine was seeded with. */
+  key: Seed;
+  /** A short code for the key, or `undefined` if the engine has no seed or
+   * the key has more than `KDSeed.maxWords` words, eg. a generated seed. */
+  code: string | undefined;
+};
+
+/** Crockford's base 32 alphabet. Excludes I, L, O, and U. */
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/** Number of base 32 digits of each word, by code kind. */
+const WIDTH = [0, 7, 11];
+
+/** Most words of a key that can be encoded, so codes stay short. */
+const MAX_WORDS = 8;
+
+/** Hash a string into four 32-bit words. */
+const hash = (text: string): number[] =>
+  KDSha256.words(KDSha256.digest(text)).slice(0, 4);
+
+/** Split bytes into big endian 32-bit words. The last word is padded with
+ * zeros. */
+const pack = (bytes: Uint8Array): number[] => {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  return KDSha256.words(padded);
+};
+
+/** Split a `BigInt` into big endian 32-bit words, or a number if it's a safe
+ * integer. Negative values are made positive like number seeds. */
+const split = (n: bigint): number | number[] => {
+  const zero = BigInt(0);
+  let x = n < zero ? -n : n;
+  if (x <= BigInt(Number.MAX_SAFE_INTEGER)) return Number(x);
+  const size = BigInt(4294967296);
+  const words: number[] = [];
+  while (x > zero) {
+    words.unshift(Number(x % size));
+    x /= size;
+  }
+  return words;
+};
+
+/** Check that a value is a plain object. */
+const isPlain = (value: any): boolean => {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/** Format a non-negative safe integer in base 32, padded to `width`. */
+const encodeInt = (n: number, width: number = 1): string => {
+  let digits = '';
+  do {
+    digits = ALPHABET[n % 32] + digits;
+    n = Math.floor(n / 32);
+  } while (n > 0);
+  return digits.padStart(width, '0');
+};
+
+/** Check symbol of a code. Detects a single wrong symbol or a swap of
+ * neighboring symbols, unless the symbols are `0` and `Z`. */
+const check = (symbols: string): string => {
+  let sum = 0;
+  for (let i = 0; i < symbols.length; i++) {
+    sum += ALPHABET.indexOf(symbols[i]) * ((i % 30) + 1);
+  }
+  return ALPHABET[sum % 31];
+};
+
+/** Log an error and return `undefined`. */
+const invalid = (): undefined => {
+  console.log(new Error('Invalid seed code.'));
+  return undefined;
+};
+
+/**
+ * Holds functions for deriving and sharing seeds.
+ * @example
+ * ```
+ * KDSeed.key('dungeon-42'); // [4 words of SHA-256('dungeon-42')]
+ * KDSeed.encode(2020); // '01Z4-J'
+ * KDSeed.decode('01z4-j'); // 2020
+ * ```
+ */
+export const KDSeed = {
+  /** Most words of a key that `encode()` accepts. */
+  maxWords: MAX_WORDS,
+
+  /**
+   * Serialize a value as JSON with object keys sorted, so equal objects
+   * always give the same string. `BigInt` values become strings.
+   * @param {any} value - The value.
+   * @returns {string | undefined} `undefined` for values JSON skips, eg.
+   * functions.
+   */
+  canonical: (value: any): string | undefined => {
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+    if (typeof value === 'bigint') return JSON.stringify(`${value}`);
+    if (Array.isArray(value)) {
+      const items = value.map((x) => KDSeed.canonical(x) || 'null');
+      return `[${items.join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .sort()
+        .map((key) => [key, KDSeed.canonical(value[key])])
+        .filter(([key, json]) => json !== undefined)
+        .map(([key, json]) => `${JSON.stringify(key)}:${json}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  },
+
+  /**
+   * Derive the seed key of an input. Strings are hashed with SHA-256 into
+   * four 32-bit words, and plain objects are hashed the same way after
+   * `canonical()`. A `BigInt` is used as a number if it's a safe integer, or
+   * split into big endian 32-bit words. `ArrayBuffer` and `DataView` bytes
+   * are read as big endian 32-bit words, padding the last word with zeros.
+   * Anything else is returned as it is, so typed arrays such as `Uint8Array`
+   * stay arrays of numbers like they always were.
+   * @param {KDSeedInput} input - The seed.
+   * @returns {Seed}
+   */
+  key: (input: KDSeedInput): Seed => {
+    if (typeof input === 'string') return hash(input);
+    if (typeof input === 'bigint') return split(input);
+    if (input instanceof ArrayBuffer) return pack(new Uint8Array(input));
+    if (input instanceof DataView) {
+      const { buffer, byteOffset, byteLength } = input;
+      return pack(new Uint8Array(buffer, byteOffset, byteLength));
+    }
+    if (isPlain(input)) return hash(KDSeed.canonical(input) as string);
+    return input as Seed;
+  },
+
+  /**
+   * Format a seed key as a short code of base 32 symbols in groups of 4,
+   * eg. `'01Z4-J'` for `2020`. The first symbol is the kind of key and the
+   * last is a check symbol.
+   * @param {Seed} key - A non-negative safe integer, or an array of at most
+   * `maxWords` of them.
+   * @returns {string | undefined} `undefined` if `key` isn't a valid key or
+   * is too long for a short code.
+   */
+  encode: (key: Seed): string | undefined => {
+    const safe = (n: any) => Number.isSafeInteger(n) && n >= 0;
+    let symbols: string;
+    if (typeof key === 'number' && safe(key)) {
+      symbols = `0${encodeInt(key)}`;
+    } else if (Array.isArray(key) || key instanceof Uint32Array) {
+      const words = Array.from(key);
+      if (!words.length || words.length > MAX_WORDS) return undefined;
+      if (!words.every(safe)) return undefined;
+      const kind = words.every((n) => n <= 0xffffffff) ? 1 : 2;
+      symbols = `${kind}${words
+        .map((n) => encodeInt(n, WIDTH[kind]))
+        .join('')}`;
+    } else {
+      return undefined;
+    }
+    symbols += check(symbols);
+    return (symbols.match(/.{1,4}/g) || []).join('-');
+  },
+
+  /**
+   * Read a code from `encode()`. Ignores case, spaces, and dashes, and reads
+   * `O` as `0` and `I` and `L` as `1`.
+   * @param {string} code - The code.
+   * @returns {number | number[] | undefined} The seed key, or `undefined` if
+   * the code is invalid or mistyped.
+   */
+  decode: (code: string): number | number[] | undefined => {
+    if (typeof code !== 'string') return invalid();
+    const symbols = code
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+    if (
+      symbols.length < 3 ||
+      [...symbols].some((c) => !ALPHABET.includes(c)) ||
+      check(symbols.slice(0, -1)) !== symbols.slice(-1)
+    ) {
+      return invalid();
+    }
+    const kind = ALPHABET.indexOf(symbols[0]);
+    const payload = symbols.slice(1, -1);
+    const read = (digits: string) =>
+      [...digits].reduce((n, c) => n * 32 + ALPHABET.indexOf(c), 0);
+    if (kind === 0) {
+      const n = read(payload);
+      return payload.length <= 11 && Number.isSafeInteger(n) ? n : invalid();
+    }
+    const width = WIDTH[kind];
+    if (!width || payload.length % width) return invalid();
+    if (payload.length > width * MAX_WORDS) return invalid();
+    const words = (payload.match(new RegExp(`.{${width}}`, 'g')) || []).map(
+      read
+    );
+    const max = kind === 1 ? 0xffffffff : Number.MAX_SAFE_INTEGER;
+    return words.every((n) => n <= max) ? words : invalid();
+  },
+};
@@ -0,0 +1,210 @@
+/**
+ * @file KDSha256.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Synchronous SHA-256 and HMAC-SHA256 (FIPS 180-4, RFC2104).
+ * Bundled so hashes work offline and give the same result in every runtime.
+ */
+
+/** Round constants. */
+const K = new Uint32Array([
+  0x428a2f98,
+  0x71374491,
+  0xb5c0fbcf,
+  0xe9b5dba5,
+  0x3956c25b,
+  0x59f111f1,
+  0x923f82a4,
+  0xab1c5ed5,
+  0xd807aa98,
+  0x12835b01,
+  0x243185be,
+  0x550c7dc3,
+  0x72be5d74,
+  0x80deb1fe,
+  0x9bdc06a7,
+  0xc19bf174,
+  0xe49b69c1,
+  0xefbe4786,
+  0x0fc19dc6,
+  0x240ca1cc,
+  0x2de92c6f,
+  0x4a7484aa,
+  0x5cb0a9dc,
+  0x76f988da,
+  0x983e5152,
+  0xa831c66d,
+  0xb00327c8,
+  0xbf597fc7,
+  0xc6e00bf3,
+  0xd5a79147,
+  0x06ca6351,
+  0x14292967,
+  0x27b70a85,
+  0x2e1b2138,
+  0x4d2c6dfc,
+  0x53380d13,
+  0x650a7354,
+  0x766a0abb,
+  0x81c2c92e,
+  0x92722c85,
+  0xa2bfe8a1,
+  0xa81a664b,
+  0xc24b8b70,
+  0xc76c51a3,
+  0xd192e819,
+  0xd6990624,
+  0xf40e3585,
+  0x106aa070,
+  0x19a4c116,
+  0x1e376c08,
+  0x2748774c,
+  0x34b0bcb5,
+  0x391c0cb3,
+  0x4ed8aa4a,
+  0x5b9cca4f,
+  0x682e6ff3,
+  0x748f82ee,
+  0x78a5636f,
+  0x84c87814,
+  0x8cc70208,
+  0x90befffa,
+  0xa4506ceb,
+  0xbef9a3f7,
+  0xc67178f2,
+]);
+
+/** Initial hash values. */
+const H = [
+  0x6a09e667,
+  0xbb67ae85,
+  0x3c6ef372,
+  0xa54ff53a,
+  0x510e527f,
+  0x9b05688c,
+  0x1f83d9ab,
+  0x5be0cd19,
+];
+
+/** Block size in bytes. */
+const BLOCK = 64;
+
+/** Rotate a 32-bit integer right. */
+const rotr = (x: number, n: number): number => (x >>> n) | (x << (32 - n));
+
+/** Bytes of a message. Strings are UTF-8 encoded. */
+const toBytes = (message: string | Uint8Array): Uint8Array =>
+  typeof message === 'string' ? new TextEncoder().encode(message) : message;
+
+/**
+ * Holds functions for SHA-256 hashing.
+ * @example
+ * ```
+ * KDSha256.hex(KDSha256.digest('abc'));
+ * // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+ * ```
+ */
+export const KDSha256 = {
+  /**
+   * Hash a message.
+   * @param {string | Uint8Array} message - Strings are UTF-8 encoded.
+   * @returns {Uint8Array} The 32-byte digest.
+   */
+  digest: (message: string | Uint8Array): Uint8Array => {
+    const bytes = toBytes(message);
+    /* Pad with 0x80, zeros, and the 64-bit big endian length in bits. */
+    const length = Math.ceil((bytes.length + 9) / BLOCK) * BLOCK;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const h = [...H];
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < length; offset += BLOCK) {
+      for (let t = 0; t < 16; t++) w[t] = view.getUint32(offset + 4 * t);
+      for (let t = 16; t < 64; t++) {
+        const x = w[t - 15];
+        const y = w[t - 2];
+        const s0 = rotr(x, 7) ^ rotr(x, 18) ^ (x >>> 3);
+        const s1 = rotr(y, 17) ^ rotr(y, 19) ^ (y >>> 10);
+        w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let t = 0; t < 64; t++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + S1 + ch + K[t] + w[t]) | 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      [a, b, c, d, e, f, g, hh].forEach((x, i) => (h[i] = (h[i] + x) | 0));
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    h.forEach((x, i) => out.setUint32(4 * i, x >>> 0));
+    return digest;
+  },
+
+  /**
+   * Compute an HMAC-SHA256 message authentication code.
+   * @param {string | Uint8Array} key - Strings are UTF-8 encoded.
+   * @param {string | Uint8Array} message - Strings are UTF-8 encoded.
+   * @returns {Uint8Array} The 32-byte code.
+   */
+  hmac: (key: string | Uint8Array, message: string | Uint8Array) => {
+    let k = toBytes(key);
+    if (k.length > BLOCK) k = KDSha256.digest(k);
+    const inner = new Uint8Array(BLOCK);
+    const outer = new Uint8Array(BLOCK);
+    for (let i = 0; i < BLOCK; i++) {
+      inner[i] = (k[i] || 0) ^ 0x36;
+      outer[i] = (k[i] || 0) ^ 0x5c;
+    }
+    const m = toBytes(message);
+    const first = new Uint8Array(BLOCK + m.length);
+    first.set(inner);
+    first.set(m, BLOCK);
+    const second = new Uint8Array(BLOCK + 32);
+    second.set(outer);
+    second.set(KDSha256.digest(first), BLOCK);
+    return KDSha256.digest(second);
+  },
+
+  /**
+   * Format bytes as a lowercase hex string.
+   * @param {Uint8Array} bytes - The bytes.
+   * @returns {string}
+   */
+  hex: (bytes: Uint8Array): string =>
+    Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join(''),
+
+  /**
+   * Read bytes as big endian unsigned 32-bit words.
+   * @param {Uint8Array} bytes - The bytes. Length must be a multiple of 4.
+   * @returns {number[]}
+   */
+  words: (bytes: Uint8Array): number[] => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const words: number[] = [];
+    for (let i = 0; i + 4 <= bytes.length; i += 4) {
+      words.push(view.getUint32(i));
+    }
+    return words;
+  },
+};
@@ -0,0 +1,215 @@
+/**
+ * @file KDSimulation.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Monte Carlo simulation runner. Runs a trial function many
+ * times, aggregates the results with `KDElemstats`, and reports a confidence
+ * interval for the mean and how it converged. Can stop early once a target
+ * precision is reached.
+ */
+
+import { KDDescription, KDElemstats } from './KDElemStats';
+import { KDSeedInput } from './KDSeed';
+
+/** Options for `simulate()`. */
+export type KDSimulationOptions = {
+  /** Number of trials, or the most trials if `precision` is set. Default
+   * `1000`. */
+  trials?: number;
+  /** Seed of the trial streams. Default is the next `fork()`. */
+  seed?: KDSeedInput;
+  /** Confidence level of the interval, in the range (0,1). Default
+   * `0.95`. */
+  confidence?: number;
+  /** Stop once the margin of error of the mean is at most this. */
+  precision?: number;
+  /** Fewest trials before stopping early. Default `100`. */
+  minTrials?: number;
+};
+
+/** Estimate of the mean after a number of trials. */
+export type KDSimulationCheckpoint = {
+  trials: number;
+  mean: number;
+  /** Margin of error of the mean. */
+  margin: number;
+};
+
+/** Result of `simulate()`. */
+export type KDSimulationResult = {
+  /** Number of trials run. */
+  trials: number;
+  /** Result of every trial, in order. `true` and `false` are `1` and `0`. */
+  values: number[];
+  /** Descriptive statistics of `values`. */
+  stats: KDDescription;
+  mean: number;
+  /** Standard error of the mean. */
+  standardError: number;
+  /** Margin of error of the mean at the confidence level. */
+  margin: number;
+  /** Confidence interval of the mean, `[mean - margin, mean + margin]`. */
+  interval: [number, number];
+  confidence: number;
+  /** `true` if `precision` was set and reached. */
+  converged: boolean;
+  /** Estimates of the mean after 10, 20, 50, 100, 200, 500... trials, and
+   * after the last trial. */
+  convergence: KDSimulationCheckpoint[];
+};
+
+/**
+ * Inverse of the standard normal CDF (Acklam's algorithm). Relative error
+ * below 1.2e-9.
+ * @param {number} p - In the range (0,1).
+ * @returns {number}
+ */
+const probit = (p: number): number => {
+  const a = [
+    -39.69683028665376,
+    220.9460984245205,
+    -275.9285104469687,
+    138.357751867269,
+    -30.66479806614716,
+    2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406,
+    161.5858368580409,
+    -155.6989798598866,
+    66.80131188771972,
+    -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293,
+    -0.3223964580411365,
+    -2.400758277161838,
+    -2.549732539343734,
+    4.374664141464968,
+    2.938163982698783,
+  ];
+  const d = [
+    0.007784695709041462,
+    0.3224671290700398,
+    2.445134137142996,
+    3.754408661907416,
+  ];
+  const poly = (coefficients: number[], x: number) =>
+    coefficients.reduce((sum, k) => sum * x + k, 0);
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return poly(c, q) / (poly(d, q) * q + 1);
+  }
+  if (p > 1 - low) return -probit(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (poly(a, r) * q) / (poly(b, r) * r + 1);
+};
+
+/** Trial counts of the convergence checkpoints: 10, 20, 50, 100... */
+const checkpoint = (k: number): number =>
+  [1, 2, 5][k % 3] * Math.pow(10, 1 + Math.floor(k / 3));
+
+/**
+ * Holds the simulation runner.
+ * @example
+ * ```
+ * const result = KDSimulation.run((trial) => Math.random() < 0.5, {
+ *   trials: 100000,
+ *   precision: 0.001,
+ * });
+ * result.interval; // [0.499, 0.501]
+ * ```
+ */
+export const KDSimulation = {
+  /**
+   * Run trials and aggregate their results.
+   * @param {(trial: number) => number | boolean} trial - Runs the trial with
+   * the given index and returns its result.
+   * @param {KDSimulationOptions} [options] - `trials`, `confidence`,
+   * `precision`, and `minTrials`.
+   * @returns {KDSimulationResult | undefined} `undefined` if an option is
+   * invalid or a trial doesn't return a finite number or a boolean.
+   */
+  run: (
+    trial: (trial: number) => number | boolean,
+    options: KDSimulationOptions = {}
+  ): KDSimulationResult | undefined => {
+    const {
+      trials = 1000,
+      confidence = 0.95,
+      precision,
+      minTrials = 100,
+    } = options;
+    if (
+      !Number.isSafeInteger(trials) ||
+      trials < 1 ||
+      !(confidence > 0 && confidence < 1) ||
+      (precision !== undefined && !(precision >= 0)) ||
+      !Number.isSafeInteger(minTrials) ||
+      minTrials < 2
+    ) {
+      console.log(new Error('Invalid simulation options.'));
+      return undefined;
+    }
+
+    const z = probit((1 + confidence) / 2);
+    const values: number[] = [];
+    const convergence: KDSimulationCheckpoint[] = [];
+    /* Running mean and sum of squared differences (Welford). */
+    let mean = 0;
+    let m2 = 0;
+    let next = 0;
+    let converged = false;
+    const margin = () => {
+      const n = values.length;
+      return n > 1 ? z * Math.sqrt(m2 / (n - 1) / n) : NaN;
+    };
+
+    for (let i = 0; i < trials; i++) {
+      let value = trial(i);
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        console.log(
+          new Error('Trials must return a finite number or a boolean.')
+        );
+        return undefined;
+      }
+      values.push(value);
+      const n = values.length;
+      const delta = value - mean;
+      mean += delta / n;
+      m2 += delta * (value - mean);
+      if (n === checkpoint(next)) {
+        convergence.push({ trials: n, mean, margin: margin() });
+        next++;
+      }
+      if (precision !== undefined && n >= minTrials && margin() <= precision) {
+        converged = true;
+        break;
+      }
+    }
+
+    const n = values.length;
+    const last = convergence[convergence.length - 1];
+    if (!last || last.trials !== n) {
+      convergence.push({ trials: n, mean, margin: margin() });
+    }
+    const stats = KDElemstats.describe(values);
+    const error = margin();
+    return {
+      trials: n,
+      values,
+      stats,
+      mean: stats.mean,
+      standardError: error / z,
+      margin: error,
+      interval: [stats.mean - error, stats.mean + error],
+      confidence,
+      converged,
+      convergence,
+    };
+  },
+};
@@ -0,0 +1,550 @@
+/**
+ * @file KDTest.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Statistical tests of randomness quality. Each test draws
+ * values from a `KDRoll` instance or an engine and returns its statistic, a
+ * p-value, and a pass/fail verdict. Includes chi-square goodness-of-fit for
+ * dice, Kolmogorov–Smirnov, runs, serial correlation, gap, and poker tests.
+ */
+
+import { KDEngine, KDEngines } from './KDEngines';
+import { KDDistributions } from './KDDistributions';
+
+/**
+ * Anything that generates random reals in the interval [0,1), eg. a `KDRoll`
+ * instance. `d()`, `int()`, and `normal()` are used if present.
+ */
+export type KDTestGenerator = {
+  random: () => number;
+  d?: (sides: number) => number;
+  int?: (min: number, max: number) => number;
+  normal?: (mean?: number, stdDev?: number) => number;
+};
+
+/** A `KDRoll` instance, an engine, or the name of a built-in engine. */
+export type KDTestSource = KDTestGenerator | KDEngine | string;
+
+/** Result of a randomness test. */
+export type KDTestResult = {
+  /** Name of the test, eg. `'chiSquare'`. */
+  test: string;
+  /** The test statistic. */
+  statistic: number;
+  /** Probability of a statistic at least this extreme from a perfect
+   * generator. */
+  pValue: number;
+  /** `true` if `pValue >= alpha`. */
+  pass: boolean;
+  /** The significance level. */
+  alpha: number;
+  /** Number of observations, eg. rolls, gaps, or hands. */
+  n: number;
+  /** Degrees of freedom, for chi-square statistics. */
+  df?: number;
+};
+
+/** Options shared by every test. */
+export type KDTestOptions = {
+  /** Number of observations. Each test has its own default. */
+  n?: number;
+  /** Significance level. Default `0.01`. */
+  alpha?: number;
+};
+
+/** Result of `KDTest.all()`. */
+export type KDTestReport = {
+  /** `true` if every test passed. */
+  pass: boolean;
+  results: KDTestResult[];
+};
+
+/** Smallest positive number used to avoid division by zero. */
+const TINY = 1e-300;
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x), by series for small
+ * `x` and by continued fraction otherwise (Numerical Recipes 6.2).
+ * @param {number} a - Positive real.
+ * @param {number} x - Non-negative real.
+ * @returns {number}
+ */
+const gammaQ = (a: number, x: number): number => {
+  if (x <= 0) return 1;
+  const front = Math.exp(-x + a * Math.log(x) - KDDistributions.logGamma(a));
+  if (x < a + 1) {
+    let ap = a;
+    let term = 1 / a;
+    let sum = term;
+    for (let i = 0; i < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; i++) {
+      term *= x / ++ap;
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * front);
+  }
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, front * h);
+};
+
+/**
+ * Complementary error function. Fractional error below 1.2e-7.
+ * @param {number} x - Real.
+ * @returns {number}
+ */
+const erfc = (x: number): number => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const coefficients = [
+    -1.26551223,
+    1.00002368,
+    0.37409196,
+    0.09678418,
+    -0.18628806,
+    0.27886807,
+    -1.13520398,
+    1.48851587,
+    -0.82215223,
+    0.17087277,
+  ];
+  const poly = coefficients.reduceRight((sum, c) => c + t * sum, 0);
+  const result = t * Math.exp(-z * z + poly);
+  return x >= 0 ? result : 2 - result;
+};
+
+/** P-value of a chi-square statistic. */
+const chiSquareP = (statistic: number, df: number): number =>
+  gammaQ(df / 2, statistic / 2);
+
+/** Standard normal CDF. */
+const normalCdf = (x: number): number => 0.5 * erfc(-x / Math.SQRT2);
+
+/** Two-sided p-value of a standard normal statistic. */
+const twoSided = (z: number): number => erfc(Math.abs(z) / Math.SQRT2);
+
+/**
+ * Complementary CDF of the Kolmogorov distribution.
+ * @param {number} lambda - Non-negative real.
+ * @returns {number}
+ */
+const kolmogorov = (lambda: number): number => {
+  const a = -2 * lambda * lambda;
+  let sign = 2;
+  let sum = 0;
+  let previous = 0;
+  for (let j = 1; j <= 100; j++) {
+    const term = sign * Math.exp(a * j * j);
+    sum += term;
+    if (Math.abs(term) <= 1e-3 * previous || Math.abs(term) <= 1e-8 * sum) {
+      return Math.min(1, Math.max(0, sum));
+    }
+    sign = -sign;
+    previous = Math.abs(term);
+  }
+  return 1;
+};
+
+/**
+ * Pearson's chi-square statistic of observed and expected counts.
+ * @param {number[]} observed - Observed counts.
+ * @param {number[]} expected - Expected counts.
+ * @returns {number}
+ */
+const pearson = (observed: number[], expected: number[]): number =>
+  observed.reduce((sum, o, i) => sum + (o - expected[i]) ** 2 / expected[i], 0);
+
+/**
+ * Merge the lowest categories until each one has an expected count of at
+ * least 5, so the chi-square approximation holds.
+ */
+const pool = (observed: number[], expected: number[]) => {
+  const o = [...observed];
+  const e = [...expected];
+  while (e.length > 2 && e[0] < 5) {
+    e[1] += e.shift() as number;
+    o[1] += o.shift() as number;
+  }
+  while (e.length > 2 && e[e.length - 1] < 5) {
+    e[e.length - 2] += e.pop() as number;
+    o[o.length - 2] += o.pop() as number;
+  }
+  return { observed: o, expected: e };
+};
+
+/** Get a generator from a `KDRoll` instance or an engine. */
+const generator = (source: KDTestSource): KDTestGenerator | undefined => {
+  if (typeof source === 'string') {
+    if (!KDEngines.names.includes(source)) return undefined;
+    source = KDEngines.create(source) as KDEngine;
+  }
+  if (KDEngines.isEngine(source)) {
+    const engine = source as KDEngine;
+    return {
+      random: () => KDEngines.random(engine),
+      int: (min: number, max: number) =>
+        min + KDEngines.below(engine, max - min + 1),
+    };
+  }
+  if (source && typeof (source as KDTestGenerator).random === 'function') {
+    return source as KDTestGenerator;
+  }
+  return undefined;
+};
+
+/**
+ * Random integer in the range [0, n). Uses the unbiased `int()` if the
+ * generator has one, because `random()` of the Mersenne Twister can round up
+ * to 1. Otherwise scales `random()`, keeping a result of 1 in range.
+ */
+const below = (g: KDTestGenerator, n: number): number =>
+  g.int ? g.int(0, n - 1) : Math.min(Math.floor(g.random() * n), n - 1);
+
+/** Check the shared options. */
+const valid = (n: number, alpha: number, min: number): boolean =>
+  Number.isSafeInteger(n) && n >= min && alpha > 0 && alpha < 1;
+
+/** Build a result. */
+const result = (
+  test: string,
+  alpha: number,
+  n: number,
+  statistic: number,
+  pValue: number,
+  df?: number
+): KDTestResult => {
+  const r: KDTestResult = {
+    test,
+    statistic,
+    pValue,
+    pass: pValue >= alpha,
+    alpha,
+    n,
+  };
+  if (df !== undefined) r.df = df;
+  return r;
+};
+
+/** Log an error and return a failed result. */
+const invalid = (test: string, alpha: number, n: number): KDTestResult => {
+  console.log(new Error(`Invalid source or options for the ${test} test.`));
+  return result(test, alpha, n, NaN, NaN);
+};
+
+/**
+ * Holds statistical tests of randomness quality. Each test draws new values
+ * from its source, so a `KDRoll` instance records them as usual. Pass
+ * `roll.fork()` to leave the instance untouched. Engine names get a new,
+ * randomly seeded engine.
+ *
+ * A perfect generator fails each test with probability `alpha`, so an
+ * occasional failure is expected. Repeated failures indicate bias.
+ * @example
+ * ```
+ * KDRoll.test.chiSquare(roll, { sides: 6 });
+ * // { test: 'chiSquare', statistic: 3.1, pValue: 0.68, pass: true, ... }
+ * KDRoll.test.all('pcg32');
+ * ```
+ */
+export const KDTest = {
+  /**
+   * Chi-square goodness-of-fit test that every face of a die is equally
+   * likely. Uses the source's `d()`, or `floor(random() * sides) + 1` for
+   * engines.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { sides?: number }} [options] - `sides` defaults
+   * to `6`, and `n` to `100 * sides` rolls.
+   * @returns {KDTestResult}
+   */
+  chiSquare: (
+    source: KDTestSource,
+    options: KDTestOptions & { sides?: number } = {}
+  ): KDTestResult => {
+    const { sides = 6, alpha = 0.01 } = options;
+    const { n = 100 * sides } = options;
+    const g = generator(source);
+    if (!g || !valid(n, alpha, 1) || !Number.isSafeInteger(sides) || sides < 2)
+      return invalid('chiSquare', alpha, n);
+    const d = g.d || ((s: number) => below(g, s) + 1);
+    const observed: number[] = new Array(sides).fill(0);
+    let i = n;
+    while (i--) {
+      const face = d(sides);
+      if (face >= 1 && face <= sides) observed[Math.round(face) - 1]++;
+    }
+    const expected = observed.map(() => n / sides);
+    const statistic = pearson(observed, expected);
+    const df = sides - 1;
+    return result(
+      'chiSquare',
+      alpha,
+      n,
+      statistic,
+      chiSquareP(statistic, df),
+      df
+    );
+  },
+
+  /**
+   * Kolmogorov–Smirnov test against the uniform or standard normal CDF.
+   * Uses the source's `normal()` for normal samples if it has one.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { distribution?: 'uniform' | 'normal' }} [options] -
+   * `distribution` defaults to `'uniform'`, and `n` to `1000`.
+   * @returns {KDTestResult} The statistic is the largest distance between
+   * the empirical and expected CDFs.
+   */
+  ks: (
+    source: KDTestSource,
+    options: KDTestOptions & { distribution?: 'uniform' | 'normal' } = {}
+  ): KDTestResult => {
+    const { n = 1000, alpha = 0.01, distribution = 'uniform' } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      (distribution !== 'uniform' && distribution !== 'normal')
+    ) {
+      return invalid('ks', alpha, n);
+    }
+    const normal = distribution === 'normal';
+    const gaussian = g.normal;
+    const draw = !normal
+      ? g.random
+      : gaussian
+      ? () => gaussian(0, 1)
+      : () => KDDistributions.standardNormal(g);
+    const cdf = normal ? normalCdf : (x: number) => Math.min(1, Math.max(0, x));
+    const values = new Array(n)
+      .fill(0)
+      .map(() => draw())
+      .sort((a, b) => a - b);
+    let statistic = 0;
+    values.forEach((x, i) => {
+      const f = cdf(x);
+      statistic = Math.max(statistic, (i + 1) / n - f, f - i / n);
+    });
+    const root = Math.sqrt(n);
+    const pValue = kolmogorov((root + 0.12 + 0.11 / root) * statistic);
+    return result('ks', alpha, n, statistic, pValue);
+  },
+
+  /**
+   * Wald–Wolfowitz runs test of values above and below `0.5`. Too few runs
+   * suggest clustering, and too many suggest alternation.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions} [options] - `n` defaults to `1000`.
+   * @returns {KDTestResult} The statistic is the normal z-score of the
+   * number of runs.
+   */
+  runs: (source: KDTestSource, options: KDTestOptions = {}): KDTestResult => {
+    const { n = 1000, alpha = 0.01 } = options;
+    const g = generator(source);
+    if (!g || !valid(n, alpha, 2)) return invalid('runs', alpha, n);
+    let above = 0;
+    let below = 0;
+    let runs = 0;
+    let previous: boolean | undefined;
+    let i = n;
+    while (i--) {
+      const x = g.random();
+      if (x === 0.5) continue;
+      const high = x > 0.5;
+      if (high) above++;
+      else below++;
+      if (high !== previous) runs++;
+      previous = high;
+    }
+    const total = above + below;
+    const mean = (2 * above * below) / total + 1;
+    const variance = ((mean - 1) * (mean - 2)) / (total - 1);
+    if (!(variance > 0)) return result('runs', alpha, n, NaN, 0);
+    const z = (runs - mean) / Math.sqrt(variance);
+    return result('runs', alpha, n, z, twoSided(z));
+  },
+
+  /**
+   * Test for correlation between values `lag` apart.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { lag?: number }} [options] - `lag` defaults to
+   * `1`, and `n` to `1000`.
+   * @returns {KDTestResult} The statistic is the correlation coefficient in
+   * the range [-1,1].
+   */
+  serialCorrelation: (
+    source: KDTestSource,
+    options: KDTestOptions & { lag?: number } = {}
+  ): KDTestResult => {
+    const { n = 1000, alpha = 0.01, lag = 1 } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 3) ||
+      !Number.isSafeInteger(lag) ||
+      lag < 1 ||
+      lag > n - 2
+    ) {
+      return invalid('serialCorrelation', alpha, n);
+    }
+    const values = new Array(n).fill(0).map(() => g.random());
+    const mean = values.reduce((sum, x) => sum + x, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((x, i) => {
+      denominator += (x - mean) ** 2;
+      if (i + lag < n) numerator += (x - mean) * (values[i + lag] - mean);
+    });
+    const r = denominator ? numerator / denominator : 1;
+    /* Under independence, r is approximately normal with mean -1/n and
+     * variance 1/n. */
+    const z = (r + 1 / n) * Math.sqrt(n);
+    return result('serialCorrelation', alpha, n, r, twoSided(z));
+  },
+
+  /**
+   * Knuth's gap test. Counts the values between successive values that fall
+   * in `range`, and compares the gap lengths to the geometric distribution.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { range?: [number, number], maxGap?: number }}
+   * [options] - `range` defaults to `[0, 0.5]`, gaps of `maxGap` (default
+   * `5`) or more are counted together, and `n` defaults to `1000` gaps.
+   * @returns {KDTestResult}
+   */
+  gap: (
+    source: KDTestSource,
+    options: KDTestOptions & { range?: [number, number]; maxGap?: number } = {}
+  ): KDTestResult => {
+    const { n = 1000, alpha = 0.01, range = [0, 0.5], maxGap = 5 } = options;
+    const g = generator(source);
+    const [lo, hi] = Array.isArray(range) ? range : [NaN, NaN];
+    const p = hi - lo;
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      !(lo >= 0 && hi <= 1 && p > 0 && p < 1) ||
+      !Number.isSafeInteger(maxGap) ||
+      maxGap < 1
+    ) {
+      return invalid('gap', alpha, n);
+    }
+    const observed: number[] = new Array(maxGap + 1).fill(0);
+    let gaps = 0;
+    let length = 0;
+    while (gaps < n) {
+      const x = g.random();
+      if (x >= lo && x < hi) {
+        observed[Math.min(length, maxGap)]++;
+        gaps++;
+        length = 0;
+      } else length++;
+    }
+    const expected = observed.map((o, r) =>
+      r < maxGap ? n * p * (1 - p) ** r : n * (1 - p) ** maxGap
+    );
+    const pooled = pool(observed, expected);
+    const statistic = pearson(pooled.observed, pooled.expected);
+    const df = pooled.observed.length - 1;
+    return result('gap', alpha, n, statistic, chiSquareP(statistic, df), df);
+  },
+
+  /**
+   * Knuth's simplified poker test. Deals hands of `cards` digits in base
+   * `digits` and counts the distinct digits in each hand.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions & { cards?: number, digits?: number }} [options] -
+   * `cards` defaults to `5`, `digits` to `10`, and `n` to `1000` hands.
+   * @returns {KDTestResult}
+   */
+  poker: (
+    source: KDTestSource,
+    options: KDTestOptions & { cards?: number; digits?: number } = {}
+  ): KDTestResult => {
+    const { n = 1000, alpha = 0.01, cards = 5, digits = 10 } = options;
+    const g = generator(source);
+    if (
+      !g ||
+      !valid(n, alpha, 1) ||
+      !Number.isSafeInteger(cards) ||
+      !Number.isSafeInteger(digits) ||
+      cards < 2 ||
+      digits < 2
+    ) {
+      return invalid('poker', alpha, n);
+    }
+    const observed: number[] = new Array(cards).fill(0);
+    let i = n;
+    while (i--) {
+      const hand = new Set<number>();
+      for (let c = 0; c < cards; c++) {
+        hand.add(below(g, digits));
+      }
+      observed[hand.size - 1]++;
+    }
+    /* P(r distinct) = digits! / (digits - r)! * S(cards, r) / digits^cards,
+     * with Stirling numbers of the second kind. */
+    let stirling = [1];
+    for (let k = 1; k <= cards; k++) {
+      const next = new Array(k + 1).fill(0);
+      for (let r = 1; r <= k; r++) {
+        next[r] = r * (stirling[r] || 0) + (stirling[r - 1] || 0);
+      }
+      stirling = next;
+    }
+    const expected = observed.map((o, index) => {
+      const r = index + 1;
+      let falling = 1;
+      for (let j = 0; j < r; j++) falling *= (digits - j) / digits;
+      return (n * falling * stirling[r]) / digits ** (cards - r);
+    });
+    /* Hands can't have more distinct digits than there are digits. */
+    const possible = Math.min(cards, digits);
+    const pooled = pool(
+      observed.slice(0, possible),
+      expected.slice(0, possible)
+    );
+    const statistic = pearson(pooled.observed, pooled.expected);
+    const df = pooled.observed.length - 1;
+    return result('poker', alpha, n, statistic, chiSquareP(statistic, df), df);
+  },
+
+  /**
+   * Run every test with its default options.
+   * @param {KDTestSource} source - A `KDRoll` instance, an engine, or the
+   * name of a built-in engine.
+   * @param {KDTestOptions} [options] - `alpha` for every test.
+   * @returns {KDTestReport}
+   */
+  all: (source: KDTestSource, options: KDTestOptions = {}): KDTestReport => {
+    const { alpha } = options;
+    const results = [
+      KDTest.chiSquare(source, { alpha }),
+      KDTest.ks(source, { alpha }),
+      KDTest.ks(source, { alpha, distribution: 'normal' }),
+      KDTest.runs(source, { alpha }),
+      KDTest.serialCorrelation(source, { alpha }),
+      KDTest.gap(source, { alpha }),
+      KDTest.poker(source, { alpha }),
+    ];
+    return { pass: results.every((r) => r.pass), results };
+  },
+};
@@ -0,0 +1,172 @@
+/**
+ * @file KDUid.ts
+ * @author Cadence Holmes
+ * @copyright Cadence Holmes 2020
+ * @license MIT
+ * @fileoverview Unique identifier generators driven by a source of unsigned
+ * 32-bit integers. Includes RFC4122 version 4 and version 7 UUIDs, nanoid-style
+ * IDs with a custom alphabet, and random hex/base62 strings.
+ */
+
+import { KDEngines } from './KDEngines';
+
+/** Function returning a random unsigned 32-bit integer. */
+type Words = () => number;
+
+/** Identifier formats supported by `KDUid.create()`. */
+export type KDUidFormat = 'v4' | 'v7' | 'nanoid' | 'hex' | 'base62';
+
+/** Options for `KDUid.create()`. */
+export type KDUidOptions = {
+  /** Default `'v4'`. */
+  format?: KDUidFormat;
+  /** `'seeded'` (reproducible) or `'crypto'`. Default `'seeded'`. */
+  source?: 'seeded' | 'crypto';
+  /** Length of `nanoid`, `hex`, and `base62` IDs. */
+  length?: number;
+  /** Alphabet of `nanoid` IDs. */
+  alphabet?: string;
+  /** Unix timestamp in milliseconds for `v7` UUIDs. Default `Date.now()`. */
+  time?: number;
+};
+
+/** Default alphabets. */
+const alphabets = {
+  nanoid: 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict',
+  hex: '0123456789abcdef',
+  base62: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+};
+
+/** Default lengths. */
+const lengths = { nanoid: 21, hex: 32, base62: 22 };
+
+/** Format 16 bytes as a UUID string. */
+const toUuid = (bytes: number[]): string => {
+  const hex = bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+};
+
+/**
+ * Holds functions for generating unique identifiers. Every function takes the
+ * source of random unsigned 32-bit integers as its first argument.
+ * @example
+ * ```
+ * const next = () => Math.floor(Math.random() * 4294967296);
+ * KDUid.uuid4(next); // eg. '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed'
+ * ```
+ */
+export const KDUid = {
+  /**
+   * Generate random bytes.
+   * @param {Words} next - The source.
+   * @param {number} n - The number of bytes.
+   * @returns {number[]}
+   */
+  bytes: (next: Words, n: number): number[] => {
+    const bytes: number[] = [];
+    while (bytes.length < n) {
+      const word = next() >>> 0;
+      for (let shift = 24; shift >= 0 && bytes.length < n; shift -= 8) {
+        bytes.push((word >>> shift) & 0xff);
+      }
+    }
+    return bytes;
+  },
+
+  /**
+   * Generate an RFC4122 version 4 (random) UUID.
+   * @param {Words} next - The source.
+   * @returns {string}
+   */
+  uuid4: (next: Words): string => {
+    const bytes = KDUid.bytes(next, 16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return toUuid(bytes);
+  },
+
+  /**
+   * Generate a version 7 (time-ordered) UUID. The first 48 bits are the
+   * timestamp, so UUIDs sort by creation time.
+   * @param {Words} next - The source.
+   * @param {number} [time=Date.now()] - Unix timestamp in milliseconds.
+   * @returns {string} Empty if `time` is invalid.
+   */
+  uuid7: (next: Words, time: number = Date.now()): string => {
+    if (!Number.isSafeInteger(time) || time < 0 || time >= 2 ** 48) {
+      console.log(new Error('Time must be an integer in the range [0, 2^48).'));
+      return '';
+    }
+    const bytes = KDUid.bytes(next, 16);
+    for (let i = 0; i < 6; i++) {
+      bytes[i] = Math.floor(time / 2 ** (8 * (5 - i))) % 256;
+    }
+    bytes[6] = (bytes[6] & 0x0f) | 0x70;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return toUuid(bytes);
+  },
+
+  /**
+   * Generate a string of characters chosen uniformly from an alphabet.
+   * @param {Words} next - The source.
+   * @param {number} length - The number of characters.
+   * @param {string} alphabet - Unique characters, at least 2.
+   * @returns {string} Empty if `length` or `alphabet` is invalid.
+   */
+  string: (next: Words, length: number, alphabet: string): string => {
+    const chars = Array.from(`${alphabet}`);
+    if (chars.length < 2 || new Set(chars).size !== chars.length) {
+      console.log(
+        new Error('Alphabet must have at least 2 unique characters.')
+      );
+      return '';
+    }
+    if (!Number.isSafeInteger(length) || length < 1) {
+      console.log(new Error('Length must be a positive integer.'));
+      return '';
+    }
+    let str = '';
+    const source = { nextUint32: next };
+    while (length--) str += chars[KDEngines.below(source, chars.length)];
+    return str;
+  },
+
+  /**
+   * Generate an identifier in any supported format.
+   * @param {Words} next - The source.
+   * @param {KDUidOptions} [options] - The `format`, plus `length` and
+   * `alphabet` for string IDs or `time` for `v7` UUIDs.
+   * @returns {string} Empty if the options are invalid.
+   */
+  create: (next: Words, options: KDUidOptions = {}): string => {
+    const { format = 'v4', length, alphabet, time } = options;
+    switch (format) {
+      case 'v4':
+        return KDUid.uuid4(next);
+      case 'v7':
+        return KDUid.uuid7(next, time);
+      case 'nanoid':
+        return KDUid.string(
+          next,
+          length === undefined ? lengths.nanoid : length,
+          alphabet === undefined ? alphabets.nanoid : alphabet
+        );
+      case 'hex':
+      case 'base62':
+        return KDUid.string(
+          next,
+          length === undefined ? lengths[format] : length,
+          alphabets[format]
+        );
+      default:
+        console.log(new Error(`Unknown ID format "${format}".`));
+        return '';
+    }
+  },
+};
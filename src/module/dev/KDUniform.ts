@@ -6,15 +6,71 @@
  * @fileoverview Class implementing Mersenne Twister random number generator.
  */
 
+import { KDJump, KDPolynomial } from './KDJump';
+import { KDRuntime } from './KDRuntime';
+import { KDSeed, KDSeedInput } from './KDSeed';
+
 /** Allowed seed types. */
 type Seed = number | number[] | Uint32Array | undefined;
 
+/** Serializable snapshot of the generator. */
+export type KDUniformState = {
+  seed: Seed;
+  mt: number[];
+  mti: number;
+};
+
+/** Size of the state vector. */
+const N: number = 624;
+
+/**
+ * Advance a state vector by a single word, treating it as a circular buffer
+ * that starts at index `i`. A full twist is `N` of these steps.
+ * @param {Uint32Array} mt - The state vector. Mutated in place.
+ * @param {number} i - Index of the oldest word.
+ */
+const twistWord = (mt: Uint32Array, i: number): void => {
+  const y = (mt[i] & 0x80000000) | (mt[(i + 1) % N] & 0x7fffffff);
+  mt[i] = mt[(i + 397) % N] ^ (y >>> 1) ^ (y & 1 ? 0x9908b0df : 0);
+};
+
+/** Characteristic polynomial of `twistWord()`. Computed on first use. */
+let characteristic: { poly: KDPolynomial; degree: number } | undefined;
+
+/**
+ * Get the characteristic polynomial of `twistWord()` by running
+ * Berlekamp-Massey on the top bit of each generated word.
+ * @returns {{ poly: KDPolynomial; degree: number }} Degree is 19937.
+ */
+const getCharacteristic = () => {
+  if (characteristic) return characteristic;
+  const generator = new KDUniform(5489);
+  /* Twist once so the state is on the generator's cycle. */
+  generator.nextUint32();
+  const mt = Uint32Array.from(generator.getState().mt);
+  const bits = new Uint8Array(2 * 19937);
+  for (let k = 0; k < bits.length; k++) {
+    bits[k] = mt[k % N] >>> 31;
+    twistWord(mt, k % N);
+  }
+  characteristic = KDJump.minimalPolynomial(bits);
+  return characteristic;
+};
+
 /**
  * Mersenne Twister uniform distribution random number generator.
- * Generates a random seed using `window.crypto` or `node.crypto` if one
- * isn't provided.
+ * Generates a random seed using `crypto` if one isn't provided.
  */
 export class KDUniform {
+  /** Engine name used in saved states. */
+  name: string;
+
+  /**
+   * Generates a random unsigned 32-bit integer.
+   * @returns {number}
+   */
+  nextUint32: () => number;
+
   /**
    * Generates a 53-bit random real in the interval [0,1] with
    * normal distribution.
@@ -22,25 +78,55 @@ export class KDUniform {
    */
   random: () => number;
 
+  /**
+   * Fill an array with random unsigned 32-bit integers, a whole state vector
+   * at a time. Every 624 outputs cost one twist instead of one each, so this
+   * is a different sequence than calling `nextUint32()`. Outputs left over in
+   * the last state vector are discarded.
+   * @param {Uint32Array} out - The array to fill.
+   */
+  fill: (out: Uint32Array) => void;
+
+  /**
+   * Advance the generator as if `random()` had been called `n` times, using
+   * polynomial jump-ahead. Costs O(log n) after the first call.
+   * @param {number} n - A non-negative integer.
+   */
+  jump: (n: number) => void;
+
   /**
    * If `seed` is `null`, return the current seed. Otherwise, initialize the
    * instance with a new seed. Creates a random seed if one isn't provided.
-   * @param {Seed} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`, or
-   * `number[]` of arbitrary size and values.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`,
+   * `number[]` of arbitrary size and values, string, `BigInt`, byte buffer,
+   * or plain object.
    * @returns {Seed} The actual seed after initialization.
    */
-  seed: (seed?: Seed) => Seed;
+  seed: (seed?: KDSeedInput) => Seed;
+
+  /**
+   * Return a copy of the current generator state.
+   * @returns {KDUniformState}
+   */
+  getState: () => KDUniformState;
+
+  /**
+   * Restore the generator to a previous state so that it continues the exact
+   * same sequence.
+   * @param {KDUniformState} state - A state returned by `getState()`.
+   * @returns {boolean} `false` if the state is invalid and was not restored.
+   */
+  setState: (state: KDUniformState) => boolean;
 
   /**
    * Mersenne Twister uniform distribution random number generator.
-   * Generates a random seed using `window.crypto` or `node.crypto`if
-   * one isn't provided.
-   * @param {Seed} [seed=null] - The initial seed value. Should be an unsigned
-   * 32-bit `Integer`, `Uint32Array`, or `number[]` of arbitrary values and
-   * length. If `null`, `KDRoll()` will generate a random seed.
+   * Generates a random seed using `crypto` if one isn't provided.
+   * @param {KDSeedInput} [seed=null] - The initial seed value. Should be an
+   * unsigned 32-bit `Integer`, `Uint32Array`, or `number[]` of arbitrary
+   * values and length, or a string, `BigInt`, byte buffer, or plain object.
+   * If `null`, `KDRoll()` will generate a random seed.
    */
-  constructor(seed?: Seed) {
-    const N: number = 624;
+  constructor(seed?: KDSeedInput) {
     let mt: number[] = new Array(N);
     let mti: number | null = null;
 
@@ -50,9 +136,7 @@ export class KDUniform {
      */
     const _state: {
       seed?: Seed;
-    } = {
-      seed: seed,
-    };
+    } = {};
 
     /**
      * Namespace to differentiate between `seed` as both a property
@@ -122,79 +206,22 @@ export class KDUniform {
           /* Guard against an empty or invalid array. */
           if (mt.length < 1) mt[0] = 0x80000000;
         },
-
-        /**
-         * Initialize the state vector with a random array
-         * generated via `window.crypto` or `node.crypto`.
-         */
-        withCrypto: () => {
-          _state.seed = KDUniform.createRandomSeed();
-          _private.seed.withArray(_state.seed);
-        },
       },
 
       /**
        * Initialize the instance with a new seed. Creates a random seed if
        * one isn't provided.
-       * @param {Seed} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`, or
-       * `number[]` of arbitrary size and values.
+       * @param {KDSeedInput} [seed] - Any seed accepted by `normalizeSeed()`.
        */
-      init: (seed?: Seed) => {
-        const ensureUint = (num: number) => {
-          /* Make sure the integer size is safe. */
-          if (num > Number.MAX_SAFE_INTEGER) return -1;
-          /* Only positive integers. */
-          if (num < 0) num = Math.abs(num);
-          /* Ignore decimals. */
-          if (!Number.isInteger(num)) num = Number(num.toFixed(0));
-          /* Ensure number isn't `NaN` or `Infinity.` */
-          if (!Number.isSafeInteger(num)) num = -1;
-          return num;
-        };
-        let s: Seed = seed as Seed;
-        /* Allow seed to be an integer. */
-        if (typeof s === 'number') {
-          let ss: number = s as number;
-          ss = ensureUint(ss);
-          if (ss >= 0) {
-            _state.seed = ss;
-            _private.seed.withInt(ss);
-          } else {
-            console.warn('Seed integer is unsafe.');
-            console.log('Generating a random seed array instead.');
-            _private.seed.withCrypto();
-          }
-        } else if (s && s.every && s.every((v: any) => typeof v === 'number')) {
-          /* Allow seed to be `Uint32Array` or `number[]`. */
-          const isUint32Array: boolean = s.constructor === Uint32Array;
-          let ss: number[] = isUint32Array ? [...s] : (s as number[]);
-          if (ss.length > 0) {
-            ss = ss.map((x) => ensureUint(x));
-            if (ss.includes(-1)) {
-              console.warn('Seed array can not contain unsafe integers.');
-              console.log('Generating a random seed array instead.');
-              _private.seed.withCrypto();
-            } else {
-              _state.seed = ss;
-              _private.seed.withArray(ss);
-            }
-          } else {
-            console.warn('Seed array can not be empty.');
-            console.log('Generating a random seed array instead.');
-            _private.seed.withCrypto();
-          }
-        } else {
-          /* Anything else should generate a random seed array with 
-          `window.crypto`. */
-          _private.seed.withCrypto();
-        }
+      init: (seed?: KDSeedInput) => {
+        const s = KDUniform.normalizeSeed(seed);
+        _state.seed = s;
+        if (typeof s === 'number') _private.seed.withInt(s);
+        else _private.seed.withArray(s);
       },
 
-      /**
-       * Generates a random unsigned 32-bit integer.
-       * @returns {number}
-       */
-      int32: (): number => {
+      /** Regenerates the whole state vector. */
+      twist: () => {
         const M: number = 397;
         const UM: number = 0x80000000;
         const LM: number = 0x7fffffff;
@@ -203,30 +230,46 @@ export class KDUniform {
         let y: number;
         let kk: number = 0;
         let mag01: [number, number] = [0, MA];
-        if (mti !== null) {
-          for (; kk < N - M; kk++) {
-            y = (mt[kk] & UM) | (mt[kk + 1] & LM);
-            mt[kk] = mt[kk + M] ^ (y >>> 1) ^ mag01[y & 1];
-          }
-
-          for (; kk < N - 1; kk++) {
-            y = (mt[kk] & UM) | (mt[kk + 1] & LM);
-            mt[kk] = mt[kk + (M - N)] ^ (y >>> 1) ^ mag01[y & 1];
-          }
+        for (; kk < N - M; kk++) {
+          y = (mt[kk] & UM) | (mt[kk + 1] & LM);
+          mt[kk] = mt[kk + M] ^ (y >>> 1) ^ mag01[y & 1];
+        }
 
-          y = (mt[N - 1] & UM) | (mt[0] & LM);
-          mt[N - 1] = mt[M - 1] ^ (y >>> 1) ^ mag01[y & 1];
-          mti = 0;
+        for (; kk < N - 1; kk++) {
+          y = (mt[kk] & UM) | (mt[kk + 1] & LM);
+          mt[kk] = mt[kk + (M - N)] ^ (y >>> 1) ^ mag01[y & 1];
         }
 
-        y = mt[(mti as number)++];
+        y = (mt[N - 1] & UM) | (mt[0] & LM);
+        mt[N - 1] = mt[M - 1] ^ (y >>> 1) ^ mag01[y & 1];
+        mti = 0;
+      },
+
+      /** Tempers a word of the state vector into an output. */
+      temper: (y: number): number => {
         y ^= y >>> 11;
         y ^= (y << 7) & 0x9d2c5680;
         y ^= (y << 15) & 0xefc60000;
         y ^= y >>> 18;
-
         return y >>> 0;
       },
+
+      /**
+       * Generates a random unsigned 32-bit integer.
+       * @returns {number}
+       */
+      int32: (): number => {
+        if (mti !== null) _private.twist();
+        return _private.temper(mt[(mti as number)++]);
+      },
+    };
+
+    /* Fill an array a whole state vector at a time. */
+    this.fill = (out: Uint32Array) => {
+      for (let i = 0; i < out.length; i++) {
+        if (i % N === 0) _private.twist();
+        out[i] = _private.temper(mt[i % N]);
+      }
     };
 
     /*
@@ -268,40 +311,147 @@ export class KDUniform {
      * Otherwise, initialize the instance with a new seed.
      * Creates a random seed if one isn't provided.
      */
-    this.seed = (seed?: Seed) => {
+    this.seed = (seed?: KDSeedInput) => {
       if (seed !== undefined && seed !== null) _private.init(seed);
       return _state.seed;
     };
 
+    /* Return a copy of the current state. */
+    this.getState = () => {
+      const seed = _state.seed;
+      return {
+        seed: Array.isArray(seed) ? [...seed] : seed,
+        mt: mt.map((x) => x >>> 0),
+        mti: mti as number,
+      };
+    };
+
+    /* Restore a previous state. */
+    this.setState = (state: KDUniformState) => {
+      if (!KDUniform.isState(state)) {
+        console.warn('Invalid generator state. State was not restored.');
+        return false;
+      }
+      const s = state.seed;
+      _state.seed = Array.isArray(s) ? [...s] : s;
+      mt = [...state.mt];
+      mti = state.mti;
+      return true;
+    };
+
+    /* Jump ahead by `n` twists. */
+    this.jump = (n: number) => {
+      if (!Number.isSafeInteger(n) || n < 0) {
+        console.warn('Jump must be a non-negative integer.');
+        return;
+      }
+      if (n === 0) return;
+      /* Twist once so the state is on the generator's cycle. */
+      _private.int32();
+      if (n === 1) return;
+      const { poly, degree } = getCharacteristic();
+      const jump = KDJump.power(poly, degree, N, n - 1);
+      const current = Uint32Array.from(mt);
+      const result = new Uint32Array(N);
+      let start = 0;
+      KDJump.evaluate(
+        jump,
+        degree,
+        () => {
+          for (let j = 0; j < N - start; j++) result[j] ^= current[start + j];
+          for (let j = N - start; j < N; j++) {
+            result[j] ^= current[j - (N - start)];
+          }
+        },
+        () => {
+          twistWord(current, start);
+          start = (start + 1) % N;
+        }
+      );
+      mt = Array.from(result);
+    };
+
+    this.name = 'mt19937';
+    this.nextUint32 = () => _private.int32();
+
     _private.init(seed);
   }
 
   /**
-   * Generate a random seed array using `window.crypto`. Fallback to
-   * `node.crypto`. Fallback to array filled via `Math.random()`.
+   * Check that an object is a valid `KDUniformState`.
+   * @param {any} state - The object to check.
+   * @returns {boolean}
+   */
+  static isState(state: any): boolean {
+    const isUint = (n: any) => Number.isInteger(n) && n >= 0 && n <= 0xffffffff;
+    return (
+      !!state &&
+      Array.isArray(state.mt) &&
+      state.mt.length === 624 &&
+      state.mt.every(isUint) &&
+      Number.isInteger(state.mti) &&
+      state.mti >= 0 &&
+      state.mti <= 624
+    );
+  }
+
+  /**
+   * Validate a seed. Strings, `BigInt`, byte buffers, and plain objects are
+   * converted with `KDSeed.key()`. Floats are rounded and negative numbers
+   * are made positive. Unsafe, empty, or unsupported seeds are replaced with
+   * a random seed array.
+   * @param {KDSeedInput} [seed] - Unsigned 32-bit `Integer`, `Uint32Array`,
+   * `number[]` of arbitrary size and values, or any other `KDSeedInput`.
+   * @returns {number | number[]} The seed that should be used.
+   */
+  static normalizeSeed(seed?: KDSeedInput): number | number[] {
+    const ensureUint = (num: number) => {
+      /* Make sure the integer size is safe. */
+      if (num > Number.MAX_SAFE_INTEGER) return -1;
+      /* Only positive integers. */
+      if (num < 0) num = Math.abs(num);
+      /* Ignore decimals. */
+      if (!Number.isInteger(num)) num = Number(num.toFixed(0));
+      /* Ensure number isn't `NaN` or `Infinity.` */
+      if (!Number.isSafeInteger(num)) num = -1;
+      return num;
+    };
+    let s: Seed = KDSeed.key(seed);
+    /* Allow seed to be an integer. */
+    if (typeof s === 'number') {
+      const ss: number = ensureUint(s as number);
+      if (ss >= 0) return ss;
+      console.warn('Seed integer is unsafe.');
+    } else if (s && s.every && s.every((v: any) => typeof v === 'number')) {
+      /* Allow seed to be `Uint32Array` or `number[]`. */
+      const isUint32Array: boolean = s.constructor === Uint32Array;
+      let ss: number[] = isUint32Array ? [...s] : (s as number[]);
+      if (ss.length > 0) {
+        ss = ss.map((x) => ensureUint(x));
+        if (!ss.includes(-1)) return ss;
+        console.warn('Seed array can not contain unsafe integers.');
+      } else {
+        console.warn('Seed array can not be empty.');
+      }
+    } else {
+      /* Anything else should generate a random seed array. */
+      if (s !== undefined && s !== null) console.warn('Unsupported seed type.');
+      return KDUniform.createRandomSeed();
+    }
+    console.log('Generating a random seed array instead.');
+    return KDUniform.createRandomSeed();
+  }
+
+  /**
+   * Generate a random seed array with `KDRuntime.fill()`, which uses a custom
+   * source, `crypto.getRandomValues()`, or Node `crypto`, and falls back to
+   * `Math.random()`.
    * @returns {number[]}
    */
   static createRandomSeed(): number[] {
     const max: number = 623;
     const min: number = 20;
     const len: number = Math.floor(Math.random() * Math.floor(max - min)) + min;
-    /* Use `window.crypto` if available. */
-    if (window.crypto) {
-      return [...window.crypto.getRandomValues(new Uint32Array(len))];
-    } else {
-      /* Else use `node.crypto.randomFillSync()`. */
-      let crypto: { randomFillSync: (buffer: Buffer) => Buffer };
-      try {
-        crypto = require('crypto');
-        const buf: Buffer = Buffer.alloc(len);
-        return [...crypto.randomFillSync(buf)];
-      } catch {
-        /* Else use `Math.random()`. */
-        const randomInt = () => {
-          return Math.floor(Number(Math.random().toFixed(4)) * 1000);
-        };
-        return new Array(len).fill(0).map((x) => randomInt());
-      }
-    }
+    return [...KDRuntime.fill(new Uint32Array(len))];
   }
 }
@@ -10,7 +10,7 @@
 /**
  * Replace this import with the import from your module.
  */
-import { KDRoll } from './KDRoll';
+import { KDRoll, KDRuntime } from './dev';
 
 /**
  * You'll also need to update the variables in this handler.
@@ -19,6 +19,7 @@ import { KDRoll } from './KDRoll';
  */
 const handleNonModule = function (exports) {
   exports.KDRoll = KDRoll;
+  exports.KDRuntime = KDRuntime;
 };
 
 /**
@@ -27,9 +28,21 @@ const handleNonModule = function (exports) {
  */
 const namespace = 'kd';
 
+/**
+ * Find the global object without assuming `window` exists, so the module also
+ * loads in Node, Web Workers, and server-side rendering.
+ */
+const getRoot = function () {
+  if (typeof globalThis !== 'undefined') return globalThis;
+  if (typeof self !== 'undefined') return self;
+  if (typeof window !== 'undefined') return window;
+  if (typeof global !== 'undefined') return global;
+  return undefined;
+};
+
 (function (declareExports) {
-  const root = window;
-  const rootDefine = root['define'];
+  const root = getRoot();
+  const rootDefine = root && root['define'];
   const amdRequire = root && typeof rootDefine === 'function' && rootDefine.amd;
   const esm = typeof module === 'object' && typeof exports === 'object';
   const nonmodule = root;